@@ -1,4 +1,5 @@
 import axios from 'axios';
+import auth from './auth';
 
 // Create axios instance with base configuration
 const api = axios.create({
@@ -16,6 +17,14 @@ api.interceptors.request.use(
     if (token) {
       config.headers.Authorization = `Bearer ${token}`;
     }
+    const actingFor = auth.getActingFor();
+    if (actingFor) {
+      config.headers['X-Acting-For'] = actingFor;
+    }
+    const organization = auth.getOrganization();
+    if (organization) {
+      config.headers['X-Organization'] = organization;
+    }
     return config;
   },
   (error) => {
@@ -28,10 +37,25 @@ api.interceptors.response.use(
   (response) => {
     return response;
   },
-  (error) => {
-    if (error.response?.status === 401) {
-      // Token expired or invalid
-      localStorage.removeItem('token');
+  async (error) => {
+    const original = error.config;
+
+    // Access token expired: refresh once and replay the request
+    if (error.response?.data?.type === 'token_expired' && original && !original._retried) {
+      original._retried = true;
+      try {
+        const token = await auth.refresh();
+        original.headers.Authorization = `Bearer ${token}`;
+        return api(original);
+      } catch (refreshError) {
+        // Fall through to signing out
+      }
+    }
+
+    // Wrong password or code on the login form isn't a lost session
+    if (error.response?.status === 401 && !original?.url?.startsWith('/auth/login')) {
+      // Session ended or token invalid
+      auth.removeToken();
       window.location.href = '/login';
     }
     return Promise.reject(error);
@@ -43,6 +67,10 @@ export const authAPI = {
   login: (credentials) => api.post('/auth/login', credentials),
   register: (userData) => api.post('/auth/register', userData),
   logout: () => api.post('/auth/logout'),
+  loginTwoFactor: (data) => api.post('/auth/login/2fa', data),
+  logoutAll: () => api.post('/auth/logout-all'),
+  getSessions: () => api.get('/auth/sessions'),
+  revokeSession: (sessionId) => api.delete(`/auth/sessions/${sessionId}`),
   verify: () => api.get('/auth/verify'),
   profile: () => api.get('/auth/profile'),
   updateProfile: (data) => api.put('/auth/profile', data),
@@ -51,6 +79,43 @@ export const authAPI = {
   resetPassword: (data) => api.post('/auth/reset-password', data),
   uploadAvatar: (formData) => api.post('/auth/upload-avatar', formData),
   deleteAccount: (password) => api.delete('/auth/account', { data: { password } }),
+  getTwoFactorStatus: () => api.get('/auth/2fa'),
+  setupTwoFactor: (password) => api.post('/auth/2fa/setup', { password }),
+  enableTwoFactor: (code) => api.post('/auth/2fa/enable', { code }),
+  disableTwoFactor: (data) => api.post('/auth/2fa/disable', data),
+  regenerateRecoveryCodes: (data) => api.post('/auth/2fa/recovery-codes', data),
+};
+
+// Delegation API (who may act for whom)
+export const delegationAPI = {
+  getDelegations: () => api.get('/users/delegations'),
+  grantDelegation: (data) => api.post('/users/delegations', data),
+  revokeDelegation: (id) => api.delete(`/users/delegations/${id}`),
+};
+
+// Team API (managers, producers and lawyers acting for an artist)
+export const teamAPI = {
+  getTeam: () => api.get('/team'),
+  invite: (data) => api.post('/team/invitations', data),
+  revokeInvitation: (id) => api.delete(`/team/invitations/${id}`),
+  removeMember: (delegationId) => api.delete(`/team/members/${delegationId}`),
+  getAuditLog: (params) => api.get('/team/audit', { params }),
+  getInvitation: (token) => api.get(`/team/join/${token}`),
+  acceptInvitation: (token) => api.post(`/team/join/${token}`),
+};
+
+// Organization API (labels, members, codes and distribution credentials)
+export const organizationAPI = {
+  getOrganizations: () => api.get('/organizations'),
+  getOrganization: (id) => api.get(`/organizations/${id}`),
+  createOrganization: (data) => api.post('/organizations', data),
+  updateOrganization: (id, data) => api.put(`/organizations/${id}`, data),
+  getMembers: (id) => api.get(`/organizations/${id}/members`),
+  setMember: (id, userId, roles) => api.put(`/organizations/${id}/members/${userId}`, { roles }),
+  removeMember: (id, userId) => api.delete(`/organizations/${id}/members/${userId}`),
+  setDistributionCredentials: (id, provider, credentials) =>
+    api.put(`/organizations/${id}/distribution/${provider}`, { credentials }),
+  removeDistributionCredentials: (id, provider) => api.delete(`/organizations/${id}/distribution/${provider}`),
 };
 
 // Music API
@@ -107,13 +172,100 @@ export const playlistAPI = {
   unlikePlaylist: (id) => api.delete(`/playlists/${id}/like`),
 };
 
+// License API (DRM)
+export const licenseAPI = {
+  issueLicense: (trackId, options = {}) => api.post('/licenses', { trackId, ...options }),
+  getLicenses: (trackId) => api.get('/licenses', { params: { trackId } }),
+  revokeLicense: (licenseId) => api.delete(`/licenses/${licenseId}`),
+};
+
+// Stable per-browser ID that play licenses are bound to
+export const getDeviceId = () => {
+  let deviceId = localStorage.getItem('deviceId');
+  if (!deviceId) {
+    deviceId = `web-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+    localStorage.setItem('deviceId', deviceId);
+  }
+  return deviceId;
+};
+
+// Play license for streaming, or null when the listener has no play
+// entitlement (anonymous, or a paid track they haven't bought)
+const getStreamLicense = async (trackId) => {
+  if (!localStorage.getItem('token')) return null;
+
+  try {
+    const deviceId = getDeviceId();
+    const response = await licenseAPI.issueLicense(trackId, { deviceId });
+    const { licenseKey, permissions } = response.data.data;
+    return permissions.includes('play') ? { licenseKey, deviceId } : null;
+  } catch (error) {
+    console.warn('Streaming preview only:', error.response?.data?.message || error.message);
+    return null;
+  }
+};
+
+// Streaming API
+export const streamAPI = {
+  // Build a URL the <audio> element can fetch (and seek with Range requests).
+  // Listeners with a play license get it in the query string; everyone else
+  // gets the preview.
+  getStreamUrl: async (trackId, quality) => {
+    const params = new URLSearchParams();
+    if (quality) params.set('quality', quality);
+
+    const license = await getStreamLicense(trackId);
+    if (license) {
+      params.set('license', license.licenseKey);
+      params.set('device', license.deviceId);
+    }
+
+    const query = params.toString();
+    return `${api.defaults.baseURL}/tracks/${trackId}/stream${query ? `?${query}` : ''}`;
+  },
+
+  // HLS master playlist URL, or null without a play license (segment keys
+  // are only released to licensed listeners)
+  getHlsUrl: async (trackId) => {
+    const license = await getStreamLicense(trackId);
+    if (!license) return null;
+
+    const params = new URLSearchParams({ license: license.licenseKey, device: license.deviceId });
+    return `${api.defaults.baseURL}/tracks/${trackId}/hls/master.m3u8?${params}`;
+  },
+};
+
 // Chat API
 export const chatAPI = {
   getConversations: () => api.get('/chat/conversations'),
   getConversation: (id) => api.get(`/chat/conversations/${id}`),
   getMessages: (conversationId) => api.get(`/chat/conversations/${conversationId}/messages`),
   sendMessage: (conversationId, data) => api.post(`/chat/conversations/${conversationId}/messages`, data),
-  markAsRead: (conversationId) => api.put(`/chat/conversations/${conversationId}/read`),
+  sendAttachment: (conversationId, formData) => api.post(`/chat/conversations/${conversationId}/attachments`, formData, {
+    headers: { 'Content-Type': 'multipart/form-data' },
+  }),
+  shareTrack: (conversationId, trackId, content) => api.post(`/chat/conversations/${conversationId}/messages`, {
+    type: 'track_share',
+    content,
+    metadata: { trackId },
+  }),
+  getAttachment: (messageId, variant) => api.get(`/chat/messages/${messageId}/attachment`, {
+    params: { variant },
+    responseType: 'blob',
+  }),
+  markAsRead: (conversationId, messageIds) => api.put(`/chat/conversations/${conversationId}/read`, { messageIds }),
+  addReaction: (messageId, emoji) => api.post(`/chat/messages/${messageId}/reactions`, { emoji }),
+  removeReaction: (messageId) => api.delete(`/chat/messages/${messageId}/reactions`),
+  sync: (cursor) => api.get('/chat/sync', { params: { cursor } }),
+  updateSettings: (conversationId, settings) => api.put(`/chat/conversations/${conversationId}/settings`, settings),
+  addParticipant: (conversationId, userId) => api.post(`/chat/conversations/${conversationId}/participants`, { userId }),
+  removeParticipant: (conversationId, userId) => api.delete(`/chat/conversations/${conversationId}/participants/${userId}`),
+  changeRole: (conversationId, userId, role) => api.put(`/chat/conversations/${conversationId}/participants/${userId}/role`, { role }),
+  getPins: (conversationId) => api.get(`/chat/conversations/${conversationId}/pins`),
+  pinMessage: (conversationId, messageId) => api.post(`/chat/conversations/${conversationId}/pins`, { messageId }),
+  unpinMessage: (conversationId, messageId) => api.delete(`/chat/conversations/${conversationId}/pins/${messageId}`),
+  deleteMessage: (messageId) => api.delete(`/chat/messages/${messageId}`),
+  getPresence: (userIds) => api.get('/chat/presence', { params: { userIds: userIds.join(',') } }),
   deleteConversation: (id) => api.delete(`/chat/conversations/${id}`),
   createConversation: (data) => api.post('/chat/conversations', data),
 };
@@ -125,8 +277,25 @@ export const adminAPI = {
   getUser: (id) => api.get(`/admin/users/${id}`),
   updateUser: (id, data) => api.put(`/admin/users/${id}`, data),
   deleteUser: (id) => api.delete(`/admin/users/${id}`),
+  resetUserTwoFactor: (id) => api.delete(`/admin/users/${id}/two-factor`),
+  getTwoFactorPolicy: () => api.get('/admin/security/two-factor-policy'),
+  updateTwoFactorPolicy: (data) => api.put('/admin/security/two-factor-policy', data),
   getDemos: (params) => api.get('/admin/demos', { params }),
   reviewDemo: (id, data) => api.put(`/admin/demos/${id}/review`, data),
+  getReviewQueue: (params) => api.get('/admin/demos/queue', { params }),
+  assignDemo: (id, reviewerId) => api.post(`/admin/demos/${id}/assign`, { reviewerId }),
+  submitDemoReview: (id, data) => api.post(`/admin/demos/${id}/reviews`, data),
+  decideDemo: (id, data) => api.post(`/admin/demos/${id}/decision`, data),
+  getReviewers: () => api.get('/admin/reviewers'),
+  updateReviewer: (userId, data) => api.put(`/admin/reviewers/${userId}`, data),
+  updateUserRole: (id, data) => api.put(`/admin/users/${id}/role`, data),
+  getPermissions: () => api.get('/admin/permissions'),
+  createRole: (data) => api.post('/admin/roles', data),
+  updateRole: (key, data) => api.put(`/admin/roles/${key}`, data),
+  deleteRole: (key) => api.delete(`/admin/roles/${key}`),
+  getDelegations: (params) => api.get('/admin/delegations', { params }),
+  grantDelegation: (data) => api.post('/admin/delegations', data),
+  revokeDelegation: (id) => api.delete(`/admin/delegations/${id}`),
   getTracks: (params) => api.get('/admin/tracks', { params }),
   updateTrack: (id, data) => api.put(`/admin/tracks/${id}`, data),
   deleteTrack: (id) => api.delete(`/admin/tracks/${id}`),
@@ -150,6 +319,11 @@ export const notificationAPI = {
   markAllAsRead: () => api.put('/notifications/read-all'),
   deleteNotification: (id) => api.delete(`/notifications/${id}`),
   getUnreadCount: () => api.get('/notifications/unread-count'),
+  getSettings: () => api.get('/notifications/settings'),
+  getPushPublicKey: () => api.get('/notifications/push/public-key'),
+  subscribePush: (subscription) => api.post('/notifications/push/subscriptions', { subscription, deviceId: getDeviceId() }),
+  unsubscribePush: (endpoint) => api.delete('/notifications/push/subscriptions', { data: { endpoint } }),
+  sendTestPush: () => api.post('/notifications/push/test'),
   updateSettings: (data) => api.put('/notifications/settings', data),
 };
 
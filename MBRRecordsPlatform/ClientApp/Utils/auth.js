@@ -1,3 +1,10 @@
+import axios from 'axios';
+
+const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
+
+// In-flight refresh, shared so concurrent 401s trigger a single rotation
+let refreshPromise = null;
+
 // Authentication utilities
 export const auth = {
   // Get token from localStorage
@@ -13,6 +20,73 @@ export const auth = {
   // Remove token from localStorage
   removeToken: () => {
     localStorage.removeItem('token');
+    localStorage.removeItem('refreshToken');
+    localStorage.removeItem('actingFor');
+    localStorage.removeItem('organization');
+  },
+
+  // Account a delegate is acting for (sent as X-Acting-For), or null
+  getActingFor: () => {
+    return localStorage.getItem('actingFor');
+  },
+
+  setActingFor: (userId) => {
+    if (userId) {
+      localStorage.setItem('actingFor', userId);
+    } else {
+      localStorage.removeItem('actingFor');
+    }
+  },
+
+  // Organization being worked in (sent as X-Organization: id, slug or
+  // 'all'), or null for the user's default
+  getOrganization: () => {
+    return localStorage.getItem('organization');
+  },
+
+  setOrganization: (organization) => {
+    if (organization) {
+      localStorage.setItem('organization', organization);
+    } else {
+      localStorage.removeItem('organization');
+    }
+  },
+
+  getRefreshToken: () => {
+    return localStorage.getItem('refreshToken');
+  },
+
+  // Store the token pair from login, register, refresh or password change
+  setSession: ({ token, refreshToken }) => {
+    if (token) localStorage.setItem('token', token);
+    if (refreshToken) localStorage.setItem('refreshToken', refreshToken);
+  },
+
+  // Swap the refresh token for a new pair; resolves to the new access token.
+  // Another tab may have rotated it first, in which case its pair is used.
+  refresh: () => {
+    if (refreshPromise) return refreshPromise;
+
+    const refreshToken = auth.getRefreshToken();
+    if (!refreshToken) return Promise.reject(new Error('No refresh token'));
+
+    refreshPromise = axios.post(`${API_URL}/auth/refresh`, { refreshToken })
+      .then((response) => {
+        auth.setSession(response.data);
+        return response.data.token;
+      })
+      .catch((error) => {
+        const stored = auth.getRefreshToken();
+        if (stored && stored !== refreshToken) {
+          return auth.getToken();
+        }
+        throw error;
+      })
+      .finally(() => {
+        refreshPromise = null;
+      });
+
+    return refreshPromise;
   },
 
   // Check if user is authenticated
@@ -0,0 +1,111 @@
+// HLS playback utilities
+//
+// Howler can't play HLS, so HLS streams go through an <audio> element
+// (natively on Safari/iOS, through hls.js elsewhere). createHlsPlayer wraps
+// it in the subset of the Howl API the player uses, so callers can treat
+// both the same way.
+
+// Prefer the adaptive stream on cellular or slow connections
+export const isMobileConnection = () => {
+  const connection = navigator.connection || navigator.mozConnection || navigator.webkitConnection;
+
+  if (connection) {
+    if (connection.saveData) return true;
+    if (connection.type === 'cellular') return true;
+    if (['slow-2g', '2g', '3g'].includes(connection.effectiveType)) return true;
+  }
+
+  return /Android|iPhone|iPad|iPod|Mobile/i.test(navigator.userAgent);
+};
+
+export const canPlayHlsNatively = () => {
+  const audio = document.createElement('audio');
+  return audio.canPlayType('application/vnd.apple.mpegurl') !== '';
+};
+
+export const createHlsPlayer = (src, options = {}) => {
+  const {
+    volume = 1,
+    onload,
+    onplay,
+    onpause,
+    onend,
+    onloaderror,
+    onplayerror
+  } = options;
+
+  const audio = new Audio();
+  audio.preload = 'auto';
+  audio.volume = volume;
+
+  let hls = null;
+  let loaded = false;
+
+  audio.addEventListener('loadedmetadata', () => {
+    loaded = true;
+    if (onload) onload();
+  });
+  audio.addEventListener('play', () => onplay && onplay());
+  audio.addEventListener('pause', () => {
+    if (!audio.ended && onpause) onpause();
+  });
+  audio.addEventListener('ended', () => onend && onend());
+  audio.addEventListener('error', () => {
+    const handler = loaded ? onplayerror : onloaderror;
+    if (handler) handler(null, audio.error?.message || 'HLS playback failed');
+  });
+
+  if (canPlayHlsNatively()) {
+    audio.src = src;
+  } else {
+    import('hls.js')
+      .then(({ default: Hls }) => {
+        if (!Hls.isSupported()) {
+          throw new Error('HLS is not supported in this browser');
+        }
+
+        hls = new Hls();
+        hls.on(Hls.Events.ERROR, (event, data) => {
+          if (data.fatal && onloaderror) onloaderror(null, data.details);
+        });
+        hls.loadSource(src);
+        hls.attachMedia(audio);
+      })
+      .catch(error => onloaderror && onloaderror(null, error.message));
+  }
+
+  return {
+    isHls: true,
+    play: () => {
+      audio.play().catch(error => onplayerror && onplayerror(null, error.message));
+    },
+    pause: () => audio.pause(),
+    stop: () => {
+      audio.pause();
+      audio.currentTime = 0;
+    },
+    seek: (time) => {
+      if (typeof time === 'number') {
+        audio.currentTime = time;
+        return undefined;
+      }
+      return audio.currentTime;
+    },
+    volume: (value) => {
+      if (typeof value === 'number') {
+        audio.volume = value;
+      }
+      return audio.volume;
+    },
+    duration: () => (Number.isFinite(audio.duration) ? audio.duration : 0),
+    unload: () => {
+      audio.pause();
+      if (hls) {
+        hls.destroy();
+        hls = null;
+      }
+      audio.removeAttribute('src');
+      audio.load();
+    }
+  };
+};
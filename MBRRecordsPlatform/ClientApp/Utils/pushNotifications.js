@@ -0,0 +1,55 @@
+// Web Push subscription helpers
+//
+// The service worker (public/sw.js) shows the notifications; these helpers
+// subscribe this browser with the server's VAPID key and register the
+// subscription so the server can push to it.
+
+import { notificationAPI } from './api';
+
+export const isPushSupported = () =>
+  'serviceWorker' in navigator && 'PushManager' in window && 'Notification' in window;
+
+// PushManager wants the VAPID key as bytes, the server sends base64url
+const urlBase64ToUint8Array = (base64String) => {
+  const padding = '='.repeat((4 - (base64String.length % 4)) % 4);
+  const base64 = (base64String + padding).replace(/-/g, '+').replace(/_/g, '/');
+  const raw = window.atob(base64);
+  return Uint8Array.from(raw, (char) => char.charCodeAt(0));
+};
+
+export const getPushSubscription = async () => {
+  if (!isPushSupported()) return null;
+  const registration = await navigator.serviceWorker.ready;
+  return registration.pushManager.getSubscription();
+};
+
+// Ask for permission, subscribe and register with the server.
+// Resolves to false when unsupported or permission is refused.
+export const enablePushNotifications = async () => {
+  if (!isPushSupported()) return false;
+
+  const permission = await Notification.requestPermission();
+  if (permission !== 'granted') return false;
+
+  const registration = await navigator.serviceWorker.ready;
+  let subscription = await registration.pushManager.getSubscription();
+
+  if (!subscription) {
+    const response = await notificationAPI.getPushPublicKey();
+    subscription = await registration.pushManager.subscribe({
+      userVisibleOnly: true,
+      applicationServerKey: urlBase64ToUint8Array(response.data.data.publicKey),
+    });
+  }
+
+  await notificationAPI.subscribePush(subscription.toJSON());
+  return true;
+};
+
+export const disablePushNotifications = async () => {
+  const subscription = await getPushSubscription();
+  if (!subscription) return;
+
+  await notificationAPI.unsubscribePush(subscription.endpoint);
+  await subscription.unsubscribe();
+};
@@ -1,5 +1,7 @@
 import React, { createContext, useContext, useReducer, useEffect } from 'react';
 import { Howl } from 'howler';
+import { playlistAPI, streamAPI } from '../Utils/api';
+import { createHlsPlayer, isMobileConnection } from '../Utils/hlsPlayer';
 
 const AudioContext = createContext();
 
@@ -14,11 +16,21 @@ const initialState = {
   isShuffle: false,
   queue: [],
   currentIndex: 0,
+  activePlaylist: null,
   howl: null,
   isLoading: false,
   error: null
 };
 
+// Normalize an API track into the shape the player queue expects
+const toQueueTrack = (track) => ({
+  ...track,
+  id: track.id || track._id,
+  audioUrl: track.audioUrl || track.audioFile?.url,
+  artworkUrl: track.artworkUrl || track.artwork?.url,
+  artistName: track.artistName || track.artist?.name
+});
+
 // Audio player actions
 const audioReducer = (state, action) => {
   switch (action.type) {
@@ -78,6 +90,12 @@ const audioReducer = (state, action) => {
         currentIndex: action.payload
       };
     
+    case 'SET_ACTIVE_PLAYLIST':
+      return {
+        ...state,
+        activePlaylist: action.payload
+      };
+    
     case 'SET_HOWL':
       return {
         ...state,
@@ -136,8 +154,26 @@ export const AudioContextProvider = ({ children }) => {
     };
   }, [state.isPlaying, state.howl]);
 
+  // Pick the source for a track: the HLS ladder on mobile connections when
+  // it's packaged and licensed, otherwise the progressive stream
+  const resolveSource = async (track) => {
+    const trackId = track.id || track._id;
+    if (!trackId) {
+      return { hlsUrl: null, src: track.audioUrl };
+    }
+
+    if (track.audioFile?.hls?.status === 'ready' && isMobileConnection()) {
+      const hlsUrl = await streamAPI.getHlsUrl(trackId);
+      if (hlsUrl) {
+        return { hlsUrl, src: null };
+      }
+    }
+
+    return { hlsUrl: null, src: await streamAPI.getStreamUrl(trackId) };
+  };
+
   // Load and play track
-  const loadTrack = (track) => {
+  const loadTrack = async (track) => {
     // Stop current track
     if (state.howl) {
       state.howl.unload();
@@ -146,10 +182,15 @@ export const AudioContextProvider = ({ children }) => {
     dispatch({ type: 'SET_CURRENT_TRACK', payload: track });
     dispatch({ type: 'SET_LOADING', payload: true });
 
-    // Create new Howl instance
-    const howl = new Howl({
-      src: [track.audioUrl],
-      html5: true,
+    const { hlsUrl, src } = await resolveSource(track);
+
+    // HLS goes through an <audio> element; everything else through Howler
+    const format = (track.audioFile?.format || 'mp3').replace(/^audio\//, '').replace('mpeg', 'mp3');
+    const createPlayer = (options) => (hlsUrl
+      ? createHlsPlayer(hlsUrl, options)
+      : new Howl({ src: [src], format: [format], html5: true, ...options }));
+
+    const howl = createPlayer({
       volume: state.volume,
       onload: () => {
         const duration = howl.duration();
@@ -315,6 +356,67 @@ export const AudioContextProvider = ({ children }) => {
     dispatch({ type: 'SET_QUEUE', payload: [] });
     dispatch({ type: 'SET_CURRENT_INDEX', payload: 0 });
     dispatch({ type: 'SET_CURRENT_TRACK', payload: null });
+    dispatch({ type: 'SET_ACTIVE_PLAYLIST', payload: null });
+  };
+
+  // Replace the queue with a saved playlist and start playing
+  const loadPlaylist = async (playlistId, startIndex = 0) => {
+    try {
+      dispatch({ type: 'SET_LOADING', payload: true });
+      const response = await playlistAPI.getPlaylist(playlistId);
+      const playlist = response.data.data;
+      const queue = playlist.tracks
+        .map(item => item.track)
+        .filter(track => track && (track.audioUrl || track.audioFile?.url))
+        .map(toQueueTrack);
+
+      dispatch({ type: 'SET_ACTIVE_PLAYLIST', payload: { id: playlist._id, name: playlist.name, canEdit: playlist.canEdit } });
+
+      if (queue.length === 0) {
+        dispatch({ type: 'SET_QUEUE', payload: [] });
+        dispatch({ type: 'SET_LOADING', payload: false });
+        return playlist;
+      }
+
+      const index = Math.min(startIndex, queue.length - 1);
+      playTrack(queue[index], queue, index);
+      return playlist;
+    } catch (error) {
+      dispatch({ type: 'SET_ERROR', payload: error.response?.data?.message || 'Failed to load playlist' });
+      return null;
+    }
+  };
+
+  // Save the current queue as a new playlist
+  const saveQueueAsPlaylist = async (name, options = {}) => {
+    try {
+      const response = await playlistAPI.createPlaylist({
+        name,
+        ...options,
+        trackIds: state.queue.map(track => track.id || track._id)
+      });
+      const playlist = response.data.data;
+      dispatch({ type: 'SET_ACTIVE_PLAYLIST', payload: { id: playlist._id, name: playlist.name, canEdit: true } });
+      return playlist;
+    } catch (error) {
+      dispatch({ type: 'SET_ERROR', payload: error.response?.data?.message || 'Failed to save playlist' });
+      return null;
+    }
+  };
+
+  // Persist the current queue order back to the active playlist
+  const saveQueueToPlaylist = async () => {
+    if (!state.activePlaylist?.canEdit) return null;
+
+    try {
+      const response = await playlistAPI.updatePlaylist(state.activePlaylist.id, {
+        trackIds: state.queue.map(track => track.id || track._id)
+      });
+      return response.data.data;
+    } catch (error) {
+      dispatch({ type: 'SET_ERROR', payload: error.response?.data?.message || 'Failed to save playlist' });
+      return null;
+    }
   };
 
   const value = {
@@ -328,6 +430,7 @@ export const AudioContextProvider = ({ children }) => {
     isShuffle: state.isShuffle,
     queue: state.queue,
     currentIndex: state.currentIndex,
+    activePlaylist: state.activePlaylist,
     isLoading: state.isLoading,
     error: state.error,
     
@@ -344,7 +447,10 @@ export const AudioContextProvider = ({ children }) => {
     toggleShuffle,
     addToQueue,
     removeFromQueue,
-    clearQueue
+    clearQueue,
+    loadPlaylist,
+    saveQueueAsPlaylist,
+    saveQueueToPlaylist
   };
 
   return (
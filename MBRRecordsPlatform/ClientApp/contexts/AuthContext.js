@@ -1,6 +1,7 @@
 import React, { createContext, useContext, useReducer, useEffect } from 'react';
 import { toast } from 'react-hot-toast';
 import api from '../Utils/api';
+import auth from '../Utils/auth';
 
 const AuthContext = createContext();
 
@@ -78,12 +79,12 @@ export const AuthProvider = ({ children }) => {
       if (response.data.success) {
         dispatch({ type: 'LOGIN_SUCCESS', payload: response.data.user });
       } else {
-        localStorage.removeItem('token');
+        auth.removeToken();
         dispatch({ type: 'SET_LOADING', payload: false });
       }
     } catch (error) {
       console.error('Auth check failed:', error);
-      localStorage.removeItem('token');
+      auth.removeToken();
       dispatch({ type: 'SET_LOADING', payload: false });
     }
   };
@@ -95,11 +96,17 @@ export const AuthProvider = ({ children }) => {
       
       const response = await api.post('/auth/login', { email, password });
       
+      // Password accepted; the caller asks for a code and calls completeTwoFactorLogin
+      if (response.data.success && response.data.twoFactorRequired) {
+        dispatch({ type: 'SET_LOADING', payload: false });
+        return { success: false, twoFactorRequired: true, challengeToken: response.data.challengeToken };
+      }
+
       if (response.data.success) {
-        const { token, user } = response.data;
+        const { user } = response.data;
         
-        // Store token
-        localStorage.setItem('token', token);
+        // Store access and refresh tokens
+        auth.setSession(response.data);
         
         // Update state
         dispatch({ type: 'LOGIN_SUCCESS', payload: user });
@@ -117,6 +124,35 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  // Second login step: authenticator code or recovery code
+  const completeTwoFactorLogin = async (challengeToken, { code, recoveryCode }) => {
+    try {
+      dispatch({ type: 'SET_LOADING', payload: true });
+
+      const response = await api.post('/auth/login/2fa', { challengeToken, code, recoveryCode });
+
+      if (response.data.success) {
+        const { user, recoveryCodesRemaining } = response.data;
+
+        auth.setSession(response.data);
+        dispatch({ type: 'LOGIN_SUCCESS', payload: user });
+
+        toast.success(`Welcome back, ${user.name}!`);
+        if (recoveryCodesRemaining !== undefined && recoveryCodesRemaining <= 2) {
+          toast(`Only ${recoveryCodesRemaining} recovery codes left - generate new ones in your security settings`);
+        }
+        return { success: true };
+      } else {
+        throw new Error(response.data.message || 'Login failed');
+      }
+    } catch (error) {
+      const message = error.response?.data?.message || error.message || 'Login failed';
+      dispatch({ type: 'SET_ERROR', payload: message });
+      toast.error(message);
+      return { success: false, error: message };
+    }
+  };
+
   // Register user
   const register = async (userData) => {
     try {
@@ -125,10 +161,10 @@ export const AuthProvider = ({ children }) => {
       const response = await api.post('/auth/register', userData);
       
       if (response.data.success) {
-        const { token, user } = response.data;
+        const { user } = response.data;
         
-        // Store token
-        localStorage.setItem('token', token);
+        // Store access and refresh tokens
+        auth.setSession(response.data);
         
         // Update state
         dispatch({ type: 'LOGIN_SUCCESS', payload: user });
@@ -154,7 +190,7 @@ export const AuthProvider = ({ children }) => {
       console.error('Logout error:', error);
     } finally {
       // Clear token and state regardless of API call result
-      localStorage.removeItem('token');
+      auth.removeToken();
       dispatch({ type: 'LOGOUT' });
       toast.success('Logged out successfully');
     }
@@ -188,6 +224,8 @@ export const AuthProvider = ({ children }) => {
       });
       
       if (response.data.success) {
+        // Other devices were signed out; this one gets a fresh session
+        auth.setSession(response.data);
         toast.success('Password changed successfully');
         return { success: true };
       } else {
@@ -243,7 +281,7 @@ export const AuthProvider = ({ children }) => {
   const uploadAvatar = async (file) => {
     try {
       const formData = new FormData();
-      formData.append('avatar', file);
+      formData.append('profileImage', file);
       
       const response = await api.post('/auth/upload-avatar', formData, {
         headers: {
@@ -273,7 +311,7 @@ export const AuthProvider = ({ children }) => {
       });
       
       if (response.data.success) {
-        localStorage.removeItem('token');
+        auth.removeToken();
         dispatch({ type: 'LOGOUT' });
         toast.success('Account deleted successfully');
         return { success: true };
@@ -292,6 +330,9 @@ export const AuthProvider = ({ children }) => {
     dispatch({ type: 'SET_ERROR', payload: null });
   };
 
+  // Permissions come with the user from login and /auth/verify
+  const hasPermission = (permission) => Boolean(state.user?.permissions?.includes(permission));
+
   const value = {
     // State
     user: state.user,
@@ -301,6 +342,7 @@ export const AuthProvider = ({ children }) => {
     
     // Actions
     login,
+    completeTwoFactorLogin,
     register,
     logout,
     updateProfile,
@@ -309,7 +351,8 @@ export const AuthProvider = ({ children }) => {
     resetPassword,
     uploadAvatar,
     deleteAccount,
-    clearError
+    clearError,
+    hasPermission
   };
 
   return (
@@ -258,12 +258,12 @@ self.addEventListener('push', (event) => {
     vibrate: [100, 50, 100],
     data: {
       dateOfArrival: Date.now(),
-      primaryKey: 1
+      url: '/browse'
     },
     actions: [
       {
         action: 'explore',
-        title: 'Listen Now',
+        title: 'Open',
         icon: '/assets/icons/play-icon.png'
       },
       {
@@ -273,15 +273,23 @@ self.addEventListener('push', (event) => {
       }
     ]
   };
+  let title = 'MBR Records';
   
+  // Payload sent by the server's pushService: { title, body, url, tag, notificationId, type }
   if (event.data) {
     const notificationData = event.data.json();
+    title = notificationData.title || title;
     options.body = notificationData.body || options.body;
-    options.title = notificationData.title || 'MBR Records';
+    options.data.url = notificationData.url || '/';
+    options.data.notificationId = notificationData.notificationId;
+    if (notificationData.tag) {
+      options.tag = notificationData.tag;
+      options.renotify = true;
+    }
   }
   
   event.waitUntil(
-    self.registration.showNotification('MBR Records', options)
+    self.registration.showNotification(title, options)
   );
 });
 
@@ -291,19 +299,19 @@ self.addEventListener('notificationclick', (event) => {
   
   event.notification.close();
   
-  if (event.action === 'explore') {
-    event.waitUntil(
-      clients.openWindow('/browse')
-    );
-  } else if (event.action === 'close') {
+  if (event.action === 'close') {
     // Just close the notification
     return;
-  } else {
-    // Default action - open the app
-    event.waitUntil(
-      clients.openWindow('/')
-    );
   }
+  
+  // Focus an open tab on the notification's page, or open one
+  const targetUrl = new URL(event.notification.data?.url || '/', self.location.origin).href;
+  event.waitUntil(
+    clients.matchAll({ type: 'window', includeUncontrolled: true }).then((windowClients) => {
+      const existing = windowClients.find((client) => client.url === targetUrl);
+      return existing ? existing.focus() : clients.openWindow(targetUrl);
+    })
+  );
 });
 
 // Helper functions for IndexedDB operations
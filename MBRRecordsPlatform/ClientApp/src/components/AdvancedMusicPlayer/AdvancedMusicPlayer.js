@@ -1,5 +1,6 @@
 import React, { useState, useEffect, useRef, useCallback } from 'react';
 import { Howl, Howler } from 'howler';
+import { streamAPI } from '../../../Utils/api';
 import './AdvancedMusicPlayer.css';
 
 const AdvancedMusicPlayer = () => {
@@ -41,13 +42,21 @@ const AdvancedMusicPlayer = () => {
   }, []);
 
   // Load and play track
-  const loadTrack = useCallback((track, autoPlay = false) => {
+  const loadTrack = useCallback(async (track, autoPlay = false) => {
     if (howlRef.current) {
       howlRef.current.unload();
     }
 
+    // html5 audio streams with Range requests, so seeking doesn't wait for
+    // the whole file
+    const src = track._id
+      ? await streamAPI.getStreamUrl(track._id, track.quality)
+      : track.audioUrl;
+    const format = (track.audioFile?.format || 'mp3').replace(/^audio\//, '').replace('mpeg', 'mp3');
+
     const sound = new Howl({
-      src: [track.audioUrl],
+      src: [src],
+      format: [format],
       html5: true,
       preload: true,
       volume: volume,
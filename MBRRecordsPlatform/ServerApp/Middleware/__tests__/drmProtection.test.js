@@ -0,0 +1,74 @@
+const express = require('express');
+const { optionalAuth } = require('../authMiddleware');
+const { drmProtection, generateLicenseKey } = require('../drmProtection');
+const sessionService = require('../../Services/sessionService');
+const organizationService = require('../../Services/organizationService');
+const License = require('../../Models/License');
+
+const userA = { _id: '64b000000000000000000001', isActive: true };
+const userB = { _id: '64b000000000000000000002', isActive: true };
+const trackId = '64b0000000000000000000aa';
+
+// Mounted the way server.js mounts the stream route
+const app = express();
+app.use('/api/tracks/:trackId/stream', optionalAuth, drmProtection({ permission: 'play', allowPreview: false }));
+app.get('/api/tracks/:trackId/stream', (req, res) => res.json({ license: res.locals.drm.license }));
+
+let server;
+let baseUrl;
+
+beforeAll(done => {
+  server = app.listen(0, () => {
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+    done();
+  });
+});
+
+afterAll(done => {
+  server.closeAllConnections();
+  server.close(() => done());
+});
+
+beforeEach(() => {
+  jest.spyOn(sessionService, 'authenticate').mockImplementation(async token => ({
+    user: token === 'token-a' ? userA : userB,
+    sessionId: 'session',
+    twoFactorVerified: false
+  }));
+  jest.spyOn(organizationService, 'resolveForUser').mockResolvedValue({});
+  jest.spyOn(License, 'findOneAndUpdate').mockResolvedValue({ _id: 'license' });
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+const stream = (licenseKey, token) => fetch(`${baseUrl}/api/tracks/${trackId}/stream`, {
+  headers: {
+    'X-License-Key': licenseKey,
+    ...(token ? { Authorization: `Bearer ${token}` } : {})
+  }
+});
+
+describe('drmProtection license binding', () => {
+  const { licenseKey } = generateLicenseKey(userA._id, trackId, 1);
+
+  it('accepts the license for the user it was issued to', async () => {
+    const res = await stream(licenseKey, 'token-a');
+
+    expect(res.status).toBe(200);
+    expect((await res.json()).license.userId).toBe(userA._id);
+  });
+
+  it("rejects user B's request with user A's license", async () => {
+    const res = await stream(licenseKey, 'token-b');
+
+    expect(res.status).toBe(403);
+    expect((await res.json()).type).toBe('drm_error');
+    expect(License.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+
+  it('accepts the license without a sign-in, as <audio> elements send it', async () => {
+    const res = await stream(licenseKey);
+
+    expect(res.status).toBe(200);
+  });
+});
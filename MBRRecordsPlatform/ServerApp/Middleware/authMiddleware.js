@@ -1,6 +1,56 @@
-const jwt = require('jsonwebtoken');
 const bcrypt = require('bcryptjs');
-const User = require('../Models/User');
+const mongoose = require('mongoose');
+const sessionService = require('../Services/sessionService');
+const twoFactorService = require('../Services/twoFactorService');
+const permissionService = require('../Services/permissionService');
+const organizationService = require('../Services/organizationService');
+const auditService = require('../Services/auditService');
+
+/**
+ * Organization the request works in (see organizationService.resolveForUser),
+ * from the X-Organization header
+ */
+const resolveOrganization = async (req, user) => {
+  const { organization, membership, crossOrganization } =
+    await organizationService.resolveForUser(user, req.get('x-organization'));
+
+  req.organization = organization;
+  req.membership = membership;
+  req.crossOrganization = crossOrganization;
+};
+
+/**
+ * Run the rest of the request as the delegation's principal, on behalf of
+ * the signed-in user, and in the principal's organization
+ */
+const actFor = async (req, delegation) => {
+  req.actor = req.user;
+  req.user = delegation.principal;
+  req.delegation = delegation;
+  await resolveOrganization(req, delegation.principal);
+};
+
+/**
+ * Audit-log a delegated request once it has been answered
+ */
+const auditDelegatedRequest = (req, res) => {
+  if (!req.delegation || req.audited) return;
+  req.audited = true;
+
+  res.on('finish', () => {
+    auditService.recordSafely({
+      actor: req.actor._id,
+      principal: req.user._id,
+      delegation: req.delegation.delegationId,
+      method: req.method,
+      path: req.originalUrl.split('?')[0],
+      resource: req.auditResource,
+      statusCode: res.statusCode,
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+  });
+};
 
 /**
  * Authentication middleware for protecting routes
@@ -19,17 +69,8 @@ const authenticateToken = async (req, res, next) => {
       });
     }
 
-    // Verify token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    
-    // Get user from database
-    const user = await User.findById(decoded.id).select('-password');
-    if (!user) {
-      return res.status(401).json({
-        success: false,
-        message: 'Token is not valid - user not found.'
-      });
-    }
+    // Verify token and its sign-in session
+    const { user, sessionId, twoFactorVerified } = await sessionService.authenticate(token);
 
     // Check if user is active
     if (!user.isActive) {
@@ -50,24 +91,45 @@ const authenticateToken = async (req, res, next) => {
     }
 
     req.user = user;
+    req.sessionId = sessionId;
+    req.twoFactorVerified = twoFactorVerified;
+    await resolveOrganization(req, user);
     next();
   } catch (error) {
-    console.error('Auth middleware error:', error);
-    
     if (error.name === 'JsonWebTokenError') {
       return res.status(401).json({
         success: false,
-        message: 'Invalid token.'
+        message: 'Invalid token.',
+        type: 'invalid_token'
       });
     }
     
     if (error.name === 'TokenExpiredError') {
       return res.status(401).json({
         success: false,
-        message: 'Token has expired.'
+        message: 'Token has expired.',
+        type: 'token_expired'
       });
     }
 
+    if (error.statusCode === 401) {
+      return res.status(401).json({
+        success: false,
+        message: error.message,
+        type: 'session_revoked'
+      });
+    }
+
+    if (error.statusCode === 403 || error.statusCode === 404) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        type: 'organization_denied'
+      });
+    }
+
+    console.error('Auth middleware error:', error);
+
     res.status(500).json({
       success: false,
       message: 'Server error during authentication.'
@@ -76,7 +138,7 @@ const authenticateToken = async (req, res, next) => {
 };
 
 /**
- * Socket authentication middleware
+ * Socket authentication middleware; resolves to { user, sessionId }
  */
 const authenticateSocket = async (token) => {
   try {
@@ -84,24 +146,43 @@ const authenticateSocket = async (token) => {
       throw new Error('No token provided');
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const user = await User.findById(decoded.id).select('-password');
+    const { user, sessionId } = await sessionService.authenticate(token);
     
-    if (!user || !user.isActive) {
+    if (!user.isActive) {
       throw new Error('Invalid user');
     }
 
-    return user;
+    return { user, sessionId };
   } catch (error) {
     throw new Error('Socket authentication failed');
   }
 };
 
 /**
- * Role-based authorization middleware
+ * Permissions the request runs with: the delegation's when acting for
+ * someone, else the user's own plus their roles in the organization
+ */
+const grantedPermissions = (req) => req.delegation
+  ? req.delegation.permissions
+  : permissionService.getPermissions(req.user, req.membership);
+
+/**
+ * Whether the request holds any of `permissions`
+ */
+const hasPermission = async (req, ...permissions) => {
+  const granted = await grantedPermissions(req);
+  return permissions.some(permission => granted.has(permission));
+};
+
+/**
+ * Permission-based authorization middleware: the user needs any of
+ * `permissions`. With an X-Acting-For header naming another user, the
+ * request runs as that user (req.user) on behalf of the caller (req.actor),
+ * limited to what the delegation grants and in the principal's organization.
+ * Delegated requests are audit-logged.
  */
-const authorize = (...roles) => {
-  return (req, res, next) => {
+const authorize = (...permissions) => {
+  return async (req, res, next) => {
     if (!req.user) {
       return res.status(401).json({
         success: false,
@@ -109,34 +190,95 @@ const authorize = (...roles) => {
       });
     }
 
-    if (!roles.includes(req.user.role)) {
-      return res.status(403).json({
+    try {
+      const actingFor = req.get('x-acting-for');
+
+      if (!req.actor && actingFor && actingFor !== req.user._id.toString()) {
+        const delegation = await permissionService.resolveDelegation(req.user, actingFor);
+        if (!delegation) {
+          return res.status(403).json({
+            success: false,
+            message: 'You are not authorized to act for this account.',
+            type: 'delegation_required'
+          });
+        }
+
+        await actFor(req, delegation);
+      }
+      auditDelegatedRequest(req, res);
+
+      if (!(await hasPermission(req, ...permissions))) {
+        return res.status(403).json({
+          success: false,
+          message: 'Insufficient permissions.',
+          required: permissions
+        });
+      }
+
+      next();
+    } catch (error) {
+      if (error.statusCode === 403 || error.statusCode === 404) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message,
+          type: 'organization_denied'
+        });
+      }
+
+      console.error('Authorization error:', error);
+      res.status(500).json({
         success: false,
-        message: 'Insufficient permissions.',
-        required: roles,
-        current: req.user.role
+        message: 'Error checking permissions.'
       });
     }
-
-    next();
   };
 };
 
 /**
- * Admin access middleware
+ * Two-factor policy middleware: when the security policy requires it for
+ * `scope` ('admin' or 'payouts'), the session must be signed in with 2FA
  */
-const requireAdmin = authorize('admin', 'super_admin');
+const requireTwoFactor = (scope) => {
+  const policyKey = { admin: 'requireForAdmins', payouts: 'requireForPayouts' }[scope];
+
+  return async (req, res, next) => {
+    try {
+      const policy = await twoFactorService.getPolicy();
+      if (!policy[policyKey] || req.twoFactorVerified) {
+        return next();
+      }
+
+      // The signed-in user, not the account a delegate acts for
+      const enrolled = Boolean((req.actor || req.user).twoFactor?.enabled);
+
+      res.status(403).json({
+        success: false,
+        message: enrolled
+          ? 'Sign in again with your authentication code to continue.'
+          : 'Two-factor authentication is required. Set it up in your security settings to continue.',
+        type: 'two_factor_required',
+        enrolled
+      });
+    } catch (error) {
+      console.error('Two-factor policy error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error checking two-factor policy.'
+      });
+    }
+  };
+};
 
 /**
- * Artist access middleware
+ * Staff access middleware: a permission check plus the admin 2FA policy
  */
-const requireArtist = authorize('artist', 'admin', 'super_admin');
+const requireStaff = (...permissions) => [authorize(...permissions), requireTwoFactor('admin')];
 
 /**
  * Subscription check middleware
  */
 const requireSubscription = (subscriptionTypes = []) => {
-  return (req, res, next) => {
+  return async (req, res, next) => {
     if (!req.user) {
       return res.status(401).json({
         success: false,
@@ -144,9 +286,12 @@ const requireSubscription = (subscriptionTypes = []) => {
       });
     }
 
-    // Admin users bypass subscription checks
-    if (req.user.role === 'admin' || req.user.role === 'super_admin') {
-      return next();
+    try {
+      if (await hasPermission(req, 'limits:bypass')) {
+        return next();
+      }
+    } catch (error) {
+      return next(error);
     }
 
     // Check if user has active subscription
@@ -186,11 +331,13 @@ const optionalAuth = async (req, res, next) => {
       : authHeader;
 
     if (token) {
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      const user = await User.findById(decoded.id).select('-password');
+      const { user, sessionId, twoFactorVerified } = await sessionService.authenticate(token);
       
-      if (user && user.isActive) {
+      if (user.isActive) {
         req.user = user;
+        req.sessionId = sessionId;
+        req.twoFactorVerified = twoFactorVerified;
+        await resolveOrganization(req, user);
       }
     }
     
@@ -204,30 +351,49 @@ const optionalAuth = async (req, res, next) => {
 /**
  * Rate limiting bypass for verified users
  */
-const rateLimitBypass = (req, res, next) => {
-  if (req.user) {
-    // Premium subscribers get higher limits
-    if (req.user.subscription && req.user.subscription.type === 'premium') {
-      req.rateLimit = { limit: 1000, remaining: 999 };
-    }
-    // Admin users bypass rate limiting
-    if (req.user.role === 'admin' || req.user.role === 'super_admin') {
-      req.rateLimit = { limit: Infinity, remaining: Infinity };
+const rateLimitBypass = async (req, res, next) => {
+  try {
+    if (req.user) {
+      // Premium subscribers get higher limits
+      if (req.user.subscription && req.user.subscription.type === 'premium') {
+        req.rateLimit = { limit: 1000, remaining: 999 };
+      }
+      // Holders of limits:bypass aren't rate limited
+      if (await hasPermission(req, 'limits:bypass')) {
+        req.rateLimit = { limit: Infinity, remaining: Infinity };
+      }
     }
+    next();
+  } catch (error) {
+    next(error);
   }
-  next();
 };
 
 /**
- * Content ownership verification
+ * Content ownership verification: loads the record named by the `param`
+ * route parameter (or body field) into req.item and lets its owner through.
+ *
+ *   - A user the owner has delegated `permission` to counts as the owner:
+ *     the request runs as the owner, as with X-Acting-For, and is
+ *     audit-logged against the record.
+ *   - Holders of `manage` may access any record.
+ *   - Records of organization-scoped models must belong to the
+ *     organization the request works in.
  */
-const verifyOwnership = (model) => {
+const verifyOwnership = (model, { param = 'id', permission = null, manage = null } = {}) => {
   return async (req, res, next) => {
     try {
-      const { id } = req.params;
+      const id = req.params[param] || req.body?.[param];
+      if (!id) {
+        return res.status(400).json({
+          success: false,
+          message: `${model} ID is required.`
+        });
+      }
+
       const Model = require(`../Models/${model}`);
-      
-      const item = await Model.findById(id);
+
+      const item = mongoose.Types.ObjectId.isValid(id) ? await Model.findById(id) : null;
       if (!item) {
         return res.status(404).json({
           success: false,
@@ -235,24 +401,51 @@ const verifyOwnership = (model) => {
         });
       }
 
-      // Admin users can access anything
-      if (req.user.role === 'admin' || req.user.role === 'super_admin') {
-        req.item = item;
-        return next();
-      }
+      const ownerId = (item.user || item.artist || item.owner || item.createdBy)?.toString();
+      const isOwner = ownerId === req.user._id.toString();
+
+      if (!isOwner && !(manage && await hasPermission(req, manage))) {
+        // Not already acting for someone else: the owner may have delegated to the caller
+        const delegation = !req.delegation && ownerId && permission
+          ? await permissionService.resolveDelegation(req.user, ownerId)
+          : null;
 
-      // Check ownership
-      const ownerId = item.user || item.artist || item.owner || item.createdBy;
-      if (ownerId.toString() !== req.user._id.toString()) {
+        if (!delegation || !delegation.permissions.has(permission)) {
+          return res.status(403).json({
+            success: false,
+            message: 'You can only access your own content.'
+          });
+        }
+
+        await actFor(req, delegation);
+      } else if (isOwner && req.delegation && permission && !req.delegation.permissions.has(permission)) {
         return res.status(403).json({
           success: false,
-          message: 'You can only access your own content.'
+          message: 'Insufficient permissions.',
+          required: [permission]
+        });
+      }
+
+      if (organizationService.scopedModels.includes(model) && !organizationService.belongsTo(item, req.organization)) {
+        return res.status(404).json({
+          success: false,
+          message: `${model} not found.`
         });
       }
 
       req.item = item;
+      req.auditResource = { kind: model, id: item._id.toString() };
+      auditDelegatedRequest(req, res);
       next();
     } catch (error) {
+      if (error.statusCode === 403 || error.statusCode === 404) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message,
+          type: 'organization_denied'
+        });
+      }
+
       console.error('Ownership verification error:', error);
       res.status(500).json({
         success: false,
@@ -292,8 +485,9 @@ module.exports = {
   authenticateToken,
   authenticateSocket,
   authorize,
-  requireAdmin,
-  requireArtist,
+  hasPermission,
+  requireStaff,
+  requireTwoFactor,
   requireSubscription,
   optionalAuth,
   rateLimitBypass,
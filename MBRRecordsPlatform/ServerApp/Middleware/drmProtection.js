@@ -1,7 +1,9 @@
 const crypto = require('crypto');
 const fs = require('fs').promises;
 const path = require('path');
+const { Readable } = require('stream');
 const { ApiError } = require('./errorHandler');
+const License = require('../Models/License');
 
 /**
  * Digital Rights Management (DRM) Protection Middleware
@@ -11,8 +13,10 @@ const { ApiError } = require('./errorHandler');
 // Encryption configuration
 const ENCRYPTION_ALGORITHM = 'aes-256-gcm';
 const KEY_LENGTH = 32; // 256 bits
-const IV_LENGTH = 16; // 128 bits
+const IV_LENGTH = 12; // 96 bits, the GCM nonce size
 const AUTH_TAG_LENGTH = 16; // 128 bits
+const CHUNK_SIZE = 64 * 1024; // Plaintext bytes per encrypted chunk
+const AAD_PREFIX = Buffer.from('MBR-DRM');
 
 /**
  * Generate encryption key for content
@@ -21,105 +25,286 @@ const generateContentKey = () => {
   return crypto.randomBytes(KEY_LENGTH);
 };
 
+/**
+ * Chunked file layout: the plaintext is split into CHUNK_SIZE pieces, each
+ * sealed separately as ciphertext + auth tag. Chunk N uses the base IV with
+ * N mixed into its last 4 bytes, and its AAD carries N and a final-chunk
+ * flag, so chunks can't be reordered, dropped or truncated unnoticed. Any
+ * byte range can be decrypted by reading only the chunks that cover it.
+ */
+const chunkNonce = (baseIv, index) => {
+  const nonce = Buffer.from(baseIv);
+  nonce.writeUInt32BE((nonce.readUInt32BE(IV_LENGTH - 4) ^ index) >>> 0, IV_LENGTH - 4);
+  return nonce;
+};
+
+const chunkAAD = (index, isFinal) => {
+  const meta = Buffer.alloc(5);
+  meta.writeUInt32BE(index, 0);
+  meta.writeUInt8(isFinal ? 1 : 0, 4);
+  return Buffer.concat([AAD_PREFIX, meta]);
+};
+
+const getChunkCount = (plaintextSize, chunkSize) => Math.max(1, Math.ceil(plaintextSize / chunkSize));
+
 /**
  * Encrypt audio file content
+ * Streams the file chunk by chunk; returns what must be stored with the
+ * track to decrypt it again (the content key itself is stored wrapped by
+ * keyManagementService).
  */
-const encryptAudioFile = async (inputPath, outputPath, contentKey) => {
+const encryptAudioFile = async (inputPath, outputPath, contentKey, chunkSize = CHUNK_SIZE) => {
+  let input;
+  let output;
+
   try {
-    const inputBuffer = await fs.readFile(inputPath);
-    const iv = crypto.randomBytes(IV_LENGTH);
+    const { size: plaintextSize } = await fs.stat(inputPath);
+    const chunkCount = getChunkCount(plaintextSize, chunkSize);
+    const baseIv = crypto.randomBytes(IV_LENGTH);
+    const buffer = Buffer.alloc(chunkSize);
+    let authTag;
 
-    const cipher = crypto.createCipher(ENCRYPTION_ALGORITHM, contentKey);
-    cipher.setAAD(Buffer.from('MBR-DRM')); // Additional authenticated data
+    input = await fs.open(inputPath, 'r');
+    output = await fs.open(outputPath, 'w');
 
-    let encrypted = cipher.update(inputBuffer);
-    encrypted = Buffer.concat([encrypted, cipher.final()]);
+    for (let index = 0; index < chunkCount; index++) {
+      const { bytesRead } = await input.read(buffer, 0, chunkSize, index * chunkSize);
+      const isFinal = index === chunkCount - 1;
 
-    const authTag = cipher.getAuthTag();
+      const cipher = crypto.createCipheriv(ENCRYPTION_ALGORITHM, contentKey, chunkNonce(baseIv, index), {
+        authTagLength: AUTH_TAG_LENGTH
+      });
+      cipher.setAAD(chunkAAD(index, isFinal));
 
-    // Combine IV, encrypted data, and auth tag
-    const encryptedData = Buffer.concat([iv, encrypted, authTag]);
+      const encrypted = Buffer.concat([cipher.update(buffer.subarray(0, bytesRead)), cipher.final()]);
+      authTag = cipher.getAuthTag();
 
-    await fs.writeFile(outputPath, encryptedData);
+      await output.write(Buffer.concat([encrypted, authTag]));
+    }
 
     return {
-      iv: iv.toString('hex'),
+      algorithm: ENCRYPTION_ALGORITHM,
+      iv: baseIv.toString('hex'),
+      // Tag of the final chunk - only a complete file produces it
       authTag: authTag.toString('hex'),
+      chunkSize,
+      plaintextSize,
       encrypted: true
     };
   } catch (error) {
-    throw new ApiError('Failed to encrypt audio file', 500);
+    throw new ApiError(`Failed to encrypt audio file: ${error.message}`, 500);
+  } finally {
+    await input?.close();
+    await output?.close();
   }
 };
 
 /**
- * Decrypt audio file content for authorized playback
+ * Create a readable stream of decrypted audio for a byte range
+ * (inclusive `start`/`end`, like HTTP Range). Only the chunks covering the
+ * range are read, one at a time.
  */
-const decryptAudioFile = async (encryptedPath, contentKey, iv, authTag) => {
-  try {
-    const encryptedBuffer = await fs.readFile(encryptedPath);
+const createDecryptStream = (encryptedPath, contentKey, encryption, { start = 0, end = null } = {}) => {
+  const { iv, authTag, plaintextSize } = encryption;
+  const chunkSize = encryption.chunkSize || CHUNK_SIZE;
+  const baseIv = Buffer.from(iv, 'hex');
+  const chunkCount = getChunkCount(plaintextSize, chunkSize);
+  const last = end === null || end === undefined ? plaintextSize - 1 : Math.min(end, plaintextSize - 1);
+
+  async function* decryptChunks() {
+    if (plaintextSize === 0 || start > last) return;
+
+    const file = await fs.open(encryptedPath, 'r');
+    const sealed = Buffer.alloc(chunkSize + AUTH_TAG_LENGTH);
+
+    try {
+      const firstChunk = Math.floor(start / chunkSize);
+      const lastChunk = Math.floor(last / chunkSize);
+
+      for (let index = firstChunk; index <= lastChunk; index++) {
+        const isFinal = index === chunkCount - 1;
+        const { bytesRead } = await file.read(sealed, 0, sealed.length, index * sealed.length);
+
+        if (bytesRead <= AUTH_TAG_LENGTH) {
+          throw new ApiError('Encrypted audio file is truncated', 500);
+        }
 
-    // Extract components
-    const ivBuffer = Buffer.from(iv, 'hex');
-    const authTagBuffer = Buffer.from(authTag, 'hex');
-    const encryptedData = encryptedBuffer.slice(IV_LENGTH, -AUTH_TAG_LENGTH);
+        const tag = sealed.subarray(bytesRead - AUTH_TAG_LENGTH, bytesRead);
+        if (isFinal && authTag && !crypto.timingSafeEqual(tag, Buffer.from(authTag, 'hex'))) {
+          throw new ApiError('Encrypted audio file does not match its stored auth tag', 500);
+        }
+
+        const decipher = crypto.createDecipheriv(ENCRYPTION_ALGORITHM, contentKey, chunkNonce(baseIv, index), {
+          authTagLength: AUTH_TAG_LENGTH
+        });
+        decipher.setAAD(chunkAAD(index, isFinal));
+        decipher.setAuthTag(tag);
 
-    const decipher = crypto.createDecipher(ENCRYPTION_ALGORITHM, contentKey);
-    decipher.setAAD(Buffer.from('MBR-DRM'));
-    decipher.setAuthTag(authTagBuffer);
+        const plaintext = Buffer.concat([
+          decipher.update(sealed.subarray(0, bytesRead - AUTH_TAG_LENGTH)),
+          decipher.final()
+        ]);
 
-    let decrypted = decipher.update(encryptedData);
-    decrypted = Buffer.concat([decrypted, decipher.final()]);
+        const chunkStart = index * chunkSize;
+        const from = Math.max(start - chunkStart, 0);
+        const to = Math.min(last - chunkStart + 1, plaintext.length);
 
-    return decrypted;
+        yield plaintext.subarray(from, to);
+      }
+    } finally {
+      await file.close();
+    }
+  }
+
+  return Readable.from(decryptChunks(), { objectMode: false });
+};
+
+/**
+ * Decrypt a whole audio file into memory.
+ * Only for small files and offline jobs - playback should use
+ * createDecryptStream.
+ */
+const decryptAudioFile = async (encryptedPath, contentKey, encryption) => {
+  try {
+    const chunks = [];
+
+    for await (const chunk of createDecryptStream(encryptedPath, contentKey, encryption)) {
+      chunks.push(chunk);
+    }
+
+    return Buffer.concat(chunks);
   } catch (error) {
     throw new ApiError('Failed to decrypt audio file', 500);
   }
 };
 
+const LICENSE_TOKEN_VERSION = 1;
+const LICENSE_PERMISSIONS = ['play', 'download', 'preview'];
+
+/**
+ * Secret license tokens are signed with. Required in production; elsewhere
+ * a development secret is used with a warning.
+ */
+const loadLicenseSecret = () => {
+  if (process.env.DRM_LICENSE_SECRET) {
+    return process.env.DRM_LICENSE_SECRET;
+  }
+
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('DRM_LICENSE_SECRET must be set in production');
+  }
+
+  console.warn('⚠️  DRM_LICENSE_SECRET not set - using a development secret');
+  return 'mbr-dev-drm-license-secret';
+};
+
+const licenseSecret = loadLicenseSecret();
+
+const signLicensePayload = (encodedPayload) => {
+  return crypto.createHmac('sha256', licenseSecret)
+    .update(encodedPayload)
+    .digest('base64url');
+};
+
 /**
- * Generate license key for content access
+ * Hash a client device ID for license binding
  */
-const generateLicenseKey = (userId, trackId, expirationHours = 24) => {
+const hashDeviceId = (deviceId) => {
+  return crypto.createHash('sha256').update(deviceId.toString()).digest('hex');
+};
+
+/**
+ * Generate a signed license token for content access.
+ * Token format: base64url(payload).base64url(HMAC-SHA256(payload)).
+ * The payload carries the license ID, user, track, permissions, expiry and
+ * optional device binding, so it can be checked without a lookup; the
+ * License store is still consulted for revocation.
+ */
+const generateLicenseKey = (userId, trackId, expirationHours = 24, options = {}) => {
+  const {
+    licenseId = `lic_${crypto.randomBytes(12).toString('hex')}`,
+    permissions = ['play'],
+    deviceId = null
+  } = options;
+
+  const issuedAt = Date.now();
   const payload = {
-    userId,
-    trackId,
-    issuedAt: Date.now(),
-    expiresAt: Date.now() + (expirationHours * 60 * 60 * 1000),
-    permissions: ['play', 'download']
+    v: LICENSE_TOKEN_VERSION,
+    lid: licenseId,
+    sub: userId.toString(),
+    trk: trackId.toString(),
+    perm: permissions.filter(permission => LICENSE_PERMISSIONS.includes(permission)),
+    dev: deviceId ? hashDeviceId(deviceId) : null,
+    iat: issuedAt,
+    exp: issuedAt + (expirationHours * 60 * 60 * 1000)
   };
 
-  const secret = process.env.DRM_LICENSE_SECRET || 'mbr-drm-secret-key';
-  const licenseKey = crypto.createHmac('sha256', secret)
-    .update(JSON.stringify(payload))
-    .digest('hex');
+  const encodedPayload = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  const licenseKey = `${encodedPayload}.${signLicensePayload(encodedPayload)}`;
 
   return {
     licenseKey,
     payload,
-    expiresAt: payload.expiresAt
+    expiresAt: payload.exp
   };
 };
 
 /**
- * Validate license key
+ * Verify a license token's signature and expiry.
+ * Returns the decoded payload, or null for forged, malformed or expired tokens.
  */
-const validateLicenseKey = (licenseKey, userId, trackId) => {
+const verifyLicenseToken = (licenseKey) => {
   try {
-    const secret = process.env.DRM_LICENSE_SECRET || 'mbr-drm-secret-key';
+    if (typeof licenseKey !== 'string') return null;
 
-    // In production, you'd verify against stored licenses
-    // For now, we'll do basic validation
-    if (!licenseKey || licenseKey.length !== 64) {
-      return false;
+    const [encodedPayload, signature, ...rest] = licenseKey.split('.');
+    if (!encodedPayload || !signature || rest.length > 0) return null;
+
+    const expected = Buffer.from(signLicensePayload(encodedPayload));
+    const provided = Buffer.from(signature);
+
+    if (expected.length !== provided.length || !crypto.timingSafeEqual(expected, provided)) {
+      return null;
     }
 
-    // Check if license is not expired (basic check)
-    // In production, decode and verify the HMAC
-    return true;
+    const payload = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString('utf8'));
+
+    if (payload.v !== LICENSE_TOKEN_VERSION || !payload.exp || payload.exp <= Date.now()) {
+      return null;
+    }
+
+    return payload;
   } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Validate license key for a user and track
+ * Returns the payload when the token is genuine, unexpired and issued for
+ * this user/track (and device, when bound); false otherwise. Revocation is
+ * checked against the License store by drmProtection.
+ */
+const validateLicenseKey = (licenseKey, userId, trackId, deviceId = null) => {
+  const payload = verifyLicenseToken(licenseKey);
+
+  if (!payload) {
     return false;
   }
+
+  if (userId && payload.sub !== userId.toString()) {
+    return false;
+  }
+
+  if (trackId && payload.trk !== trackId.toString()) {
+    return false;
+  }
+
+  if (payload.dev && (!deviceId || hashDeviceId(deviceId) !== payload.dev)) {
+    return false;
+  }
+
+  return payload;
 };
 
 /**
@@ -156,68 +341,145 @@ const addWatermark = async (inputPath, outputPath, watermarkData) => {
   }
 };
 
+// Licenses recently confirmed active. An HLS player fetches a key or
+// segment every few seconds, so only the request that opens a stream records
+// usage; the others re-check revocation with a read at most this often.
+const LICENSE_CHECK_CACHE_MS = 30 * 1000;
+const activeLicenses = new Map();
+
+const rememberActiveLicense = (licenseId) => {
+  const now = Date.now();
+
+  if (activeLicenses.size > 10000) {
+    for (const [id, checkedAt] of activeLicenses) {
+      if (now - checkedAt >= LICENSE_CHECK_CACHE_MS) activeLicenses.delete(id);
+    }
+  }
+
+  activeLicenses.set(licenseId, now);
+};
+
+/**
+ * Drop a license from the active cache, so revoking it applies at once
+ */
+const forgetLicense = (licenseId) => {
+  activeLicenses.delete(licenseId);
+};
+
+/**
+ * Whether a license is still active (not revoked). `recordUsage` counts the
+ * request against the license; otherwise a recent check is reused.
+ */
+const checkLicenseActive = async (licenseId, ip, recordUsage) => {
+  let license;
+
+  if (recordUsage) {
+    license = await License.findOneAndUpdate(
+      { licenseId, status: 'active' },
+      {
+        $inc: { 'usage.count': 1 },
+        $set: { 'usage.lastUsedAt': new Date(), 'usage.lastIp': ip }
+      },
+      { projection: { _id: 1 } }
+    );
+  } else {
+    const checkedAt = activeLicenses.get(licenseId);
+    if (checkedAt && Date.now() - checkedAt < LICENSE_CHECK_CACHE_MS) {
+      return true;
+    }
+    license = await License.exists({ licenseId, status: 'active' });
+  }
+
+  if (!license) {
+    forgetLicense(licenseId);
+    return false;
+  }
+
+  rememberActiveLicense(licenseId);
+  return true;
+};
+
 /**
  * DRM Protection Middleware
- * Protects audio content with encryption and licensing
+ * Protects audio content with encryption and licensing. Requests must carry
+ * a license token (X-License-Key header or ?license=) that grants
+ * `permission` for the track; without one, preview-only access is allowed
+ * when `allowPreview` is set.
  */
 const drmProtection = (options = {}) => {
   const {
     requireLicense = true,
+    permission = 'play',
     allowPreview = true,
     previewDuration = 30, // seconds
-    watermarkEnabled = true
+    watermarkEnabled = true,
+    // Which requests count as a use of the license (e.g. only the HLS master
+    // playlist, not every segment)
+    recordsUsage = () => true
   } = options;
 
+  const deny = (res, message, status = 403) => res.status(status).json({
+    success: false,
+    message,
+    type: 'drm_error'
+  });
+
   return async (req, res, next) => {
     try {
       const { trackId } = req.params;
-      const userId = req.user?._id;
 
       if (!trackId) {
         return next();
       }
 
-      // Check if user has valid license
-      if (requireLicense && userId) {
-        const licenseKey = req.headers['x-license-key'] || req.query.license;
-
-        if (!licenseKey) {
-          return res.status(403).json({
-            success: false,
-            message: 'License key required for content access',
-            type: 'drm_error'
-          });
-        }
-
-        const isValidLicense = validateLicenseKey(licenseKey, userId, trackId);
-        if (!isValidLicense) {
-          return res.status(403).json({
-            success: false,
-            message: 'Invalid or expired license key',
-            type: 'drm_error'
-          });
-        }
-      }
-
-      // Add DRM metadata to response
       res.locals.drm = {
         protected: true,
         licenseRequired: requireLicense,
         watermarkEnabled,
         previewAllowed: allowPreview,
-        previewDuration
+        previewDuration,
+        previewOnly: false
       };
 
-      // Generate content key for this session
-      if (userId) {
-        const contentKey = generateContentKey();
-        res.locals.drm.contentKey = contentKey.toString('hex');
+      const licenseKey = req.headers['x-license-key'] || req.query.license;
 
-        // Generate license for this session
-        const license = generateLicenseKey(userId, trackId);
-        res.locals.drm.license = license;
+      if (!licenseKey) {
+        if (!requireLicense) {
+          return next();
+        }
+        if (allowPreview) {
+          res.locals.drm.previewOnly = true;
+          return next();
+        }
+        return deny(res, 'License key required for content access');
       }
 
+      const deviceId = req.headers['x-device-id'] || req.query.device;
+      const payload = validateLicenseKey(licenseKey, req.user?._id, trackId, deviceId);
+
+      if (!payload) {
+        return deny(res, 'Invalid or expired license key');
+      }
+
+      const granted = payload.perm.includes(permission);
+      if (!granted && !(allowPreview && payload.perm.includes('preview'))) {
+        return deny(res, `License does not permit ${permission}`);
+      }
+
+      // Revocation check against the License store
+      if (!(await checkLicenseActive(payload.lid, req.ip, recordsUsage(req)))) {
+        return deny(res, 'License has been revoked');
+      }
+
+      res.locals.drm.previewOnly = !granted;
+      res.locals.drm.license = {
+        licenseId: payload.lid,
+        userId: payload.sub,
+        trackId: payload.trk,
+        permissions: payload.perm,
+        expiresAt: payload.exp
+      };
+
       next();
     } catch (error) {
       next(error);
@@ -255,6 +517,13 @@ const antiPiracyProtection = (req, res, next) => {
     const clientIP = req.ip;
     const now = Date.now();
 
+    // Seeking players send many Range requests per listen, and HLS players
+    // fetch playlists, keys and segments; only the request that opens a
+    // stream counts towards the limit
+    const range = /^bytes=(\d+)-/.exec(req.headers.range || '');
+    const isContinuation = (!!range && parseInt(range[1], 10) > 0) ||
+      (req.path.includes('/hls/') && !req.path.endsWith('/master.m3u8'));
+
     // Simple rate limiting for downloads (in production, use Redis)
     if (!global.downloadTracker) {
       global.downloadTracker = new Map();
@@ -263,16 +532,18 @@ const antiPiracyProtection = (req, res, next) => {
     const downloads = global.downloadTracker.get(clientIP) || [];
     const recentDownloads = downloads.filter(time => now - time < 60000); // Last minute
 
-    if (recentDownloads.length > 10) { // More than 10 downloads per minute
-      return res.status(429).json({
-        success: false,
-        message: 'Download rate limit exceeded',
-        type: 'rate_limit_error'
-      });
-    }
+    if (!isContinuation) {
+      if (recentDownloads.length > 10) { // More than 10 downloads per minute
+        return res.status(429).json({
+          success: false,
+          message: 'Download rate limit exceeded',
+          type: 'rate_limit_error'
+        });
+      }
 
-    recentDownloads.push(now);
-    global.downloadTracker.set(clientIP, recentDownloads);
+      recentDownloads.push(now);
+      global.downloadTracker.set(clientIP, recentDownloads);
+    }
 
     // Add security headers
     res.set({
@@ -326,8 +597,12 @@ module.exports = {
   antiPiracyProtection,
   encryptAudioFile,
   decryptAudioFile,
+  createDecryptStream,
   generateLicenseKey,
   validateLicenseKey,
+  forgetLicense,
+  verifyLicenseToken,
+  hashDeviceId,
   addWatermark,
   generateContentFingerprint,
   generateContentKey
@@ -13,7 +13,7 @@ const SECURITY_CONFIG = {
   maxLoginAttempts: 5,
   lockoutDuration: 15 * 60 * 1000, // 15 minutes
   passwordHistoryCount: 5,
-  sessionTimeout: 24 * 60 * 60 * 1000, // 24 hours
+  sessionTimeout: parseInt(process.env.SESSION_IDLE_DAYS || '30') * 24 * 60 * 60 * 1000, // sign-in sessions idle this long expire
   mfaRequired: process.env.MFA_REQUIRED === 'true'
 };
 
@@ -215,24 +215,44 @@ const updatePasswordHistory = async (userId, newPasswordHash) => {
   }
 };
 
+let jwtSecret = null;
+
+/**
+ * Secret that access and challenge tokens are signed with. Required in
+ * production; elsewhere a development secret is used with a warning.
+ */
+const getJwtSecret = () => {
+  if (jwtSecret) return jwtSecret;
+
+  if (process.env.JWT_SECRET) {
+    jwtSecret = process.env.JWT_SECRET;
+  } else {
+    if (process.env.NODE_ENV === 'production') {
+      throw new Error('JWT_SECRET must be set in production');
+    }
+
+    console.warn('⚠️  JWT_SECRET not set - using a development secret');
+    jwtSecret = 'mbr-dev-jwt-secret';
+  }
+
+  return jwtSecret;
+};
+
 /**
  * Session security validation
+ * Rejects bearer tokens that are forged, expired or not bound to a sign-in
+ * session; whether the session is still live is checked by authenticateToken.
  */
 const validateSessionSecurity = (req, res, next) => {
-  try {
-    const token = req.headers.authorization?.replace('Bearer ', '');
-    if (!token) {
-      return next();
-    }
+  const token = req.headers.authorization?.replace('Bearer ', '');
+  if (!token) {
+    return next();
+  }
 
-    // Decode token without verification to check expiry
-    const decoded = jwt.decode(token);
-    if (!decoded) {
-      return next();
-    }
+  try {
+    const decoded = jwt.verify(token, getJwtSecret());
 
-    // Check if session has expired
-    if (decoded.exp && decoded.exp * 1000 < Date.now()) {
+    if (!decoded.sid) {
       return res.status(401).json({
         success: false,
         message: 'Session has expired. Please login again.',
@@ -240,19 +260,21 @@ const validateSessionSecurity = (req, res, next) => {
       });
     }
 
-    // Check session timeout
-    if (decoded.iat && (Date.now() - decoded.iat * 1000) > SECURITY_CONFIG.sessionTimeout) {
+    next();
+  } catch (error) {
+    if (error.name === 'TokenExpiredError') {
       return res.status(401).json({
         success: false,
-        message: 'Session has timed out. Please login again.',
-        type: 'session_timeout'
+        message: 'Access token has expired.',
+        type: 'token_expired'
       });
     }
 
-    next();
-  } catch (error) {
-    console.error('Session security validation error:', error);
-    next();
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid token.',
+      type: 'invalid_token'
+    });
   }
 };
 
@@ -408,5 +430,6 @@ module.exports = {
   securityHeaders,
   validateApiKey,
   sanitizeInput,
+  getJwtSecret,
   SECURITY_CONFIG
 };
\ No newline at end of file
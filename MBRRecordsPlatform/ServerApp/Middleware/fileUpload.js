@@ -4,6 +4,7 @@ const fs = require('fs').promises;
 const { v4: uuidv4 } = require('uuid');
 const sharp = require('sharp');
 const ffmpeg = require('fluent-ffmpeg');
+const keyManagementService = require('../Services/keyManagementService');
 
 // Ensure upload directories exist
 const ensureDirectoryExists = async (dir) => {
@@ -144,6 +145,48 @@ const genericUpload = multer({
   }
 });
 
+// Distributor statement upload configuration (kept in memory, parsed directly)
+const statementUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 50 * 1024 * 1024, // 50MB
+    files: 1
+  },
+  fileFilter: (req, file, cb) => {
+    const allowedTypes = /csv|tsv|txt/;
+    const extension = path.extname(file.originalname).toLowerCase();
+
+    if (allowedTypes.test(extension)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only CSV/TSV statement files are allowed'));
+    }
+  }
+});
+
+// Chat attachment upload configuration (images, audio snippets, documents)
+const chatAttachmentStorage = createStorage('chat', (req, file) => {
+  const extension = path.extname(file.originalname).toLowerCase();
+  return `chat-${uuidv4()}${extension}`;
+});
+
+const chatAttachmentUpload = multer({
+  storage: chatAttachmentStorage,
+  limits: {
+    fileSize: 25 * 1024 * 1024, // 25MB
+    files: 1
+  },
+  fileFilter: (req, file, cb) => {
+    const blockedTypes = /\.(exe|bat|cmd|com|pif|scr|vbs|js|sh|msi|html?)$/;
+
+    if (blockedTypes.test(path.extname(file.originalname).toLowerCase())) {
+      cb(new Error('File type not allowed for security reasons'));
+    } else {
+      cb(null, true);
+    }
+  }
+});
+
 // Image processing middleware
 const processImage = async (req, res, next) => {
   if (!req.file || !req.file.mimetype.startsWith('image/')) {
@@ -208,7 +251,12 @@ const processAudio = async (req, res, next) => {
       });
     });
 
+    // Encrypt the master at rest once everything that needs the plaintext is done
+    const { path: encryptedPath, encryption } = await keyManagementService.encryptMaster(inputPath);
+
     // Update file info
+    req.file.path = encryptedPath;
+    req.file.encryption = encryption;
     req.file.previewPath = previewPath;
     req.file.waveformPath = waveformPath;
     req.file.metadata = metadata;
@@ -233,7 +281,7 @@ const cleanupFiles = (req, res, next) => {
           fs.unlink(file.path).catch(console.error);
         }
       });
-    } else if (req.file && res.statusCode >= 400) {
+    } else if (req.file && req.file.path && res.statusCode >= 400) {
       fs.unlink(req.file.path).catch(console.error);
     }
     
@@ -250,6 +298,8 @@ const uploadMiddleware = (uploadType = 'generic') => {
     artwork: artworkUpload.single('artwork'),
     track: trackUpload.single('track'),
     demo: demoUpload.array('files', 5),
+    statement: statementUpload.single('statement'),
+    chat: chatAttachmentUpload.single('attachment'),
     generic: genericUpload.array('files', 10)
   };
 
@@ -318,5 +368,7 @@ module.exports = {
   artworkUpload,
   trackUpload,
   demoUpload,
+  statementUpload,
+  chatAttachmentUpload,
   genericUpload
 };
\ No newline at end of file
@@ -419,8 +419,28 @@ const getUserTracks = async (userId) => {
 };
 
 const getUserPlaylists = async (userId) => {
-  // Implementation for getting user playlists
-  return [];
+  const Playlist = require('../Models/Playlist');
+
+  const playlists = await Playlist.find({
+    $or: [{ owner: userId }, { 'collaborators.user': userId }]
+  })
+  .populate('tracks.track', 'title')
+  .lean();
+
+  return playlists.map(playlist => ({
+    id: playlist._id,
+    name: playlist.name,
+    description: playlist.description,
+    privacy: playlist.privacy,
+    role: playlist.owner.toString() === userId.toString() ? 'owner' : 'collaborator',
+    tracks: playlist.tracks.map(item => ({
+      trackId: item.track?._id || item.track,
+      title: item.track?.title,
+      addedAt: item.addedAt
+    })),
+    createdAt: playlist.createdAt,
+    updatedAt: playlist.updatedAt
+  }));
 };
 
 const getUserComments = async (userId) => {
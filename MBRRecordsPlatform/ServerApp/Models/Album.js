@@ -0,0 +1,213 @@
+const mongoose = require('mongoose');
+
+const AlbumSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'Release title is required'],
+    trim: true,
+    maxlength: [200, 'Title cannot exceed 200 characters']
+  },
+
+  artist: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Artist is required']
+  },
+  // Label or imprint that owns this release
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization'
+  },
+
+  featuredArtists: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+
+  type: {
+    type: String,
+    enum: ['single', 'ep', 'album', 'compilation'],
+    default: 'album'
+  },
+
+  // Ordered tracklist - array order is the running order
+  tracklist: [{
+    track: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Track',
+      required: true
+    },
+    discNumber: {
+      type: Number,
+      default: 1,
+      min: 1
+    }
+  }],
+
+  // Product identifiers (assigned through metadataService on creation)
+  identifiers: {
+    upc: {
+      type: String,
+      trim: true
+    },
+    ean: String,
+    grid: String,
+    catalogNumber: {
+      type: String,
+      trim: true
+    }
+  },
+
+  artwork: {
+    url: String,
+    filename: String,
+    cloudinaryId: String
+  },
+
+  genre: {
+    type: String,
+    trim: true
+  },
+
+  label: {
+    type: String,
+    trim: true
+  },
+
+  // Phonographic copyright (sound recording)
+  pLine: {
+    year: Number,
+    owner: {
+      type: String,
+      trim: true
+    }
+  },
+
+  // Copyright (artwork, liner notes, packaging)
+  cLine: {
+    year: Number,
+    owner: {
+      type: String,
+      trim: true
+    }
+  },
+
+  releaseDate: {
+    type: Date
+  },
+
+  originalReleaseDate: {
+    type: Date
+  },
+
+  status: {
+    type: String,
+    enum: ['draft', 'scheduled', 'released', 'withdrawn'],
+    default: 'draft'
+  },
+
+  flags: {
+    isExplicit: {
+      type: Boolean,
+      default: false
+    },
+    isCompilation: {
+      type: Boolean,
+      default: false
+    }
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes
+AlbumSchema.index({ artist: 1, createdAt: -1 });
+AlbumSchema.index({ organization: 1, createdAt: -1 });
+AlbumSchema.index({ 'identifiers.upc': 1 }, { unique: true, sparse: true });
+AlbumSchema.index({ 'tracklist.track': 1 });
+AlbumSchema.index({ status: 1, releaseDate: -1 });
+AlbumSchema.index({ title: 'text' });
+
+// Virtual for track count
+AlbumSchema.virtual('trackCount').get(function() {
+  return this.tracklist ? this.tracklist.length : 0;
+});
+
+// Virtual for formatted P-line (e.g. "℗ 2025 MBR Records")
+AlbumSchema.virtual('formattedPLine').get(function() {
+  if (!this.pLine || !this.pLine.year || !this.pLine.owner) return null;
+  return `℗ ${this.pLine.year} ${this.pLine.owner}`;
+});
+
+// Virtual for formatted C-line (e.g. "© 2025 MBR Records")
+AlbumSchema.virtual('formattedCLine').get(function() {
+  if (!this.cLine || !this.cLine.year || !this.cLine.owner) return null;
+  return `© ${this.cLine.year} ${this.cLine.owner}`;
+});
+
+// Methods
+AlbumSchema.methods.isEditableTracklist = function() {
+  // Once a UPC has gone out to stores the product can't change shape
+  return ['draft', 'scheduled'].includes(this.status);
+};
+
+// Status changes a release may make. Once its UPC has gone out to stores
+// (released, or scheduled and past its date) it never goes back to draft.
+const STATUS_TRANSITIONS = {
+  draft: ['scheduled', 'released'],
+  scheduled: ['draft', 'released', 'withdrawn'],
+  released: ['withdrawn'],
+  withdrawn: ['released']
+};
+
+AlbumSchema.methods.canTransitionTo = function(status) {
+  if (this.status === 'scheduled' && status === 'draft' && this.isAvailable()) {
+    return false;
+  }
+  return (STATUS_TRANSITIONS[this.status] || []).includes(status);
+};
+
+AlbumSchema.methods.getTrackNumber = function(trackId) {
+  const index = this.tracklist.findIndex(item =>
+    (item.track._id || item.track).toString() === trackId.toString()
+  );
+  return index === -1 ? null : index + 1;
+};
+
+AlbumSchema.methods.isAvailable = function() {
+  const now = new Date();
+  return this.status === 'released' || (this.status === 'scheduled' && this.releaseDate && this.releaseDate <= now);
+};
+
+// Static methods
+AlbumSchema.statics.findByUPC = function(upc) {
+  return this.findOne({ 'identifiers.upc': upc });
+};
+
+// Pre-save middleware
+AlbumSchema.pre('save', function(next) {
+  const year = (this.releaseDate || new Date()).getFullYear();
+
+  // Default the copyright lines to the label and release year
+  if (!this.pLine || !this.pLine.owner) {
+    this.pLine = { year: this.pLine?.year || year, owner: this.label };
+  }
+  if (!this.cLine || !this.cLine.owner) {
+    this.cLine = { year: this.cLine?.year || year, owner: this.label };
+  }
+
+  if (this.isModified('type')) {
+    this.flags.isCompilation = this.type === 'compilation';
+  }
+
+  next();
+});
+
+module.exports = mongoose.model('Album', AlbumSchema);
@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+// A request one user made on another's behalf through a delegation: who
+// acted (`actor`), for whom (`principal`), what they did and the outcome
+const AuditLogSchema = new mongoose.Schema({
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  principal: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  delegation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Delegation'
+  },
+
+  method: {
+    type: String,
+    required: true
+  },
+  path: {
+    type: String,
+    required: true
+  },
+  // The record the request worked on, when known (see verifyOwnership)
+  resource: {
+    kind: String,
+    id: String
+  },
+  statusCode: Number,
+
+  ipAddress: String,
+  userAgent: String
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes
+AuditLogSchema.index({ principal: 1, createdAt: -1 });
+AuditLogSchema.index({ actor: 1, createdAt: -1 });
+
+module.exports = mongoose.model('AuditLog', AuditLogSchema);
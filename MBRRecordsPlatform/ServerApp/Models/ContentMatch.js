@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+
+// A catalogue track that an upload, demo or flash-drive import sounds like,
+// flagged for admin review
+const ContentMatchSchema = new mongoose.Schema({
+  // What was checked
+  source: {
+    type: {
+      type: String,
+      enum: ['upload', 'demo', 'flash_drive', 'manual'],
+      required: true
+    },
+    track: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Track'
+    },
+    demo: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'DemoSubmission'
+    },
+    fileName: String,
+    // Who uploaded or submitted it
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+
+  matchedTrack: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Track',
+    required: true
+  },
+
+  // duplicate: same owner re-uploading; infringement: someone else's track
+  classification: {
+    type: String,
+    enum: ['duplicate', 'infringement'],
+    required: true
+  },
+
+  // 0-1: share of the checked audio's hashes that line up with the match
+  confidence: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 1
+  },
+
+  alignedHashes: Number,
+  queryHashes: Number,
+
+  // Where in the matched track the checked audio starts (seconds)
+  offsetSeconds: Number,
+
+  status: {
+    type: String,
+    enum: ['open', 'confirmed', 'dismissed'],
+    default: 'open'
+  },
+
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: Date,
+  reviewNotes: String
+}, {
+  timestamps: true
+});
+
+// Indexes
+ContentMatchSchema.index({ status: 1, confidence: -1 });
+ContentMatchSchema.index({ matchedTrack: 1 });
+ContentMatchSchema.index({ 'source.track': 1 });
+ContentMatchSchema.index({ 'source.demo': 1 });
+
+// Methods
+ContentMatchSchema.methods.review = function(status, reviewerId, notes = null) {
+  this.status = status;
+  this.reviewedBy = reviewerId;
+  this.reviewedAt = new Date();
+  if (notes) this.reviewNotes = notes;
+  return this.save();
+};
+
+module.exports = mongoose.model('ContentMatch', ContentMatchSchema);
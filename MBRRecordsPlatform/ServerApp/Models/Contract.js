@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+
+/**
+ * Contract document. Parties, terms and metadata are free-form because each
+ * contract type (see contractService.contractTypes) carries different terms.
+ */
+const ContractSchema = new mongoose.Schema({
+  contractId: {
+    type: String,
+    unique: true,
+    required: true
+  },
+  // Label or imprint the contract is with
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization'
+  },
+  type: String,
+  // Template key and the version the contract was drafted from (see ContractTemplate)
+  template: String,
+  templateVersion: Number,
+  parties: [Object],
+  terms: Object,
+  metadata: Object,
+  signatures: [Object],
+  history: [Object]
+});
+
+// Indexes
+ContractSchema.index({ organization: 1, 'metadata.status': 1 });
+ContractSchema.index({ 'metadata.status': 1, type: 1 });
+ContractSchema.index({ 'parties.userId': 1 });
+ContractSchema.index({ 'terms.tracks': 1 });
+ContractSchema.index({ 'terms.works': 1 });
+ContractSchema.index({ 'terms.project': 1 });
+
+// Signed terms are immutable: contractService.verifyContract would flag the
+// change, but refuse it here so it can't happen through the model either
+ContractSchema.pre('save', function(next) {
+  const signed = (this.signatures || []).some(sig => sig.status === 'signed');
+  if (!this.isNew && signed && (this.isModified('terms') || this.isModified('parties'))) {
+    return next(new Error('Contract terms are locked once any party has signed'));
+  }
+  next();
+});
+
+// Static methods
+/**
+ * Contracts that reference a track, in any of the places contract types list
+ * their recordings (recording/distribution: tracks, publishing: works,
+ * collaboration: project)
+ */
+ContractSchema.statics.findForTrack = function(trackId, filter = {}) {
+  const ids = [trackId.toString()];
+  if (mongoose.Types.ObjectId.isValid(trackId)) {
+    ids.push(new mongoose.Types.ObjectId(trackId.toString()));
+  }
+
+  return this.find({
+    ...filter,
+    $or: [
+      { 'terms.tracks': { $in: ids } },
+      { 'terms.works': { $in: ids } },
+      { 'terms.project': { $in: ids } }
+    ]
+  });
+};
+
+module.exports = mongoose.model('Contract', ContractSchema);
@@ -0,0 +1,94 @@
+const mongoose = require('mongoose');
+
+/**
+ * Versioned, clause-based contract template. Clause bodies use
+ * {{path | formatter}} placeholders resolved against the contract's parties
+ * and terms (see contractDocumentService); clauses with a condition are only
+ * included when it holds. Published versions are immutable - edits create
+ * a new version, and contracts record the version they were drafted from.
+ */
+const ClauseSchema = new mongoose.Schema({
+  clauseId: {
+    type: String,
+    required: true
+  },
+  heading: {
+    type: String,
+    required: true
+  },
+  body: {
+    type: String,
+    required: true
+  },
+  condition: {
+    path: String,
+    operator: {
+      type: String,
+      enum: ['exists', 'truthy', 'falsy', 'equals', 'gt'],
+      default: 'truthy'
+    },
+    value: mongoose.Schema.Types.Mixed
+  }
+}, { _id: false });
+
+const ContractTemplateSchema = new mongoose.Schema({
+  // Template name from contractService.contractTypes (e.g. recording_agreement)
+  key: {
+    type: String,
+    required: true
+  },
+
+  contractType: {
+    type: String,
+    enum: ['recording', 'distribution', 'licensing', 'publishing', 'management', 'collaboration'],
+    required: true
+  },
+
+  version: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+
+  title: {
+    type: String,
+    required: true
+  },
+
+  status: {
+    type: String,
+    enum: ['draft', 'published', 'retired'],
+    default: 'draft'
+  },
+
+  clauses: {
+    type: [ClauseSchema],
+    validate: [clauses => clauses.length > 0, 'A template needs at least one clause']
+  },
+
+  changeNotes: String,
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  publishedAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes
+ContractTemplateSchema.index({ key: 1, version: -1 }, { unique: true });
+ContractTemplateSchema.index({ key: 1, status: 1 });
+
+// Static methods
+ContractTemplateSchema.statics.findLatestPublished = function(key) {
+  return this.findOne({ key, status: 'published' }).sort({ version: -1 });
+};
+
+ContractTemplateSchema.statics.findVersion = function(key, version) {
+  return this.findOne({ key, version });
+};
+
+module.exports = mongoose.model('ContractTemplate', ContractTemplateSchema);
@@ -272,8 +272,18 @@ ConversationSchema.methods.getUserRole = function(userId) {
   return roleEntry ? roleEntry.role : 'member';
 };
 
+// Higher rank can moderate lower rank
+ConversationSchema.statics.ROLE_RANKS = { member: 1, moderator: 2, admin: 3, owner: 4 };
+
+ConversationSchema.methods.getRoleRank = function(userId) {
+  return this.constructor.ROLE_RANKS[this.getUserRole(userId)];
+};
+
 ConversationSchema.methods.canUserPerformAction = function(userId, action) {
-  if (this.type === 'direct') return true; // In direct chats, both can do everything
+  if (this.type === 'direct') {
+    // In direct chats, both can do everything except moderate each other
+    return !['remove_participant', 'delete_any_message', 'change_role'].includes(action);
+  }
   
   const userRole = this.getUserRole(userId);
   
@@ -285,6 +295,15 @@ ConversationSchema.methods.canUserPerformAction = function(userId, action) {
       return ['owner', 'admin'].includes(userRole) || this.settings.allowInvites;
     
     case 'remove_participant':
+      return ['owner', 'admin', 'moderator'].includes(userRole);
+    
+    case 'delete_any_message':
+      return ['owner', 'admin', 'moderator'].includes(userRole);
+    
+    case 'pin_message':
+      return ['owner', 'admin', 'moderator'].includes(userRole);
+    
+    case 'change_role':
       return ['owner', 'admin'].includes(userRole);
     
     case 'change_settings':
@@ -400,7 +419,8 @@ ConversationSchema.statics.findUserConversations = function(userId, includeArchi
 
 // Pre-save middleware
 ConversationSchema.pre('save', function(next) {
-  if (this.isModified('participants') || this.isNew) {
+  // Only on creation, so the creator can later leave like anyone else
+  if (this.isNew) {
     // Ensure creator is in participants
     if (!this.participants.includes(this.createdBy)) {
       this.participants.push(this.createdBy);
@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+
+// Lets one user (e.g. a manager) act for another (the artist) with a subset
+// of the artist's permissions
+const DelegationSchema = new mongoose.Schema({
+  principal: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  delegate: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  permissions: {
+    type: [String],
+    required: true,
+    validate: [permissions => permissions.length > 0, 'At least one permission is required']
+  },
+
+  grantedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: 300
+  },
+
+  // Set when the delegate joined the principal's team through an invitation
+  teamRole: {
+    type: String,
+    enum: ['manager', 'producer', 'lawyer']
+  },
+  invitation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TeamInvitation'
+  },
+
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+DelegationSchema.index({ delegate: 1, principal: 1, revokedAt: 1 });
+DelegationSchema.index({ principal: 1, revokedAt: 1 });
+
+DelegationSchema.methods.isActive = function() {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt > new Date());
+};
+
+module.exports = mongoose.model('Delegation', DelegationSchema);
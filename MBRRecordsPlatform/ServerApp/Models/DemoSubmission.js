@@ -9,6 +9,12 @@ const DemoSubmissionSchema = new mongoose.Schema({
     index: true
   },
 
+  // Label or imprint the demo was sent to
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization'
+  },
+
   // Basic submission details
   artistName: {
     type: String,
@@ -154,6 +160,58 @@ const DemoSubmissionSchema = new mongoose.Schema({
     ref: 'User'
   },
 
+  assignment: {
+    assignedAt: Date,
+    // null when assigned automatically
+    assignedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    method: {
+      type: String,
+      enum: ['auto', 'manual', 'escalation']
+    }
+  },
+
+  // Review deadline by priority (see demoReviewService.slaHours)
+  sla: {
+    dueAt: Date,
+    breachedAt: Date,
+    escalationLevel: {
+      type: Number,
+      default: 0
+    },
+    lastEscalatedAt: Date
+  },
+
+  // One scorecard per reviewer; aggregated into overallScore
+  reviews: [{
+    reviewer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    scores: {
+      production: { type: Number, min: 1, max: 10 },
+      songwriting: { type: Number, min: 1, max: 10 },
+      vocals: { type: Number, min: 1, max: 10 },
+      commercial: { type: Number, min: 1, max: 10 },
+      originality: { type: Number, min: 1, max: 10 }
+    },
+    comments: {
+      type: String,
+      maxlength: 2000
+    },
+    recommendation: {
+      type: String,
+      enum: ['accept', 'reject', 'conditional', 'refer']
+    },
+    submittedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+
   reviewNotes: [{
     reviewer: {
       type: mongoose.Schema.Types.ObjectId,
@@ -233,6 +291,8 @@ const DemoSubmissionSchema = new mongoose.Schema({
       ]
     },
     nextSteps: String,
+    // Draft contract generated on acceptance (contractService contractId)
+    contractId: String,
     contractOffered: {
       type: Boolean,
       default: false
@@ -380,11 +440,13 @@ const DemoSubmissionSchema = new mongoose.Schema({
 // Indexes for performance
 DemoSubmissionSchema.index({ submitter: 1, createdAt: -1 });
 DemoSubmissionSchema.index({ status: 1, createdAt: -1 });
+DemoSubmissionSchema.index({ organization: 1, status: 1, createdAt: -1 });
 DemoSubmissionSchema.index({ reviewer: 1, status: 1 });
 DemoSubmissionSchema.index({ 'submissionInfo.submissionDate': -1 });
 DemoSubmissionSchema.index({ priority: 1, status: 1 });
 DemoSubmissionSchema.index({ genre: 1, status: 1 });
 DemoSubmissionSchema.index({ tags: 1 });
+DemoSubmissionSchema.index({ status: 1, 'sla.dueAt': 1 });
 
 // Virtual for total file size
 DemoSubmissionSchema.virtual('totalFileSize').get(function() {
@@ -407,21 +469,19 @@ DemoSubmissionSchema.virtual('reviewDuration').get(function() {
   return null;
 });
 
-// Virtual for overall feedback score
+DemoSubmissionSchema.statics.SCORE_CATEGORIES = ['production', 'songwriting', 'vocals', 'commercial', 'originality'];
+
+// Virtual for overall feedback score: the mean of every reviewer's
+// scorecard, or of the single feedback block for demos scored before
+// scorecards existed
 DemoSubmissionSchema.virtual('overallScore').get(function() {
-  if (!this.feedback) return null;
-  
-  const scores = [
-    this.feedback.production?.score,
-    this.feedback.songwriting?.score,
-    this.feedback.vocals?.score,
-    this.feedback.commercial?.score,
-    this.feedback.originality?.score
-  ].filter(score => score !== undefined);
-  
-  if (scores.length === 0) return null;
-  
-  return (scores.reduce((sum, score) => sum + score, 0) / scores.length).toFixed(1);
+  const summary = this.getScoreSummary();
+  return summary.overall === null ? null : summary.overall.toFixed(1);
+});
+
+// Virtual for the review deadline
+DemoSubmissionSchema.virtual('isOverdue').get(function() {
+  return Boolean(this.sla?.dueAt) && this.sla.dueAt < new Date() && this.isOpen();
 });
 
 // Pre-save middleware
@@ -462,6 +522,49 @@ DemoSubmissionSchema.methods.updateStatus = function(newStatus, reviewerId, note
   return this.save();
 };
 
+/**
+ * Per-category averages across reviewers' scorecards, each reviewer's mean
+ * score, and the overall mean of those (reviewers weigh equally however many
+ * categories they scored)
+ */
+DemoSubmissionSchema.methods.getScoreSummary = function() {
+  const categories = this.constructor.SCORE_CATEGORIES;
+  const mean = (values) => values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+
+  const cards = (this.reviews || []).length > 0
+    ? this.reviews.map(review => ({ reviewer: review.reviewer, scores: review.scores || {} }))
+    : [{
+      reviewer: null,
+      scores: categories.reduce((scores, category) => {
+        scores[category] = this.feedback?.[category]?.score;
+        return scores;
+      }, {})
+    }];
+
+  const scored = (card) => categories.map(category => card.scores[category]).filter(score => typeof score === 'number');
+
+  const byCategory = categories.reduce((summary, category) => {
+    const value = mean(cards.map(card => card.scores[category]).filter(score => typeof score === 'number'));
+    summary[category] = value === null ? null : Math.round(value * 10) / 10;
+    return summary;
+  }, {});
+
+  const reviewerMeans = cards.map(card => mean(scored(card))).filter(value => value !== null);
+  const overall = mean(reviewerMeans);
+
+  return {
+    categories: byCategory,
+    reviewCount: (this.reviews || []).length,
+    overall: overall === null ? null : Math.round(overall * 10) / 10
+  };
+};
+
+DemoSubmissionSchema.statics.OPEN_STATUSES = ['pending', 'under_review', 'feedback_requested', 'on_hold'];
+
+DemoSubmissionSchema.methods.isOpen = function() {
+  return this.constructor.OPEN_STATUSES.includes(this.status);
+};
+
 DemoSubmissionSchema.methods.canBeEditedBy = function(userId) {
   // Only submitter can edit pending submissions
   return this.status === 'pending' && this.submitter.toString() === userId.toString();
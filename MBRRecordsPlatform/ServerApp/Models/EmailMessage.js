@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+
+/**
+ * Outbound email, persisted before delivery so a failed send is retried
+ * with backoff instead of lost (see EmailService.processQueue).
+ */
+const EmailMessageSchema = new mongoose.Schema({
+  to: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+
+  // Recipient account, when the address belongs to a user
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  template: {
+    type: String,
+    required: true
+  },
+
+  // transactional: always sent; notification: honours preferences.emailNotifications;
+  // marketing: honours preferences.marketingEmails
+  category: {
+    type: String,
+    enum: ['transactional', 'notification', 'marketing'],
+    required: true
+  },
+
+  subject: {
+    type: String,
+    required: true
+  },
+  html: String,
+  text: String,
+  headers: Object,
+
+  status: {
+    type: String,
+    enum: ['queued', 'sending', 'sent', 'failed'],
+    default: 'queued'
+  },
+
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 6
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  lockedAt: Date,
+  lastError: String,
+
+  transport: String,
+  providerMessageId: String,
+  sentAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes
+EmailMessageSchema.index({ status: 1, nextAttemptAt: 1 });
+EmailMessageSchema.index({ user: 1, createdAt: -1 });
+EmailMessageSchema.index({ template: 1, createdAt: -1 });
+
+module.exports = mongoose.model('EmailMessage', EmailMessageSchema);
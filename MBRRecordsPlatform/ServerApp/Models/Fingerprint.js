@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+// Acoustic fingerprint of a catalogue track (see fingerprintService).
+// `hashes[i]` was found at frame `times[i]`; the multikey index on hashes
+// is what makes the catalogue searchable.
+const FingerprintSchema = new mongoose.Schema({
+  track: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Track',
+    required: true,
+    unique: true
+  },
+
+  // Track owner at fingerprinting time, to tell duplicates from infringement
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  algorithm: {
+    type: String,
+    default: 'peakpairs-v2'
+  },
+
+  sampleRate: Number,
+  hopSize: Number,
+  duration: Number, // seconds of audio fingerprinted
+
+  hashes: {
+    type: [Number],
+    select: false
+  },
+
+  times: {
+    type: [Number],
+    select: false
+  },
+
+  hashCount: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+FingerprintSchema.index({ hashes: 1 });
+FingerprintSchema.index({ owner: 1 });
+
+module.exports = mongoose.model('Fingerprint', FingerprintSchema);
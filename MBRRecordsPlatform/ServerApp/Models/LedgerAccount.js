@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+/**
+ * Ledger account with a cached running balance.
+ * The balance is derived from LedgerEntry documents and can be rebuilt from
+ * them at any time; it exists so debits can be guarded atomically.
+ */
+const LedgerAccountSchema = new mongoose.Schema({
+  // Stable account key, e.g. "user:<id>", "label:<organizationId>", "system:royalty_income"
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  type: {
+    type: String,
+    enum: ['payee', 'label', 'publisher', 'suspense', 'system'],
+    required: true
+  },
+
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  // Label accounts belong to an organization
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization'
+  },
+
+  name: String,
+
+  currency: {
+    type: String,
+    default: 'USD'
+  },
+
+  // Integer micro-units (1 USD = 1,000,000) so splits of fractions of a cent stay exact
+  balanceMicros: {
+    type: Number,
+    default: 0
+  },
+
+  // Only system/clearing accounts may go negative
+  allowNegative: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes
+LedgerAccountSchema.index({ user: 1 });
+
+// Virtual for balance in currency units
+LedgerAccountSchema.virtual('balance').get(function() {
+  return (this.balanceMicros || 0) / 1e6;
+});
+
+module.exports = mongoose.model('LedgerAccount', LedgerAccountSchema);
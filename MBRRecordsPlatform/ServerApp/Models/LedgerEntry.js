@@ -0,0 +1,113 @@
+const mongoose = require('mongoose');
+
+/**
+ * Append-only double-entry ledger line.
+ * Every transaction writes at least two entries whose debits and credits
+ * balance. Entries are never updated or deleted - corrections are new
+ * transactions (e.g. a payout reversal).
+ */
+const LedgerEntrySchema = new mongoose.Schema({
+  transactionId: {
+    type: String,
+    required: true
+  },
+
+  account: {
+    type: String,
+    required: true
+  },
+
+  // Denormalized owner of the account for per-user queries
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  direction: {
+    type: String,
+    enum: ['debit', 'credit'],
+    required: true
+  },
+
+  amountMicros: {
+    type: Number,
+    required: true,
+    min: 1,
+    validate: {
+      validator: Number.isInteger,
+      message: 'Ledger amounts must be integer micro-units'
+    }
+  },
+
+  currency: {
+    type: String,
+    default: 'USD'
+  },
+
+  kind: {
+    type: String,
+    enum: ['royalty', 'payout', 'payout_reversal', 'adjustment'],
+    required: true
+  },
+
+  description: String,
+
+  // Source documents
+  royaltyCalculation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RoyaltyCalculation'
+  },
+  payment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment'
+  },
+  track: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Track'
+  },
+
+  // Running balance of the account after this entry
+  balanceAfterMicros: Number
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes
+LedgerEntrySchema.index({ account: 1, createdAt: -1 });
+LedgerEntrySchema.index({ user: 1, kind: 1, createdAt: -1 });
+LedgerEntrySchema.index({ transactionId: 1 });
+LedgerEntrySchema.index({ royaltyCalculation: 1 });
+// A royalty calculation is posted once: its one royalty income leg is unique
+LedgerEntrySchema.index(
+  { royaltyCalculation: 1, account: 1 },
+  {
+    unique: true,
+    partialFilterExpression: { account: 'system:royalty_income', royaltyCalculation: { $exists: true } }
+  }
+);
+
+// Virtual for amount in currency units
+LedgerEntrySchema.virtual('amount').get(function() {
+  return this.amountMicros / 1e6;
+});
+
+// Append-only: refuse every update/delete path
+const immutable = function(next) {
+  next(new Error('Ledger entries are append-only and cannot be modified or deleted'));
+};
+
+LedgerEntrySchema.pre('save', function(next) {
+  if (!this.isNew) return immutable(next);
+  next();
+});
+
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace',
+  'deleteOne', 'deleteMany', 'findOneAndDelete', 'findOneAndRemove'].forEach(op => {
+  // updateOne/deleteOne also exist as document methods
+  const documentToo = ['updateOne', 'deleteOne'].includes(op);
+  LedgerEntrySchema.pre(op, { document: documentToo, query: true }, immutable);
+});
+
+module.exports = mongoose.model('LedgerEntry', LedgerEntrySchema);
@@ -0,0 +1,134 @@
+const mongoose = require('mongoose');
+
+const LicenseSchema = new mongoose.Schema({
+  // Embedded in the signed token as `lid`
+  licenseId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  track: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Track',
+    required: true
+  },
+
+  permissions: [{
+    type: String,
+    enum: ['play', 'download', 'preview']
+  }],
+
+  // Why the user is entitled to the track
+  grant: {
+    type: String,
+    enum: ['owner', 'free', 'purchase', 'subscription', 'preview', 'admin'],
+    required: true
+  },
+
+  purchase: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Purchase'
+  },
+
+  // SHA-256 of the device ID the license is bound to (null = any device)
+  deviceHash: {
+    type: String,
+    default: null
+  },
+
+  issuedAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+
+  status: {
+    type: String,
+    enum: ['active', 'revoked'],
+    default: 'active'
+  },
+
+  revokedAt: Date,
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  revocationReason: String,
+
+  usage: {
+    count: {
+      type: Number,
+      default: 0
+    },
+    lastUsedAt: Date,
+    lastIp: String,
+    // Plays count once per license, however often the player reloads or seeks
+    playRecordedAt: Date
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes
+LicenseSchema.index({ user: 1, track: 1, status: 1 });
+LicenseSchema.index({ track: 1, status: 1 });
+LicenseSchema.index({ expiresAt: 1 });
+
+// Virtual for expiry
+LicenseSchema.virtual('isExpired').get(function() {
+  return this.expiresAt <= new Date();
+});
+
+// Methods
+LicenseSchema.methods.isValid = function() {
+  return this.status === 'active' && !this.isExpired;
+};
+
+LicenseSchema.methods.hasPermission = function(permission) {
+  return this.permissions.includes(permission);
+};
+
+LicenseSchema.methods.revoke = function(revokedBy = null, reason = null) {
+  this.status = 'revoked';
+  this.revokedAt = new Date();
+  this.revokedBy = revokedBy;
+  this.revocationReason = reason;
+  return this.save();
+};
+
+// Static methods
+LicenseSchema.statics.findActive = function(userId, trackId = null) {
+  const query = { user: userId, status: 'active', expiresAt: { $gt: new Date() } };
+  if (trackId) query.track = trackId;
+
+  return this.find(query).sort({ issuedAt: -1 });
+};
+
+LicenseSchema.statics.revokeMany = function(filter, revokedBy = null, reason = null) {
+  return this.updateMany(
+    { ...filter, status: 'active' },
+    {
+      $set: {
+        status: 'revoked',
+        revokedAt: new Date(),
+        revokedBy,
+        revocationReason: reason
+      }
+    }
+  );
+};
+
+module.exports = mongoose.model('License', LicenseSchema);
@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+
+// A user's place in an organization. `roles` are role keys (see
+// permissionService) that apply only while working in that organization.
+const MembershipSchema = new mongoose.Schema({
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  roles: {
+    type: [String],
+    default: []
+  },
+  addedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+MembershipSchema.index({ organization: 1, user: 1 }, { unique: true });
+MembershipSchema.index({ user: 1, createdAt: 1 });
+
+module.exports = mongoose.model('Membership', MembershipSchema);
@@ -34,6 +34,7 @@ const MessageSchema = new mongoose.Schema({
     fileSize: Number,
     filePath: String,
     mimeType: String,
+    thumbnailPath: String,
     
     // For track sharing
     trackId: {
@@ -49,12 +50,19 @@ const MessageSchema = new mongoose.Schema({
     
     // For audio messages
     duration: Number,
+    waveform: [Number], // Peak levels (0-1) for drawing the waveform
     
     // For system messages
     systemType: {
       type: String,
-      enum: ['user_joined', 'user_left', 'conversation_created', 'track_shared']
-    }
+      enum: ['user_joined', 'user_left', 'conversation_created', 'track_shared', 'role_changed']
+    },
+    // User a system message is about, and their new role for role_changed
+    targetUser: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    role: String
   },
 
   // Message status
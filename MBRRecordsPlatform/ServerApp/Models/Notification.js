@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+
+// In-app notification, delivered live over the recipient's socket room and
+// kept for the notification center
+const NotificationSchema = new mongoose.Schema({
+  recipient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  type: {
+    type: String,
+    enum: ['like', 'follow', 'comment', 'demo_status', 'contract_signature', 'admin_broadcast', 'demo_review', 'team'],
+    required: true
+  },
+
+  title: {
+    type: String,
+    required: true,
+    maxlength: 200
+  },
+
+  message: {
+    type: String,
+    maxlength: 2000
+  },
+
+  // Who triggered it (absent for system notifications)
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  // What it is about, for linking and de-duplication
+  entity: {
+    kind: {
+      type: String,
+      enum: ['track', 'playlist', 'user', 'demo', 'contract']
+    },
+    id: String
+  },
+
+  // Client route to open
+  link: String,
+
+  read: {
+    type: Boolean,
+    default: false
+  },
+  readAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes
+NotificationSchema.index({ recipient: 1, createdAt: -1 });
+NotificationSchema.index({ recipient: 1, read: 1 });
+NotificationSchema.index({ recipient: 1, type: 1, actor: 1, 'entity.id': 1 });
+
+// Methods
+NotificationSchema.methods.markAsRead = function() {
+  if (this.read) return Promise.resolve(this);
+  this.read = true;
+  this.readAt = new Date();
+  return this.save();
+};
+
+// Static methods
+NotificationSchema.statics.getUnreadCount = function(recipientId) {
+  return this.countDocuments({ recipient: recipientId, read: false });
+};
+
+module.exports = mongoose.model('Notification', NotificationSchema);
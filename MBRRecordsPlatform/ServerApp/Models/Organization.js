@@ -0,0 +1,98 @@
+const mongoose = require('mongoose');
+
+// A label, imprint or sub-label. Owns artists (through memberships), tracks,
+// releases, contracts and demos, and carries its own industry codes and
+// distribution credentials.
+const OrganizationSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Organization name is required'],
+    trim: true,
+    maxlength: 100
+  },
+  slug: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: [/^[a-z0-9][a-z0-9-]{1,49}$/, 'Slug must be lowercase letters, digits and hyphens']
+  },
+  type: {
+    type: String,
+    enum: ['label', 'imprint', 'sub_label'],
+    default: 'label'
+  },
+  // Imprints and sub-labels belong to a parent label
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    default: null
+  },
+
+  // Records created before organizations existed belong to this one
+  isDefault: {
+    type: Boolean,
+    default: false
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+
+  codes: {
+    // ISRC registrant (3 characters) and default country
+    isrcRegistrant: {
+      type: String,
+      uppercase: true,
+      trim: true,
+      match: [/^[A-Z0-9]{3}$/, 'ISRC registrant code must be 3 letters or digits']
+    },
+    isrcCountry: {
+      type: String,
+      uppercase: true,
+      trim: true,
+      default: 'US',
+      match: [/^[A-Z]{2}$/, 'ISRC country code must be 2 letters']
+    },
+    // Prefix of contract IDs, e.g. "MBR" in MBR-REC-...
+    contractPrefix: {
+      type: String,
+      uppercase: true,
+      trim: true,
+      match: [/^[A-Z0-9]{2,6}$/, 'Contract prefix must be 2-6 letters or digits']
+    }
+  },
+
+  // Per-provider API credentials for stores and distribution partners,
+  // stored wrapped by keyManagementService as "version:wrappedKey"
+  distributionCredentials: {
+    type: [{
+      _id: false,
+      provider: { type: String, required: true },
+      secret: { type: String, required: true },
+      updatedAt: { type: Date, default: Date.now },
+      updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+    }],
+    select: false
+  },
+
+  contactEmail: {
+    type: String,
+    trim: true,
+    lowercase: true
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+OrganizationSchema.index({ parent: 1 });
+OrganizationSchema.index({ isDefault: 1 });
+
+module.exports = mongoose.model('Organization', OrganizationSchema);
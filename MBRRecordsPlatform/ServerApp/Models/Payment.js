@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+const PaymentSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // Gross amount debited from the payee's ledger balance
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+
+  currency: {
+    type: String,
+    default: 'USD'
+  },
+
+  paymentMethod: {
+    type: String,
+    enum: ['bank_transfer', 'paypal', 'stripe', 'wise'],
+    default: 'bank_transfer'
+  },
+
+  fees: {
+    type: Number,
+    default: 0
+  },
+
+  // Amount that actually reaches the payee after processing fees
+  netAmount: Number,
+
+  status: {
+    type: String,
+    enum: ['pending', 'completed', 'failed', 'reversed'],
+    default: 'pending'
+  },
+
+  transactionId: String,
+  ledgerTransactionId: String,
+  failureReason: String,
+
+  initiatedAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  processedAt: Date
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes
+PaymentSchema.index({ userId: 1, initiatedAt: -1 });
+PaymentSchema.index({ status: 1 });
+
+module.exports = mongoose.model('Payment', PaymentSchema);
@@ -0,0 +1,243 @@
+const mongoose = require('mongoose');
+
+const PlaylistSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Playlist name is required'],
+    trim: true,
+    maxlength: [100, 'Playlist name cannot exceed 100 characters']
+  },
+
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Description cannot exceed 1000 characters']
+  },
+
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // Ordered track list - array order is the playback order
+  tracks: [{
+    track: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Track',
+      required: true
+    },
+    addedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    addedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+
+  // Users allowed to edit the track list
+  collaborators: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    addedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    addedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+
+  // Defaults to the owner's preferences.playlistPrivacy when not provided
+  privacy: {
+    type: String,
+    enum: ['public', 'private', 'friends']
+  },
+
+  artwork: {
+    type: String // URL to playlist cover
+  },
+
+  tags: [{
+    type: String,
+    trim: true,
+    lowercase: true
+  }],
+
+  likes: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+
+  stats: {
+    likes: {
+      type: Number,
+      default: 0
+    },
+    plays: {
+      type: Number,
+      default: 0
+    },
+    totalDuration: {
+      type: Number, // Seconds
+      default: 0
+    }
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes
+PlaylistSchema.index({ owner: 1, updatedAt: -1 });
+PlaylistSchema.index({ 'collaborators.user': 1 });
+PlaylistSchema.index({ privacy: 1, 'stats.likes': -1 });
+PlaylistSchema.index({ name: 'text', description: 'text', tags: 'text' });
+
+// Virtual for track count
+PlaylistSchema.virtual('trackCount').get(function() {
+  return this.tracks ? this.tracks.length : 0;
+});
+
+// Virtual for collaborative flag
+PlaylistSchema.virtual('isCollaborative').get(function() {
+  return this.collaborators ? this.collaborators.length > 0 : false;
+});
+
+// Helper - owner may be populated or a raw ObjectId
+const idOf = (value) => (value && value._id ? value._id : value);
+
+// Methods
+PlaylistSchema.methods.isOwner = function(userId) {
+  return !!userId && idOf(this.owner).toString() === userId.toString();
+};
+
+PlaylistSchema.methods.isCollaborator = function(userId) {
+  if (!userId) return false;
+  return this.collaborators.some(c => idOf(c.user).toString() === userId.toString());
+};
+
+PlaylistSchema.methods.canEdit = function(userId) {
+  return this.isOwner(userId) || this.isCollaborator(userId);
+};
+
+/**
+ * Privacy check. `owner` must be the owner's User document when the
+ * playlist is friends-only, so mutual follows can be resolved. Holders of
+ * playlists:manage are let through by the routes.
+ */
+PlaylistSchema.methods.canView = function(user, owner = null) {
+  if (this.privacy === 'public') return true;
+  if (!user) return false;
+
+  const userId = user._id.toString();
+  if (this.canEdit(userId)) {
+    return true;
+  }
+
+  if (this.privacy === 'friends' && owner) {
+    const followsUser = (owner.following || []).some(id => idOf(id).toString() === userId);
+    const followedByUser = (owner.followers || []).some(id => idOf(id).toString() === userId);
+    return followsUser && followedByUser;
+  }
+
+  return false;
+};
+
+PlaylistSchema.methods.hasTrack = function(trackId) {
+  return this.tracks.some(item => idOf(item.track).toString() === trackId.toString());
+};
+
+PlaylistSchema.methods.addTrack = function(trackId, addedBy, position = null) {
+  const entry = { track: trackId, addedBy, addedAt: new Date() };
+
+  if (position === null || position === undefined || position >= this.tracks.length) {
+    this.tracks.push(entry);
+  } else {
+    this.tracks.splice(Math.max(0, position), 0, entry);
+  }
+
+  return this.save();
+};
+
+PlaylistSchema.methods.removeTrack = function(trackId) {
+  this.tracks = this.tracks.filter(item => idOf(item.track).toString() !== trackId.toString());
+  return this.save();
+};
+
+PlaylistSchema.methods.moveTrack = function(fromIndex, toIndex) {
+  if (fromIndex < 0 || fromIndex >= this.tracks.length) {
+    return Promise.resolve(this);
+  }
+
+  const [entry] = this.tracks.splice(fromIndex, 1);
+  this.tracks.splice(Math.min(Math.max(0, toIndex), this.tracks.length), 0, entry);
+
+  return this.save();
+};
+
+PlaylistSchema.methods.addCollaborator = function(userId, addedBy) {
+  if (!this.isOwner(userId) && !this.isCollaborator(userId)) {
+    this.collaborators.push({ user: userId, addedBy });
+  }
+  return this.save();
+};
+
+PlaylistSchema.methods.removeCollaborator = function(userId) {
+  this.collaborators = this.collaborators.filter(c => idOf(c.user).toString() !== userId.toString());
+  return this.save();
+};
+
+PlaylistSchema.methods.like = function(userId) {
+  if (!this.likes.some(id => id.toString() === userId.toString())) {
+    this.likes.push(userId);
+    this.stats.likes = this.likes.length;
+  }
+  return this.save();
+};
+
+PlaylistSchema.methods.unlike = function(userId) {
+  this.likes = this.likes.filter(id => id.toString() !== userId.toString());
+  this.stats.likes = this.likes.length;
+  return this.save();
+};
+
+// Static methods
+PlaylistSchema.statics.findUserPlaylists = function(userId) {
+  return this.find({
+    $or: [{ owner: userId }, { 'collaborators.user': userId }]
+  })
+  .populate('owner', 'name avatar')
+  .sort({ updatedAt: -1 });
+};
+
+// Pre-save middleware
+PlaylistSchema.pre('save', async function(next) {
+  try {
+    // Inherit the owner's default playlist privacy
+    if (!this.privacy) {
+      const owner = await mongoose.model('User').findById(idOf(this.owner)).select('preferences.playlistPrivacy');
+      this.privacy = owner?.preferences?.playlistPrivacy || 'public';
+    }
+
+    if (this.isModified('tracks')) {
+      const Track = mongoose.model('Track');
+      const trackIds = this.tracks.map(item => idOf(item.track));
+      const tracks = await Track.find({ _id: { $in: trackIds } }).select('duration').lean();
+      this.stats.totalDuration = tracks.reduce((sum, track) => sum + (track.duration || 0), 0);
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = mongoose.model('Playlist', PlaylistSchema);
@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+
+const PurchaseSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  track: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Track',
+    required: true
+  },
+
+  // Price paid, captured from Track.pricing at checkout
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+
+  currency: {
+    type: String,
+    enum: ['USD', 'EUR', 'GBP', 'CAD', 'AUD'],
+    default: 'USD'
+  },
+
+  licensing: {
+    type: String,
+    enum: ['standard', 'premium', 'exclusive', 'royalty-free'],
+    default: 'standard'
+  },
+
+  status: {
+    type: String,
+    enum: ['pending', 'completed', 'refunded', 'failed'],
+    default: 'pending'
+  },
+
+  paymentProvider: {
+    type: String,
+    enum: ['stripe', 'paypal', 'manual'],
+    default: 'stripe'
+  },
+
+  // Provider reference (e.g. Stripe payment intent ID)
+  paymentReference: String,
+
+  completedAt: Date,
+  refundedAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes
+PurchaseSchema.index({ user: 1, track: 1, status: 1 });
+PurchaseSchema.index({ paymentReference: 1 }, { sparse: true });
+
+// Static methods
+PurchaseSchema.statics.findCompleted = function(userId, trackId) {
+  return this.findOne({ user: userId, track: trackId, status: 'completed' })
+    .sort({ completedAt: -1 });
+};
+
+module.exports = mongoose.model('Purchase', PurchaseSchema);
@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+// A browser's Web Push subscription (one per device/browser profile)
+const PushSubscriptionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // Push service URL; unique per browser subscription
+  endpoint: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  keys: {
+    p256dh: { type: String, required: true },
+    auth: { type: String, required: true }
+  },
+
+  expirationTime: Date,
+
+  deviceId: String,
+  userAgent: String,
+
+  lastSuccessAt: Date,
+  lastFailureAt: Date,
+  lastError: String,
+  failureCount: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+PushSubscriptionSchema.index({ user: 1 });
+
+// Shape expected by the web-push library
+PushSubscriptionSchema.methods.toWebPush = function() {
+  return {
+    endpoint: this.endpoint,
+    keys: {
+      p256dh: this.keys.p256dh,
+      auth: this.keys.auth
+    }
+  };
+};
+
+module.exports = mongoose.model('PushSubscription', PushSubscriptionSchema);
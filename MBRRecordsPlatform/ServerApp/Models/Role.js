@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+// A named set of permissions that users are assigned by key. Built-in roles
+// come from permissionService; a stored role with the same key overrides one.
+const RoleSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: [/^[a-z][a-z0-9_]{1,39}$/, 'Role key must be lowercase letters, digits and underscores']
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 60
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 300
+  },
+  permissions: {
+    type: [String],
+    default: []
+  },
+
+  // Built-in roles can be edited but not deleted
+  system: {
+    type: Boolean,
+    default: false
+  },
+
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('Role', RoleSchema);
@@ -0,0 +1,135 @@
+const mongoose = require('mongoose');
+
+const RoyaltyCalculationSchema = new mongoose.Schema({
+  trackId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Track',
+    required: true
+  },
+
+  // Primary artist of the track at calculation time
+  artist: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  // Organization of the track at calculation time
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization'
+  },
+
+  platform: String,
+
+  type: {
+    type: String,
+    enum: ['streaming', 'download', 'licensing'],
+    default: 'streaming'
+  },
+
+  period: String,
+  licenseType: String,
+  territory: String,
+
+  streams: Number,
+  downloads: Number,
+  ratePerStream: Number,
+  pricePerUnit: Number,
+  royaltyRate: Number,
+  licenseFee: Number,
+  grossRevenue: Number,
+  netRevenue: Number,
+
+  // Amounts per stakeholder role
+  splits: {
+    type: Object
+  },
+
+  // Resolved ledger payees - each one is credited when the calculation is stored
+  payees: [{
+    role: {
+      type: String,
+      enum: ['artist', 'collaborator', 'writer', 'label', 'publisher']
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    account: String,
+    amount: Number
+  }],
+
+  totalArtistShare: Number,
+
+  // Where the split came from: negotiated contracts or the default 70/20/10
+  splitSource: {
+    type: String,
+    enum: ['default', 'contract'],
+    default: 'default'
+  },
+
+  // Contract that produced the split (master contract when several applied)
+  contract: {
+    contractId: String,
+    type: { type: String }
+  },
+
+  appliedContracts: [{
+    contractId: String,
+    type: { type: String }
+  }],
+
+  // Advance withheld from the artist share on this calculation
+  recoupment: {
+    contractId: String,
+    amount: Number,
+    outstanding: Number
+  },
+
+  // Distributor statement line this calculation was imported from
+  source: {
+    statementImport: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'StatementImport'
+    },
+    provider: String,
+    rowNumber: Number,
+    // Stable hash of the statement line - prevents double-imports
+    rowKey: String
+  },
+
+  ledgerTransactionId: String,
+
+  calculatedAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  status: {
+    type: String,
+    enum: ['calculated', 'posted', 'void'],
+    default: 'calculated'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes
+RoyaltyCalculationSchema.index({ trackId: 1, calculatedAt: -1 });
+RoyaltyCalculationSchema.index({ 'payees.user': 1, calculatedAt: -1 });
+RoyaltyCalculationSchema.index({ artist: 1, calculatedAt: -1 });
+RoyaltyCalculationSchema.index({ organization: 1, calculatedAt: -1 });
+RoyaltyCalculationSchema.index({ 'contract.contractId': 1 });
+RoyaltyCalculationSchema.index({ 'source.rowKey': 1 }, { unique: true, sparse: true });
+RoyaltyCalculationSchema.index({ 'source.statementImport': 1 });
+
+// Methods
+RoyaltyCalculationSchema.methods.getShareFor = function(userId) {
+  return (this.payees || [])
+    .filter(payee => payee.user && payee.user.toString() === userId.toString())
+    .reduce((sum, payee) => sum + (payee.amount || 0), 0);
+};
+
+module.exports = mongoose.model('RoyaltyCalculation', RoyaltyCalculationSchema);
@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+
+// Platform-wide security settings, edited by admins (a single document)
+const SecurityPolicySchema = new mongoose.Schema({
+  key: {
+    type: String,
+    default: 'platform',
+    unique: true
+  },
+
+  twoFactor: {
+    // Admin routes need a session signed in with a second factor
+    requireForAdmins: {
+      type: Boolean,
+      default: false
+    },
+    // So does requesting a royalty payout
+    requireForPayouts: {
+      type: Boolean,
+      default: false
+    }
+  },
+
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('SecurityPolicy', SecurityPolicySchema);
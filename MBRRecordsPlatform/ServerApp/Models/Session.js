@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+
+// A signed-in device: one refresh token family, rotated on every refresh
+const SessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // SHA-256 of the current refresh token secret
+  tokenHash: {
+    type: String,
+    required: true
+  },
+
+  // Hashes of rotated-out secrets; presenting one means the token was stolen
+  previousTokenHashes: {
+    type: [String],
+    select: false
+  },
+
+  rotations: {
+    type: Number,
+    default: 0
+  },
+
+  // Signed in with a second factor (or confirmed one since)
+  twoFactorVerified: {
+    type: Boolean,
+    default: false
+  },
+
+  userAgent: String,
+  device: String,
+  ip: String,
+
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastUsedIP: String,
+
+  // Refresh token expiry; sliding, pushed back on each rotation
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'logout_all', 'revoked', 'password_changed', 'deactivated', 'token_reuse', 'admin']
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+SessionSchema.index({ user: 1, revokedAt: 1 });
+// Keep ended sessions a month for reuse detection and the device list, then drop them
+SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+SessionSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+module.exports = mongoose.model('Session', SessionSchema);
@@ -0,0 +1,142 @@
+const mongoose = require('mongoose');
+
+const StatementImportSchema = new mongoose.Schema({
+  // Label or imprint whose statement this is; lines only match its tracks
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization'
+  },
+
+  // Distribution partner that issued the statement
+  source: {
+    type: String,
+    enum: ['distrokid', 'tunecore', 'cd_baby', 'awal'],
+    required: [true, 'Statement source is required']
+  },
+
+  fileName: {
+    type: String,
+    trim: true
+  },
+
+  // SHA-256 of the raw file - the same statement always maps to one import
+  fileHash: {
+    type: String,
+    required: true
+  },
+
+  // Sale months covered by the statement
+  periodStart: Date,
+  periodEnd: Date,
+
+  status: {
+    type: String,
+    enum: ['processing', 'completed', 'partial', 'failed'],
+    default: 'processing'
+  },
+
+  totals: {
+    rows: {
+      type: Number,
+      default: 0
+    },
+    matched: {
+      type: Number,
+      default: 0
+    },
+    unmatched: {
+      type: Number,
+      default: 0
+    },
+    // Rows already imported by an earlier run
+    duplicates: {
+      type: Number,
+      default: 0
+    },
+    failed: {
+      type: Number,
+      default: 0
+    },
+    // Zero-revenue rows
+    skipped: {
+      type: Number,
+      default: 0
+    },
+    calculations: {
+      type: Number,
+      default: 0
+    },
+    importedRevenue: {
+      type: Number,
+      default: 0
+    },
+    unmatchedRevenue: {
+      type: Number,
+      default: 0
+    }
+  },
+
+  // Rows that could not be attributed to a track
+  unmatchedRows: [{
+    rowNumber: Number,
+    reason: {
+      type: String,
+      enum: [
+        'missing_identifier',
+        'unknown_isrc',
+        'unknown_upc',
+        'empty_release',
+        'invalid_row',
+        'unsupported_currency'
+      ]
+    },
+    isrc: String,
+    upc: String,
+    title: String,
+    artist: String,
+    store: String,
+    revenue: Number,
+    raw: {
+      type: Object
+    }
+  }],
+
+  // Rows that matched but failed to post
+  rowErrors: [{
+    rowNumber: Number,
+    message: String
+  }],
+
+  importCount: {
+    type: Number,
+    default: 0
+  },
+
+  importedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  completedAt: Date
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes
+StatementImportSchema.index({ organization: 1, source: 1, fileHash: 1 }, { unique: true });
+StatementImportSchema.index({ createdAt: -1 });
+
+// Virtual for match rate
+StatementImportSchema.virtual('matchRate').get(function() {
+  const attributable = this.totals.matched + this.totals.unmatched;
+  return attributable > 0 ? this.totals.matched / attributable : 0;
+});
+
+// Static methods
+StatementImportSchema.statics.findByFile = function(source, fileHash) {
+  return this.findOne({ source, fileHash });
+};
+
+module.exports = mongoose.model('StatementImport', StatementImportSchema);
@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+
+// An artist's invitation for a manager, producer or lawyer to join their
+// team. Accepting it creates a Delegation with the permissions of `scopes`
+// (see teamService).
+const TeamInvitationSchema = new mongoose.Schema({
+  artist: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  email: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  teamRole: {
+    type: String,
+    enum: ['manager', 'producer', 'lawyer'],
+    required: true
+  },
+  scopes: {
+    type: [String],
+    enum: ['royalties', 'distribution', 'contracts'],
+    validate: [scopes => scopes.length > 0, 'At least one scope is required']
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: 300
+  },
+
+  // sha256 of the token in the emailed link
+  tokenHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'revoked'],
+    default: 'pending'
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  acceptedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  acceptedAt: Date,
+  revokedAt: Date,
+  delegation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Delegation'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+TeamInvitationSchema.index({ tokenHash: 1 }, { unique: true });
+TeamInvitationSchema.index({ artist: 1, status: 1 });
+TeamInvitationSchema.index({ email: 1, status: 1 });
+
+TeamInvitationSchema.methods.isOpen = function() {
+  return this.status === 'pending' && this.expiresAt > new Date();
+};
+
+module.exports = mongoose.model('TeamInvitation', TeamInvitationSchema);
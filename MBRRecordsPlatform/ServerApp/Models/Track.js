@@ -1,5 +1,26 @@
 const mongoose = require('mongoose');
 
+// Envelope encryption record for a stored audio file (see keyManagementService)
+const encryptionDefinition = {
+  encrypted: {
+    type: Boolean,
+    default: false
+  },
+  algorithm: String,
+  iv: String,
+  authTag: String,
+  chunkSize: Number,
+  plaintextSize: Number,
+  // Content key wrapped by the master key - never sent to clients
+  wrappedKey: {
+    type: String,
+    select: false
+  },
+  keyVersion: String,
+  encryptedAt: Date,
+  rotatedAt: Date
+};
+
 const trackSchema = new mongoose.Schema({
   title: {
     type: String,
@@ -12,6 +33,11 @@ const trackSchema = new mongoose.Schema({
     ref: 'User',
     required: [true, 'Artist is required']
   },
+  // Label or imprint that owns this track
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization'
+  },
   featuredArtists: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
@@ -97,7 +123,65 @@ const trackSchema = new mongoose.Schema({
       enum: ['128kbps', '192kbps', '256kbps', '320kbps', 'lossless'],
       default: '320kbps'
     },
-    cloudinaryId: String
+    cloudinaryId: String,
+    // Location of the stored master on disk
+    path: String,
+    // Envelope encryption of the master (see keyManagementService)
+    encryption: encryptionDefinition,
+    // Transcoded copies served to listeners, picked by quality and plan
+    renditions: [{
+      quality: {
+        type: String,
+        enum: ['128kbps', '192kbps', '256kbps', '320kbps', 'lossless']
+      },
+      format: {
+        type: String,
+        enum: ['mp3', 'wav', 'flac', 'm4a', 'aac']
+      },
+      path: String,
+      size: Number,
+      encryption: encryptionDefinition
+    }],
+    // 30-second preview clip (unencrypted)
+    preview: {
+      path: String,
+      duration: Number
+    },
+    // Adaptive-bitrate HLS package (see transcodingService)
+    hls: {
+      status: {
+        type: String,
+        enum: ['none', 'pending', 'processing', 'ready', 'failed'],
+        default: 'none'
+      },
+      directory: String,
+      variants: [{
+        name: String,
+        quality: {
+          type: String,
+          enum: ['64kbps', '128kbps', '192kbps', '256kbps', '320kbps', 'lossless']
+        },
+        codec: String,
+        bandwidth: Number,
+        playlist: String
+      }],
+      // AES-128 segment key (per-variant keys are derived from it),
+      // wrapped like the master's content key
+      encryption: {
+        method: {
+          type: String,
+          default: 'AES-128'
+        },
+        wrappedKey: {
+          type: String,
+          select: false
+        },
+        keyVersion: String,
+        rotatedAt: Date
+      },
+      packagedAt: Date,
+      error: String
+    }
   },
   artwork: {
     url: {
@@ -234,6 +318,38 @@ const trackSchema = new mongoose.Schema({
     }
   },
   analytics: {
+    totalPlays: {
+      type: Number,
+      default: 0
+    },
+    weeklyPlays: {
+      type: Number,
+      default: 0
+    },
+    monthlyPlays: {
+      type: Number,
+      default: 0
+    },
+    // Most recent plays only - see recordPlay
+    playHistory: [{
+      timestamp: {
+        type: Date,
+        default: Date.now
+      },
+      userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      ip: String,
+      userAgent: String,
+      location: String,
+      duration: Number,
+      quality: String,
+      isPreview: {
+        type: Boolean,
+        default: false
+      }
+    }],
     uniqueListeners: {
       type: Number,
       default: 0
@@ -309,6 +425,7 @@ const trackSchema = new mongoose.Schema({
 
 // Indexes for better performance
 trackSchema.index({ artist: 1 });
+trackSchema.index({ organization: 1, createdAt: -1 });
 trackSchema.index({ genre: 1 });
 trackSchema.index({ 'stats.plays': -1 });
 trackSchema.index({ 'stats.likes': -1 });
@@ -317,6 +434,8 @@ trackSchema.index({ 'availability.releaseDate': -1 });
 trackSchema.index({ title: 'text', description: 'text', tags: 'text' });
 trackSchema.index({ 'socialProof.featured': 1 });
 trackSchema.index({ 'socialProof.trending': 1 });
+trackSchema.index({ 'audioFile.encryption.keyVersion': 1 });
+trackSchema.index({ 'audioFile.hls.status': 1 });
 
 // Virtual for formatted duration
 trackSchema.virtual('formattedDuration').get(function() {
@@ -352,6 +471,30 @@ trackSchema.methods.incrementPlays = function(userId = null) {
   return this.save({ validateBeforeSave: false });
 };
 
+// Method to record a play in analytics (atomic, keeps the last 5000 plays)
+trackSchema.methods.recordPlay = function({ userId = null, ip, userAgent, quality, isPreview = false } = {}) {
+  const update = {
+    $push: {
+      'analytics.playHistory': {
+        $each: [{ timestamp: new Date(), userId, ip, userAgent, quality, isPreview }],
+        $slice: -5000
+      }
+    }
+  };
+
+  // Previews are logged but don't count as plays
+  if (!isPreview) {
+    update.$inc = {
+      'stats.plays': 1,
+      'analytics.totalPlays': 1,
+      'analytics.weeklyPlays': 1,
+      'analytics.monthlyPlays': 1
+    };
+  }
+
+  return this.constructor.updateOne({ _id: this._id }, update);
+};
+
 // Method to increment likes
 trackSchema.methods.incrementLikes = function() {
   this.stats.likes += 1;
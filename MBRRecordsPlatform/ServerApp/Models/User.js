@@ -29,10 +29,16 @@ const userSchema = new mongoose.Schema({
     type: String,
     default: null
   },
+  // Role keys (see permissionService); permissions are the union of the roles'
   role: {
     type: String,
-    enum: ['user', 'artist', 'admin'],
-    default: 'user'
+    default: 'user',
+    trim: true,
+    lowercase: true
+  },
+  additionalRoles: {
+    type: [String],
+    default: []
   },
   isEmailVerified: {
     type: Boolean,
@@ -108,6 +114,32 @@ const userSchema = new mongoose.Schema({
       type: String,
       enum: ['public', 'private'],
       default: 'public'
+    },
+    // In-app notifications per type (see Models/Notification)
+    notificationTypes: {
+      like: { type: Boolean, default: true },
+      follow: { type: Boolean, default: true },
+      comment: { type: Boolean, default: true },
+      demo_status: { type: Boolean, default: true },
+      contract_signature: { type: Boolean, default: true },
+      admin_broadcast: { type: Boolean, default: true },
+      demo_review: { type: Boolean, default: true },
+      team: { type: Boolean, default: true }
+    }
+  },
+  // A&R reviewer settings (admins only; see demoReviewService)
+  reviewerProfile: {
+    active: {
+      type: Boolean,
+      default: false
+    },
+    // Demo genres this reviewer covers; empty means any genre
+    genres: [String],
+    // Open demos the reviewer can hold before auto-assignment skips them
+    maxActive: {
+      type: Number,
+      default: 25,
+      min: 1
     }
   },
   stats: {
@@ -136,6 +168,15 @@ const userSchema = new mongoose.Schema({
       default: 0
     }
   },
+  // Social graph (mutual follows count as "friends" for privacy settings)
+  followers: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  following: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
   subscription: {
     plan: {
       type: String,
@@ -210,6 +251,35 @@ const userSchema = new mongoose.Schema({
     type: String,
     select: false // Don't return by default
   }],
+  // TOTP two-factor authentication; secrets are wrapped by keyManagementService
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    enabledAt: Date,
+    secret: {
+      type: String,
+      select: false
+    },
+    // Set up but not yet confirmed with a code
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    // Last accepted time step, so a code can't be replayed
+    lastUsedStep: {
+      type: Number,
+      select: false
+    },
+    recoveryCodes: {
+      type: [{
+        hash: String,
+        usedAt: Date
+      }],
+      select: false
+    }
+  },
   // GDPR consent tracking
   consent: {
     analytics: {
@@ -1,19 +1,32 @@
 const express = require('express');
 const router = express.Router();
-const { authenticateToken, requireAdmin } = require('../Middleware/authMiddleware');
+const { authenticateToken, requireStaff } = require('../Middleware/authMiddleware');
 const { asyncHandler } = require('../Middleware/errorHandler');
 const User = require('../Models/User');
 const Track = require('../Models/Track');
 const DemoSubmission = require('../Models/DemoSubmission');
+const keyManagementService = require('../Services/keyManagementService');
+const transcodingService = require('../Services/transcodingService');
+const fingerprintService = require('../Services/fingerprintService');
+const ContentMatch = require('../Models/ContentMatch');
+const Fingerprint = require('../Models/Fingerprint');
+const EmailService = require('../Services/EmailService');
+const notificationService = require('../Services/notificationService');
+const demoReviewService = require('../Services/demoReviewService');
+const sessionService = require('../Services/sessionService');
+const twoFactorService = require('../Services/twoFactorService');
+const permissionService = require('../Services/permissionService');
+const organizationService = require('../Services/organizationService');
+const EmailMessage = require('../Models/EmailMessage');
 
 /**
  * @route   GET /api/admin/dashboard
  * @desc    Get admin dashboard statistics
- * @access  Private (Admin only)
+ * @access  Private (admin:dashboard)
  */
 router.get('/dashboard',
   authenticateToken,
-  requireAdmin,
+  requireStaff('admin:dashboard'),
   asyncHandler(async (req, res) => {
     const thirtyDaysAgo = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
     const sevenDaysAgo = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
@@ -29,20 +42,28 @@ router.get('/dashboard',
       isActive: true
     });
 
+    // Catalogue and demo figures are for the organization being worked in
+    const inOrganization = organizationService.filterFor(req.organization);
+
     // Track statistics
-    const totalTracks = await Track.countDocuments({ status: 'published' });
+    const totalTracks = await Track.countDocuments({ ...inOrganization, status: 'published' });
     const newTracksThisMonth = await Track.countDocuments({
+      ...inOrganization,
       createdAt: { $gte: thirtyDaysAgo },
       status: 'published'
     });
 
     // Demo submission statistics
-    const totalDemos = await DemoSubmission.countDocuments();
-    const pendingDemos = await DemoSubmission.countDocuments({ status: 'pending' });
+    const totalDemos = await DemoSubmission.countDocuments(inOrganization);
+    const pendingDemos = await DemoSubmission.countDocuments({ ...inOrganization, status: 'pending' });
     const newDemosThisWeek = await DemoSubmission.countDocuments({
+      ...inOrganization,
       createdAt: { $gte: sevenDaysAgo }
     });
 
+    // Fingerprint matches awaiting review
+    const openContentMatches = await ContentMatch.countDocuments({ status: 'open' });
+
     // User role distribution
     const userRoles = await User.aggregate([
       { $match: { isActive: true } },
@@ -51,7 +72,7 @@ router.get('/dashboard',
 
     // Top genres
     const topGenres = await Track.aggregate([
-      { $match: { status: 'published' } },
+      { $match: { ...inOrganization, status: 'published' } },
       { $unwind: '$genre' },
       { $group: { _id: '$genre', count: { $sum: 1 } } },
       { $sort: { count: -1 } },
@@ -64,7 +85,7 @@ router.get('/dashboard',
       .sort({ createdAt: -1 })
       .limit(10);
 
-    const recentTracks = await Track.find({ status: 'published' })
+    const recentTracks = await Track.find({ ...inOrganization, status: 'published' })
       .select('title artist.name createdAt analytics.totalPlays')
       .populate('artist.user', 'username displayName')
       .sort({ createdAt: -1 })
@@ -81,7 +102,8 @@ router.get('/dashboard',
           newUsersThisMonth,
           newUsersThisWeek,
           newTracksThisMonth,
-          newDemosThisWeek
+          newDemosThisWeek,
+          openContentMatches
         },
         userRoles: userRoles.reduce((acc, role) => {
           acc[role._id] = role.count;
@@ -100,11 +122,11 @@ router.get('/dashboard',
 /**
  * @route   GET /api/admin/users
  * @desc    Get all users with admin controls
- * @access  Private (Admin only)
+ * @access  Private (users:manage)
  */
 router.get('/users',
   authenticateToken,
-  requireAdmin,
+  requireStaff('users:manage'),
   asyncHandler(async (req, res) => {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 20;
@@ -150,11 +172,11 @@ router.get('/users',
 /**
  * @route   PUT /api/admin/users/:id/status
  * @desc    Update user status (activate/deactivate)
- * @access  Private (Admin only)
+ * @access  Private (users:manage)
  */
 router.put('/users/:id/status',
   authenticateToken,
-  requireAdmin,
+  requireStaff('users:manage'),
   asyncHandler(async (req, res) => {
     const { isActive, reason } = req.body;
     
@@ -166,11 +188,11 @@ router.put('/users/:id/status',
       });
     }
 
-    // Prevent admins from deactivating super admins
-    if (user.role === 'super_admin' && req.user.role !== 'super_admin') {
+    // Staff can't deactivate anyone holding permissions they don't have
+    if (!(await permissionService.canGrantRole(req.user, user.role))) {
       return res.status(403).json({
         success: false,
-        message: 'Cannot modify super admin accounts'
+        message: 'Cannot modify accounts with permissions beyond your own'
       });
     }
 
@@ -187,6 +209,10 @@ router.put('/users/:id/status',
 
     await user.save();
 
+    if (!isActive) {
+      await sessionService.revokeAllSessions(user._id, 'deactivated');
+    }
+
     res.json({
       success: true,
       message: `User ${isActive ? 'activated' : 'deactivated'} successfully`,
@@ -198,28 +224,120 @@ router.put('/users/:id/status',
   })
 );
 
+/**
+ * @route   DELETE /api/admin/users/:id/two-factor
+ * @desc    Reset a user's two-factor authentication (lost device) and sign them out
+ * @access  Private (security:manage)
+ */
+router.delete('/users/:id/two-factor',
+  authenticateToken,
+  requireStaff('security:manage'),
+  asyncHandler(async (req, res) => {
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (!(await permissionService.canGrantRole(req.user, user.role))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Cannot modify accounts with permissions beyond your own'
+      });
+    }
+
+    await twoFactorService.disable(user._id);
+    await sessionService.revokeAllSessions(user._id, 'admin');
+
+    console.log(`Security Event: Two-factor reset for user ${user.email} by admin ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication reset; the user has been signed out everywhere'
+    });
+  })
+);
+
+/**
+ * @route   GET /api/admin/security/two-factor-policy
+ * @desc    Get who must use two-factor authentication
+ * @access  Private (security:manage)
+ */
+router.get('/security/two-factor-policy',
+  authenticateToken,
+  requireStaff('security:manage'),
+  asyncHandler(async (req, res) => {
+    const policy = await twoFactorService.getPolicy();
+
+    res.json({
+      success: true,
+      data: policy
+    });
+  })
+);
+
+/**
+ * @route   PUT /api/admin/security/two-factor-policy
+ * @desc    Require two-factor authentication for admins and/or payouts
+ * @access  Private (security:manage)
+ */
+router.put('/security/two-factor-policy',
+  authenticateToken,
+  requireStaff('security:manage'),
+  asyncHandler(async (req, res) => {
+    const { requireForAdmins, requireForPayouts } = req.body;
+
+    // Don't let an admin lock admins out without being able to get back in themselves
+    if (requireForAdmins && !req.twoFactorVerified) {
+      return res.status(400).json({
+        success: false,
+        message: 'Sign in with two-factor authentication before requiring it for admins'
+      });
+    }
+
+    const policy = await twoFactorService.updatePolicy({ requireForAdmins, requireForPayouts }, req.user._id);
+
+    res.json({
+      success: true,
+      message: 'Two-factor policy updated',
+      data: policy
+    });
+  })
+);
+
 /**
  * @route   PUT /api/admin/users/:id/role
- * @desc    Update user role
- * @access  Private (Super Admin only)
+ * @desc    Update user role and additional roles
+ * @access  Private (users:assign_roles)
  */
 router.put('/users/:id/role',
   authenticateToken,
+  requireStaff('users:assign_roles'),
   asyncHandler(async (req, res) => {
-    if (req.user.role !== 'super_admin') {
-      return res.status(403).json({
+    const { role, additionalRoles } = req.body;
+
+    if (!role && additionalRoles === undefined) {
+      return res.status(400).json({
         success: false,
-        message: 'Only super admins can change user roles'
+        message: 'Role is required'
       });
     }
 
-    const { role } = req.body;
-    const validRoles = ['user', 'artist', 'admin', 'super_admin'];
+    if (additionalRoles !== undefined && !Array.isArray(additionalRoles)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Additional roles must be a list'
+      });
+    }
 
-    if (!validRoles.includes(role)) {
+    const roles = await permissionService.getRoles();
+    const unknown = [role, ...(additionalRoles || [])].filter(key => key && !roles.has(key));
+    if (unknown.length > 0) {
       return res.status(400).json({
         success: false,
-        message: 'Invalid role specified'
+        message: `Invalid role specified: ${unknown.join(', ')}`
       });
     }
 
@@ -231,37 +349,218 @@ router.put('/users/:id/role',
       });
     }
 
+    if (user._id.equals(req.user._id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot change your own roles'
+      });
+    }
+
     const oldRole = user.role;
-    user.role = role;
+    const newRole = role || oldRole;
+    const newAdditionalRoles = additionalRoles !== undefined
+      ? [...new Set(additionalRoles)].filter(key => key !== newRole)
+      : user.additionalRoles;
+
+    // Roles being given or taken away must not exceed the caller's own permissions
+    const before = [oldRole, ...user.additionalRoles];
+    const after = [newRole, ...newAdditionalRoles];
+    const changed = [...after.filter(key => !before.includes(key)), ...before.filter(key => !after.includes(key))];
+
+    for (const key of changed) {
+      if (!(await permissionService.canGrantRole(req.user, key))) {
+        return res.status(403).json({
+          success: false,
+          message: `You cannot assign or remove the ${key} role`
+        });
+      }
+    }
+
+    user.role = newRole;
+    user.additionalRoles = newAdditionalRoles;
     await user.save();
 
     res.json({
       success: true,
-      message: `User role updated from ${oldRole} to ${role}`,
+      message: `User role updated from ${oldRole} to ${newRole}`,
       data: {
         userId: user._id,
         oldRole,
-        newRole: role
+        newRole,
+        additionalRoles: user.additionalRoles
       }
     });
   })
 );
 
+/**
+ * @route   GET /api/admin/permissions
+ * @desc    Permission catalogue and roles with their permissions
+ * @access  Private (roles:manage or users:assign_roles)
+ */
+router.get('/permissions',
+  authenticateToken,
+  requireStaff('roles:manage', 'users:assign_roles'),
+  asyncHandler(async (req, res) => {
+    res.json({
+      success: true,
+      data: await permissionService.describe()
+    });
+  })
+);
+
+/**
+ * @route   POST /api/admin/roles
+ * @desc    Create a role
+ * @access  Private (roles:manage)
+ */
+router.post('/roles',
+  authenticateToken,
+  requireStaff('roles:manage'),
+  asyncHandler(async (req, res) => {
+    const { key, name, description, permissions } = req.body;
+
+    if (!key || !name) {
+      return res.status(400).json({
+        success: false,
+        message: 'Role key and name are required'
+      });
+    }
+
+    const role = await permissionService.createRole({ key, name, description, permissions }, req.user._id);
+
+    res.status(201).json({
+      success: true,
+      message: 'Role created',
+      data: role
+    });
+  })
+);
+
+/**
+ * @route   PUT /api/admin/roles/:key
+ * @desc    Edit a role's name, description or permissions
+ * @access  Private (roles:manage)
+ */
+router.put('/roles/:key',
+  authenticateToken,
+  requireStaff('roles:manage'),
+  asyncHandler(async (req, res) => {
+    const { name, description, permissions } = req.body;
+    const role = await permissionService.updateRole(req.params.key, { name, description, permissions }, req.user._id);
+
+    res.json({
+      success: true,
+      message: 'Role updated',
+      data: role
+    });
+  })
+);
+
+/**
+ * @route   DELETE /api/admin/roles/:key
+ * @desc    Delete a custom role that nobody has
+ * @access  Private (roles:manage)
+ */
+router.delete('/roles/:key',
+  authenticateToken,
+  requireStaff('roles:manage'),
+  asyncHandler(async (req, res) => {
+    await permissionService.deleteRole(req.params.key);
+
+    res.json({
+      success: true,
+      message: 'Role deleted'
+    });
+  })
+);
+
+/**
+ * @route   GET /api/admin/delegations
+ * @desc    List delegations, optionally for one principal or delegate
+ * @access  Private (delegations:manage)
+ */
+router.get('/delegations',
+  authenticateToken,
+  requireStaff('delegations:manage'),
+  asyncHandler(async (req, res) => {
+    const { principal, delegate, includeRevoked } = req.query;
+
+    res.json({
+      success: true,
+      data: await permissionService.listDelegations({
+        principal,
+        delegate,
+        includeRevoked: includeRevoked === 'true'
+      })
+    });
+  })
+);
+
+/**
+ * @route   POST /api/admin/delegations
+ * @desc    Let a user (e.g. a manager) act for another (e.g. an artist)
+ * @access  Private (delegations:manage)
+ */
+router.post('/delegations',
+  authenticateToken,
+  requireStaff('delegations:manage'),
+  asyncHandler(async (req, res) => {
+    const { principalId, delegateId, permissions, expiresAt, note } = req.body;
+
+    if (!principalId || !delegateId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Principal and delegate are required'
+      });
+    }
+
+    const delegation = await permissionService.grantDelegation(
+      { principalId, delegateId, permissions, expiresAt, note },
+      req.user._id
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Delegation granted',
+      data: delegation
+    });
+  })
+);
+
+/**
+ * @route   DELETE /api/admin/delegations/:id
+ * @desc    Revoke a delegation
+ * @access  Private (delegations:manage)
+ */
+router.delete('/delegations/:id',
+  authenticateToken,
+  requireStaff('delegations:manage'),
+  asyncHandler(async (req, res) => {
+    await permissionService.revokeDelegation(req.params.id, req.user._id);
+
+    res.json({
+      success: true,
+      message: 'Delegation revoked'
+    });
+  })
+);
+
 /**
  * @route   GET /api/admin/demos
  * @desc    Get demo submissions for review
- * @access  Private (Admin only)
+ * @access  Private (demos:review)
  */
 router.get('/demos',
   authenticateToken,
-  requireAdmin,
+  requireStaff('demos:review'),
   asyncHandler(async (req, res) => {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 20;
     const skip = (page - 1) * limit;
 
     // Build filter
-    const filter = {};
+    const filter = organizationService.filterFor(req.organization);
     if (req.query.status) filter.status = req.query.status;
     if (req.query.genre) filter.genre = { $in: [req.query.genre] };
     if (req.query.priority) filter.priority = req.query.priority;
@@ -278,6 +577,7 @@ router.get('/demos',
 
     // Get statistics
     const statusStats = await DemoSubmission.aggregate([
+      { $match: organizationService.filterFor(req.organization) },
       { $group: { _id: '$status', count: { $sum: 1 } } }
     ]);
 
@@ -303,16 +603,16 @@ router.get('/demos',
 /**
  * @route   PUT /api/admin/demos/:id/review
  * @desc    Review demo submission
- * @access  Private (Admin only)
+ * @access  Private (demos:review)
  */
 router.put('/demos/:id/review',
   authenticateToken,
-  requireAdmin,
+  requireStaff('demos:review'),
   asyncHandler(async (req, res) => {
     const { status, feedback, decision, priority } = req.body;
 
     const demo = await DemoSubmission.findById(req.params.id);
-    if (!demo) {
+    if (!demo || !organizationService.belongsTo(demo, req.organization)) {
       return res.status(404).json({
         success: false,
         message: 'Demo submission not found'
@@ -320,12 +620,13 @@ router.put('/demos/:id/review',
     }
 
     // Update demo fields
+    const statusChanged = status && status !== demo.status;
     if (status) demo.status = status;
-    if (priority) demo.priority = priority;
+    if (priority) demoReviewService.setPriority(demo, priority);
     if (feedback) demo.feedback = { ...demo.feedback, ...feedback };
     if (decision) demo.decision = { ...demo.decision, ...decision };
 
-    demo.reviewer = req.user._id;
+    if (!demo.reviewer) demo.reviewer = req.user._id;
     demo.reviewNotes.push({
       reviewer: req.user._id,
       note: `Status updated to ${status}${feedback?.overall ? `: ${feedback.overall}` : ''}`,
@@ -334,6 +635,10 @@ router.put('/demos/:id/review',
 
     await demo.save();
 
+    if (statusChanged) {
+      demoReviewService.notifyStatusChange(demo, req.user._id);
+    }
+
     res.json({
       success: true,
       message: 'Demo review updated successfully',
@@ -342,14 +647,180 @@ router.put('/demos/:id/review',
   })
 );
 
+/**
+ * @route   GET /api/admin/demos/queue
+ * @desc    Open demos ordered by review deadline (?mine=true, ?overdue=true, ?unassigned=true)
+ * @access  Private (demos:review)
+ */
+router.get('/demos/queue',
+  authenticateToken,
+  requireStaff('demos:review'),
+  asyncHandler(async (req, res) => {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+    const { demos, total } = await demoReviewService.getQueue({
+      organization: req.organization,
+      reviewerId: req.query.mine === 'true' ? req.user._id : req.query.reviewer || null,
+      overdueOnly: req.query.overdue === 'true',
+      unassignedOnly: req.query.unassigned === 'true',
+      page,
+      limit
+    });
+
+    res.json({
+      success: true,
+      data: {
+        demos: demos.map(demo => ({
+          ...demo.toJSON(),
+          isOverdue: demo.isOverdue,
+          scoreSummary: demo.getScoreSummary()
+        })),
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          totalDemos: total,
+          hasMore: page < Math.ceil(total / limit)
+        }
+      }
+    });
+  })
+);
+
+/**
+ * @route   POST /api/admin/demos/:id/assign
+ * @desc    Assign a reviewer (omit reviewerId to auto-assign)
+ * @access  Private (demos:assign)
+ */
+router.post('/demos/:id/assign',
+  authenticateToken,
+  requireStaff('demos:assign'),
+  asyncHandler(async (req, res) => {
+    const demo = await demoReviewService.assignReviewer(req.params.id, {
+      reviewerId: req.body.reviewerId,
+      assignedBy: req.user._id,
+      organization: req.organization
+    });
+
+    res.json({
+      success: true,
+      message: 'Reviewer assigned',
+      data: {
+        reviewer: demo.reviewer,
+        assignment: demo.assignment,
+        sla: demo.sla
+      }
+    });
+  })
+);
+
+/**
+ * @route   POST /api/admin/demos/:id/reviews
+ * @desc    Submit (or replace) your scorecard for a demo
+ * @access  Private (demos:review)
+ */
+router.post('/demos/:id/reviews',
+  authenticateToken,
+  requireStaff('demos:review'),
+  asyncHandler(async (req, res) => {
+    const { scores, comments, recommendation } = req.body;
+
+    const demo = await demoReviewService.submitReview(req.params.id, req.user._id, {
+      scores,
+      comments,
+      recommendation,
+      organization: req.organization
+    });
+
+    res.json({
+      success: true,
+      message: 'Review submitted',
+      data: {
+        reviews: demo.reviews,
+        scoreSummary: demo.getScoreSummary()
+      }
+    });
+  })
+);
+
+/**
+ * @route   POST /api/admin/demos/:id/decision
+ * @desc    Decide a demo; accepting drafts a contract unless generateContract is false
+ * @access  Private (demos:decide)
+ */
+router.post('/demos/:id/decision',
+  authenticateToken,
+  requireStaff('demos:decide'),
+  asyncHandler(async (req, res) => {
+    const { demo, contract } = await demoReviewService.decide(req.params.id, req.user._id, {
+      ...req.body,
+      organization: req.organization
+    });
+
+    res.json({
+      success: true,
+      message: contract ? `Demo accepted, draft contract ${contract.contractId} created` : 'Decision recorded',
+      data: {
+        status: demo.status,
+        decision: demo.decision,
+        scoreSummary: demo.getScoreSummary(),
+        contract
+      }
+    });
+  })
+);
+
+/**
+ * @route   GET /api/admin/reviewers
+ * @desc    Reviewer pool with genres, capacity and open demos
+ * @access  Private (demos:assign)
+ */
+router.get('/reviewers',
+  authenticateToken,
+  requireStaff('demos:assign'),
+  asyncHandler(async (req, res) => {
+    const reviewers = await demoReviewService.getReviewers(req.organization);
+
+    res.json({
+      success: true,
+      data: reviewers
+    });
+  })
+);
+
+/**
+ * @route   PUT /api/admin/reviewers/:userId
+ * @desc    Update a reviewer's availability, genres and capacity
+ * @access  Private (demos:assign)
+ */
+router.put('/reviewers/:userId',
+  authenticateToken,
+  requireStaff('demos:assign'),
+  asyncHandler(async (req, res) => {
+    const { active, genres, maxActive } = req.body;
+
+    const reviewerProfile = await demoReviewService.updateReviewerProfile(req.params.userId, {
+      active,
+      genres,
+      maxActive
+    }, req.organization);
+
+    res.json({
+      success: true,
+      message: 'Reviewer updated',
+      data: reviewerProfile
+    });
+  })
+);
+
 /**
  * @route   GET /api/admin/analytics
  * @desc    Get platform analytics
- * @access  Private (Admin only)
+ * @access  Private (admin:dashboard)
  */
 router.get('/analytics',
   authenticateToken,
-  requireAdmin,
+  requireStaff('admin:dashboard'),
   asyncHandler(async (req, res) => {
     const { period = '30' } = req.query; // days
     const startDate = new Date(Date.now() - parseInt(period) * 24 * 60 * 60 * 1000);
@@ -439,13 +910,13 @@ router.get('/analytics',
 /**
  * @route   POST /api/admin/broadcast
  * @desc    Send broadcast message to users
- * @access  Private (Admin only)
+ * @access  Private (notifications:broadcast)
  */
 router.post('/broadcast',
   authenticateToken,
-  requireAdmin,
+  requireStaff('notifications:broadcast'),
   asyncHandler(async (req, res) => {
-    const { title, message, targetRole, targetUsers } = req.body;
+    const { title, message, link, targetRole, targetUsers } = req.body;
 
     if (!title || !message) {
       return res.status(400).json({
@@ -465,24 +936,21 @@ router.post('/broadcast',
 
     const targetUserList = await User.find(userFilter).select('_id');
 
-    // Create notification for each user
-    const notifications = targetUserList.map(user => ({
-      user: user._id,
+    // Store a notification for each user (and push it to anyone online)
+    const delivered = await notificationService.notifyMany(targetUserList.map(user => user._id), {
+      type: 'admin_broadcast',
       title,
       message,
-      type: 'admin_broadcast',
-      sender: req.user._id,
-      createdAt: new Date()
-    }));
-
-    // In a real implementation, you'd save these to a notifications collection
-    // For now, we'll just return success
+      actor: req.user._id,
+      link
+    });
 
     res.json({
       success: true,
-      message: `Broadcast sent to ${targetUserList.length} users`,
+      message: `Broadcast sent to ${delivered} users`,
       data: {
-        recipientCount: targetUserList.length,
+        recipientCount: delivered,
+        targetedCount: targetUserList.length,
         title,
         message
       }
@@ -493,11 +961,11 @@ router.post('/broadcast',
 /**
  * @route   GET /api/admin/system-health
  * @desc    Get system health status
- * @access  Private (Admin only)
+ * @access  Private (admin:dashboard)
  */
 router.get('/system-health',
   authenticateToken,
-  requireAdmin,
+  requireStaff('admin:dashboard'),
   asyncHandler(async (req, res) => {
     const health = {
       status: 'healthy',
@@ -539,4 +1007,305 @@ router.get('/system-health',
   })
 );
 
-module.exports = router;
\ No newline at end of file
+/**
+ * @route   GET /api/admin/drm/keys
+ * @desc    Get master key versions and how many tracks each one wraps
+ * @access  Private (drm:manage)
+ */
+router.get('/drm/keys',
+  authenticateToken,
+  requireStaff('drm:manage'),
+  asyncHandler(async (req, res) => {
+    const usage = await Track.aggregate([
+      { $match: { 'audioFile.encryption.encrypted': true } },
+      { $group: { _id: '$audioFile.encryption.keyVersion', tracks: { $sum: 1 } } }
+    ]);
+    const unencrypted = await Track.countDocuments({ 'audioFile.encryption.encrypted': { $ne: true } });
+
+    res.json({
+      success: true,
+      data: {
+        activeVersion: keyManagementService.activeVersion,
+        availableVersions: [...keyManagementService.masterKeys.keys()],
+        usage: usage.map(row => ({ version: row._id, tracks: row.tracks })),
+        unencryptedTracks: unencrypted
+      }
+    });
+  })
+);
+
+/**
+ * @route   POST /api/admin/drm/rotate-keys
+ * @desc    Re-wrap track content keys under the active master key
+ * @access  Private (drm:manage)
+ */
+router.post('/drm/rotate-keys',
+  authenticateToken,
+  requireStaff('drm:manage'),
+  asyncHandler(async (req, res) => {
+    const summary = await keyManagementService.rotateContentKeys({
+      fromVersion: req.body.fromVersion || null
+    });
+
+    res.json({
+      success: true,
+      message: `Re-wrapped ${summary.rotated} content key(s) under ${summary.activeVersion}`,
+      data: summary
+    });
+  })
+);
+
+/**
+ * @route   POST /api/admin/tracks/:trackId/hls
+ * @desc    Queue (re)packaging of a track's HLS ladder
+ * @access  Private (drm:manage)
+ */
+router.post('/tracks/:trackId/hls',
+  authenticateToken,
+  requireStaff('drm:manage'),
+  asyncHandler(async (req, res) => {
+    const track = await Track.findById(req.params.trackId).select('_id');
+
+    if (!track) {
+      return res.status(404).json({
+        success: false,
+        message: 'Track not found'
+      });
+    }
+
+    const { includeLossless } = req.body;
+    const result = await transcodingService.enqueue(track._id, {
+      includeLossless: typeof includeLossless === 'boolean' ? includeLossless : null
+    });
+
+    res.status(202).json({
+      success: true,
+      message: result.alreadyQueued ? 'Track is already queued for packaging' : 'HLS packaging queued',
+      data: result
+    });
+  })
+);
+
+/**
+ * @route   POST /api/admin/hls/requeue
+ * @desc    Re-queue HLS packaging left unfinished (e.g. by a restart)
+ * @access  Private (drm:manage)
+ */
+router.post('/hls/requeue',
+  authenticateToken,
+  requireStaff('drm:manage'),
+  asyncHandler(async (req, res) => {
+    const result = await transcodingService.requeueIncomplete({
+      includeFailed: req.body.includeFailed === true
+    });
+
+    res.json({
+      success: true,
+      message: `${result.requeued} track(s) queued for packaging`,
+      data: result
+    });
+  })
+);
+
+/**
+ * @route   GET /api/admin/content-matches
+ * @desc    Get fingerprint matches flagged as duplicates or likely infringement
+ * @access  Private (content:moderate)
+ */
+router.get('/content-matches',
+  authenticateToken,
+  requireStaff('content:moderate'),
+  asyncHandler(async (req, res) => {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    // Build filter
+    const filter = { status: req.query.status || 'open' };
+    if (req.query.classification) filter.classification = req.query.classification;
+    if (req.query.sourceType) filter['source.type'] = req.query.sourceType;
+    if (req.query.minConfidence) filter.confidence = { $gte: parseFloat(req.query.minConfidence) };
+
+    const matches = await ContentMatch.find(filter)
+      .populate('matchedTrack', 'title artist')
+      .populate('source.track', 'title artist')
+      .populate('source.demo', 'artistName trackTitle')
+      .populate('source.user', 'name email')
+      .sort({ confidence: -1, createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .lean();
+
+    const total = await ContentMatch.countDocuments(filter);
+
+    res.json({
+      success: true,
+      data: {
+        matches,
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          totalMatches: total,
+          hasMore: page < Math.ceil(total / limit)
+        }
+      }
+    });
+  })
+);
+
+/**
+ * @route   PUT /api/admin/content-matches/:id
+ * @desc    Confirm or dismiss a flagged match
+ * @access  Private (content:moderate)
+ */
+router.put('/content-matches/:id',
+  authenticateToken,
+  requireStaff('content:moderate'),
+  asyncHandler(async (req, res) => {
+    const { status, notes } = req.body;
+
+    if (!['confirmed', 'dismissed', 'open'].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Status must be confirmed, dismissed or open'
+      });
+    }
+
+    const match = await ContentMatch.findById(req.params.id);
+
+    if (!match) {
+      return res.status(404).json({
+        success: false,
+        message: 'Content match not found'
+      });
+    }
+
+    await match.review(status, req.user._id, notes);
+
+    res.json({
+      success: true,
+      message: `Content match ${status}`,
+      data: match
+    });
+  })
+);
+
+/**
+ * @route   POST /api/admin/tracks/:trackId/fingerprint
+ * @desc    (Re)fingerprint a track and check it against the catalogue
+ * @access  Private (content:moderate)
+ */
+router.post('/tracks/:trackId/fingerprint',
+  authenticateToken,
+  requireStaff('content:moderate'),
+  asyncHandler(async (req, res) => {
+    const result = await fingerprintService.enqueue(
+      () => fingerprintService.fingerprintTrack(req.params.trackId, { sourceType: 'manual' })
+    );
+
+    res.json({
+      success: true,
+      message: `Fingerprinted with ${result.hashCount} hashes; ${result.flags.length} match(es) flagged`,
+      data: result
+    });
+  })
+);
+
+/**
+ * @route   GET /api/admin/tracks/:trackId/matches
+ * @desc    Search the catalogue for tracks that sound like this one
+ * @access  Private (content:moderate)
+ */
+router.get('/tracks/:trackId/matches',
+  authenticateToken,
+  requireStaff('content:moderate'),
+  asyncHandler(async (req, res) => {
+    const fingerprint = await Fingerprint.findOne({ track: req.params.trackId }).select('+hashes +times');
+
+    if (!fingerprint) {
+      return res.status(404).json({
+        success: false,
+        message: 'Track has not been fingerprinted'
+      });
+    }
+
+    const matches = await fingerprintService.findMatches(fingerprint, {
+      excludeTrack: fingerprint.track,
+      minConfidence: req.query.minConfidence ? parseFloat(req.query.minConfidence) : undefined
+    });
+
+    await Track.populate(matches, { path: 'track', select: 'title artist' });
+
+    res.json({
+      success: true,
+      data: matches
+    });
+  })
+);
+
+/**
+ * @route   GET /api/admin/emails
+ * @desc    Get the outbound email queue
+ * @access  Private (email:manage)
+ */
+router.get('/emails',
+  authenticateToken,
+  requireStaff('email:manage'),
+  asyncHandler(async (req, res) => {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    // Build filter
+    const filter = {};
+    if (req.query.status) filter.status = req.query.status;
+    if (req.query.template) filter.template = req.query.template;
+    if (req.query.to) filter.to = req.query.to.toLowerCase();
+
+    const emails = await EmailMessage.find(filter)
+      .select('-html -text')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .lean();
+
+    const total = await EmailMessage.countDocuments(filter);
+
+    res.json({
+      success: true,
+      data: {
+        emails,
+        transport: EmailService.getTransportName(),
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          totalEmails: total,
+          hasMore: page < Math.ceil(total / limit)
+        }
+      }
+    });
+  })
+);
+
+/**
+ * @route   POST /api/admin/emails/retry
+ * @desc    Re-queue failed emails and process the queue
+ * @access  Private (email:manage)
+ */
+router.post('/emails/retry',
+  authenticateToken,
+  requireStaff('email:manage'),
+  asyncHandler(async (req, res) => {
+    const filter = req.body.template ? { template: req.body.template } : {};
+    const requeued = await EmailService.retryFailed(filter);
+    const { processed } = await EmailService.processQueue();
+
+    res.json({
+      success: true,
+      message: `${requeued} failed email(s) re-queued`,
+      data: { requeued, processed }
+    });
+  })
+);
+
+module.exports = router;
@@ -0,0 +1,482 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const { authenticateToken, authorize, hasPermission, optionalAuth } = require('../Middleware/authMiddleware');
+const { uploadMiddleware, processImage, validateFile, generateFileUrl } = require('../Middleware/fileUpload');
+const { asyncHandler, ApiError } = require('../Middleware/errorHandler');
+const metadataService = require('../Services/metadataService');
+const organizationService = require('../Services/organizationService');
+const Album = require('../Models/Album');
+const Track = require('../Models/Track');
+
+const canManageCatalog = (req) => hasPermission(req, 'catalog:manage');
+
+// Catalogue managers only manage releases of their own organization
+const canManage = async (album, req) => album.artist.toString() === req.user._id.toString() ||
+  (organizationService.belongsTo(album, req.organization) && canManageCatalog(req));
+
+/**
+ * Resolve requested track IDs into tracks the artist may put on this release,
+ * preserving the requested order.
+ */
+const resolveTracklist = async (trackIds, artistId, albumId = null) => {
+  if (!Array.isArray(trackIds) || trackIds.length === 0) {
+    throw new ApiError('A release needs at least one track', 400);
+  }
+
+  const uniqueIds = [...new Set(trackIds.map(String))];
+  if (uniqueIds.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+    throw new ApiError('Invalid track ID in tracklist', 400);
+  }
+
+  const tracks = await Track.find({ _id: { $in: uniqueIds } });
+  const byId = new Map(tracks.map(track => [track._id.toString(), track]));
+
+  return uniqueIds.map(id => {
+    const track = byId.get(id);
+    if (!track) {
+      throw new ApiError(`Track ${id} not found`, 404);
+    }
+    if (track.artist.toString() !== artistId.toString()) {
+      throw new ApiError(`Track "${track.title}" belongs to another artist`, 403);
+    }
+    if (track.album && (!albumId || track.album.toString() !== albumId.toString())) {
+      throw new ApiError(`Track "${track.title}" is already on another release`, 400);
+    }
+    return track;
+  });
+};
+
+/**
+ * Generate UPC/EAN/GRID for the release and ISRCs for tracks that lack one.
+ * metadataService keeps its registry in memory, so double-check against the
+ * database before committing the codes.
+ */
+const generateIdentifiers = async (type, tracks, organization, countryCode = organization.codes?.isrcCountry) => {
+  const maxAttempts = 3;
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    const metadata = await metadataService.generateReleaseMetadata({
+      type,
+      countryCode,
+      registrantCode: organization.codes?.isrcRegistrant,
+      tracks: tracks.map(track => ({
+        trackId: track._id,
+        title: track.title,
+        isrc: track.metadata?.isrc
+      }))
+    });
+
+    const newIsrcs = metadata.release.tracks
+      .filter(item => !item.isrc.existing)
+      .map(item => item.isrc.isrc);
+
+    const [upcTaken, isrcTaken] = await Promise.all([
+      Album.exists({ 'identifiers.upc': metadata.release.upc.upc }),
+      newIsrcs.length > 0 ? Track.exists({ 'metadata.isrc': { $in: newIsrcs } }) : null
+    ]);
+
+    if (!upcTaken && !isrcTaken) {
+      return metadata.release;
+    }
+  }
+
+  throw new ApiError('Could not allocate unique release identifiers, please retry', 409);
+};
+
+/**
+ * Write ISRCs and the album reference back onto the tracks
+ */
+const applyTrackIdentifiers = async (albumId, releaseTracks) => {
+  await Promise.all(releaseTracks.map(item =>
+    Track.findByIdAndUpdate(item.trackId, {
+      album: albumId,
+      'metadata.isrc': item.isrc.isrc
+    })
+  ));
+};
+
+/**
+ * @route   GET /api/albums
+ * @desc    Browse released albums
+ * @access  Public
+ */
+router.get('/', asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = Math.min(parseInt(req.query.limit) || 20, 50);
+  const skip = (page - 1) * limit;
+
+  const filter = {
+    $or: [
+      { status: 'released' },
+      { status: 'scheduled', releaseDate: { $lte: new Date() } }
+    ]
+  };
+
+  if (req.query.artist && mongoose.Types.ObjectId.isValid(req.query.artist)) {
+    filter.artist = req.query.artist;
+  }
+  if (req.query.type) {
+    filter.type = req.query.type;
+  }
+  if (req.query.genre) {
+    filter.genre = req.query.genre;
+  }
+
+  const [albums, total] = await Promise.all([
+    Album.find(filter)
+      .populate('artist', 'name avatar')
+      .sort({ releaseDate: -1 })
+      .skip(skip)
+      .limit(limit),
+    Album.countDocuments(filter)
+  ]);
+
+  res.json({
+    success: true,
+    data: {
+      albums,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalAlbums: total,
+        hasMore: page < Math.ceil(total / limit)
+      }
+    }
+  });
+}));
+
+/**
+ * @route   GET /api/albums/mine
+ * @desc    Get the current artist's releases, including drafts
+ * @access  Private (albums:manage)
+ */
+router.get('/mine',
+  authenticateToken,
+  authorize('albums:manage'),
+  asyncHandler(async (req, res) => {
+    const albums = await Album.find({ artist: req.user._id })
+      .sort({ updatedAt: -1 });
+
+    res.json({
+      success: true,
+      data: albums
+    });
+  })
+);
+
+/**
+ * @route   GET /api/albums/:id
+ * @desc    Get release with its ordered tracklist
+ * @access  Public (drafts visible to owner/admin)
+ */
+router.get('/:id',
+  optionalAuth,
+  asyncHandler(async (req, res) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ success: false, message: 'Release not found' });
+    }
+
+    const album = await Album.findById(req.params.id)
+      .populate('artist', 'name avatar')
+      .populate('featuredArtists', 'name avatar')
+      .populate('tracklist.track', 'title duration genre artwork audioFile.url metadata.isrc flags pricing');
+
+    if (!album) {
+      return res.status(404).json({ success: false, message: 'Release not found' });
+    }
+
+    const isManager = req.user && (album.artist._id.toString() === req.user._id.toString() ||
+      (organizationService.belongsTo(album, req.organization) && await canManageCatalog(req)));
+    if (!album.isAvailable() && !isManager) {
+      return res.status(404).json({ success: false, message: 'Release not found' });
+    }
+
+    res.json({
+      success: true,
+      data: album
+    });
+  })
+);
+
+/**
+ * @route   POST /api/albums
+ * @desc    Create release; assigns UPC and per-track ISRCs
+ * @access  Private (albums:manage)
+ */
+router.post('/',
+  authenticateToken,
+  authorize('albums:manage'),
+  asyncHandler(async (req, res) => {
+    const {
+      title,
+      type = 'album',
+      trackIds,
+      artistId,
+      featuredArtists,
+      genre,
+      label,
+      pLine,
+      cLine,
+      releaseDate,
+      originalReleaseDate,
+      catalogNumber,
+      artwork,
+      isExplicit,
+      countryCode
+    } = req.body;
+
+    if (!title || !title.trim()) {
+      return res.status(400).json({ success: false, message: 'Release title is required' });
+    }
+
+    if (!['single', 'ep', 'album', 'compilation'].includes(type)) {
+      return res.status(400).json({ success: false, message: 'Invalid release type' });
+    }
+
+    // Catalog managers may create releases on behalf of an artist
+    const ownerId = artistId && await canManageCatalog(req) ? artistId : req.user._id;
+    const tracks = await resolveTracklist(trackIds, ownerId);
+
+    if (type === 'single' && tracks.length > 3) {
+      return res.status(400).json({ success: false, message: 'Singles can contain at most 3 tracks' });
+    }
+
+    const organization = await organizationService.withDefault(req.organization);
+    const identifiers = await generateIdentifiers(type, tracks, organization, countryCode);
+
+    const album = await Album.create({
+      title,
+      type,
+      artist: ownerId,
+      organization: organization._id,
+      featuredArtists,
+      genre: genre || tracks[0].genre,
+      label: label || organization.name,
+      pLine,
+      cLine,
+      releaseDate,
+      originalReleaseDate,
+      artwork,
+      status: releaseDate ? 'scheduled' : 'draft',
+      tracklist: tracks.map(track => ({ track: track._id })),
+      identifiers: {
+        upc: identifiers.upc.upc,
+        ean: identifiers.ean?.ean,
+        grid: identifiers.grid?.grid,
+        catalogNumber
+      },
+      flags: { isExplicit: !!isExplicit || tracks.some(track => track.flags?.isExplicit) },
+      createdBy: req.user._id
+    });
+
+    await applyTrackIdentifiers(album._id, identifiers.tracks);
+
+    res.status(201).json({
+      success: true,
+      message: 'Release created successfully',
+      data: {
+        album,
+        identifiers: {
+          upc: album.identifiers.upc,
+          tracks: identifiers.tracks.map(item => ({
+            trackId: item.trackId,
+            title: item.title,
+            isrc: item.isrc.isrc,
+            newlyAssigned: !item.isrc.existing
+          }))
+        }
+      }
+    });
+  })
+);
+
+/**
+ * @route   PUT /api/albums/:id
+ * @desc    Update release metadata, tracklist order or status
+ * @access  Private (Owner or admin)
+ */
+router.put('/:id',
+  authenticateToken,
+  authorize('albums:manage'),
+  asyncHandler(async (req, res) => {
+    const album = await Album.findById(req.params.id);
+
+    if (!album) {
+      return res.status(404).json({ success: false, message: 'Release not found' });
+    }
+
+    if (!(await canManage(album, req))) {
+      return res.status(403).json({ success: false, message: 'You can only edit your own releases' });
+    }
+
+    // Status only moves through Album's transitions; releasing needs the publish permission
+    const { status } = req.body;
+    if (status !== undefined && status !== album.status) {
+      if (!album.canTransitionTo(status)) {
+        return res.status(400).json({
+          success: false,
+          message: `A ${album.status} release cannot be moved to ${status}`
+        });
+      }
+
+      if (['scheduled', 'released'].includes(status) && !(await hasPermission(req, 'tracks:publish'))) {
+        return res.status(403).json({
+          success: false,
+          message: 'Insufficient permissions.',
+          required: ['tracks:publish']
+        });
+      }
+    }
+
+    const editable = ['title', 'featuredArtists', 'genre', 'label', 'pLine', 'cLine',
+      'releaseDate', 'originalReleaseDate', 'artwork'];
+
+    editable.forEach(field => {
+      if (req.body[field] !== undefined) {
+        album[field] = req.body[field];
+      }
+    });
+
+    if (req.body.catalogNumber !== undefined) {
+      album.identifiers.catalogNumber = req.body.catalogNumber;
+    }
+
+    if (req.body.isExplicit !== undefined) {
+      album.flags.isExplicit = !!req.body.isExplicit;
+    }
+
+    // Tracklist changes: reorder, add or remove tracks while the release is unreleased
+    if (Array.isArray(req.body.trackIds)) {
+      if (!album.isEditableTracklist()) {
+        return res.status(400).json({
+          success: false,
+          message: 'The tracklist of a released product cannot change; create a new release instead'
+        });
+      }
+
+      const tracks = await resolveTracklist(req.body.trackIds, album.artist, album._id);
+      const nextIds = new Set(tracks.map(track => track._id.toString()));
+      const removedIds = album.tracklist
+        .map(item => item.track.toString())
+        .filter(id => !nextIds.has(id));
+      const discNumbers = new Map(album.tracklist.map(item => [item.track.toString(), item.discNumber]));
+
+      album.tracklist = tracks.map(track => ({
+        track: track._id,
+        discNumber: discNumbers.get(track._id.toString()) || 1
+      }));
+
+      // New tracks get their ISRCs the same way as on creation
+      const needsIsrc = tracks.filter(track => !track.metadata?.isrc);
+      if (needsIsrc.length > 0) {
+        const organization = await organizationService.getForRecord(album);
+        const identifiers = await generateIdentifiers(album.type, needsIsrc, organization, req.body.countryCode || undefined);
+        const isrcs = new Map(identifiers.tracks.map(item => [item.trackId.toString(), item.isrc.isrc]));
+
+        for (const track of needsIsrc) {
+          track.metadata.isrc = isrcs.get(track._id.toString());
+        }
+      }
+
+      await Promise.all(tracks
+        .filter(track => !track.album || needsIsrc.includes(track))
+        .map(track => {
+          track.album = album._id;
+          return track.save();
+        }));
+
+      if (removedIds.length > 0) {
+        await Track.updateMany({ _id: { $in: removedIds } }, { album: null });
+      }
+    }
+
+    // After the tracklist, which is checked against the status the release had
+    if (status !== undefined) {
+      album.status = status;
+    }
+
+    await album.save();
+
+    res.json({
+      success: true,
+      message: 'Release updated successfully',
+      data: album
+    });
+  })
+);
+
+/**
+ * @route   POST /api/albums/:id/artwork
+ * @desc    Upload release artwork
+ * @access  Private (Owner or admin)
+ */
+router.post('/:id/artwork',
+  authenticateToken,
+  authorize('albums:manage'),
+  uploadMiddleware('artwork'),
+  validateFile,
+  processImage,
+  asyncHandler(async (req, res) => {
+    const album = await Album.findById(req.params.id);
+
+    if (!album) {
+      return res.status(404).json({ success: false, message: 'Release not found' });
+    }
+
+    if (!(await canManage(album, req))) {
+      return res.status(403).json({ success: false, message: 'You can only edit your own releases' });
+    }
+
+    const artworkPath = req.file.processedPath || req.file.path;
+    album.artwork = {
+      url: generateFileUrl(req, artworkPath),
+      filename: req.file.filename
+    };
+    await album.save();
+
+    res.json({
+      success: true,
+      message: 'Artwork uploaded successfully',
+      data: album.artwork
+    });
+  })
+);
+
+/**
+ * @route   DELETE /api/albums/:id
+ * @desc    Delete an unreleased release (tracks and their ISRCs are kept)
+ * @access  Private (Owner or admin)
+ */
+router.delete('/:id',
+  authenticateToken,
+  authorize('albums:manage'),
+  asyncHandler(async (req, res) => {
+    const album = await Album.findById(req.params.id);
+
+    if (!album) {
+      return res.status(404).json({ success: false, message: 'Release not found' });
+    }
+
+    if (!(await canManage(album, req))) {
+      return res.status(403).json({ success: false, message: 'You can only delete your own releases' });
+    }
+
+    if (!album.isEditableTracklist()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Released products cannot be deleted; set the status to withdrawn instead'
+      });
+    }
+
+    await Track.updateMany({ album: album._id }, { album: null });
+    await Album.findByIdAndDelete(album._id);
+
+    res.json({
+      success: true,
+      message: 'Release deleted successfully'
+    });
+  })
+);
+
+module.exports = router;
@@ -1,9 +1,10 @@
 const express = require('express');
 const router = express.Router();
-const { authenticateToken, optionalAuth } = require('../Middleware/authMiddleware');
+const { authenticateToken, hasPermission, optionalAuth } = require('../Middleware/authMiddleware');
 const { asyncHandler } = require('../Middleware/errorHandler');
 const Track = require('../Models/Track');
 const User = require('../Models/User');
+const organizationService = require('../Services/organizationService');
 
 /**
  * @route   GET /api/analytics/dashboard
@@ -111,9 +112,10 @@ router.get('/track/:id',
     const isCollaborator = track.collaborators.some(c => 
       c.user.toString() === req.user._id.toString()
     );
-    const isAdmin = req.user.role === 'admin' || req.user.role === 'super_admin';
+    const canViewAll = organizationService.belongsTo(track, req.organization) &&
+      await hasPermission(req, 'admin:dashboard', 'catalog:manage');
 
-    if (!isOwner && !isCollaborator && !isAdmin) {
+    if (!isOwner && !isCollaborator && !canViewAll) {
       return res.status(403).json({
         success: false,
         message: 'Access denied'
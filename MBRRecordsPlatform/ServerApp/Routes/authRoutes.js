@@ -1,13 +1,15 @@
 const express = require('express');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
 const { body, validationResult } = require('express-validator');
 const rateLimit = require('express-rate-limit');
 const User = require('../Models/User');
-const authMiddleware = require('../Middleware/authMiddleware');
-const upload = require('../Middleware/uploadMiddleware');
+const { authenticateToken } = require('../Middleware/authMiddleware');
+const { uploadMiddleware } = require('../Middleware/fileUpload');
 const EmailService = require('../Services/EmailService');
+const sessionService = require('../Services/sessionService');
+const twoFactorService = require('../Services/twoFactorService');
+const permissionService = require('../Services/permissionService');
 const {
   validatePasswordStrength,
   accountLockoutProtection,
@@ -66,15 +68,51 @@ const loginValidation = [
     .withMessage('Password is required')
 ];
 
-// Generate JWT token
-const generateToken = (userId) => {
-  return jwt.sign(
-    { userId },
-    process.env.JWT_SECRET || 'fallback_secret_key',
-    { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
-  );
+// Start a session for this device and shape the token part of the response
+const startSession = async (user, req, { twoFactorVerified = false } = {}) => {
+  const { accessToken, refreshToken, expiresIn } = await sessionService.createSession(user, {
+    ip: req.ip,
+    userAgent: req.get('User-Agent'),
+    twoFactorVerified
+  });
+
+  return { token: accessToken, refreshToken, expiresIn };
+};
+
+// Record a successful sign-in and build the login response body
+const completeLogin = async (user, req, options = {}) => {
+  await trackSuccessfulLogin(user, req.ip, req.get('User-Agent'));
+  await user.updateLastActive();
+
+  const tokens = await startSession(user, req, options);
+
+  // Return user data (excluding password)
+  const userData = user.toObject();
+  delete userData.password;
+  delete userData.emailVerificationToken;
+  delete userData.passwordResetToken;
+  userData.permissions = [...await permissionService.getPermissions(user)];
+
+  return {
+    success: true,
+    message: 'Login successful',
+    ...tokens,
+    user: userData
+  };
 };
 
+// Guesses at a code are limited per IP on top of the per-account lockout
+const twoFactorLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 10,
+  message: {
+    success: false,
+    message: 'Too many authentication code attempts, please try again later.'
+  }
+});
+
+const passwordConfirmation = body('password').notEmpty().withMessage('Password is required');
+
 // @desc    Register user
 // @route   POST /api/auth/register
 // @access  Public
@@ -120,19 +158,19 @@ router.post('/register', registerValidation, async (req, res) => {
       console.error('Failed to send verification email:', emailError);
     }
 
-    // Generate JWT token
-    const token = generateToken(user._id);
+    const tokens = await startSession(user, req);
 
     // Return user data (excluding password)
     const userData = user.toObject();
     delete userData.password;
     delete userData.emailVerificationToken;
     delete userData.passwordResetToken;
+    userData.permissions = [...await permissionService.getPermissions(user)];
 
     res.status(201).json({
       success: true,
       message: 'User registered successfully. Please check your email for verification.',
-      token,
+      ...tokens,
       user: userData
     });
 
@@ -190,44 +228,152 @@ router.post('/login', accountLockoutProtection, loginValidation, async (req, res
       });
     }
 
-    // Track successful login
-    await trackSuccessfulLogin(user, req.ip, req.get('User-Agent'));
+    // Second step: the client exchanges the challenge and a code at /login/2fa
+    if (user.twoFactor?.enabled) {
+      return res.json({
+        success: true,
+        message: 'Enter the code from your authenticator app',
+        twoFactorRequired: true,
+        challengeToken: twoFactorService.issueChallenge(user)
+      });
+    }
+
+    res.json(await completeLogin(user, req));
 
-    // Update last active
-    await user.updateLastActive();
+  } catch (error) {
+    console.error('Login error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during login'
+    });
+  }
+});
 
-    // Generate JWT token
-    const token = generateToken(user._id);
+// @desc    Finish signing in with an authenticator or recovery code
+// @route   POST /api/auth/login/2fa
+// @access  Public (with a challenge token from /login)
+router.post('/login/2fa', twoFactorLimiter, [
+  body('challengeToken').notEmpty().withMessage('Challenge token is required'),
+  body().custom((value) => {
+    if (!value.code && !value.recoveryCode) {
+      throw new Error('An authentication code or recovery code is required');
+    }
+    return true;
+  })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
 
-    // Return user data (excluding password)
-    const userData = user.toObject();
-    delete userData.password;
-    delete userData.emailVerificationToken;
-    delete userData.passwordResetToken;
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    let userId;
+    try {
+      userId = twoFactorService.readChallenge(challengeToken);
+    } catch (error) {
+      return res.status(401).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    const user = await User.findById(userId);
+    if (!user || !user.isActive || !user.twoFactor?.enabled) {
+      return res.status(401).json({
+        success: false,
+        message: 'Sign-in challenge is no longer valid, please sign in again'
+      });
+    }
+
+    if (user.accountLocked && user.lockoutExpires > new Date()) {
+      return res.status(423).json({
+        success: false,
+        message: 'Account is temporarily locked due to too many failed login attempts',
+        lockoutExpires: user.lockoutExpires
+      });
+    }
+
+    const verified = await twoFactorService.verify(user._id, { code, recoveryCode });
+    if (!verified) {
+      await trackFailedLogin(user, req.ip);
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    const response = await completeLogin(user, req, { twoFactorVerified: true });
+
+    if (verified.method === 'recovery_code') {
+      response.recoveryCodesRemaining = verified.recoveryCodesRemaining;
+    }
+
+    res.json(response);
+  } catch (error) {
+    console.error('Two-factor login error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during login'
+    });
+  }
+});
+
+// @desc    Exchange a refresh token for a new token pair (the old one stops working)
+// @route   POST /api/auth/refresh
+// @access  Public
+router.post('/refresh', [
+  body('refreshToken').isString().notEmpty().withMessage('Refresh token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { accessToken, refreshToken, expiresIn } = await sessionService.refresh(req.body.refreshToken, {
+      ip: req.ip
+    });
 
     res.json({
       success: true,
-      message: 'Login successful',
-      token,
-      user: userData
+      token: accessToken,
+      refreshToken,
+      expiresIn
     });
-
   } catch (error) {
-    console.error('Login error:', error);
+    if (error.statusCode === 401 || error.statusCode === 409) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        type: error.statusCode === 409 ? 'refresh_conflict' : 'session_revoked'
+      });
+    }
+
+    console.error('Token refresh error:', error);
     res.status(500).json({
       success: false,
-      message: 'Server error during login'
+      message: 'Server error refreshing session'
     });
   }
 });
 
-// @desc    Logout user
+// @desc    Logout user (signs out this device)
 // @route   POST /api/auth/logout
 // @access  Private
-router.post('/logout', authMiddleware, async (req, res) => {
+router.post('/logout', authenticateToken, async (req, res) => {
   try {
-    // In a more sophisticated setup, you might want to blacklist the token
-    // For now, we'll just return a success message
+    await sessionService.revokeSession(req.user._id, req.sessionId, 'logout');
+
     res.json({
       success: true,
       message: 'Logout successful'
@@ -241,10 +387,77 @@ router.post('/logout', authMiddleware, async (req, res) => {
   }
 });
 
+// @desc    Sign out every device, including this one
+// @route   POST /api/auth/logout-all
+// @access  Private
+router.post('/logout-all', authenticateToken, async (req, res) => {
+  try {
+    const count = await sessionService.revokeAllSessions(req.user._id, 'logout_all');
+
+    res.json({
+      success: true,
+      message: `Signed out of ${count} session${count === 1 ? '' : 's'}`
+    });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during logout'
+    });
+  }
+});
+
+// @desc    List signed-in devices and recent sign-ins
+// @route   GET /api/auth/sessions
+// @access  Private
+router.get('/sessions', authenticateToken, async (req, res) => {
+  try {
+    const data = await sessionService.getSessions(req.user._id, req.sessionId);
+
+    res.json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    console.error('Sessions fetch error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching sessions'
+    });
+  }
+});
+
+// @desc    Sign out one device
+// @route   DELETE /api/auth/sessions/:sessionId
+// @access  Private
+router.delete('/sessions/:sessionId', authenticateToken, async (req, res) => {
+  try {
+    await sessionService.revokeSession(req.user._id, req.params.sessionId, 'revoked');
+
+    res.json({
+      success: true,
+      message: 'Session signed out'
+    });
+  } catch (error) {
+    if (error.statusCode === 404 || error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    console.error('Session revoke error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error signing out session'
+    });
+  }
+});
+
 // @desc    Verify token
 // @route   GET /api/auth/verify
 // @access  Private
-router.get('/verify', authMiddleware, async (req, res) => {
+router.get('/verify', authenticateToken, async (req, res) => {
   try {
     const user = await User.findById(req.user.id);
     if (!user) {
@@ -256,7 +469,15 @@ router.get('/verify', authMiddleware, async (req, res) => {
 
     res.json({
       success: true,
-      user: user.fullProfile
+      user: {
+        ...user.fullProfile,
+        // Includes the user's roles in the organization being worked in
+        permissions: [...await permissionService.getPermissions(user, req.membership)],
+        organization: req.organization
+          ? { id: req.organization._id, name: req.organization.name, slug: req.organization.slug }
+          : null,
+        crossOrganization: Boolean(req.crossOrganization)
+      }
     });
   } catch (error) {
     console.error('Token verification error:', error);
@@ -270,7 +491,7 @@ router.get('/verify', authMiddleware, async (req, res) => {
 // @desc    Get user profile
 // @route   GET /api/auth/profile
 // @access  Private
-router.get('/profile', authMiddleware, async (req, res) => {
+router.get('/profile', authenticateToken, async (req, res) => {
   try {
     const user = await User.findById(req.user.id);
     if (!user) {
@@ -296,7 +517,7 @@ router.get('/profile', authMiddleware, async (req, res) => {
 // @desc    Update user profile
 // @route   PUT /api/auth/profile
 // @access  Private
-router.put('/profile', authMiddleware, [
+router.put('/profile', authenticateToken, [
   body('name').optional().trim().isLength({ min: 2, max: 50 }),
   body('profile.bio').optional().isLength({ max: 500 }),
   body('profile.location').optional().isLength({ max: 100 }),
@@ -352,7 +573,7 @@ router.put('/profile', authMiddleware, [
 // @desc    Change password
 // @route   PUT /api/auth/change-password
 // @access  Private
-router.put('/change-password', authMiddleware, [
+router.put('/change-password', authenticateToken, [
   body('currentPassword').notEmpty().withMessage('Current password is required'),
   body('newPassword')
     .custom((value) => {
@@ -410,9 +631,14 @@ router.put('/change-password', authMiddleware, [
     // Update password history
     await updatePasswordHistory(user._id, newPasswordHash);
 
+    // Sign out every device, then start a fresh session for this one
+    await sessionService.revokeAllSessions(user._id, 'password_changed');
+    const tokens = await startSession(user, req, { twoFactorVerified: req.twoFactorVerified });
+
     res.json({
       success: true,
-      message: 'Password changed successfully'
+      message: 'Password changed successfully. Other devices have been signed out.',
+      ...tokens
     });
 
   } catch (error) {
@@ -424,10 +650,183 @@ router.put('/change-password', authMiddleware, [
   }
 });
 
+// @desc    Two-factor status and whether policy requires it for this account
+// @route   GET /api/auth/2fa
+// @access  Private
+router.get('/2fa', authenticateToken, async (req, res) => {
+  try {
+    const status = await twoFactorService.getStatus(req.user);
+
+    res.json({
+      success: true,
+      data: {
+        ...status,
+        sessionVerified: Boolean(req.twoFactorVerified)
+      }
+    });
+  } catch (error) {
+    console.error('Two-factor status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching two-factor status'
+    });
+  }
+});
+
+// @desc    Start two-factor enrolment (returns the secret and otpauth URI for a QR code)
+// @route   POST /api/auth/2fa/setup
+// @access  Private
+router.post('/2fa/setup', authenticateToken, [passwordConfirmation], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.user._id).select('+password');
+    if (!(await user.comparePassword(req.body.password))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid password'
+      });
+    }
+
+    const setup = await twoFactorService.beginSetup(user._id);
+
+    res.json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      data: setup
+    });
+  } catch (error) {
+    console.error('Two-factor setup error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Server error starting two-factor setup'
+    });
+  }
+});
+
+// @desc    Confirm enrolment with a code; returns one-time recovery codes
+// @route   POST /api/auth/2fa/enable
+// @access  Private
+router.post('/2fa/enable', authenticateToken, twoFactorLimiter, [
+  body('code').notEmpty().withMessage('Authentication code is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { recoveryCodes } = await twoFactorService.enable(req.user._id, req.body.code);
+
+    // This device just proved the new factor
+    await sessionService.markTwoFactorVerified(req.sessionId);
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store these recovery codes somewhere safe; they will not be shown again.',
+      data: { recoveryCodes }
+    });
+  } catch (error) {
+    console.error('Two-factor enable error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Server error enabling two-factor authentication'
+    });
+  }
+});
+
+// @desc    Replace recovery codes (needs a current code)
+// @route   POST /api/auth/2fa/recovery-codes
+// @access  Private
+router.post('/2fa/recovery-codes', authenticateToken, twoFactorLimiter, async (req, res) => {
+  try {
+    const { code, recoveryCode } = req.body;
+
+    const { recoveryCodes } = await twoFactorService.regenerateRecoveryCodes(req.user._id, { code, recoveryCode });
+
+    res.json({
+      success: true,
+      message: 'New recovery codes generated; the old ones no longer work',
+      data: { recoveryCodes }
+    });
+  } catch (error) {
+    console.error('Recovery code generation error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Server error generating recovery codes'
+    });
+  }
+});
+
+// @desc    Turn off two-factor authentication (needs the password and a code)
+// @route   POST /api/auth/2fa/disable
+// @access  Private
+router.post('/2fa/disable', authenticateToken, twoFactorLimiter, [passwordConfirmation], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { password, code, recoveryCode } = req.body;
+
+    const policy = await twoFactorService.getPolicy();
+    if ((await twoFactorService.requiredScopes(req.user, policy)).includes('admin')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Two-factor authentication is required for staff accounts'
+      });
+    }
+
+    const user = await User.findById(req.user._id).select('+password');
+    if (!(await user.comparePassword(password))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid password'
+      });
+    }
+
+    if (!(await twoFactorService.verify(user._id, { code, recoveryCode }))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    await twoFactorService.disable(user._id);
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    console.error('Two-factor disable error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Server error disabling two-factor authentication'
+    });
+  }
+});
+
 // @desc    Upload avatar
 // @route   POST /api/auth/upload-avatar
 // @access  Private
-router.post('/upload-avatar', authMiddleware, upload.single('avatar'), async (req, res) => {
+router.post('/upload-avatar', authenticateToken, uploadMiddleware('profile'), async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({
@@ -573,6 +972,8 @@ router.post('/reset-password', [
     user.passwordResetExpires = undefined;
     await user.save();
 
+    await sessionService.revokeAllSessions(user._id, 'password_changed');
+
     res.json({
       success: true,
       message: 'Password reset successfully'
@@ -587,10 +988,88 @@ router.post('/reset-password', [
   }
 });
 
+// @desc    Verify email address
+// @route   POST /api/auth/verify-email
+// @access  Public
+router.post('/verify-email', [
+  body('token').notEmpty().withMessage('Verification token is required')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const hashedToken = crypto.createHash('sha256').update(req.body.token).digest('hex');
+
+    const user = await User.findOne({ emailVerificationToken: hashedToken });
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired verification token'
+      });
+    }
+
+    user.isEmailVerified = true;
+    user.emailVerificationToken = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    res.json({
+      success: true,
+      message: 'Email verified successfully'
+    });
+
+  } catch (error) {
+    console.error('Email verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error verifying email'
+    });
+  }
+});
+
+// @desc    Resend email verification
+// @route   POST /api/auth/resend-verification
+// @access  Private
+router.post('/resend-verification', authLimiter, authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (user.isEmailVerified) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is already verified'
+      });
+    }
+
+    const verificationToken = user.generateEmailVerificationToken();
+    await user.save({ validateBeforeSave: false });
+
+    await EmailService.sendVerificationEmail(user.email, user.name, verificationToken);
+
+    res.json({
+      success: true,
+      message: 'Verification email sent'
+    });
+
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error sending verification email'
+    });
+  }
+});
+
 // @desc    Delete account
 // @route   DELETE /api/auth/account
 // @access  Private
-router.delete('/account', authMiddleware, [
+router.delete('/account', authenticateToken, [
   body('password').notEmpty().withMessage('Password is required to delete account')
 ], async (req, res) => {
   try {
@@ -628,6 +1107,8 @@ router.delete('/account', authMiddleware, [
     user.email = `deleted_${Date.now()}_${user.email}`;
     await user.save();
 
+    await sessionService.revokeAllSessions(user._id, 'deactivated');
+
     res.json({
       success: true,
       message: 'Account deleted successfully'
@@ -1,10 +1,16 @@
 const express = require('express');
+const path = require('path');
 const router = express.Router();
 const { authenticateToken } = require('../Middleware/authMiddleware');
 const { asyncHandler } = require('../Middleware/errorHandler');
+const { uploadMiddleware, validateFile } = require('../Middleware/fileUpload');
 const Message = require('../Models/Message');
 const Conversation = require('../Models/Conversation');
 const User = require('../Models/User');
+const chatService = require('../Services/chatService');
+const presenceService = require('../Services/presenceService');
+const chatAttachmentService = require('../Services/chatAttachmentService');
+const conversationService = require('../Services/conversationService');
 
 /**
  * @route   GET /api/chat/conversations
@@ -17,7 +23,7 @@ router.get('/conversations',
     const conversations = await Conversation.find({
       participants: req.user._id
     })
-    .populate('participants', 'username displayName profileImage isOnline lastSeen')
+    .populate('participants', 'name avatar')
     .populate('lastMessage')
     .sort({ updatedAt: -1 })
     .lean();
@@ -31,10 +37,13 @@ router.get('/conversations',
           readBy: { $not: { $elemMatch: { user: req.user._id } } }
         });
 
+        const otherParticipant = conv.participants.find(p => p._id.toString() !== req.user._id.toString());
+
         return {
           ...conv,
           unreadCount,
-          otherParticipant: conv.participants.find(p => p._id.toString() !== req.user._id.toString())
+          otherParticipant,
+          presence: otherParticipant ? presenceService.getPresence(otherParticipant._id) : null
         };
       })
     );
@@ -48,13 +57,25 @@ router.get('/conversations',
 
 /**
  * @route   POST /api/chat/conversations
- * @desc    Create new conversation
+ * @desc    Create new conversation (direct with participantId, or a group
+ *          with name and participantIds)
  * @access  Private
  */
 router.post('/conversations',
   authenticateToken,
   asyncHandler(async (req, res) => {
-    const { participantId, message } = req.body;
+    const { participantId, participantIds, name, message } = req.body;
+
+    if (Array.isArray(participantIds)) {
+      const group = await conversationService.createGroup(req.user, { name, participantIds });
+      await group.populate('participants', 'name avatar');
+
+      return res.status(201).json({
+        success: true,
+        message: 'Group created successfully',
+        data: group
+      });
+    }
 
     if (!participantId) {
       return res.status(400).json({
@@ -93,25 +114,18 @@ router.post('/conversations',
         createdBy: req.user._id
       });
       await conversation.save();
+
+      // Live sockets of both users join the new conversation's room
+      chatService.joinParticipants(conversation);
     }
 
     // Send initial message if provided
     if (message && message.trim()) {
-      const newMessage = new Message({
-        conversation: conversation._id,
-        sender: req.user._id,
-        content: message.trim(),
-        type: 'text'
-      });
-      await newMessage.save();
-
-      conversation.lastMessage = newMessage._id;
-      conversation.updatedAt = new Date();
-      await conversation.save();
+      await chatService.sendMessage(conversation._id, req.user._id, { content: message });
     }
 
     // Populate conversation data
-    await conversation.populate('participants', 'username displayName profileImage isOnline');
+    await conversation.populate('participants', 'name avatar');
 
     res.status(201).json({
       success: true,
@@ -149,35 +163,21 @@ router.get('/conversations/:id/messages',
 
     // Get messages
     const messages = await Message.find({ conversation: id })
-      .populate('sender', 'username displayName profileImage')
+      .populate('sender', 'name avatar')
       .sort({ createdAt: -1 })
       .skip(skip)
       .limit(limit)
       .lean();
 
-    // Mark messages as read
-    await Message.updateMany(
-      {
-        conversation: id,
-        sender: { $ne: req.user._id },
-        'readBy.user': { $ne: req.user._id }
-      },
-      {
-        $push: {
-          readBy: {
-            user: req.user._id,
-            readAt: new Date()
-          }
-        }
-      }
-    );
+    // The fetched messages have now reached this user
+    await chatService.markDelivered(id, req.user._id, messages.map(message => message._id));
 
     const total = await Message.countDocuments({ conversation: id });
 
     res.json({
       success: true,
       data: {
-        messages: messages.reverse(), // Return in chronological order
+        messages: await chatService.renderMessages(messages.reverse(), req.user._id), // Return in chronological order
         pagination: {
           currentPage: page,
           totalPages: Math.ceil(total / limit),
@@ -197,55 +197,257 @@ router.get('/conversations/:id/messages',
 router.post('/conversations/:id/messages',
   authenticateToken,
   asyncHandler(async (req, res) => {
-    const { id } = req.params;
-    const { content, type = 'text', metadata = {} } = req.body;
+    const { content, type, metadata, replyTo } = req.body;
 
-    if (!content || content.trim().length === 0) {
-      return res.status(400).json({
-        success: false,
-        message: 'Message content is required'
-      });
+    const message = await chatService.sendMessage(req.params.id, req.user._id, {
+      content,
+      type,
+      metadata,
+      replyTo
+    });
+
+    res.status(201).json({
+      success: true,
+      data: message
+    });
+  })
+);
+
+/**
+ * @route   POST /api/chat/conversations/:id/attachments
+ * @desc    Send an image, audio snippet or file (multipart field "attachment",
+ *          optional "content" caption)
+ * @access  Private
+ */
+router.post('/conversations/:id/attachments',
+  authenticateToken,
+  // Check access before the upload is written to disk
+  asyncHandler(async (req, res, next) => {
+    await chatService.getConversationForUser(req.params.id, req.user._id);
+    next();
+  }),
+  uploadMiddleware('chat'),
+  validateFile,
+  asyncHandler(async (req, res) => {
+    const attachment = await chatAttachmentService.process(req.file);
+
+    let message;
+    try {
+      message = await chatService.sendMessage(req.params.id, req.user._id, {
+        content: req.body.content,
+        replyTo: req.body.replyTo
+      }, { attachment });
+    } catch (error) {
+      await chatAttachmentService.removeFor(attachment);
+      throw error;
     }
 
-    // Check if user is part of the conversation
-    const conversation = await Conversation.findOne({
-      _id: id,
-      participants: req.user._id
+    res.status(201).json({
+      success: true,
+      data: message
     });
+  })
+);
 
-    if (!conversation) {
+/**
+ * @route   GET /api/chat/messages/:id/attachment
+ * @desc    Download a message's attachment (?variant=thumbnail for images)
+ * @access  Private (conversation participants)
+ */
+router.get('/messages/:id/attachment',
+  authenticateToken,
+  asyncHandler(async (req, res) => {
+    const message = await chatService.getMessageForUser(req.params.id, req.user._id);
+
+    const wantsThumbnail = req.query.variant === 'thumbnail';
+    const filePath = !message.isDeleted && chatAttachmentService.resolve(
+      wantsThumbnail ? message.metadata?.thumbnailPath : message.metadata?.filePath
+    );
+
+    if (!filePath) {
       return res.status(404).json({
         success: false,
-        message: 'Conversation not found or access denied'
+        message: 'Attachment not found'
       });
     }
 
-    // Create message
-    const message = new Message({
-      conversation: id,
-      sender: req.user._id,
-      content: content.trim(),
-      type,
-      metadata,
-      readBy: [{
-        user: req.user._id,
-        readAt: new Date()
-      }]
+    res.set('Cache-Control', 'private, max-age=3600');
+    if (!wantsThumbnail) {
+      res.attachment(message.metadata.fileName || path.basename(filePath));
+      res.type(message.metadata.mimeType || 'application/octet-stream');
+    }
+
+    res.sendFile(filePath, (error) => {
+      if (error && !res.headersSent) {
+        res.status(404).json({
+          success: false,
+          message: 'Attachment not found'
+        });
+      }
     });
+  })
+);
 
-    await message.save();
+/**
+ * @route   PUT /api/chat/conversations/:id/read
+ * @desc    Mark messages as read (all unread, or body.messageIds) and send read receipts
+ * @access  Private
+ */
+router.put('/conversations/:id/read',
+  authenticateToken,
+  asyncHandler(async (req, res) => {
+    const { messageIds } = req.body;
+
+    const readIds = await chatService.markRead(req.params.id, req.user._id,
+      Array.isArray(messageIds) ? messageIds : null);
+
+    res.json({
+      success: true,
+      message: `${readIds.length} message(s) marked as read`,
+      data: { messageIds: readIds }
+    });
+  })
+);
 
-    // Update conversation
-    conversation.lastMessage = message._id;
-    conversation.updatedAt = new Date();
-    await conversation.save();
+/**
+ * @route   PUT /api/chat/conversations/:id/settings
+ * @desc    Update conversation settings (autoDeleteDays, allowInvites)
+ * @access  Private (owner/admin in groups)
+ */
+router.put('/conversations/:id/settings',
+  authenticateToken,
+  asyncHandler(async (req, res) => {
+    const settings = await conversationService.updateSettings(req.params.id, req.user._id, req.body);
 
-    // Populate message data
-    await message.populate('sender', 'username displayName profileImage');
+    res.json({
+      success: true,
+      message: 'Conversation settings updated',
+      data: settings
+    });
+  })
+);
+
+/**
+ * @route   POST /api/chat/conversations/:id/participants
+ * @desc    Add a participant to a group
+ * @access  Private (owner/admin, or anyone when invites are allowed)
+ */
+router.post('/conversations/:id/participants',
+  authenticateToken,
+  asyncHandler(async (req, res) => {
+    const { userId } = req.body;
+
+    if (!userId) {
+      return res.status(400).json({
+        success: false,
+        message: 'User ID is required'
+      });
+    }
+
+    await conversationService.addParticipant(req.params.id, req.user, userId);
 
     res.status(201).json({
       success: true,
-      data: message
+      message: 'Participant added'
+    });
+  })
+);
+
+/**
+ * @route   DELETE /api/chat/conversations/:id/participants/:userId
+ * @desc    Remove a participant from a group, or leave it (own user ID)
+ * @access  Private (owner/admin/moderator for others)
+ */
+router.delete('/conversations/:id/participants/:userId',
+  authenticateToken,
+  asyncHandler(async (req, res) => {
+    const leaving = req.params.userId === req.user._id.toString();
+
+    await conversationService.removeParticipant(req.params.id, req.user, req.params.userId);
+
+    res.json({
+      success: true,
+      message: leaving ? 'You left the conversation' : 'Participant removed'
+    });
+  })
+);
+
+/**
+ * @route   PUT /api/chat/conversations/:id/participants/:userId/role
+ * @desc    Change a participant's role (admin, moderator or member)
+ * @access  Private (owner/admin, for participants below them)
+ */
+router.put('/conversations/:id/participants/:userId/role',
+  authenticateToken,
+  asyncHandler(async (req, res) => {
+    const conversation = await conversationService.changeRole(
+      req.params.id, req.user, req.params.userId, req.body.role
+    );
+
+    res.json({
+      success: true,
+      message: 'Role updated',
+      data: { roles: conversation.roles }
+    });
+  })
+);
+
+/**
+ * @route   GET /api/chat/conversations/:id/pins
+ * @desc    Get pinned messages
+ * @access  Private
+ */
+router.get('/conversations/:id/pins',
+  authenticateToken,
+  asyncHandler(async (req, res) => {
+    const pins = await conversationService.getPinnedMessages(req.params.id, req.user._id);
+
+    res.json({
+      success: true,
+      data: pins
+    });
+  })
+);
+
+/**
+ * @route   POST /api/chat/conversations/:id/pins
+ * @desc    Pin a message
+ * @access  Private (owner/admin/moderator in groups)
+ */
+router.post('/conversations/:id/pins',
+  authenticateToken,
+  asyncHandler(async (req, res) => {
+    const { messageId } = req.body;
+
+    if (!messageId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Message ID is required'
+      });
+    }
+
+    const result = await conversationService.pinMessage(req.params.id, req.user._id, messageId);
+
+    res.status(result.alreadyPinned ? 200 : 201).json({
+      success: true,
+      message: result.alreadyPinned ? 'Message was already pinned' : 'Message pinned'
+    });
+  })
+);
+
+/**
+ * @route   DELETE /api/chat/conversations/:id/pins/:messageId
+ * @desc    Unpin a message
+ * @access  Private (owner/admin/moderator in groups)
+ */
+router.delete('/conversations/:id/pins/:messageId',
+  authenticateToken,
+  asyncHandler(async (req, res) => {
+    await conversationService.unpinMessage(req.params.id, req.user._id, req.params.messageId);
+
+    res.json({
+      success: true,
+      message: 'Message unpinned'
     });
   })
 );
@@ -298,7 +500,7 @@ router.put('/messages/:id',
     message.editedAt = new Date();
     await message.save();
 
-    await message.populate('sender', 'username displayName profileImage');
+    await message.populate('sender', 'name avatar');
 
     res.json({
       success: true,
@@ -310,38 +512,94 @@ router.put('/messages/:id',
 
 /**
  * @route   DELETE /api/chat/messages/:id
- * @desc    Delete message
+ * @desc    Delete message (own, or any as a group moderator)
  * @access  Private
  */
 router.delete('/messages/:id',
   authenticateToken,
   asyncHandler(async (req, res) => {
-    const message = await Message.findById(req.params.id);
+    // Senders delete their own; group moderators can delete others'
+    await chatService.deleteMessage(req.params.id, req.user._id);
 
-    if (!message) {
-      return res.status(404).json({
-        success: false,
-        message: 'Message not found'
-      });
-    }
+    res.json({
+      success: true,
+      message: 'Message deleted successfully'
+    });
+  })
+);
 
-    // Check if user is the sender
-    if (message.sender.toString() !== req.user._id.toString()) {
-      return res.status(403).json({
-        success: false,
-        message: 'You can only delete your own messages'
-      });
-    }
+/**
+ * @route   POST /api/chat/messages/:id/reactions
+ * @desc    React to a message (replaces the user's previous reaction)
+ * @access  Private
+ */
+router.post('/messages/:id/reactions',
+  authenticateToken,
+  asyncHandler(async (req, res) => {
+    const message = await chatService.addReaction(req.params.id, req.user._id, req.body.emoji);
 
-    // Soft delete - mark as deleted
-    message.isDeleted = true;
-    message.deletedAt = new Date();
-    message.content = 'This message was deleted';
-    await message.save();
+    res.json({
+      success: true,
+      data: {
+        reactions: message.reactions,
+        reactionSummary: message.reactionSummary
+      }
+    });
+  })
+);
+
+/**
+ * @route   DELETE /api/chat/messages/:id/reactions
+ * @desc    Remove the user's reaction from a message
+ * @access  Private
+ */
+router.delete('/messages/:id/reactions',
+  authenticateToken,
+  asyncHandler(async (req, res) => {
+    const message = await chatService.removeReaction(req.params.id, req.user._id);
 
     res.json({
       success: true,
-      message: 'Message deleted successfully'
+      data: {
+        reactions: message.reactions,
+        reactionSummary: message.reactionSummary
+      }
+    });
+  })
+);
+
+/**
+ * @route   GET /api/chat/sync
+ * @desc    Catch up on messages, edits, receipts and reactions since a cursor
+ * @access  Private
+ */
+router.get('/sync',
+  authenticateToken,
+  asyncHandler(async (req, res) => {
+    const result = await chatService.sync(req.user._id, req.query.cursor);
+
+    res.json({
+      success: true,
+      data: result
+    });
+  })
+);
+
+/**
+ * @route   GET /api/chat/presence
+ * @desc    Online/away/offline status of chat contacts (?userIds=a,b)
+ * @access  Private
+ */
+router.get('/presence',
+  authenticateToken,
+  asyncHandler(async (req, res) => {
+    const userIds = (req.query.userIds || '').split(',').filter(Boolean).slice(0, 100);
+
+    const presence = await presenceService.getPresenceFor(req.user._id, userIds);
+
+    res.json({
+      success: true,
+      data: presence
     });
   })
 );
@@ -356,25 +614,9 @@ router.post('/conversations/:id/typing',
   asyncHandler(async (req, res) => {
     const { isTyping } = req.body;
 
-    // Check if user is part of the conversation
-    const conversation = await Conversation.findOne({
-      _id: req.params.id,
-      participants: req.user._id
-    });
-
-    if (!conversation) {
-      return res.status(404).json({
-        success: false,
-        message: 'Conversation not found or access denied'
-      });
-    }
+    await chatService.getConversationForUser(req.params.id, req.user._id);
 
-    // Emit typing event via Socket.IO (handled in socket handlers)
-    req.app.get('io').to(req.params.id).emit('user_typing', {
-      userId: req.user._id,
-      username: req.user.username,
-      isTyping
-    });
+    chatService.emitTyping(req.params.id, req.user, isTyping);
 
     res.json({
       success: true,
@@ -433,7 +675,7 @@ router.get('/search',
     }
 
     const messages = await Message.find(searchFilter)
-      .populate('sender', 'username displayName profileImage')
+      .populate('sender', 'name avatar')
       .populate('conversation', 'participants type')
       .sort({ createdAt: -1 })
       .limit(50)
@@ -1,19 +1,36 @@
 const express = require('express');
 const router = express.Router();
-const { authenticateToken, requireArtist } = require('../Middleware/authMiddleware');
+const { authenticateToken, authorize, hasPermission, requireStaff } = require('../Middleware/authMiddleware');
 const contractService = require('../Services/contractService');
+const contractDocumentService = require('../Services/contractDocumentService');
+const organizationService = require('../Services/organizationService');
 const { asyncHandler } = require('../Middleware/errorHandler');
 
 // Apply authentication to all routes
 router.use(authenticateToken);
 
+// Contract type from a template route param (accepts `recording` or `recording_agreement`)
+const resolveTemplateType = (param) => Object.keys(contractService.contractTypes).find(type =>
+  type === param || contractService.contractTypes[type].template === param
+);
+
+// Whether the request may see and edit a contract that isn't its user's:
+// contract managers, for contracts of the organization they work in
+const canManageContracts = async (req, contract) =>
+  organizationService.belongsTo(contract, req.organization) && hasPermission(req, 'contracts:manage');
+
+// Whether the request may read a contract
+const canViewContract = async (contract, req) => contract.parties.some(party =>
+  party.userId === req.user._id.toString() || party.email === req.user.email
+) || canManageContracts(req, contract);
+
 /**
  * @route POST /api/contracts
  * @desc Create a new contract
- * @access Private (Artists only)
+ * @access Private (contracts:create)
  */
-router.post('/', requireArtist, asyncHandler(async (req, res) => {
-  const contractData = req.body;
+router.post('/', authorize('contracts:create'), asyncHandler(async (req, res) => {
+  const contractData = { ...req.body, organization: await organizationService.withDefault(req.organization) };
 
   // Validate contract terms
   const validation = contractService.validateContractTerms(contractData.type, contractData.terms);
@@ -37,9 +54,9 @@ router.post('/', requireArtist, asyncHandler(async (req, res) => {
 /**
  * @route POST /api/contracts/:contractId/send-for-signature
  * @desc Send contract for signature
- * @access Private (Artists only)
+ * @access Private (contracts:sign)
  */
-router.post('/:contractId/send-for-signature', requireArtist, asyncHandler(async (req, res) => {
+router.post('/:contractId/send-for-signature', authorize('contracts:sign'), asyncHandler(async (req, res) => {
   const { contractId } = req.params;
   const { signerEmail, signerRole } = req.body;
 
@@ -69,10 +86,58 @@ router.post('/sign/:signatureToken', asyncHandler(async (req, res) => {
   const signatureData = {
     ...req.body,
     ipAddress: req.ip,
-    userAgent: req.get('User-Agent')
+    userAgent: req.get('User-Agent'),
+    signedBy: undefined
+  };
+
+  const contract = await contractService.getContractBySignatureToken(signatureToken);
+
+  if (!contract) {
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid signature token'
+    });
+  }
+
+  const result = await contractService.signContract(contract.contractId, signatureToken, signatureData);
+
+  res.json({
+    success: true,
+    message: 'Contract signed successfully',
+    data: result
+  });
+}));
+
+/**
+ * @route POST /api/contracts/:contractId/sign
+ * @desc Sign a contract in the app, as the user a signature was requested from.
+ *       A team member acting for them (X-Acting-For) is recorded as the signer.
+ * @access Private (contracts:sign)
+ */
+router.post('/:contractId/sign', authorize('contracts:sign'), asyncHandler(async (req, res) => {
+  const contract = await contractService.getContract(req.params.contractId);
+
+  const signatureRequest = contract?.signatures.find(sig =>
+    sig.status === 'pending' && sig.email.toLowerCase() === req.user.email
+  );
+
+  if (!signatureRequest) {
+    return res.status(404).json({
+      success: false,
+      message: 'No signature is pending from you on this contract'
+    });
+  }
+
+  const signatureData = {
+    ...req.body,
+    ipAddress: req.ip,
+    userAgent: req.get('User-Agent'),
+    signedBy: req.actor
+      ? { userId: req.actor._id.toString(), name: req.actor.name, email: req.actor.email }
+      : undefined
   };
 
-  const result = await contractService.signContract(signatureToken, signatureData);
+  const result = await contractService.signContract(contract.contractId, signatureRequest.signatureToken, signatureData);
 
   res.json({
     success: true,
@@ -103,7 +168,7 @@ router.get('/:contractId', asyncHandler(async (req, res) => {
     party.userId === req.user._id.toString() || party.email === req.user.email
   );
 
-  if (!isParty && req.user.role !== 'admin') {
+  if (!isParty && !(await canManageContracts(req, contract))) {
     return res.status(403).json({
       success: false,
       message: 'Access denied. You are not a party to this contract.'
@@ -116,6 +181,116 @@ router.get('/:contractId', asyncHandler(async (req, res) => {
   });
 }));
 
+/**
+ * @route PUT /api/contracts/:contractId/terms
+ * @desc Update contract terms (only until the first party signs)
+ * @access Private (Contract parties only)
+ */
+router.put('/:contractId/terms', authorize('contracts:create'), asyncHandler(async (req, res) => {
+  const { contractId } = req.params;
+  const { terms } = req.body;
+
+  if (!terms || typeof terms !== 'object') {
+    return res.status(400).json({
+      success: false,
+      message: 'Contract terms are required'
+    });
+  }
+
+  const contract = await contractService.getContract(contractId);
+
+  if (!contract) {
+    return res.status(404).json({
+      success: false,
+      message: 'Contract not found'
+    });
+  }
+
+  const isParty = contract.parties.some(party => party.userId === req.user._id.toString());
+
+  if (!isParty && !(await canManageContracts(req, contract))) {
+    return res.status(403).json({
+      success: false,
+      message: 'Not authorized to edit this contract'
+    });
+  }
+
+  const updatedContract = await contractService.updateContractTerms(contractId, terms, req.user._id);
+
+  res.json({
+    success: true,
+    message: 'Contract terms updated successfully',
+    data: updatedContract
+  });
+}));
+
+/**
+ * @route GET /api/contracts/:contractId/verify
+ * @desc Verify signatures were made on the current document and the audit trail is intact
+ *       (read-only; POST /:contractId/dispute flags a contract that fails)
+ * @access Private (Contract parties only)
+ */
+router.get('/:contractId/verify', asyncHandler(async (req, res) => {
+  const { contractId } = req.params;
+
+  const contract = await contractService.getContract(contractId);
+
+  if (!contract) {
+    return res.status(404).json({
+      success: false,
+      message: 'Contract not found'
+    });
+  }
+
+  if (!(await canViewContract(contract, req))) {
+    return res.status(403).json({
+      success: false,
+      message: 'Access denied. You are not a party to this contract.'
+    });
+  }
+
+  const result = await contractService.verifyContract(contractId);
+
+  res.json({
+    success: true,
+    message: result.valid ? 'Contract integrity verified' : 'Contract integrity check failed',
+    data: result
+  });
+}));
+
+/**
+ * @route POST /api/contracts/:contractId/dispute
+ * @desc Move a signed contract whose integrity check fails to disputed
+ * @access Private (Contract parties only)
+ */
+router.post('/:contractId/dispute', asyncHandler(async (req, res) => {
+  const { contractId } = req.params;
+
+  const contract = await contractService.getContract(contractId);
+
+  if (!contract) {
+    return res.status(404).json({
+      success: false,
+      message: 'Contract not found'
+    });
+  }
+
+  if (!(await canViewContract(contract, req))) {
+    return res.status(403).json({
+      success: false,
+      message: 'Access denied. You are not a party to this contract.'
+    });
+  }
+
+  const result = await contractService.disputeContract(contractId, req.user._id);
+
+  res.json({
+    success: true,
+    message: 'Contract marked as disputed',
+    data: result
+  });
+}));
+
 /**
  * @route GET /api/contracts
  * @desc Get user's contracts
@@ -127,6 +302,7 @@ router.get('/', asyncHandler(async (req, res) => {
   const filters = {
     type,
     status,
+    organization: req.organization,
     limit: parseInt(limit),
     page: parseInt(page)
   };
@@ -151,7 +327,7 @@ router.get('/', asyncHandler(async (req, res) => {
  * @desc Terminate a contract
  * @access Private (Contract parties only)
  */
-router.put('/:contractId/terminate', requireArtist, asyncHandler(async (req, res) => {
+router.put('/:contractId/terminate', authorize('contracts:create'), asyncHandler(async (req, res) => {
   const { contractId } = req.params;
   const { reason } = req.body;
 
@@ -176,7 +352,7 @@ router.put('/:contractId/terminate', requireArtist, asyncHandler(async (req, res
     party.userId === req.user._id.toString() && (party.role === 'artist' || party.role === 'label')
   );
 
-  if (!isAuthorized && req.user.role !== 'admin') {
+  if (!isAuthorized && !(await canManageContracts(req, contract))) {
     return res.status(403).json({
       success: false,
       message: 'Not authorized to terminate this contract'
@@ -268,7 +444,7 @@ router.get('/:contractId/history', asyncHandler(async (req, res) => {
     party.userId === req.user._id.toString() || party.email === req.user.email
   );
 
-  if (!isParty && req.user.role !== 'admin') {
+  if (!isParty && !(await canManageContracts(req, contract))) {
     return res.status(403).json({
       success: false,
       message: 'Access denied. You are not a party to this contract.'
@@ -287,9 +463,9 @@ router.get('/:contractId/history', asyncHandler(async (req, res) => {
 /**
  * @route POST /api/contracts/:contractId/duplicate
  * @desc Create a duplicate contract with new terms
- * @access Private (Artists only)
+ * @access Private (contracts:create)
  */
-router.post('/:contractId/duplicate', requireArtist, asyncHandler(async (req, res) => {
+router.post('/:contractId/duplicate', authorize('contracts:create'), asyncHandler(async (req, res) => {
   const { contractId } = req.params;
   const { modifications } = req.body;
 
@@ -307,7 +483,7 @@ router.post('/:contractId/duplicate', requireArtist, asyncHandler(async (req, re
     party.userId === req.user._id.toString()
   );
 
-  if (!isAuthorized && req.user.role !== 'admin') {
+  if (!isAuthorized && !(await canManageContracts(req, originalContract))) {
     return res.status(403).json({
       success: false,
       message: 'Not authorized to duplicate this contract'
@@ -318,6 +494,7 @@ router.post('/:contractId/duplicate', requireArtist, asyncHandler(async (req, re
   const duplicateData = {
     ...originalContract,
     contractId: undefined, // Will be generated
+    organization: originalContract.organization,
     metadata: {
       ...originalContract.metadata,
       status: 'draft',
@@ -355,33 +532,181 @@ router.post('/:contractId/duplicate', requireArtist, asyncHandler(async (req, re
 
 /**
  * @route GET /api/contracts/templates/:type
- * @desc Get contract template for a specific type
+ * @desc Get the latest published template (or ?version=) for a contract type
  * @access Private
  */
 router.get('/templates/:type', asyncHandler(async (req, res) => {
-  const { type } = req.params;
+  const type = resolveTemplateType(req.params.type);
+
+  if (!type) {
+    return res.status(404).json({
+      success: false,
+      message: 'Contract template not found'
+    });
+  }
+
+  const { template: key, requiredFields } = contractService.contractTypes[type];
+  const template = await contractDocumentService.getTemplate(key, req.query.version ? parseInt(req.query.version) : null);
+
+  res.json({
+    success: true,
+    data: {
+      type,
+      template: key,
+      version: template.version,
+      status: template.status,
+      title: template.title,
+      clauses: template.clauses,
+      requiredFields,
+      sampleTerms: contractService.getSampleTerms(type)
+    }
+  });
+}));
+
+/**
+ * @route GET /api/contracts/templates/:type/versions
+ * @desc List every version of a contract template
+ * @access Private
+ */
+router.get('/templates/:type/versions', asyncHandler(async (req, res) => {
+  const type = resolveTemplateType(req.params.type);
 
-  if (!contractService.contractTypes[type]) {
+  if (!type) {
     return res.status(404).json({
       success: false,
       message: 'Contract template not found'
     });
   }
 
-  const template = contractService.contractTypes[type];
+  const versions = await contractDocumentService.listVersions(contractService.contractTypes[type].template);
+
+  res.json({
+    success: true,
+    data: versions
+  });
+}));
+
+/**
+ * @route POST /api/contracts/templates/:type
+ * @desc Create a new draft version of a contract template
+ * @access Private (contracts:templates)
+ */
+router.post('/templates/:type', requireStaff('contracts:templates'), asyncHandler(async (req, res) => {
+  const type = resolveTemplateType(req.params.type);
 
-  // In a real implementation, this would load actual template content
-  const templateContent = {
+  if (!type) {
+    return res.status(404).json({
+      success: false,
+      message: 'Contract template not found'
+    });
+  }
+
+  const template = await contractDocumentService.createTemplateVersion(
+    contractService.contractTypes[type].template,
     type,
-    template: template.template,
-    requiredFields: template.requiredFields,
-    sampleTerms: contractService.getSampleTerms(type)
-  };
+    req.body,
+    req.user._id
+  );
+
+  res.status(201).json({
+    success: true,
+    message: `Template version ${template.version} created as draft`,
+    data: template
+  });
+}));
+
+/**
+ * @route PUT /api/contracts/templates/:type/versions/:version/publish
+ * @desc Publish a draft template version for new contracts
+ * @access Private (contracts:templates)
+ */
+router.put('/templates/:type/versions/:version/publish', requireStaff('contracts:templates'), asyncHandler(async (req, res) => {
+  const type = resolveTemplateType(req.params.type);
+
+  if (!type) {
+    return res.status(404).json({
+      success: false,
+      message: 'Contract template not found'
+    });
+  }
+
+  const template = await contractDocumentService.publishTemplate(
+    contractService.contractTypes[type].template,
+    parseInt(req.params.version)
+  );
 
   res.json({
     success: true,
-    data: templateContent
+    message: `Template version ${template.version} published`,
+    data: template
+  });
+}));
+
+/**
+ * @route GET /api/contracts/:contractId/document
+ * @desc Get the rendered contract text (clauses with variables filled in)
+ * @access Private (Contract parties only)
+ */
+router.get('/:contractId/document', asyncHandler(async (req, res) => {
+  const contract = await contractService.getContract(req.params.contractId);
+
+  if (!contract) {
+    return res.status(404).json({
+      success: false,
+      message: 'Contract not found'
+    });
+  }
+
+  if (!(await canViewContract(contract, req))) {
+    return res.status(403).json({
+      success: false,
+      message: 'Access denied. You are not a party to this contract.'
+    });
+  }
+
+  const document = await contractDocumentService.renderContract(contract);
+
+  res.json({
+    success: true,
+    data: {
+      contractId: contract.contractId,
+      status: contract.metadata?.status,
+      ...document
+    }
+  });
+}));
+
+/**
+ * @route GET /api/contracts/:contractId/pdf
+ * @desc Download the contract as a PDF with its signature audit trail
+ * @access Private (Contract parties only)
+ */
+router.get('/:contractId/pdf', asyncHandler(async (req, res) => {
+  const contract = await contractService.getContract(req.params.contractId);
+
+  if (!contract) {
+    return res.status(404).json({
+      success: false,
+      message: 'Contract not found'
+    });
+  }
+
+  if (!(await canViewContract(contract, req))) {
+    return res.status(403).json({
+      success: false,
+      message: 'Access denied. You are not a party to this contract.'
+    });
+  }
+
+  const pdf = await contractDocumentService.renderPdf(contract);
+
+  res.set({
+    'Content-Type': 'application/pdf',
+    'Content-Disposition': `attachment; filename="${contract.contractId}.pdf"`,
+    'Content-Length': pdf.length,
+    'Cache-Control': 'private, no-store'
   });
+  res.send(pdf);
 }));
 
 /**
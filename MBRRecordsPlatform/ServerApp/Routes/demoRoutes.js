@@ -1,10 +1,13 @@
 const express = require('express');
 const router = express.Router();
-const { authenticateToken, requireArtist } = require('../Middleware/authMiddleware');
+const { authenticateToken, hasPermission } = require('../Middleware/authMiddleware');
 const { uploadMiddleware, validateFile } = require('../Middleware/fileUpload');
 const { asyncHandler } = require('../Middleware/errorHandler');
 const DemoSubmission = require('../Models/DemoSubmission');
 const User = require('../Models/User');
+const fingerprintService = require('../Services/fingerprintService');
+const demoReviewService = require('../Services/demoReviewService');
+const organizationService = require('../Services/organizationService');
 
 /**
  * @route   POST /api/demos/submit
@@ -90,9 +93,22 @@ router.post('/submit',
       });
     }
 
+    // Demos can go to any label, not just ones the artist belongs to
+    const organization = req.body.organization
+      ? await organizationService.getOrganization(req.body.organization)
+      : await organizationService.withDefault(req.organization);
+
+    if (!organization) {
+      return res.status(404).json({
+        success: false,
+        message: 'Label not found'
+      });
+    }
+
     // Create demo submission
     const demoSubmission = new DemoSubmission({
       submitter: req.user._id,
+      organization: organization._id,
       artistName,
       trackTitle,
       genre: genre.split(',').map(g => g.trim()),
@@ -120,8 +136,23 @@ router.post('/submit',
       status: 'pending'
     });
 
+    demoSubmission.sla = { dueAt: demoReviewService.computeDueAt(demoSubmission) };
     await demoSubmission.save();
 
+    // Route to the least-loaded reviewer for the genre
+    demoReviewService.autoAssign(demoSubmission)
+      .catch(error => console.error('Failed to assign demo reviewer:', error.message));
+
+    // Check the demo audio against the catalogue; matches are flagged to admins
+    audioFiles.forEach(file => {
+      fingerprintService.enqueue(() => fingerprintService.checkFile(file.path, {
+        type: 'demo',
+        demo: demoSubmission._id,
+        fileName: file.originalName,
+        user: req.user._id
+      })).catch(error => console.error('Failed to fingerprint demo:', error.message));
+    });
+
     // Update user stats
     await User.findByIdAndUpdate(req.user._id, {
       $inc: { 'stats.demosSubmitted': 1 },
@@ -134,7 +165,8 @@ router.post('/submit',
       data: {
         submissionId: demoSubmission._id,
         status: demoSubmission.status,
-        estimatedReviewTime: '7-14 business days'
+        estimatedReviewTime: '7-14 business days',
+        reviewDueBy: demoSubmission.sla.dueAt
       }
     });
   })
@@ -195,20 +227,21 @@ router.get('/:id',
       });
     }
 
-    // Check access - only submitter or admin can view
+    // Check access - only submitter or reviewers can view
     const isOwner = submission.submitter._id.toString() === req.user._id.toString();
-    const isAdmin = req.user.role === 'admin' || req.user.role === 'super_admin';
+    const isReviewer = organizationService.belongsTo(submission, req.organization) &&
+      await hasPermission(req, 'demos:review');
 
-    if (!isOwner && !isAdmin) {
+    if (!isOwner && !isReviewer) {
       return res.status(403).json({
         success: false,
         message: 'Access denied'
       });
     }
 
-    // Remove file paths if not admin
+    // Remove file paths if not a reviewer
     const responseData = submission.toObject();
-    if (!isAdmin) {
+    if (!isReviewer) {
       responseData.files.audio = responseData.files.audio.map(file => ({
         ...file,
         path: undefined
@@ -1,21 +1,28 @@
 const express = require('express');
 const router = express.Router();
-const { authenticateToken, requireArtist } = require('../Middleware/authMiddleware');
+const { authenticateToken, authorize, verifyOwnership } = require('../Middleware/authMiddleware');
 const distributionService = require('../Services/distributionService');
+const organizationService = require('../Services/organizationService');
 const { asyncHandler } = require('../Middleware/errorHandler');
 
 // Apply authentication to all routes
 router.use(authenticateToken);
 
+// Tracks are looked up within the organization being worked in, and
+// distributed with their organization's credentials and label name
+
 /**
  * @route POST /api/distribution/authenticate/:platform
  * @desc Authenticate with a streaming platform
- * @access Private (Artists only)
+ * @access Private (distribution:manage)
  */
-router.post('/authenticate/:platform', requireArtist, asyncHandler(async (req, res) => {
+router.post('/authenticate/:platform', authorize('distribution:manage'), asyncHandler(async (req, res) => {
   const { platform } = req.params;
 
-  const authResult = await distributionService.authenticate(platform);
+  const authResult = await distributionService.authenticate(
+    platform,
+    await organizationService.withDefault(req.organization)
+  );
 
   res.json({
     success: true,
@@ -27,9 +34,9 @@ router.post('/authenticate/:platform', requireArtist, asyncHandler(async (req, r
 /**
  * @route POST /api/distribution/upload/:platform
  * @desc Upload track to a streaming platform
- * @access Private (Artists only)
+ * @access Private (distribution:manage)
  */
-router.post('/upload/:platform', requireArtist, asyncHandler(async (req, res) => {
+router.post('/upload/:platform', authorize('distribution:manage'), asyncHandler(async (req, res) => {
   const { platform } = req.params;
   const { trackId, authToken } = req.body;
 
@@ -42,7 +49,7 @@ router.post('/upload/:platform', requireArtist, asyncHandler(async (req, res) =>
 
   // Get track data from database
   const Track = require('../Models/Track');
-  const track = await Track.findById(trackId);
+  const track = await Track.findOne({ _id: trackId, ...organizationService.filterFor(req.organization) });
 
   if (!track) {
     return res.status(404).json({
@@ -84,42 +91,19 @@ router.post('/upload/:platform', requireArtist, asyncHandler(async (req, res) =>
 /**
  * @route POST /api/distribution/distribute/:partner
  * @desc Distribute track through a distribution partner
- * @access Private (Artists only)
+ * @access Private (Track owner, or their team with distribution:manage)
  */
-router.post('/distribute/:partner', requireArtist, asyncHandler(async (req, res) => {
+router.post('/distribute/:partner', verifyOwnership('Track', { param: 'trackId', permission: 'distribution:manage' }), authorize('distribution:manage'), asyncHandler(async (req, res) => {
   const { partner } = req.params;
   const { trackId } = req.body;
-
-  if (!trackId) {
-    return res.status(400).json({
-      success: false,
-      message: 'Track ID is required'
-    });
-  }
-
-  // Get track data
+  const track = req.item;
   const Track = require('../Models/Track');
-  const track = await Track.findById(trackId);
-
-  if (!track) {
-    return res.status(404).json({
-      success: false,
-      message: 'Track not found'
-    });
-  }
-
-  // Verify ownership
-  if (track.artist.toString() !== req.user._id.toString()) {
-    return res.status(403).json({
-      success: false,
-      message: 'You can only distribute your own tracks'
-    });
-  }
 
   const distributionResult = await distributionService.distributeThroughPartner(
     partner,
     track,
-    req.user._id
+    req.user._id,
+    await organizationService.getForRecord(track)
   );
 
   // Update track with distribution info
@@ -139,12 +123,16 @@ router.post('/distribute/:partner', requireArtist, asyncHandler(async (req, res)
 /**
  * @route GET /api/distribution/status/:partner/:releaseId
  * @desc Get distribution status from a partner
- * @access Private (Artists only)
+ * @access Private (distribution:manage)
  */
-router.get('/status/:partner/:releaseId', requireArtist, asyncHandler(async (req, res) => {
+router.get('/status/:partner/:releaseId', authorize('distribution:manage'), asyncHandler(async (req, res) => {
   const { partner, releaseId } = req.params;
 
-  const statusResult = await distributionService.getDistributionStatus(partner, releaseId);
+  const statusResult = await distributionService.getDistributionStatus(
+    partner,
+    releaseId,
+    await organizationService.withDefault(req.organization)
+  );
 
   res.json({
     success: true,
@@ -155,9 +143,9 @@ router.get('/status/:partner/:releaseId', requireArtist, asyncHandler(async (req
 /**
  * @route POST /api/distribution/bulk
  * @desc Bulk distribute track to multiple platforms
- * @access Private (Artists only)
+ * @access Private (distribution:manage)
  */
-router.post('/bulk', requireArtist, asyncHandler(async (req, res) => {
+router.post('/bulk', authorize('distribution:manage'), asyncHandler(async (req, res) => {
   const { trackId, platforms } = req.body;
 
   if (!trackId || !platforms || !Array.isArray(platforms)) {
@@ -169,7 +157,7 @@ router.post('/bulk', requireArtist, asyncHandler(async (req, res) => {
 
   // Get track data
   const Track = require('../Models/Track');
-  const track = await Track.findById(trackId);
+  const track = await Track.findOne({ _id: trackId, ...organizationService.filterFor(req.organization) });
 
   if (!track) {
     return res.status(404).json({
@@ -186,7 +174,12 @@ router.post('/bulk', requireArtist, asyncHandler(async (req, res) => {
     });
   }
 
-  const bulkResult = await distributionService.bulkDistribute(track, platforms, req.user._id);
+  const bulkResult = await distributionService.bulkDistribute(
+    track,
+    platforms,
+    req.user._id,
+    await organizationService.getForRecord(track)
+  );
 
   // Update track with bulk distribution results
   const distributionUpdates = bulkResult.successful.map(result => ({
@@ -244,29 +237,11 @@ router.get('/platforms', asyncHandler(async (req, res) => {
 /**
  * @route GET /api/distribution/track/:trackId
  * @desc Get distribution history for a track
- * @access Private (Artists only)
+ * @access Private (Track owner, or their team with distribution:manage)
  */
-router.get('/track/:trackId', requireArtist, asyncHandler(async (req, res) => {
+router.get('/track/:trackId', verifyOwnership('Track', { param: 'trackId', permission: 'distribution:manage' }), authorize('distribution:manage'), asyncHandler(async (req, res) => {
   const { trackId } = req.params;
-
-  // Get track data
-  const Track = require('../Models/Track');
-  const track = await Track.findById(trackId);
-
-  if (!track) {
-    return res.status(404).json({
-      success: false,
-      message: 'Track not found'
-    });
-  }
-
-  // Verify ownership
-  if (track.artist.toString() !== req.user._id.toString()) {
-    return res.status(403).json({
-      success: false,
-      message: 'You can only view distribution history for your own tracks'
-    });
-  }
+  const track = req.item;
 
   const distributionHistory = track.metadata?.distribution || [];
 
@@ -284,9 +259,9 @@ router.get('/track/:trackId', requireArtist, asyncHandler(async (req, res) => {
 /**
  * @route POST /api/distribution/sync/:platform
  * @desc Sync track data with a platform
- * @access Private (Artists only)
+ * @access Private (distribution:manage)
  */
-router.post('/sync/:platform', requireArtist, asyncHandler(async (req, res) => {
+router.post('/sync/:platform', authorize('distribution:manage'), asyncHandler(async (req, res) => {
   const { platform } = req.params;
   const { trackId, platformTrackId } = req.body;
 
@@ -299,7 +274,7 @@ router.post('/sync/:platform', requireArtist, asyncHandler(async (req, res) => {
 
   // Get track data
   const Track = require('../Models/Track');
-  const track = await Track.findById(trackId);
+  const track = await Track.findOne({ _id: trackId, ...organizationService.filterFor(req.organization) });
 
   if (!track) {
     return res.status(404).json({
@@ -0,0 +1,76 @@
+const express = require('express');
+const router = express.Router();
+const { asyncHandler } = require('../Middleware/errorHandler');
+const EmailService = require('../Services/EmailService');
+
+const categoryLabels = {
+  notification: 'notification emails',
+  marketing: 'marketing emails'
+};
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const renderPage = (body) => `<!DOCTYPE html>
+<html>
+  <head><meta charset="utf-8"><title>Email preferences</title></head>
+  <body style="font-family:Helvetica,Arial,sans-serif;max-width:480px;margin:80px auto;color:#18181b;">
+    ${body}
+  </body>
+</html>`;
+
+/**
+ * @route   GET /api/email/unsubscribe
+ * @desc    Unsubscribe link from an email footer: asks for confirmation, since
+ *          link scanners and prefetchers follow GET links on their own
+ * @access  Public (signed token)
+ */
+router.get('/unsubscribe', (req, res) => {
+  const decoded = EmailService.verifyUnsubscribeToken(req.query.token);
+
+  if (!decoded) {
+    return res.status(400).type('html').send(renderPage('<p>This unsubscribe link is invalid.</p>'));
+  }
+
+  res.type('html').send(renderPage(`<p>Stop receiving ${categoryLabels[decoded.category]}?</p>
+    <form method="post" action="/api/email/unsubscribe">
+      <input type="hidden" name="token" value="${escapeHtml(req.query.token)}">
+      <button type="submit">Unsubscribe</button>
+    </form>`));
+});
+
+/**
+ * @route   POST /api/email/unsubscribe
+ * @desc    One-click unsubscribe (RFC 8058 List-Unsubscribe-Post), and the
+ *          confirmation form on the GET page
+ * @access  Public (signed token)
+ */
+router.post('/unsubscribe', asyncHandler(async (req, res) => {
+  // The confirmation form gets a page back; mail clients get JSON
+  if (req.accepts(['json', 'html']) === 'html') {
+    let message;
+
+    try {
+      const result = await EmailService.unsubscribe(req.query.token || req.body.token);
+      message = `${result.email} has been unsubscribed from ${categoryLabels[result.category]}. You can turn them back on in your profile settings.`;
+    } catch (error) {
+      res.status(400);
+      message = 'This unsubscribe link is invalid.';
+    }
+
+    return res.type('html').send(renderPage(`<p>${escapeHtml(message)}</p>`));
+  }
+
+  const result = await EmailService.unsubscribe(req.query.token || req.body.token);
+
+  res.json({
+    success: true,
+    message: 'Unsubscribed successfully',
+    data: result
+  });
+}));
+
+module.exports = router;
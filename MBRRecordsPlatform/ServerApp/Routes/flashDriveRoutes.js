@@ -1,10 +1,12 @@
 const express = require('express');
 const router = express.Router();
-const { authenticateToken, requireAdmin } = require('../Middleware/authMiddleware');
+const { authenticateToken, requireStaff } = require('../Middleware/authMiddleware');
 const { asyncHandler } = require('../Middleware/errorHandler');
 const FlashDriveExtractor = require('../Utils/FlashDriveExtractor');
 const Track = require('../Models/Track');
 const User = require('../Models/User');
+const fingerprintService = require('../Services/fingerprintService');
+const organizationService = require('../Services/organizationService');
 const path = require('path');
 
 // Initialize extractor
@@ -13,11 +15,11 @@ const extractor = new FlashDriveExtractor(path.join(__dirname, '../..'));
 /**
  * @route   GET /api/flash-drive/scan
  * @desc    Scan for available removable drives
- * @access  Private (Admin only)
+ * @access  Private (catalog:import)
  */
 router.get('/scan',
   authenticateToken,
-  requireAdmin,
+  requireStaff('catalog:import'),
   asyncHandler(async (req, res) => {
     console.log('🔍 Scanning for removable drives...');
     
@@ -37,11 +39,11 @@ router.get('/scan',
 /**
  * @route   POST /api/flash-drive/preview
  * @desc    Preview audio files on a drive without extracting
- * @access  Private (Admin only)
+ * @access  Private (catalog:import)
  */
 router.post('/preview',
   authenticateToken,
-  requireAdmin,
+  requireStaff('catalog:import'),
   asyncHandler(async (req, res) => {
     const { drivePath, maxDepth = 5 } = req.body;
     
@@ -105,11 +107,11 @@ router.post('/preview',
 /**
  * @route   POST /api/flash-drive/extract
  * @desc    Extract and process audio files from flash drive
- * @access  Private (Admin only)
+ * @access  Private (catalog:import)
  */
 router.post('/extract',
   authenticateToken,
-  requireAdmin,
+  requireStaff('catalog:import'),
   asyncHandler(async (req, res) => {
     const { 
       drivePath, 
@@ -215,11 +217,11 @@ router.post('/extract',
 /**
  * @route   POST /api/flash-drive/import-tracks
  * @desc    Import processed tracks to database
- * @access  Private (Admin only)
+ * @access  Private (catalog:import)
  */
 router.post('/import-tracks',
   authenticateToken,
-  requireAdmin,
+  requireStaff('catalog:import'),
   asyncHandler(async (req, res) => {
     const { 
       trackEntries, 
@@ -240,6 +242,7 @@ router.post('/import-tracks',
     try {
       const importResults = [];
       const errors = [];
+      const organization = await organizationService.withDefault(req.organization);
 
       for (const [index, trackData] of trackEntries.entries()) {
         try {
@@ -248,6 +251,7 @@ router.post('/import-tracks',
             ...trackData,
             status: defaultStatus,
             isPublic: makePublic,
+            organization: organization._id,
             artist: {
               ...trackData.artist,
               user: artistId || trackData.artist.user
@@ -269,6 +273,10 @@ router.post('/import-tracks',
           const track = new Track(finalTrackData);
           await track.save();
 
+          // Check the import against the catalogue; matches are flagged to admins
+          fingerprintService.enqueue(() => fingerprintService.fingerprintTrack(track._id, { sourceType: 'flash_drive' }))
+            .catch(error => console.error(`Failed to fingerprint ${track.title}:`, error.message));
+
           // Update artist stats
           await User.findByIdAndUpdate(artistId, {
             $inc: { 'stats.tracksUploaded': 1 }
@@ -333,11 +341,11 @@ router.post('/import-tracks',
 /**
  * @route   GET /api/flash-drive/extraction-history
  * @desc    Get history of flash drive extractions
- * @access  Private (Admin only)
+ * @access  Private (catalog:import)
  */
 router.get('/extraction-history',
   authenticateToken,
-  requireAdmin,
+  requireStaff('catalog:import'),
   asyncHandler(async (req, res) => {
     const fs = require('fs').promises;
     const metadataDir = path.join(__dirname, '../..', 'Assets', 'Audio', 'Metadata');
@@ -398,11 +406,11 @@ router.get('/extraction-history',
 /**
  * @route   DELETE /api/flash-drive/cleanup
  * @desc    Clean up temporary extraction files
- * @access  Private (Admin only)
+ * @access  Private (catalog:import)
  */
 router.delete('/cleanup',
   authenticateToken,
-  requireAdmin,
+  requireStaff('catalog:import'),
   asyncHandler(async (req, res) => {
     const { olderThanDays = 7 } = req.body;
     
@@ -22,7 +22,7 @@ const gdprLimiter = rateLimit({
   },
   standardHeaders: true,
   legacyHeaders: false,
-  skip: (req) => req.user?.role === 'admin' // Admins can bypass
+  skip: async (req) => !!req.user && authMiddleware.hasPermission(req, 'limits:bypass')
 });
 
 // Apply rate limiting to all GDPR routes
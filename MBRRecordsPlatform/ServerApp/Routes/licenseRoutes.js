@@ -0,0 +1,103 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken, requireStaff } = require('../Middleware/authMiddleware');
+const { asyncHandler } = require('../Middleware/errorHandler');
+const licenseService = require('../Services/licenseService');
+
+// Apply authentication to all routes
+router.use(authenticateToken);
+
+/**
+ * @route   POST /api/licenses
+ * @desc    Issue a license token for a track (checks pricing and purchases)
+ * @access  Private
+ */
+router.post('/', asyncHandler(async (req, res) => {
+  const { trackId, permissions } = req.body;
+  const deviceId = req.body.deviceId || req.headers['x-device-id'] || null;
+
+  if (!trackId) {
+    return res.status(400).json({
+      success: false,
+      message: 'Track ID is required'
+    });
+  }
+
+  if (permissions !== undefined && !Array.isArray(permissions)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Permissions must be an array'
+    });
+  }
+
+  const { licenseKey, license, previewDuration } = await licenseService.issueLicense(req.user, trackId, {
+    permissions,
+    deviceId
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'License issued successfully',
+    data: {
+      licenseKey,
+      licenseId: license.licenseId,
+      permissions: license.permissions,
+      grant: license.grant,
+      deviceBound: !!license.deviceHash,
+      expiresAt: license.expiresAt,
+      previewDuration
+    }
+  });
+}));
+
+/**
+ * @route   GET /api/licenses
+ * @desc    Get the user's active licenses
+ * @access  Private
+ */
+router.get('/', asyncHandler(async (req, res) => {
+  const licenses = await licenseService.getUserLicenses(req.user._id, req.query.trackId);
+
+  res.json({
+    success: true,
+    data: licenses
+  });
+}));
+
+/**
+ * @route   DELETE /api/licenses/:licenseId
+ * @desc    Revoke a license
+ * @access  Private (license holder or admin)
+ */
+router.delete('/:licenseId', asyncHandler(async (req, res) => {
+  const license = await licenseService.revokeLicense(req.params.licenseId, req.user, req.body?.reason);
+
+  res.json({
+    success: true,
+    message: 'License revoked successfully',
+    data: license
+  });
+}));
+
+/**
+ * @route   POST /api/licenses/revoke
+ * @desc    Revoke all licenses for a user, track, purchase or device
+ * @access  Private (licenses:revoke)
+ */
+router.post('/revoke', requireStaff('licenses:revoke'), asyncHandler(async (req, res) => {
+  const { userId, trackId, purchaseId, deviceId, reason } = req.body;
+
+  const result = await licenseService.revokeLicenses(
+    { userId, trackId, purchaseId, deviceId },
+    req.user,
+    reason
+  );
+
+  res.json({
+    success: true,
+    message: `${result.revoked} license(s) revoked`,
+    data: result
+  });
+}));
+
+module.exports = router;
@@ -1,21 +1,32 @@
 const express = require('express');
 const router = express.Router();
-const { authenticateToken, requireArtist } = require('../Middleware/authMiddleware');
+const { authenticateToken, authorize } = require('../Middleware/authMiddleware');
 const metadataService = require('../Services/metadataService');
+const organizationService = require('../Services/organizationService');
 const { asyncHandler } = require('../Middleware/errorHandler');
 
 // Apply authentication to all routes
 router.use(authenticateToken);
 
+/**
+ * Registrant and country codes of the organization being worked in
+ */
+const organizationCodes = async (req) => (await organizationService.withDefault(req.organization)).codes || {};
+
 /**
  * @route POST /api/metadata/isrc
  * @desc Generate ISRC for a track
- * @access Private (Artists only)
+ * @access Private (metadata:manage)
  */
-router.post('/isrc', requireArtist, asyncHandler(async (req, res) => {
+router.post('/isrc', authorize('metadata:manage'), asyncHandler(async (req, res) => {
   const { countryCode, registrantCode, year } = req.body;
+  const codes = await organizationCodes(req);
 
-  const isrc = metadataService.generateISRC(countryCode, registrantCode, year);
+  const isrc = metadataService.generateISRC(
+    countryCode || codes.isrcCountry,
+    registrantCode || codes.isrcRegistrant,
+    year
+  );
 
   res.json({
     success: true,
@@ -27,9 +38,9 @@ router.post('/isrc', requireArtist, asyncHandler(async (req, res) => {
 /**
  * @route POST /api/metadata/upc
  * @desc Generate UPC for a release
- * @access Private (Artists only)
+ * @access Private (metadata:manage)
  */
-router.post('/upc', requireArtist, asyncHandler(async (req, res) => {
+router.post('/upc', authorize('metadata:manage'), asyncHandler(async (req, res) => {
   const { type, baseCode } = req.body;
 
   const upc = metadataService.generateUPC(type, baseCode);
@@ -44,9 +55,9 @@ router.post('/upc', requireArtist, asyncHandler(async (req, res) => {
 /**
  * @route POST /api/metadata/ean
  * @desc Generate EAN for a release
- * @access Private (Artists only)
+ * @access Private (metadata:manage)
  */
-router.post('/ean', requireArtist, asyncHandler(async (req, res) => {
+router.post('/ean', authorize('metadata:manage'), asyncHandler(async (req, res) => {
   const { countryCode, baseCode } = req.body;
 
   const ean = metadataService.generateEAN(countryCode, baseCode);
@@ -61,9 +72,9 @@ router.post('/ean', requireArtist, asyncHandler(async (req, res) => {
 /**
  * @route POST /api/metadata/iswc
  * @desc Generate ISWC for a musical work
- * @access Private (Artists only)
+ * @access Private (metadata:manage)
  */
-router.post('/iswc', requireArtist, asyncHandler(async (req, res) => {
+router.post('/iswc', authorize('metadata:manage'), asyncHandler(async (req, res) => {
   const { workId } = req.body;
 
   const iswc = metadataService.generateISWC(workId);
@@ -78,12 +89,12 @@ router.post('/iswc', requireArtist, asyncHandler(async (req, res) => {
 /**
  * @route POST /api/metadata/grid
  * @desc Generate GRID for a release
- * @access Private (Artists only)
+ * @access Private (metadata:manage)
  */
-router.post('/grid', requireArtist, asyncHandler(async (req, res) => {
+router.post('/grid', authorize('metadata:manage'), asyncHandler(async (req, res) => {
   const { type, registrantCode } = req.body;
 
-  const grid = metadataService.generateGRID(type, registrantCode);
+  const grid = metadataService.generateGRID(type, registrantCode || (await organizationCodes(req)).isrcRegistrant);
 
   res.json({
     success: true,
@@ -95,9 +106,9 @@ router.post('/grid', requireArtist, asyncHandler(async (req, res) => {
 /**
  * @route POST /api/metadata/release
  * @desc Generate complete metadata for a release
- * @access Private (Artists only)
+ * @access Private (metadata:manage)
  */
-router.post('/release', requireArtist, asyncHandler(async (req, res) => {
+router.post('/release', authorize('metadata:manage'), asyncHandler(async (req, res) => {
   const { tracks, type, countryCode, registrantCode, year } = req.body;
 
   if (!tracks || !Array.isArray(tracks)) {
@@ -107,11 +118,12 @@ router.post('/release', requireArtist, asyncHandler(async (req, res) => {
     });
   }
 
+  const codes = await organizationCodes(req);
   const releaseData = {
     tracks,
     type: type || 'album',
-    countryCode: countryCode || 'US',
-    registrantCode: registrantCode || 'MBR',
+    countryCode: countryCode || codes.isrcCountry,
+    registrantCode: registrantCode || codes.isrcRegistrant,
     year
   };
 
@@ -168,9 +180,9 @@ router.get('/standards', asyncHandler(async (req, res) => {
 /**
  * @route POST /api/metadata/bulk
  * @desc Bulk generate metadata codes
- * @access Private (Artists only)
+ * @access Private (metadata:manage)
  */
-router.post('/bulk', requireArtist, asyncHandler(async (req, res) => {
+router.post('/bulk', authorize('metadata:manage'), asyncHandler(async (req, res) => {
   const { requests } = req.body;
 
   if (!Array.isArray(requests)) {
@@ -182,6 +194,7 @@ router.post('/bulk', requireArtist, asyncHandler(async (req, res) => {
 
   const results = [];
   const errors = [];
+  const codes = await organizationCodes(req);
 
   for (const request of requests) {
     try {
@@ -190,8 +203,8 @@ router.post('/bulk', requireArtist, asyncHandler(async (req, res) => {
       switch (request.type.toLowerCase()) {
         case 'isrc':
           result = metadataService.generateISRC(
-            request.countryCode,
-            request.registrantCode,
+            request.countryCode || codes.isrcCountry,
+            request.registrantCode || codes.isrcRegistrant,
             request.year
           );
           break;
@@ -209,7 +222,7 @@ router.post('/bulk', requireArtist, asyncHandler(async (req, res) => {
           break;
 
         case 'grid':
-          result = metadataService.generateGRID(request.releaseType, request.registrantCode);
+          result = metadataService.generateGRID(request.releaseType, request.registrantCode || codes.isrcRegistrant);
           break;
 
         default:
@@ -246,9 +259,9 @@ router.post('/bulk', requireArtist, asyncHandler(async (req, res) => {
 /**
  * @route GET /api/metadata/track/:trackId
  * @desc Get metadata for a specific track
- * @access Private (Artists only)
+ * @access Private (metadata:manage)
  */
-router.get('/track/:trackId', requireArtist, asyncHandler(async (req, res) => {
+router.get('/track/:trackId', authorize('metadata:manage'), asyncHandler(async (req, res) => {
   const { trackId } = req.params;
 
   // Get track data
@@ -302,9 +315,9 @@ router.get('/track/:trackId', requireArtist, asyncHandler(async (req, res) => {
 /**
  * @route PUT /api/metadata/track/:trackId
  * @desc Update metadata for a specific track
- * @access Private (Artists only)
+ * @access Private (metadata:manage)
  */
-router.put('/track/:trackId', requireArtist, asyncHandler(async (req, res) => {
+router.put('/track/:trackId', authorize('metadata:manage'), asyncHandler(async (req, res) => {
   const { trackId } = req.params;
   const metadataUpdates = req.body;
 
@@ -367,9 +380,9 @@ router.put('/track/:trackId', requireArtist, asyncHandler(async (req, res) => {
 /**
  * @route POST /api/metadata/auto-generate/:trackId
  * @desc Auto-generate missing metadata for a track
- * @access Private (Artists only)
+ * @access Private (metadata:manage)
  */
-router.post('/auto-generate/:trackId', requireArtist, asyncHandler(async (req, res) => {
+router.post('/auto-generate/:trackId', authorize('metadata:manage'), asyncHandler(async (req, res) => {
   const { trackId } = req.params;
   const { countryCode, registrantCode } = req.body;
 
@@ -396,9 +409,10 @@ router.post('/auto-generate/:trackId', requireArtist, asyncHandler(async (req, r
 
   // Generate ISRC if missing
   if (!track.metadata?.isrc) {
+    const { codes = {} } = await organizationService.getForRecord(track);
     generatedMetadata.isrc = metadataService.generateISRC(
-      countryCode || 'US',
-      registrantCode || 'MBR'
+      countryCode || codes.isrcCountry,
+      registrantCode || codes.isrcRegistrant
     );
   }
 
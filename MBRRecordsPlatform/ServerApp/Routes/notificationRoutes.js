@@ -0,0 +1,215 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken } = require('../Middleware/authMiddleware');
+const { asyncHandler } = require('../Middleware/errorHandler');
+const notificationService = require('../Services/notificationService');
+const pushService = require('../Services/pushService');
+
+router.use(authenticateToken);
+
+/**
+ * @route   GET /api/notifications
+ * @desc    Get the current user's notifications
+ * @access  Private
+ */
+router.get('/', asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+  const { notifications, total, unreadCount } = await notificationService.getNotifications(req.user._id, {
+    page,
+    limit,
+    unreadOnly: req.query.unread === 'true'
+  });
+
+  res.json({
+    success: true,
+    data: {
+      notifications,
+      unreadCount,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalNotifications: total,
+        hasMore: page < Math.ceil(total / limit)
+      }
+    }
+  });
+}));
+
+/**
+ * @route   GET /api/notifications/unread-count
+ * @desc    Get the number of unread notifications
+ * @access  Private
+ */
+router.get('/unread-count', asyncHandler(async (req, res) => {
+  const unreadCount = await notificationService.getUnreadCount(req.user._id);
+
+  res.json({
+    success: true,
+    data: { unreadCount }
+  });
+}));
+
+/**
+ * @route   GET /api/notifications/settings
+ * @desc    Get notification settings
+ * @access  Private
+ */
+router.get('/settings', asyncHandler(async (req, res) => {
+  const settings = await notificationService.getSettings(req.user._id);
+
+  res.json({
+    success: true,
+    data: settings
+  });
+}));
+
+/**
+ * @route   PUT /api/notifications/settings
+ * @desc    Turn notification types (and email/push delivery) on or off
+ * @access  Private
+ */
+router.put('/settings', asyncHandler(async (req, res) => {
+  const settings = await notificationService.updateSettings(req.user._id, req.body);
+
+  res.json({
+    success: true,
+    message: 'Notification settings updated',
+    data: settings
+  });
+}));
+
+/**
+ * @route   GET /api/notifications/push/public-key
+ * @desc    Get the VAPID public key for PushManager.subscribe()
+ * @access  Private
+ */
+router.get('/push/public-key', (req, res) => {
+  res.json({
+    success: true,
+    data: { publicKey: pushService.getPublicKey() }
+  });
+});
+
+/**
+ * @route   GET /api/notifications/push/subscriptions
+ * @desc    List this user's push-enabled devices
+ * @access  Private
+ */
+router.get('/push/subscriptions', asyncHandler(async (req, res) => {
+  const subscriptions = await pushService.getSubscriptions(req.user._id);
+
+  res.json({
+    success: true,
+    data: subscriptions
+  });
+}));
+
+/**
+ * @route   POST /api/notifications/push/subscriptions
+ * @desc    Register a browser push subscription
+ * @access  Private
+ */
+router.post('/push/subscriptions', asyncHandler(async (req, res) => {
+  const { subscription, deviceId } = req.body;
+
+  const saved = await pushService.subscribe(req.user._id, subscription, {
+    deviceId,
+    userAgent: req.get('User-Agent')
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Push notifications enabled for this device',
+    data: { id: saved._id, endpoint: saved.endpoint }
+  });
+}));
+
+/**
+ * @route   DELETE /api/notifications/push/subscriptions
+ * @desc    Remove a browser push subscription
+ * @access  Private
+ */
+router.delete('/push/subscriptions', asyncHandler(async (req, res) => {
+  const { endpoint } = req.body;
+
+  if (!endpoint) {
+    return res.status(400).json({
+      success: false,
+      message: 'Subscription endpoint is required'
+    });
+  }
+
+  const removed = await pushService.unsubscribe(req.user._id, endpoint);
+
+  res.json({
+    success: true,
+    message: removed ? 'Push notifications disabled for this device' : 'Subscription not found',
+    data: { removed }
+  });
+}));
+
+/**
+ * @route   POST /api/notifications/push/test
+ * @desc    Send a test push to all of this user's devices
+ * @access  Private
+ */
+router.post('/push/test', asyncHandler(async (req, res) => {
+  const result = await pushService.sendToUser(req.user._id, {
+    title: 'Test notification',
+    body: 'Push notifications are working on this device.',
+    url: '/',
+    tag: 'test'
+  });
+
+  res.json({
+    success: true,
+    data: result
+  });
+}));
+
+/**
+ * @route   PUT /api/notifications/read-all
+ * @desc    Mark all notifications as read
+ * @access  Private
+ */
+router.put('/read-all', asyncHandler(async (req, res) => {
+  const updated = await notificationService.markAllAsRead(req.user._id);
+
+  res.json({
+    success: true,
+    message: `${updated} notification(s) marked as read`,
+    data: { updated }
+  });
+}));
+
+/**
+ * @route   PUT /api/notifications/:id/read
+ * @desc    Mark a notification as read
+ * @access  Private
+ */
+router.put('/:id/read', asyncHandler(async (req, res) => {
+  const notification = await notificationService.markAsRead(req.user._id, req.params.id);
+
+  res.json({
+    success: true,
+    data: notification
+  });
+}));
+
+/**
+ * @route   DELETE /api/notifications/:id
+ * @desc    Delete a notification
+ * @access  Private
+ */
+router.delete('/:id', asyncHandler(async (req, res) => {
+  await notificationService.deleteNotification(req.user._id, req.params.id);
+
+  res.json({
+    success: true,
+    message: 'Notification deleted'
+  });
+}));
+
+module.exports = router;
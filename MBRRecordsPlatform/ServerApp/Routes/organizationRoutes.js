@@ -0,0 +1,273 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const { authenticateToken, requireStaff, requireTwoFactor } = require('../Middleware/authMiddleware');
+const { asyncHandler } = require('../Middleware/errorHandler');
+const Organization = require('../Models/Organization');
+const Membership = require('../Models/Membership');
+const organizationService = require('../Services/organizationService');
+const permissionService = require('../Services/permissionService');
+const distributionService = require('../Services/distributionService');
+
+router.use(authenticateToken);
+
+/**
+ * Load the organization in :id and the caller's membership of it. Only
+ * members and holders of organizations:manage get past this.
+ */
+const loadOrganization = asyncHandler(async (req, res, next) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return res.status(404).json({ success: false, message: 'Organization not found' });
+  }
+
+  const [organization, membership] = await Promise.all([
+    Organization.findById(req.params.id).select('+distributionCredentials'),
+    Membership.findOne({ organization: req.params.id, user: req.user._id }).lean()
+  ]);
+
+  const permissions = await permissionService.getPermissions(req.user, membership);
+  if (!organization || (!membership && !permissions.has('organizations:manage'))) {
+    return res.status(404).json({ success: false, message: 'Organization not found' });
+  }
+
+  req.targetOrganization = organization;
+  req.targetMembership = membership;
+  req.targetPermissions = permissions;
+  next();
+});
+
+/**
+ * Permission check against the caller's roles in the :id organization
+ * (rather than the one the request works in), plus the admin 2FA policy
+ */
+const requireOrganizationPermission = (permission) => [
+  loadOrganization,
+  (req, res, next) => {
+    if (req.targetPermissions.has(permission) || req.targetPermissions.has('organizations:manage')) {
+      return next();
+    }
+
+    res.status(403).json({
+      success: false,
+      message: 'Insufficient permissions.',
+      required: [permission]
+    });
+  },
+  requireTwoFactor('admin')
+];
+
+const describe = (organization, { withCredentials = false } = {}) => {
+  const { distributionCredentials, ...data } = organization.toObject();
+  return withCredentials
+    ? { ...data, distributionCredentials: organizationService.listDistributionCredentials(organization) }
+    : data;
+};
+
+/**
+ * @route   GET /api/organizations
+ * @desc    Organizations the user belongs to (all of them for organizations:manage)
+ * @access  Private
+ */
+router.get('/', asyncHandler(async (req, res) => {
+  const organizations = await organizationService.getOrganizationsForUser(req.user);
+
+  res.json({
+    success: true,
+    data: {
+      organizations,
+      current: req.organization?._id || null,
+      crossOrganization: Boolean(req.crossOrganization)
+    }
+  });
+}));
+
+/**
+ * @route   POST /api/organizations
+ * @desc    Create a label, imprint or sub-label; the creator becomes its manager
+ * @access  Private (organizations:manage)
+ */
+router.post('/', requireStaff('organizations:manage'), asyncHandler(async (req, res) => {
+  const { name, slug, type, parent, codes, contactEmail } = req.body;
+
+  if (!name || !slug) {
+    return res.status(400).json({
+      success: false,
+      message: 'Organization name and slug are required'
+    });
+  }
+
+  const organization = await organizationService.createOrganization(
+    { name, slug, type, parent, codes, contactEmail },
+    req.user._id
+  );
+
+  res.status(201).json({
+    success: true,
+    message: 'Organization created successfully',
+    data: describe(organization)
+  });
+}));
+
+/**
+ * @route   GET /api/organizations/:id
+ * @desc    Get an organization; settings holders also see which credentials are stored
+ * @access  Private (Members)
+ */
+router.get('/:id', loadOrganization, asyncHandler(async (req, res) => {
+  const withCredentials = req.targetPermissions.has('organization:settings') ||
+    req.targetPermissions.has('organizations:manage');
+
+  res.json({
+    success: true,
+    data: {
+      ...describe(req.targetOrganization, { withCredentials }),
+      roles: req.targetMembership?.roles || []
+    }
+  });
+}));
+
+/**
+ * @route   PUT /api/organizations/:id
+ * @desc    Update name, contact email, ISRC/contract codes or active state
+ * @access  Private (organization:settings)
+ */
+router.put('/:id', requireOrganizationPermission('organization:settings'), asyncHandler(async (req, res) => {
+  const { name, codes, contactEmail, isActive } = req.body;
+
+  // Deactivating cuts everyone off, so it's for platform staff only
+  if (isActive !== undefined && !req.targetPermissions.has('organizations:manage')) {
+    return res.status(403).json({
+      success: false,
+      message: 'Only platform staff can activate or deactivate organizations'
+    });
+  }
+
+  const organization = await organizationService.updateOrganization(req.params.id, {
+    name,
+    codes,
+    contactEmail,
+    isActive
+  });
+
+  res.json({
+    success: true,
+    message: 'Organization updated successfully',
+    data: describe(organization)
+  });
+}));
+
+/**
+ * @route   GET /api/organizations/:id/members
+ * @desc    Members and their roles in the organization
+ * @access  Private (organization:members)
+ */
+router.get('/:id/members', requireOrganizationPermission('organization:members'), asyncHandler(async (req, res) => {
+  const members = await organizationService.getMembers(req.params.id);
+
+  res.json({
+    success: true,
+    data: members
+  });
+}));
+
+/**
+ * @route   PUT /api/organizations/:id/members/:userId
+ * @desc    Add a member or set their roles ({ roles: [...] })
+ * @access  Private (organization:members)
+ */
+router.put('/:id/members/:userId', requireOrganizationPermission('organization:members'), asyncHandler(async (req, res) => {
+  if (req.params.userId === req.user._id.toString()) {
+    return res.status(400).json({
+      success: false,
+      message: 'You cannot change your own membership'
+    });
+  }
+
+  const membership = await organizationService.setMember(
+    req.params.id,
+    req.params.userId,
+    req.body.roles || [],
+    req.user,
+    req.targetMembership
+  );
+
+  res.json({
+    success: true,
+    message: 'Membership updated',
+    data: membership
+  });
+}));
+
+/**
+ * @route   DELETE /api/organizations/:id/members/:userId
+ * @desc    Remove a member from the organization
+ * @access  Private (organization:members)
+ */
+router.delete('/:id/members/:userId', requireOrganizationPermission('organization:members'), asyncHandler(async (req, res) => {
+  if (req.params.userId === req.user._id.toString()) {
+    return res.status(400).json({
+      success: false,
+      message: 'You cannot remove yourself'
+    });
+  }
+
+  await organizationService.removeMember(req.params.id, req.params.userId, req.user, req.targetMembership);
+
+  res.json({
+    success: true,
+    message: 'Member removed'
+  });
+}));
+
+/**
+ * @route   PUT /api/organizations/:id/distribution/:provider
+ * @desc    Store the organization's credentials for a store or distribution partner
+ * @access  Private (organization:settings)
+ */
+router.put('/:id/distribution/:provider', requireOrganizationPermission('organization:settings'), asyncHandler(async (req, res) => {
+  const { provider } = req.params;
+  const fields = distributionService.getCredentialFields(provider);
+
+  if (!fields) {
+    return res.status(400).json({
+      success: false,
+      message: `Unsupported platform or partner: ${provider}`
+    });
+  }
+
+  const credentials = req.body.credentials || {};
+  const unknown = Object.keys(credentials).filter(key => !fields.includes(key));
+  const missing = fields.filter(key => !credentials[key]);
+
+  if (unknown.length > 0 || missing.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: `${provider} credentials need exactly: ${fields.join(', ')}`
+    });
+  }
+
+  const stored = await organizationService.setDistributionCredentials(req.params.id, provider, credentials, req.user._id);
+
+  res.json({
+    success: true,
+    message: `${provider} credentials saved`,
+    data: stored
+  });
+}));
+
+/**
+ * @route   DELETE /api/organizations/:id/distribution/:provider
+ * @desc    Remove stored credentials; the platform-wide ones apply again
+ * @access  Private (organization:settings)
+ */
+router.delete('/:id/distribution/:provider', requireOrganizationPermission('organization:settings'), asyncHandler(async (req, res) => {
+  const stored = await organizationService.setDistributionCredentials(req.params.id, req.params.provider, null, req.user._id);
+
+  res.json({
+    success: true,
+    message: `${req.params.provider} credentials removed`,
+    data: stored
+  });
+}));
+
+module.exports = router;
@@ -0,0 +1,518 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const { authenticateToken, optionalAuth, hasPermission } = require('../Middleware/authMiddleware');
+const { asyncHandler } = require('../Middleware/errorHandler');
+const Playlist = require('../Models/Playlist');
+const Track = require('../Models/Track');
+const User = require('../Models/User');
+const notificationService = require('../Services/notificationService');
+
+const TRACK_FIELDS = 'title artist duration genre artwork audioFile.url audioFile.duration pricing availability';
+
+/**
+ * Load a playlist and make sure the caller may edit it
+ */
+const loadEditablePlaylist = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(404).json({ success: false, message: 'Playlist not found' });
+    return null;
+  }
+
+  const playlist = await Playlist.findById(req.params.id);
+
+  if (!playlist) {
+    res.status(404).json({ success: false, message: 'Playlist not found' });
+    return null;
+  }
+
+  if (!playlist.canEdit(req.user._id)) {
+    res.status(403).json({ success: false, message: 'You cannot modify this playlist' });
+    return null;
+  }
+
+  return playlist;
+};
+
+/**
+ * @route   GET /api/playlists
+ * @desc    Get playlists the user owns or collaborates on
+ * @access  Private
+ */
+router.get('/',
+  authenticateToken,
+  asyncHandler(async (req, res) => {
+    const playlists = await Playlist.findUserPlaylists(req.user._id);
+
+    res.json({
+      success: true,
+      data: playlists
+    });
+  })
+);
+
+/**
+ * @route   GET /api/playlists/public
+ * @desc    Browse public playlists
+ * @access  Public
+ */
+router.get('/public', asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = Math.min(parseInt(req.query.limit) || 20, 50);
+  const skip = (page - 1) * limit;
+
+  const filter = { privacy: 'public' };
+  if (req.query.search) {
+    filter.$text = { $search: req.query.search };
+  }
+
+  const [playlists, total] = await Promise.all([
+    Playlist.find(filter)
+      .populate('owner', 'name avatar')
+      .sort({ 'stats.likes': -1, updatedAt: -1 })
+      .skip(skip)
+      .limit(limit),
+    Playlist.countDocuments(filter)
+  ]);
+
+  res.json({
+    success: true,
+    data: {
+      playlists,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalPlaylists: total,
+        hasMore: page < Math.ceil(total / limit)
+      }
+    }
+  });
+}));
+
+/**
+ * @route   POST /api/playlists
+ * @desc    Create a playlist (optionally seeded with tracks, e.g. from the player queue)
+ * @access  Private
+ */
+router.post('/',
+  authenticateToken,
+  asyncHandler(async (req, res) => {
+    const { name, description, privacy, artwork, tags, trackIds = [] } = req.body;
+
+    if (!name || !name.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Playlist name is required'
+      });
+    }
+
+    if (privacy && !['public', 'private', 'friends'].includes(privacy)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid privacy setting'
+      });
+    }
+
+    // Only keep tracks that actually exist, preserving the requested order
+    const validIds = trackIds.filter(id => mongoose.Types.ObjectId.isValid(id));
+    const existing = await Track.find({ _id: { $in: validIds } }).select('_id').lean();
+    const existingIds = new Set(existing.map(track => track._id.toString()));
+
+    const playlist = await Playlist.create({
+      name,
+      description,
+      privacy,
+      artwork,
+      tags,
+      owner: req.user._id,
+      tracks: validIds
+        .filter(id => existingIds.has(id.toString()))
+        .map(id => ({ track: id, addedBy: req.user._id }))
+    });
+
+    await User.findByIdAndUpdate(req.user._id, { $inc: { 'stats.totalPlaylists': 1 } });
+
+    if (playlist.tracks.length > 0) {
+      await Track.updateMany(
+        { _id: { $in: playlist.tracks.map(item => item.track) } },
+        { $inc: { 'stats.playlists': 1 } }
+      );
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Playlist created successfully',
+      data: playlist
+    });
+  })
+);
+
+/**
+ * @route   GET /api/playlists/:id
+ * @desc    Get playlist with its ordered tracks
+ * @access  Public (subject to playlist privacy)
+ */
+router.get('/:id',
+  optionalAuth,
+  asyncHandler(async (req, res) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ success: false, message: 'Playlist not found' });
+    }
+
+    const playlist = await Playlist.findById(req.params.id)
+      .populate('owner', 'name avatar followers following')
+      .populate('collaborators.user', 'name avatar')
+      .populate({
+        path: 'tracks.track',
+        select: TRACK_FIELDS,
+        populate: { path: 'artist', select: 'name avatar' }
+      });
+
+    if (!playlist) {
+      return res.status(404).json({ success: false, message: 'Playlist not found' });
+    }
+
+    if (!playlist.canView(req.user, playlist.owner) && !(req.user && await hasPermission(req, 'playlists:manage'))) {
+      return res.status(403).json({
+        success: false,
+        message: 'This playlist is private'
+      });
+    }
+
+    const data = playlist.toJSON();
+    // Drop tracks that have since been deleted and don't leak the owner's social graph
+    data.tracks = data.tracks.filter(item => item.track);
+    delete data.owner.followers;
+    delete data.owner.following;
+    data.isLiked = req.user ? playlist.likes.some(id => id.toString() === req.user._id.toString()) : false;
+    data.canEdit = req.user ? playlist.canEdit(req.user._id) : false;
+
+    res.json({
+      success: true,
+      data
+    });
+  })
+);
+
+/**
+ * @route   PUT /api/playlists/:id
+ * @desc    Update playlist details or replace its track order
+ * @access  Private (Owner or collaborators)
+ */
+router.put('/:id',
+  authenticateToken,
+  asyncHandler(async (req, res) => {
+    const playlist = await loadEditablePlaylist(req, res);
+    if (!playlist) return;
+
+    const { name, description, privacy, artwork, tags, trackIds } = req.body;
+    const isOwner = playlist.isOwner(req.user._id);
+
+    // Privacy and metadata stay with the owner; collaborators only curate tracks
+    if (isOwner) {
+      if (privacy !== undefined) {
+        if (!['public', 'private', 'friends'].includes(privacy)) {
+          return res.status(400).json({ success: false, message: 'Invalid privacy setting' });
+        }
+        playlist.privacy = privacy;
+      }
+      if (name !== undefined) playlist.name = name;
+      if (description !== undefined) playlist.description = description;
+      if (artwork !== undefined) playlist.artwork = artwork;
+      if (tags !== undefined) playlist.tags = tags;
+    }
+
+    // Replace the track list (reorder, or save a player queue over the playlist)
+    let added = [];
+    let removed = [];
+    if (Array.isArray(trackIds)) {
+      const requested = [...new Set(trackIds.map(String))]
+        .filter(id => mongoose.Types.ObjectId.isValid(id));
+      const existing = await Track.find({ _id: { $in: requested } }).select('_id').lean();
+      const existingIds = new Set(existing.map(track => track._id.toString()));
+      const current = new Map(playlist.tracks.map(item => [item.track.toString(), item]));
+
+      // Keep addedBy/addedAt for tracks that were already in the playlist
+      playlist.tracks = requested
+        .filter(id => existingIds.has(id))
+        .map(id => current.get(id) || { track: id, addedBy: req.user._id, addedAt: new Date() });
+
+      const next = new Set(playlist.tracks.map(item => item.track.toString()));
+      added = [...next].filter(id => !current.has(id));
+      removed = [...current.keys()].filter(id => !next.has(id));
+    }
+
+    await playlist.save();
+
+    if (added.length > 0) {
+      await Track.updateMany({ _id: { $in: added } }, { $inc: { 'stats.playlists': 1 } });
+    }
+    if (removed.length > 0) {
+      await Track.updateMany({ _id: { $in: removed } }, { $inc: { 'stats.playlists': -1 } });
+    }
+
+    res.json({
+      success: true,
+      message: 'Playlist updated successfully',
+      data: playlist
+    });
+  })
+);
+
+/**
+ * @route   DELETE /api/playlists/:id
+ * @desc    Delete playlist
+ * @access  Private (Owner only)
+ */
+router.delete('/:id',
+  authenticateToken,
+  asyncHandler(async (req, res) => {
+    const playlist = await loadEditablePlaylist(req, res);
+    if (!playlist) return;
+
+    if (!playlist.isOwner(req.user._id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the owner can delete this playlist'
+      });
+    }
+
+    await Playlist.findByIdAndDelete(playlist._id);
+
+    await User.findByIdAndUpdate(playlist.owner, { $inc: { 'stats.totalPlaylists': -1 } });
+
+    if (playlist.tracks.length > 0) {
+      await Track.updateMany(
+        { _id: { $in: playlist.tracks.map(item => item.track) } },
+        { $inc: { 'stats.playlists': -1 } }
+      );
+    }
+
+    res.json({
+      success: true,
+      message: 'Playlist deleted successfully'
+    });
+  })
+);
+
+/**
+ * @route   POST /api/playlists/:id/tracks
+ * @desc    Add track to playlist (appends unless a position is given)
+ * @access  Private (Owner or collaborators)
+ */
+router.post('/:id/tracks',
+  authenticateToken,
+  asyncHandler(async (req, res) => {
+    const { trackId, position } = req.body;
+
+    if (!trackId || !mongoose.Types.ObjectId.isValid(trackId)) {
+      return res.status(400).json({ success: false, message: 'Valid trackId is required' });
+    }
+
+    const playlist = await loadEditablePlaylist(req, res);
+    if (!playlist) return;
+
+    const track = await Track.findById(trackId).select('_id');
+    if (!track) {
+      return res.status(404).json({ success: false, message: 'Track not found' });
+    }
+
+    if (playlist.hasTrack(trackId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Track is already in this playlist'
+      });
+    }
+
+    await playlist.addTrack(track._id, req.user._id, position !== undefined ? parseInt(position) : null);
+    await Track.findByIdAndUpdate(track._id, { $inc: { 'stats.playlists': 1 } });
+
+    res.json({
+      success: true,
+      message: 'Track added to playlist',
+      data: playlist
+    });
+  })
+);
+
+/**
+ * @route   DELETE /api/playlists/:id/tracks/:trackId
+ * @desc    Remove track from playlist
+ * @access  Private (Owner or collaborators)
+ */
+router.delete('/:id/tracks/:trackId',
+  authenticateToken,
+  asyncHandler(async (req, res) => {
+    const playlist = await loadEditablePlaylist(req, res);
+    if (!playlist) return;
+
+    if (!playlist.hasTrack(req.params.trackId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Track is not in this playlist'
+      });
+    }
+
+    await playlist.removeTrack(req.params.trackId);
+    await Track.findByIdAndUpdate(req.params.trackId, { $inc: { 'stats.playlists': -1 } });
+
+    res.json({
+      success: true,
+      message: 'Track removed from playlist',
+      data: playlist
+    });
+  })
+);
+
+/**
+ * @route   PUT /api/playlists/:id/tracks/move
+ * @desc    Move a single track to a new position
+ * @access  Private (Owner or collaborators)
+ */
+router.put('/:id/tracks/move',
+  authenticateToken,
+  asyncHandler(async (req, res) => {
+    const from = parseInt(req.body.from);
+    const to = parseInt(req.body.to);
+
+    if (Number.isNaN(from) || Number.isNaN(to)) {
+      return res.status(400).json({ success: false, message: 'from and to positions are required' });
+    }
+
+    const playlist = await loadEditablePlaylist(req, res);
+    if (!playlist) return;
+
+    await playlist.moveTrack(from, to);
+
+    res.json({
+      success: true,
+      message: 'Playlist order updated',
+      data: playlist
+    });
+  })
+);
+
+/**
+ * @route   POST /api/playlists/:id/collaborators
+ * @desc    Add collaborator to playlist
+ * @access  Private (Owner only)
+ */
+router.post('/:id/collaborators',
+  authenticateToken,
+  asyncHandler(async (req, res) => {
+    const { userId } = req.body;
+
+    const playlist = await loadEditablePlaylist(req, res);
+    if (!playlist) return;
+
+    if (!playlist.isOwner(req.user._id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the owner can manage collaborators'
+      });
+    }
+
+    if (!userId || !mongoose.Types.ObjectId.isValid(userId) || !(await User.exists({ _id: userId }))) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    await playlist.addCollaborator(userId, req.user._id);
+
+    res.json({
+      success: true,
+      message: 'Collaborator added',
+      data: playlist
+    });
+  })
+);
+
+/**
+ * @route   DELETE /api/playlists/:id/collaborators/:userId
+ * @desc    Remove collaborator (owners remove anyone, collaborators can leave)
+ * @access  Private
+ */
+router.delete('/:id/collaborators/:userId',
+  authenticateToken,
+  asyncHandler(async (req, res) => {
+    const playlist = await loadEditablePlaylist(req, res);
+    if (!playlist) return;
+
+    const isSelf = req.params.userId === req.user._id.toString();
+    if (!playlist.isOwner(req.user._id) && !isSelf) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the owner can manage collaborators'
+      });
+    }
+
+    await playlist.removeCollaborator(req.params.userId);
+
+    res.json({
+      success: true,
+      message: 'Collaborator removed',
+      data: playlist
+    });
+  })
+);
+
+/**
+ * @route   POST /api/playlists/:id/like
+ * @desc    Like playlist
+ * @access  Private
+ */
+router.post('/:id/like',
+  authenticateToken,
+  asyncHandler(async (req, res) => {
+    const playlist = await Playlist.findById(req.params.id).populate('owner', 'followers following');
+
+    if (!playlist || (!playlist.canView(req.user, playlist.owner) && !(await hasPermission(req, 'playlists:manage')))) {
+      return res.status(404).json({ success: false, message: 'Playlist not found' });
+    }
+
+    const alreadyLiked = playlist.likes.some(id => id.toString() === req.user._id.toString());
+    await playlist.like(req.user._id);
+
+    if (!alreadyLiked) {
+      notificationService.notifySafely(playlist.owner._id, {
+        type: 'like',
+        title: 'New like',
+        message: `${req.user.name} liked your playlist "${playlist.name}"`,
+        actor: req.user._id,
+        entity: { kind: 'playlist', id: playlist._id },
+        link: `/playlists/${playlist._id}`
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Playlist liked',
+      data: { likes: playlist.stats.likes, isLiked: true }
+    });
+  })
+);
+
+/**
+ * @route   DELETE /api/playlists/:id/like
+ * @desc    Unlike playlist
+ * @access  Private
+ */
+router.delete('/:id/like',
+  authenticateToken,
+  asyncHandler(async (req, res) => {
+    const playlist = await Playlist.findById(req.params.id);
+
+    if (!playlist) {
+      return res.status(404).json({ success: false, message: 'Playlist not found' });
+    }
+
+    await playlist.unlike(req.user._id);
+
+    res.json({
+      success: true,
+      message: 'Playlist unliked',
+      data: { likes: playlist.stats.likes, isLiked: false }
+    });
+  })
+);
+
+module.exports = router;
@@ -1,7 +1,14 @@
 const express = require('express');
 const router = express.Router();
-const { authenticateToken, requireArtist } = require('../Middleware/authMiddleware');
+const { authenticateToken, authorize, requireStaff, requireTwoFactor, verifyOwnership } = require('../Middleware/authMiddleware');
+const { uploadMiddleware } = require('../Middleware/fileUpload');
 const royaltyService = require('../Services/royaltyService');
+const ledgerService = require('../Services/ledgerService');
+const statementImportService = require('../Services/statementImportService');
+const RoyaltyCalculation = require('../Models/RoyaltyCalculation');
+const Payment = require('../Models/Payment');
+const StatementImport = require('../Models/StatementImport');
+const organizationService = require('../Services/organizationService');
 const { asyncHandler } = require('../Middleware/errorHandler');
 
 // Apply authentication to all routes
@@ -10,10 +17,10 @@ router.use(authenticateToken);
 /**
  * @route POST /api/royalties/calculate/streaming
  * @desc Calculate streaming royalties for a track
- * @access Private (Artists only)
+ * @access Private (royalties:calculate)
  */
-router.post('/calculate/streaming', requireArtist, asyncHandler(async (req, res) => {
-  const { trackId, platform, streamCount, period } = req.body;
+router.post('/calculate/streaming', requireStaff('royalties:calculate'), asyncHandler(async (req, res) => {
+  const { trackId, platform, streamCount, period, date, territory } = req.body;
 
   if (!trackId || !platform || !streamCount) {
     return res.status(400).json({
@@ -26,7 +33,8 @@ router.post('/calculate/streaming', requireArtist, asyncHandler(async (req, res)
     trackId,
     platform,
     streamCount,
-    period
+    period,
+    { date, territory, scope: organizationService.filterFor(req.organization) }
   );
 
   res.json({
@@ -39,10 +47,10 @@ router.post('/calculate/streaming', requireArtist, asyncHandler(async (req, res)
 /**
  * @route POST /api/royalties/calculate/download
  * @desc Calculate download royalties for a track
- * @access Private (Artists only)
+ * @access Private (royalties:calculate)
  */
-router.post('/calculate/download', requireArtist, asyncHandler(async (req, res) => {
-  const { trackId, platform, downloadCount, pricePerUnit } = req.body;
+router.post('/calculate/download', requireStaff('royalties:calculate'), asyncHandler(async (req, res) => {
+  const { trackId, platform, downloadCount, pricePerUnit, date, territory } = req.body;
 
   if (!trackId || !platform || !downloadCount || !pricePerUnit) {
     return res.status(400).json({
@@ -55,7 +63,8 @@ router.post('/calculate/download', requireArtist, asyncHandler(async (req, res)
     trackId,
     platform,
     downloadCount,
-    pricePerUnit
+    pricePerUnit,
+    { date, territory, scope: organizationService.filterFor(req.organization) }
   );
 
   res.json({
@@ -68,10 +77,10 @@ router.post('/calculate/download', requireArtist, asyncHandler(async (req, res)
 /**
  * @route POST /api/royalties/calculate/licensing
  * @desc Calculate licensing royalties for a track
- * @access Private (Artists only)
+ * @access Private (royalties:calculate)
  */
-router.post('/calculate/licensing', requireArtist, asyncHandler(async (req, res) => {
-  const { trackId, licenseType, licenseFee, territory } = req.body;
+router.post('/calculate/licensing', requireStaff('royalties:calculate'), asyncHandler(async (req, res) => {
+  const { trackId, licenseType, licenseFee, territory, date } = req.body;
 
   if (!trackId || !licenseType || !licenseFee) {
     return res.status(400).json({
@@ -84,7 +93,8 @@ router.post('/calculate/licensing', requireArtist, asyncHandler(async (req, res)
     trackId,
     licenseType,
     licenseFee,
-    territory
+    territory,
+    { date, scope: organizationService.filterFor(req.organization) }
   );
 
   res.json({
@@ -97,9 +107,9 @@ router.post('/calculate/licensing', requireArtist, asyncHandler(async (req, res)
 /**
  * @route GET /api/royalties/report
  * @desc Generate comprehensive royalty report
- * @access Private (Artists only)
+ * @access Private (royalties:view)
  */
-router.get('/report', requireArtist, asyncHandler(async (req, res) => {
+router.get('/report', authorize('royalties:view'), asyncHandler(async (req, res) => {
   const { period, startDate, endDate } = req.query;
 
   const report = await royaltyService.generateRoyaltyReport(
@@ -117,13 +127,13 @@ router.get('/report', requireArtist, asyncHandler(async (req, res) => {
 
 /**
  * @route POST /api/royalties/payment
- * @desc Process royalty payment
- * @access Private (Artists only)
+ * @desc Request a payout from the ledger balance (defaults to the full balance)
+ * @access Private (royalties:payout)
  */
-router.post('/payment', requireArtist, asyncHandler(async (req, res) => {
+router.post('/payment', authorize('royalties:payout'), requireTwoFactor('payouts'), asyncHandler(async (req, res) => {
   const { amount, paymentMethod } = req.body;
 
-  if (!amount || amount <= 0) {
+  if (amount !== undefined && amount !== null && !(Number(amount) > 0)) {
     return res.status(400).json({
       success: false,
       message: 'Valid payment amount is required'
@@ -139,16 +149,55 @@ router.post('/payment', requireArtist, asyncHandler(async (req, res) => {
   res.json({
     success: true,
     message: 'Payment processed successfully',
-    data: payment
+    data: {
+      payment,
+      balance: await ledgerService.getBalanceSummary(req.user._id)
+    }
+  });
+}));
+
+/**
+ * @route GET /api/royalties/balance
+ * @desc Get ledger balance (earned, paid out, available)
+ * @access Private (royalties:view)
+ */
+router.get('/balance', authorize('royalties:view'), asyncHandler(async (req, res) => {
+  const balance = await ledgerService.getBalanceSummary(req.user._id);
+
+  res.json({
+    success: true,
+    data: balance
+  });
+}));
+
+/**
+ * @route GET /api/royalties/ledger
+ * @desc Get ledger statement for the current user
+ * @access Private (royalties:view)
+ */
+router.get('/ledger', authorize('royalties:view'), asyncHandler(async (req, res) => {
+  const { startDate, endDate, kind, page = 1, limit = 50 } = req.query;
+
+  const statement = await ledgerService.getStatement(req.user._id, {
+    startDate,
+    endDate,
+    kind,
+    page: parseInt(page),
+    limit: Math.min(parseInt(limit) || 50, 200)
+  });
+
+  res.json({
+    success: true,
+    data: statement
   });
 }));
 
 /**
  * @route GET /api/royalties/analytics
  * @desc Get revenue analytics
- * @access Private (Artists only)
+ * @access Private (royalties:view)
  */
-router.get('/analytics', requireArtist, asyncHandler(async (req, res) => {
+router.get('/analytics', authorize('royalties:view'), asyncHandler(async (req, res) => {
   const { timeframe } = req.query;
 
   const analytics = await royaltyService.getRevenueAnalytics(
@@ -165,31 +214,13 @@ router.get('/analytics', requireArtist, asyncHandler(async (req, res) => {
 /**
  * @route GET /api/royalties/track/:trackId
  * @desc Get royalty history for a specific track
- * @access Private (Artists only)
+ * @access Private (Track owner, or their team with royalties:view)
  */
-router.get('/track/:trackId', requireArtist, asyncHandler(async (req, res) => {
+router.get('/track/:trackId', verifyOwnership('Track', { param: 'trackId', permission: 'royalties:view' }), authorize('royalties:view'), asyncHandler(async (req, res) => {
   const { trackId } = req.params;
-
-  // Verify track ownership
-  const Track = require('../Models/Track');
-  const track = await Track.findById(trackId);
-
-  if (!track) {
-    return res.status(404).json({
-      success: false,
-      message: 'Track not found'
-    });
-  }
-
-  if (track.artist.toString() !== req.user._id.toString()) {
-    return res.status(403).json({
-      success: false,
-      message: 'You can only view royalties for your own tracks'
-    });
-  }
+  const track = req.item;
 
   // Get royalty calculations for this track
-  const RoyaltyCalculation = require('mongoose').model('RoyaltyCalculation');
   const royalties = await RoyaltyCalculation.find({ trackId })
     .sort({ calculatedAt: -1 })
     .limit(100);
@@ -197,11 +228,13 @@ router.get('/track/:trackId', requireArtist, asyncHandler(async (req, res) => {
   // Calculate totals
   const totals = royalties.reduce((acc, royalty) => {
     acc.totalRevenue += royalty.netRevenue || 0;
+    acc.yourShare += royalty.getShareFor(req.user._id);
     acc.totalStreams += royalty.streams || 0;
     acc.totalDownloads += royalty.downloads || 0;
     return acc;
   }, {
     totalRevenue: 0,
+    yourShare: 0,
     totalStreams: 0,
     totalDownloads: 0
   });
@@ -222,12 +255,11 @@ router.get('/track/:trackId', requireArtist, asyncHandler(async (req, res) => {
 /**
  * @route GET /api/royalties/payments
  * @desc Get payment history
- * @access Private (Artists only)
+ * @access Private (royalties:view)
  */
-router.get('/payments', requireArtist, asyncHandler(async (req, res) => {
+router.get('/payments', authorize('royalties:view'), asyncHandler(async (req, res) => {
   const { page = 1, limit = 20 } = req.query;
 
-  const Payment = require('mongoose').model('Payment');
   const payments = await Payment.find({ userId: req.user._id })
     .sort({ initiatedAt: -1 })
     .limit(limit * 1)
@@ -239,6 +271,7 @@ router.get('/payments', requireArtist, asyncHandler(async (req, res) => {
     success: true,
     data: {
       payments,
+      balance: await ledgerService.getBalanceSummary(req.user._id),
       pagination: {
         page: parseInt(page),
         limit: parseInt(limit),
@@ -270,9 +303,9 @@ router.get('/rates', asyncHandler(async (req, res) => {
 /**
  * @route POST /api/royalties/bulk-calculate
  * @desc Bulk calculate royalties for multiple tracks/platforms
- * @access Private (Artists only)
+ * @access Private (royalties:calculate)
  */
-router.post('/bulk-calculate', requireArtist, asyncHandler(async (req, res) => {
+router.post('/bulk-calculate', requireStaff('royalties:calculate'), asyncHandler(async (req, res) => {
   const { calculations } = req.body;
 
   if (!Array.isArray(calculations) || calculations.length === 0) {
@@ -284,6 +317,7 @@ router.post('/bulk-calculate', requireArtist, asyncHandler(async (req, res) => {
 
   const results = [];
   const errors = [];
+  const scope = organizationService.filterFor(req.organization);
 
   for (const calc of calculations) {
     try {
@@ -295,7 +329,8 @@ router.post('/bulk-calculate', requireArtist, asyncHandler(async (req, res) => {
             calc.trackId,
             calc.platform,
             calc.streamCount,
-            calc.period
+            calc.period,
+            { date: calc.date, territory: calc.territory, scope }
           );
           break;
 
@@ -304,7 +339,8 @@ router.post('/bulk-calculate', requireArtist, asyncHandler(async (req, res) => {
             calc.trackId,
             calc.platform,
             calc.downloadCount,
-            calc.pricePerUnit
+            calc.pricePerUnit,
+            { date: calc.date, territory: calc.territory, scope }
           );
           break;
 
@@ -313,7 +349,8 @@ router.post('/bulk-calculate', requireArtist, asyncHandler(async (req, res) => {
             calc.trackId,
             calc.licenseType,
             calc.licenseFee,
-            calc.territory
+            calc.territory,
+            { date: calc.date, scope }
           );
           break;
 
@@ -345,4 +382,97 @@ router.post('/bulk-calculate', requireArtist, asyncHandler(async (req, res) => {
   });
 }));
 
+/**
+ * @route GET /api/royalties/statements/sources
+ * @desc List supported distributor statement formats
+ * @access Private (royalties:import)
+ */
+router.get('/statements/sources', requireStaff('royalties:import'), asyncHandler(async (req, res) => {
+  res.json({
+    success: true,
+    data: statementImportService.getSources()
+  });
+}));
+
+/**
+ * @route POST /api/royalties/statements/import
+ * @desc Import a distributor statement file (multipart field "statement")
+ * @access Private (royalties:import)
+ */
+router.post('/statements/import', requireStaff('royalties:import'), uploadMiddleware('statement'), asyncHandler(async (req, res) => {
+  const { source } = req.body;
+
+  if (!source || !req.file) {
+    return res.status(400).json({
+      success: false,
+      message: 'Statement source and file are required'
+    });
+  }
+
+  const statementImport = await statementImportService.importStatement({
+    source,
+    content: req.file.buffer,
+    fileName: req.file.originalname,
+    importedBy: req.user._id,
+    organization: await organizationService.withDefault(req.organization)
+  });
+
+  res.status(statementImport.importCount > 1 ? 200 : 201).json({
+    success: true,
+    message: statementImport.importCount > 1
+      ? 'Statement was already imported; only new lines were posted'
+      : 'Statement imported successfully',
+    data: statementImport
+  });
+}));
+
+/**
+ * @route GET /api/royalties/statements
+ * @desc List statement imports
+ * @access Private (royalties:import)
+ */
+router.get('/statements', requireStaff('royalties:import'), asyncHandler(async (req, res) => {
+  const { source, status, page = 1, limit = 20 } = req.query;
+
+  const query = organizationService.filterFor(req.organization);
+  if (source) query.source = source;
+  if (status) query.status = status;
+
+  const imports = await StatementImport.find(query)
+    .select('-unmatchedRows')
+    .populate('importedBy', 'name avatar')
+    .sort({ createdAt: -1 })
+    .limit(limit * 1)
+    .skip((page - 1) * limit);
+
+  const total = await StatementImport.countDocuments(query);
+
+  res.json({
+    success: true,
+    data: {
+      imports,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    }
+  });
+}));
+
+/**
+ * @route GET /api/royalties/statements/:id
+ * @desc Get a statement import with unmatched rows and per-track totals
+ * @access Private (royalties:import)
+ */
+router.get('/statements/:id', requireStaff('royalties:import'), asyncHandler(async (req, res) => {
+  const result = await statementImportService.getImport(req.params.id, req.organization);
+
+  res.json({
+    success: true,
+    data: result
+  });
+}));
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,112 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken } = require('../Middleware/authMiddleware');
+const { asyncHandler } = require('../Middleware/errorHandler');
+const teamService = require('../Services/teamService');
+const permissionService = require('../Services/permissionService');
+const auditService = require('../Services/auditService');
+
+/**
+ * @route   GET /api/team
+ * @desc    Your team (members and open invitations) and the teams you are on
+ * @access  Private
+ */
+router.get('/', authenticateToken, asyncHandler(async (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      ...(await teamService.getTeam(req.user._id)),
+      scopes: teamService.scopes,
+      roles: teamService.roles
+    }
+  });
+}));
+
+/**
+ * @route   POST /api/team/invitations
+ * @desc    Invite a manager, producer or lawyer by email
+ *          ({ email, teamRole, scopes: ['royalties', 'distribution', 'contracts'], note })
+ * @access  Private
+ */
+router.post('/invitations', authenticateToken, asyncHandler(async (req, res) => {
+  const { email, teamRole, scopes, note } = req.body;
+
+  const invitation = await teamService.invite(req.user, { email, teamRole, scopes, note });
+
+  res.status(201).json({
+    success: true,
+    message: `Invitation sent to ${invitation.email}`,
+    data: invitation
+  });
+}));
+
+/**
+ * @route   DELETE /api/team/invitations/:id
+ * @desc    Withdraw an invitation that hasn't been accepted
+ * @access  Private
+ */
+router.delete('/invitations/:id', authenticateToken, asyncHandler(async (req, res) => {
+  await teamService.revokeInvitation(req.params.id, req.user._id);
+
+  res.json({
+    success: true,
+    message: 'Invitation withdrawn'
+  });
+}));
+
+/**
+ * @route   DELETE /api/team/members/:delegationId
+ * @desc    Remove someone from your team, or leave a team you are on
+ * @access  Private
+ */
+router.delete('/members/:delegationId', authenticateToken, asyncHandler(async (req, res) => {
+  await permissionService.revokeDelegation(req.params.delegationId, req.user._id, { userId: req.user._id });
+
+  res.json({
+    success: true,
+    message: 'Removed from team'
+  });
+}));
+
+/**
+ * @route   GET /api/team/audit
+ * @desc    What team members have done on your behalf (?actor=<userId>&page&limit)
+ * @access  Private
+ */
+router.get('/audit', authenticateToken, asyncHandler(async (req, res) => {
+  const { actor, page, limit } = req.query;
+
+  res.json({
+    success: true,
+    data: await auditService.getForPrincipal(req.user._id, { actor, page, limit })
+  });
+}));
+
+/**
+ * @route   GET /api/team/join/:token
+ * @desc    Who sent an invitation and what it grants, for the page the email links to
+ * @access  Public (with valid token)
+ */
+router.get('/join/:token', asyncHandler(async (req, res) => {
+  res.json({
+    success: true,
+    data: await teamService.previewInvitation(req.params.token)
+  });
+}));
+
+/**
+ * @route   POST /api/team/join/:token
+ * @desc    Accept an invitation; you must be signed in with the address it was sent to
+ * @access  Private (with valid token)
+ */
+router.post('/join/:token', authenticateToken, asyncHandler(async (req, res) => {
+  const delegation = await teamService.acceptInvitation(req.params.token, req.user);
+
+  res.json({
+    success: true,
+    message: 'You joined the team',
+    data: delegation
+  });
+}));
+
+module.exports = router;
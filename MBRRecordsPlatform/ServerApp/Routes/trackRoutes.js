@@ -1,10 +1,26 @@
 const express = require('express');
 const router = express.Router();
-const { authenticateToken, requireAdmin, requireArtist } = require('../Middleware/authMiddleware');
+const { authenticateToken, authorize, hasPermission } = require('../Middleware/authMiddleware');
 const { uploadMiddleware, processAudio, processImage, validateFile } = require('../Middleware/fileUpload');
 const { asyncHandler } = require('../Middleware/errorHandler');
 const Track = require('../Models/Track');
 const User = require('../Models/User');
+const License = require('../Models/License');
+const streamingService = require('../Services/streamingService');
+const transcodingService = require('../Services/transcodingService');
+const fingerprintService = require('../Services/fingerprintService');
+const notificationService = require('../Services/notificationService');
+const organizationService = require('../Services/organizationService');
+const permissionService = require('../Services/permissionService');
+
+/**
+ * Catalogue managers of the track's organization
+ */
+const canManageCatalog = async (req, track) =>
+  organizationService.belongsTo(track, req.organization) && hasPermission(req, 'catalog:manage');
+
+// Published tracks, streams and HLS are public across organizations; only
+// managing a track is limited to its organization.
 
 /**
  * @route   GET /api/tracks
@@ -99,11 +115,11 @@ router.get('/:id', asyncHandler(async (req, res) => {
 
   // Check if track is accessible
   if (!track.isPublic && track.status !== 'published') {
-    // Only owner, collaborators, and admins can access private/unpublished tracks
+    // Only owner, collaborators, and catalog managers can access private/unpublished tracks
     if (!req.user || 
         (track.artist.user.toString() !== req.user._id.toString() &&
          !track.collaborators.some(c => c.user.toString() === req.user._id.toString()) &&
-         req.user.role !== 'admin')) {
+         !(await hasPermission(req, 'catalog:manage')))) {
       return res.status(403).json({
         success: false,
         message: 'Access denied to this track'
@@ -111,39 +127,278 @@ router.get('/:id', asyncHandler(async (req, res) => {
     }
   }
 
-  // Increment play count if not the owner
-  if (!req.user || track.artist.user.toString() !== req.user._id.toString()) {
-    await Track.findByIdAndUpdate(req.params.id, {
-      $inc: { 
-        'analytics.totalPlays': 1,
-        'analytics.weeklyPlays': 1,
-        'analytics.monthlyPlays': 1
-      },
-      $push: {
-        'analytics.playHistory': {
-          timestamp: new Date(),
-          userId: req.user?._id,
-          ip: req.ip,
-          userAgent: req.get('User-Agent')
-        }
-      }
-    });
-  }
-
+  // Plays are recorded by the stream route, not on metadata reads
   res.json({
     success: true,
     data: track
   });
 }));
 
+// Players re-request audio on reloads, seeks back to 0 and quality switches;
+// only the first request made under a play license counts as a play.
+const recordLicensedPlay = (license, track, play) => License.updateOne(
+  { licenseId: license.licenseId, 'usage.playRecordedAt': null },
+  { $set: { 'usage.playRecordedAt': new Date() } }
+).then(({ modifiedCount }) => modifiedCount > 0 && track.recordPlay(play))
+  .catch(error => console.error('Failed to record play:', error));
+
+/**
+ * @route   GET /api/tracks/:trackId/stream
+ * @desc    Stream track audio with HTTP Range support. The rendition is
+ *          capped by the listener's plan; without a play license only the
+ *          preview is served. server.js runs optionalAuth ahead of
+ *          drmProtection, so a signed-in listener must match the license.
+ * @access  Public (license via X-License-Key header or ?license=)
+ */
+router.get('/:trackId/stream', asyncHandler(async (req, res) => {
+  const drm = res.locals.drm || { previewOnly: true, previewDuration: 30 };
+
+  const track = await Track.findById(req.params.trackId).select(streamingService.streamFields);
+
+  if (!track) {
+    return res.status(404).json({
+      success: false,
+      message: 'Track not found'
+    });
+  }
+
+  // <audio> elements can't send auth headers, so the license identifies the listener
+  let user = req.user || null;
+  if (!user && drm.license) {
+    user = await User.findById(drm.license.userId).select('-password');
+  }
+
+  const isOwner = !!user && track.artist.toString() === user._id.toString();
+
+  if (!track.isAvailable() && !isOwner && !(user && await permissionService.can(user, 'catalog:manage'))) {
+    return res.status(403).json({
+      success: false,
+      message: 'Track is not available'
+    });
+  }
+
+  const rendition = drm.previewOnly
+    ? await streamingService.getPreview(track, drm.previewDuration)
+    : await streamingService.selectRendition(track, user, req.query.quality);
+
+  const size = rendition.size;
+  const range = streamingService.parseRange(req.headers.range, size);
+
+  if (range?.unsatisfiable) {
+    res.set('Content-Range', `bytes */${size}`);
+    return res.status(416).json({
+      success: false,
+      message: 'Requested range not satisfiable'
+    });
+  }
+
+  const start = range ? range.start : 0;
+  const end = range ? range.end : size - 1;
+
+  res.status(range ? 206 : 200);
+  res.set({
+    'Accept-Ranges': 'bytes',
+    'Content-Type': streamingService.getMimeType(rendition.format),
+    'Content-Length': end - start + 1,
+    'Cache-Control': 'private, no-store',
+    'X-Preview': drm.previewOnly ? 'true' : 'false',
+    'X-Rendition-Quality': rendition.quality
+  });
+
+  if (range) {
+    res.set('Content-Range', `bytes ${start}-${end}/${size}`);
+  }
+
+  if (req.method === 'HEAD') {
+    return res.end();
+  }
+
+  if (!isOwner) {
+    const play = {
+      userId: user?._id,
+      ip: req.ip,
+      userAgent: req.get('User-Agent'),
+      quality: rendition.quality
+    };
+
+    if (drm.license && !drm.previewOnly) {
+      recordLicensedPlay(drm.license, track, play);
+    } else if (start === 0) {
+      // Previews are only logged, never counted
+      track.recordPlay({ ...play, isPreview: true })
+        .catch(error => console.error('Failed to record play:', error));
+    }
+  }
+
+  const stream = streamingService.openRendition(rendition, { start, end });
+
+  stream.on('error', (error) => {
+    console.error('Stream error:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ success: false, message: 'Failed to stream track' });
+    } else {
+      res.destroy(error);
+    }
+  });
+
+  // Stop reading (and decrypting) when the player seeks away or closes
+  res.on('close', () => stream.destroy());
+
+  stream.pipe(res);
+}));
+
+// HLS requests carry the play license in the query string so native
+// players can pass it along; only the license params are forwarded.
+const licenseQuery = (req) => {
+  const params = new URLSearchParams();
+  if (req.query.license) params.set('license', req.query.license);
+  if (req.query.device) params.set('device', req.query.device);
+  return params.toString();
+};
+
+const requirePlayLicense = (req, res) => {
+  const license = res.locals.drm?.license;
+
+  if (!license || !license.permissions.includes('play')) {
+    res.status(403).json({
+      success: false,
+      message: 'A play license is required for HLS streaming',
+      type: 'drm_error'
+    });
+    return null;
+  }
+
+  return license;
+};
+
+/**
+ * @route   GET /api/tracks/:trackId/hls/master.m3u8
+ * @desc    HLS master playlist, limited to the variants the listener's plan allows
+ * @access  Public (play license required)
+ */
+router.get('/:trackId/hls/master.m3u8', asyncHandler(async (req, res) => {
+  const license = requirePlayLicense(req, res);
+  if (!license) return;
+
+  const track = await Track.findById(req.params.trackId);
+
+  if (!track || track.audioFile?.hls?.status !== 'ready') {
+    return res.status(404).json({
+      success: false,
+      message: 'HLS stream not available for this track'
+    });
+  }
+
+  const user = await User.findById(license.userId).select('-password');
+  const playlist = transcodingService.renderMasterPlaylist(
+    track,
+    await streamingService.getAllowedQualities(user, track),
+    licenseQuery(req)
+  );
+
+  if (!user || track.artist.toString() !== user._id.toString()) {
+    recordLicensedPlay(license, track, {
+      userId: user?._id,
+      ip: req.ip,
+      userAgent: req.get('User-Agent'),
+      quality: 'hls'
+    });
+  }
+
+  res.set({
+    'Content-Type': 'application/vnd.apple.mpegurl',
+    'Cache-Control': 'private, no-store'
+  });
+  res.send(playlist);
+}));
+
+/**
+ * @route   GET /api/tracks/:trackId/hls/key
+ * @desc    AES-128 key for one HLS variant
+ * @access  Public (play license required)
+ */
+router.get('/:trackId/hls/key', asyncHandler(async (req, res) => {
+  const license = requirePlayLicense(req, res);
+  if (!license) return;
+
+  const track = await Track.findById(req.params.trackId).select('+audioFile.hls.encryption.wrappedKey');
+
+  if (!track) {
+    return res.status(404).json({
+      success: false,
+      message: 'Track not found'
+    });
+  }
+
+  const user = await User.findById(license.userId).select('-password');
+  const { variant, key } = transcodingService.getVariantKey(track, req.query.variant);
+
+  if (!(await streamingService.getAllowedQualities(user, track)).includes(variant.quality)) {
+    return res.status(403).json({
+      success: false,
+      message: 'Your plan does not include this quality',
+      type: 'drm_error'
+    });
+  }
+
+  res.set({
+    'Content-Type': 'application/octet-stream',
+    'Cache-Control': 'private, no-store'
+  });
+  res.send(key);
+}));
+
+/**
+ * @route   GET /api/tracks/:trackId/hls/:file
+ * @desc    HLS media playlists and (encrypted) segments
+ * @access  Public
+ */
+router.get('/:trackId/hls/:file', asyncHandler(async (req, res) => {
+  const track = await Track.findById(req.params.trackId).select('audioFile.hls');
+
+  if (!track || track.audioFile?.hls?.status !== 'ready') {
+    return res.status(404).json({
+      success: false,
+      message: 'HLS stream not available for this track'
+    });
+  }
+
+  const { file } = req.params;
+
+  if (file.endsWith('.m3u8')) {
+    const playlist = await transcodingService.renderMediaPlaylist(track, file.slice(0, -'.m3u8'.length), licenseQuery(req));
+
+    res.set({
+      'Content-Type': 'application/vnd.apple.mpegurl',
+      'Cache-Control': 'private, no-store'
+    });
+    return res.send(playlist);
+  }
+
+  const segmentPath = transcodingService.resolveSegmentPath(track, file);
+
+  if (!segmentPath) {
+    return res.status(404).json({
+      success: false,
+      message: 'Segment not found'
+    });
+  }
+
+  // Segments are encrypted, so they can be cached like any static file
+  res.sendFile(segmentPath, {
+    maxAge: '1d',
+    headers: { 'Content-Type': file.endsWith('.ts') ? 'video/mp2t' : 'audio/mp4' }
+  });
+}));
+
 /**
  * @route   POST /api/tracks
  * @desc    Create new track
- * @access  Private (Artists only)
+ * @access  Private (tracks:upload)
  */
 router.post('/', 
   authenticateToken,
-  requireArtist,
+  authorize('tracks:upload'),
   uploadMiddleware('track'),
   validateFile,
   processAudio,
@@ -174,7 +429,8 @@ router.post('/',
       genre: genre?.split(',').map(g => g.trim()) || [],
       tags: tags?.split(',').map(t => t.trim()) || [],
       lyrics,
-      isPublic: isPublic === 'true',
+      // Uploading and publishing are separate permissions
+      isPublic: isPublic === 'true' && await hasPermission(req, 'tracks:publish'),
       allowDownloads: allowDownloads === 'true',
       price: price ? parseFloat(price) : 0,
       
@@ -185,7 +441,11 @@ router.post('/',
         size: req.file.size,
         duration: req.file.duration,
         format: req.file.mimetype,
-        path: req.file.path
+        path: req.file.path,
+        encryption: req.file.encryption,
+        ...(req.file.previewPath && {
+          preview: { path: req.file.previewPath, duration: 30 }
+        })
       },
 
       // Artist info
@@ -193,6 +453,7 @@ router.post('/',
         user: req.user._id,
         name: req.user.displayName || req.user.username
       },
+      organization: (await organizationService.withDefault(req.organization))._id,
 
       // Metadata from audio processing
       ...(req.file.metadata && { metadata: req.file.metadata }),
@@ -219,6 +480,14 @@ router.post('/',
     const track = new Track(trackData);
     await track.save();
 
+    // Build the HLS ladder in the background
+    transcodingService.enqueue(track._id)
+      .catch(error => console.error('Failed to queue HLS packaging:', error));
+
+    // Check the upload against the catalogue; matches are flagged to admins
+    fingerprintService.enqueue(() => fingerprintService.fingerprintTrack(track._id, { sourceType: 'upload' }))
+      .catch(error => console.error('Failed to fingerprint track:', error.message));
+
     // Populate track data for response
     await track.populate('artist.user', 'username displayName profileImage');
 
@@ -252,15 +521,22 @@ router.put('/:id',
     const isCollaborator = track.collaborators.some(c => 
       c.user.toString() === req.user._id.toString()
     );
-    const isAdmin = req.user.role === 'admin' || req.user.role === 'super_admin';
-
-    if (!isOwner && !isCollaborator && !isAdmin) {
+    if (!isOwner && !isCollaborator && !(await canManageCatalog(req, track))) {
       return res.status(403).json({
         success: false,
         message: 'Access denied'
       });
     }
 
+    const publishing = String(req.body.isPublic) === 'true' || req.body.status === 'published';
+    if (publishing && !(await hasPermission(req, 'tracks:publish', 'catalog:manage'))) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to publish tracks',
+        required: ['tracks:publish']
+      });
+    }
+
     // Update allowed fields
     const updateFields = [
       'title', 'description', 'genre', 'tags', 'lyrics', 
@@ -307,9 +583,7 @@ router.delete('/:id',
 
     // Check ownership
     const isOwner = track.artist.user.toString() === req.user._id.toString();
-    const isAdmin = req.user.role === 'admin' || req.user.role === 'super_admin';
-
-    if (!isOwner && !isAdmin) {
+    if (!isOwner && !(await canManageCatalog(req, track))) {
       return res.status(403).json({
         success: false,
         message: 'Access denied'
@@ -362,6 +636,17 @@ router.post('/:id/like',
     track.analytics.totalLikes = track.likes.length;
     await track.save();
 
+    if (!alreadyLiked) {
+      notificationService.notifySafely(track.artist, {
+        type: 'like',
+        title: 'New like',
+        message: `${req.user.name} liked "${track.title}"`,
+        actor: userId,
+        entity: { kind: 'track', id: track._id },
+        link: `/tracks/${track._id}`
+      });
+    }
+
     res.json({
       success: true,
       message: alreadyLiked ? 'Track unliked' : 'Track liked',
@@ -409,6 +694,15 @@ router.post('/:id/comment',
     track.comments.push(newComment);
     await track.save();
 
+    notificationService.notifySafely(track.artist, {
+      type: 'comment',
+      title: 'New comment',
+      message: `${req.user.name} commented on "${track.title}": ${newComment.content.slice(0, 140)}`,
+      actor: req.user._id,
+      entity: { kind: 'track', id: track._id },
+      link: `/tracks/${track._id}`
+    });
+
     // Populate the new comment
     await track.populate('comments.user', 'username displayName profileImage');
     const addedComment = track.comments[track.comments.length - 1];
@@ -443,9 +737,7 @@ router.get('/:id/analytics',
     const isCollaborator = track.collaborators.some(c => 
       c.user.toString() === req.user._id.toString()
     );
-    const isAdmin = req.user.role === 'admin' || req.user.role === 'super_admin';
-
-    if (!isOwner && !isCollaborator && !isAdmin) {
+    if (!isOwner && !isCollaborator && !(await canManageCatalog(req, track))) {
       return res.status(403).json({
         success: false,
         message: 'Access denied'
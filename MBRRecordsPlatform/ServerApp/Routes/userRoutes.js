@@ -1,10 +1,13 @@
 const express = require('express');
 const router = express.Router();
-const { authenticateToken, requireAdmin, optionalAuth } = require('../Middleware/authMiddleware');
+const { authenticateToken, optionalAuth } = require('../Middleware/authMiddleware');
 const { uploadMiddleware, processImage, validateFile } = require('../Middleware/fileUpload');
 const { asyncHandler } = require('../Middleware/errorHandler');
 const User = require('../Models/User');
 const Track = require('../Models/Track');
+const notificationService = require('../Services/notificationService');
+const sessionService = require('../Services/sessionService');
+const permissionService = require('../Services/permissionService');
 
 /**
  * @route   GET /api/users/profile
@@ -87,6 +90,72 @@ router.put('/profile',
   })
 );
 
+/**
+ * @route   GET /api/users/delegations
+ * @desc    Delegations the user has granted (who acts for them) and received
+ * @access  Private
+ */
+router.get('/delegations',
+  authenticateToken,
+  asyncHandler(async (req, res) => {
+    res.json({
+      success: true,
+      data: await permissionService.getDelegations(req.user._id)
+    });
+  })
+);
+
+/**
+ * @route   POST /api/users/delegations
+ * @desc    Let another user (e.g. a manager) act for you with some of your permissions
+ * @access  Private
+ */
+router.post('/delegations',
+  authenticateToken,
+  asyncHandler(async (req, res) => {
+    const { delegateId, email, permissions, expiresAt, note } = req.body;
+
+    const delegate = delegateId
+      ? await User.findById(delegateId).select('_id')
+      : email && await User.findOne({ email: String(email).toLowerCase() }).select('_id');
+
+    if (!delegate) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const delegation = await permissionService.grantDelegation(
+      { principalId: req.user._id, delegateId: delegate._id, permissions, expiresAt, note },
+      req.user._id
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Delegation granted',
+      data: delegation
+    });
+  })
+);
+
+/**
+ * @route   DELETE /api/users/delegations/:id
+ * @desc    Revoke a delegation you granted, or step down from one you received
+ * @access  Private
+ */
+router.delete('/delegations/:id',
+  authenticateToken,
+  asyncHandler(async (req, res) => {
+    await permissionService.revokeDelegation(req.params.id, req.user._id, { userId: req.user._id });
+
+    res.json({
+      success: true,
+      message: 'Delegation revoked'
+    });
+  })
+);
+
 /**
  * @route   GET /api/users/:id
  * @desc    Get user profile by ID
@@ -182,6 +251,17 @@ router.post('/:id/follow',
 
     await Promise.all([currentUser.save(), targetUser.save()]);
 
+    if (!isFollowing) {
+      notificationService.notifySafely(targetUser._id, {
+        type: 'follow',
+        title: 'New follower',
+        message: `${currentUser.name} started following you`,
+        actor: currentUser._id,
+        entity: { kind: 'user', id: currentUser._id },
+        link: `/artists/${currentUser._id}`
+      });
+    }
+
     res.json({
       success: true,
       message: isFollowing ? 'User unfollowed' : 'User followed',
@@ -454,6 +534,8 @@ router.delete('/account',
     
     await user.save();
 
+    await sessionService.revokeAllSessions(user._id, 'deactivated');
+
     res.json({
       success: true,
       message: 'Account deleted successfully'
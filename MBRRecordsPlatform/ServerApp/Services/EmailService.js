@@ -0,0 +1,500 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const nodemailer = require('nodemailer');
+const sgMail = require('@sendgrid/mail');
+const { ApiError } = require('../Middleware/errorHandler');
+const { getJwtSecret } = require('../Middleware/enhancedSecurity');
+const EmailMessage = require('../Models/EmailMessage');
+const User = require('../Models/User');
+const { renderEmail } = require('../Templates/emailTemplates');
+const organizationService = require('./organizationService');
+
+/**
+ * Outbound Email Service
+ * Renders templates, stores every message in a persistent queue and delivers
+ * it through SendGrid, SMTP or a local file outbox, retrying failures with
+ * exponential backoff. Non-transactional mail honours the recipient's email
+ * preferences and carries a one-click unsubscribe link.
+ *
+ * EMAIL_TRANSPORT selects the transport (sendgrid | smtp | file). Without it,
+ * SendGrid is used when SENDGRID_API_KEY is set, SMTP when SMTP_HOST is set,
+ * and the file outbox otherwise. The file transport writes each message as
+ * .eml and .json to EMAIL_OUTBOX_DIR; pointing SMTP_HOST at a local capture
+ * server (e.g. MailHog) works the same way for end-to-end tests.
+ */
+
+class EmailService {
+  constructor() {
+    // Preference that opts a user out of each category
+    this.categoryPreferences = {
+      notification: 'emailNotifications',
+      marketing: 'marketingEmails'
+    };
+
+    this.retry = {
+      baseDelayMs: 60 * 1000,
+      maxDelayMs: 6 * 60 * 60 * 1000,
+      // A message stuck in `sending` this long is assumed lost by a crashed worker
+      lockTimeoutMs: 10 * 60 * 1000
+    };
+
+    this.transport = null;
+    this.queueTimer = null;
+    this.processing = false;
+  }
+
+  get clientUrl() {
+    return process.env.CLIENT_URL || 'http://localhost:3000';
+  }
+
+  get apiUrl() {
+    return process.env.API_URL || `http://localhost:${process.env.PORT || 5000}`;
+  }
+
+  get from() {
+    return {
+      email: process.env.FROM_EMAIL || 'noreply@mbrrecords.com',
+      name: process.env.FROM_NAME || 'MBR Records'
+    };
+  }
+
+  /**
+   * Transport name in use
+   */
+  getTransportName() {
+    if (process.env.EMAIL_TRANSPORT) return process.env.EMAIL_TRANSPORT;
+    if (process.env.SENDGRID_API_KEY) return 'sendgrid';
+    if (process.env.SMTP_HOST) return 'smtp';
+    return 'file';
+  }
+
+  /**
+   * Lazily built transport: { name, send(message) => providerMessageId }
+   */
+  getTransport() {
+    if (this.transport) return this.transport;
+
+    const name = this.getTransportName();
+
+    switch (name) {
+      case 'sendgrid': {
+        sgMail.setApiKey(process.env.SENDGRID_API_KEY);
+        this.transport = {
+          name,
+          send: async (message) => {
+            const [response] = await sgMail.send({
+              to: message.to,
+              from: this.from,
+              subject: message.subject,
+              html: message.html,
+              text: message.text,
+              headers: message.headers
+            });
+            return response?.headers?.['x-message-id'] || null;
+          }
+        };
+        break;
+      }
+
+      case 'smtp': {
+        const smtp = nodemailer.createTransport({
+          host: process.env.SMTP_HOST,
+          port: parseInt(process.env.SMTP_PORT || '587'),
+          secure: process.env.SMTP_SECURE === 'true',
+          auth: process.env.SMTP_USER
+            ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+            : undefined
+        });
+        this.transport = {
+          name,
+          send: async (message) => {
+            const info = await smtp.sendMail(this.toMailOptions(message));
+            return info.messageId;
+          }
+        };
+        break;
+      }
+
+      case 'file': {
+        const outbox = path.resolve(process.env.EMAIL_OUTBOX_DIR || path.join(__dirname, '../../temp/outbox'));
+        const stream = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+        this.transport = {
+          name,
+          outbox,
+          send: async (message) => {
+            const info = await stream.sendMail(this.toMailOptions(message));
+            const baseName = `${Date.now()}-${message._id}`;
+
+            await fs.promises.mkdir(outbox, { recursive: true });
+            await fs.promises.writeFile(path.join(outbox, `${baseName}.eml`), info.message);
+            await fs.promises.writeFile(path.join(outbox, `${baseName}.json`), JSON.stringify({
+              id: message._id,
+              to: message.to,
+              from: this.from,
+              template: message.template,
+              category: message.category,
+              subject: message.subject,
+              headers: message.headers,
+              text: message.text,
+              html: message.html
+            }, null, 2));
+
+            return info.messageId;
+          }
+        };
+        break;
+      }
+
+      default:
+        throw new ApiError(`Unsupported email transport: ${name}`, 500);
+    }
+
+    return this.transport;
+  }
+
+  toMailOptions(message) {
+    return {
+      from: { name: this.from.name, address: this.from.email },
+      to: message.to,
+      subject: message.subject,
+      html: message.html,
+      text: message.text,
+      headers: message.headers
+    };
+  }
+
+  /**
+   * Queue a templated email and try to deliver it straight away.
+   * Returns the queued message, or null when the recipient has opted out
+   * of the template's category. Delivery failures are retried by the queue
+   * rather than thrown.
+   */
+  async send(template, { to, user = null, data = {} }) {
+    try {
+      const recipient = user && !user.preferences
+        ? await User.findById(user).select('email name preferences isActive')
+        : user;
+      const address = to || recipient?.email;
+
+      if (!address) {
+        throw new ApiError('Email recipient is required', 400);
+      }
+
+      const { category } = renderEmail(template, data);
+
+      if (recipient && !this.isAllowed(recipient, category)) {
+        return null;
+      }
+
+      const unsubscribeUrl = recipient && this.categoryPreferences[category]
+        ? this.getUnsubscribeUrl(recipient._id, category)
+        : null;
+
+      const content = renderEmail(template, { name: recipient?.name, ...data, unsubscribeUrl });
+
+      const message = await EmailMessage.create({
+        to: address,
+        user: recipient?._id,
+        template,
+        category,
+        subject: content.subject,
+        html: content.html,
+        text: content.text,
+        headers: unsubscribeUrl
+          ? {
+            'List-Unsubscribe': `<${unsubscribeUrl}>`,
+            'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+          }
+          : undefined
+      });
+
+      return await this.deliver(message);
+    } catch (error) {
+      throw new ApiError(`Email queueing failed: ${error.message}`, error.statusCode || 500);
+    }
+  }
+
+  /**
+   * Whether a user's preferences allow a category of email
+   */
+  isAllowed(user, category) {
+    const preference = this.categoryPreferences[category];
+    if (!preference) return true;
+
+    return user.preferences?.[preference] !== false && user.isActive !== false;
+  }
+
+  /**
+   * Attempt one delivery; on failure schedule a retry or give up
+   */
+  async deliver(message) {
+    message.status = 'sending';
+    message.lockedAt = new Date();
+    message.attempts += 1;
+    await message.save();
+
+    try {
+      const transport = this.getTransport();
+      message.providerMessageId = await transport.send(message);
+      message.transport = transport.name;
+      message.status = 'sent';
+      message.sentAt = new Date();
+      message.lastError = undefined;
+    } catch (error) {
+      message.lastError = error.message;
+
+      if (message.attempts >= message.maxAttempts) {
+        message.status = 'failed';
+        console.error(`Email ${message._id} to ${message.to} failed permanently: ${error.message}`);
+      } else {
+        message.status = 'queued';
+        message.nextAttemptAt = new Date(Date.now() + this.getRetryDelay(message.attempts));
+      }
+    }
+
+    message.lockedAt = undefined;
+    return await message.save();
+  }
+
+  /**
+   * Exponential backoff: 1m, 2m, 4m ... capped at 6h
+   */
+  getRetryDelay(attempts) {
+    return Math.min(this.retry.baseDelayMs * 2 ** (attempts - 1), this.retry.maxDelayMs);
+  }
+
+  /**
+   * Deliver every message that is due, claiming each one atomically so
+   * several workers never send the same message twice
+   */
+  async processQueue({ limit = 50 } = {}) {
+    if (this.processing) return { processed: 0 };
+    this.processing = true;
+
+    try {
+      let processed = 0;
+
+      while (processed < limit) {
+        const now = new Date();
+        const message = await EmailMessage.findOneAndUpdate(
+          {
+            $or: [
+              { status: 'queued', nextAttemptAt: { $lte: now } },
+              { status: 'sending', lockedAt: { $lt: new Date(now.getTime() - this.retry.lockTimeoutMs) } }
+            ]
+          },
+          { $set: { status: 'sending', lockedAt: now } },
+          { sort: { nextAttemptAt: 1 }, new: true }
+        );
+
+        if (!message) break;
+
+        await this.deliver(message);
+        processed++;
+      }
+
+      return { processed };
+    } finally {
+      this.processing = false;
+    }
+  }
+
+  /**
+   * Poll the queue for retries while the database is connected
+   */
+  startQueueWorker(intervalMs = parseInt(process.env.EMAIL_QUEUE_INTERVAL_MS || '30000')) {
+    if (this.queueTimer) return;
+
+    this.queueTimer = setInterval(() => {
+      if (mongoose.connection.readyState !== 1) return;
+
+      this.processQueue().catch(error => {
+        console.error('Email queue processing error:', error.message);
+      });
+    }, intervalMs);
+    this.queueTimer.unref();
+  }
+
+  stopQueueWorker() {
+    clearInterval(this.queueTimer);
+    this.queueTimer = null;
+  }
+
+  /**
+   * Re-queue permanently failed messages (e.g. after fixing transport config)
+   */
+  async retryFailed(filter = {}) {
+    const result = await EmailMessage.updateMany(
+      { ...filter, status: 'failed' },
+      { $set: { status: 'queued', nextAttemptAt: new Date(), attempts: 0 } }
+    );
+    return result.modifiedCount;
+  }
+
+  // Unsubscribe tokens are signed so a link can only change the preference it was issued for
+  getUnsubscribeSecret() {
+    return process.env.EMAIL_UNSUBSCRIBE_SECRET || getJwtSecret();
+  }
+
+  generateUnsubscribeToken(userId, category) {
+    const payload = Buffer.from(`${userId}.${category}`).toString('base64url');
+    const signature = crypto.createHmac('sha256', this.getUnsubscribeSecret())
+      .update(payload)
+      .digest('base64url');
+
+    return `${payload}.${signature}`;
+  }
+
+  verifyUnsubscribeToken(token) {
+    const [payload, signature] = String(token || '').split('.');
+    if (!payload || !signature) return null;
+
+    const expected = crypto.createHmac('sha256', this.getUnsubscribeSecret())
+      .update(payload)
+      .digest('base64url');
+
+    if (signature.length !== expected.length ||
+      !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+      return null;
+    }
+
+    const [userId, category] = Buffer.from(payload, 'base64url').toString().split('.');
+    if (!mongoose.Types.ObjectId.isValid(userId) || !this.categoryPreferences[category]) {
+      return null;
+    }
+
+    return { userId, category };
+  }
+
+  getUnsubscribeUrl(userId, category) {
+    return `${this.apiUrl}/api/email/unsubscribe?token=${this.generateUnsubscribeToken(userId, category)}`;
+  }
+
+  /**
+   * Apply an unsubscribe link: turn off the preference for its category
+   */
+  async unsubscribe(token) {
+    const decoded = this.verifyUnsubscribeToken(token);
+    if (!decoded) {
+      throw new ApiError('Invalid unsubscribe link', 400);
+    }
+
+    const preference = this.categoryPreferences[decoded.category];
+    const user = await User.findByIdAndUpdate(
+      decoded.userId,
+      { $set: { [`preferences.${preference}`]: false } },
+      { new: true }
+    ).select('email preferences');
+
+    if (!user) {
+      throw new ApiError('Invalid unsubscribe link', 400);
+    }
+
+    return { email: user.email, category: decoded.category, preference };
+  }
+
+  /**
+   * Email verification link after registration
+   */
+  async sendVerificationEmail(email, name, token) {
+    return this.send('email_verification', {
+      to: email,
+      data: { name, verifyUrl: `${this.clientUrl}/verify-email?token=${token}` }
+    });
+  }
+
+  /**
+   * Password reset link
+   */
+  async sendPasswordResetEmail(email, name, token) {
+    return this.send('password_reset', {
+      to: email,
+      data: { name, resetUrl: `${this.clientUrl}/reset-password?token=${token}` }
+    });
+  }
+
+  /**
+   * Contract signature request
+   */
+  async sendSignatureRequestEmail(email, contract, signatureRequest, contractTitle) {
+    const party = (contract.parties || []).find(p => p.email === email);
+
+    return this.send('signature_request', {
+      to: email,
+      data: {
+        name: party?.name,
+        contractTitle: contractTitle || `${contract.type} agreement`,
+        contractId: contract.contractId,
+        role: signatureRequest.role,
+        expiresAt: signatureRequest.expiresAt,
+        signUrl: `${this.clientUrl}/contracts/sign/${signatureRequest.signatureToken}`
+      }
+    });
+  }
+
+  /**
+   * Invitation to join an artist's team (see teamService)
+   */
+  async sendTeamInvitationEmail(invitation, artist, token, scopeLabels = []) {
+    return this.send('team_invitation', {
+      to: invitation.email,
+      data: {
+        artistName: artist.name,
+        teamRole: invitation.teamRole,
+        scopes: scopeLabels,
+        note: invitation.note,
+        expiresAt: invitation.expiresAt,
+        acceptUrl: `${this.clientUrl}/team/join/${token}`
+      }
+    });
+  }
+
+  /**
+   * Tell a demo submitter about a review decision
+   */
+  async sendDemoDecisionEmail(demo) {
+    const submitter = await User.findById(demo.submitter).select('email name preferences isActive');
+    const to = submitter?.email || demo.metadata?.contactInfo?.email;
+    if (!to) return null;
+
+    // Signed by the label the demo was sent to
+    const organization = await organizationService.getForRecord(demo);
+
+    return this.send('demo_decision', {
+      to,
+      user: submitter,
+      data: {
+        brandName: organization.name,
+        name: submitter?.name,
+        artistName: demo.artistName,
+        trackTitle: demo.trackTitle,
+        status: demo.status,
+        feedback: demo.feedback?.overall,
+        demoUrl: `${this.clientUrl}/submit-demo`
+      }
+    });
+  }
+
+  /**
+   * Receipt for a completed royalty payout
+   */
+  async sendPayoutReceiptEmail(payment) {
+    return this.send('payout_receipt', {
+      user: payment.userId,
+      data: {
+        amount: payment.amount,
+        fees: payment.fees,
+        netAmount: payment.netAmount,
+        currency: payment.currency || 'USD',
+        paymentMethod: payment.paymentMethod,
+        transactionId: payment.transactionId,
+        processedAt: payment.processedAt,
+        statementUrl: `${this.clientUrl}/profile`
+      }
+    });
+  }
+}
+
+module.exports = new EmailService();
@@ -0,0 +1,115 @@
+// Decoding isn't under test: the fingerprints are computed from synthetic PCM
+jest.mock('fluent-ffmpeg', () => jest.fn(), { virtual: true });
+
+const fingerprintService = require('../fingerprintService');
+
+const { sampleRate, flagThreshold, minAlignedHashes } = fingerprintService;
+
+// Deterministic pseudo-random numbers in [0, 1)
+const random = (seed) => () => {
+  seed = (seed * 1664525 + 1013904223) >>> 0;
+  return seed / 4294967296;
+};
+
+/**
+ * A "song": a new chord of `partials` tones every `noteSeconds`, silent for
+ * the last `rest` share of each note
+ */
+const song = (seed, { seconds = 30, noteSeconds = 0.25, partials = 3, rest = 0 } = {}) => {
+  const next = random(seed);
+  const samples = new Float32Array(Math.floor(seconds * sampleRate));
+  const noteLength = Math.floor(noteSeconds * sampleRate);
+  const sounding = noteLength * (1 - rest);
+
+  for (let start = 0; start < samples.length; start += noteLength) {
+    const tones = Array.from({ length: partials }, () => ({
+      frequency: 80 + next() * 3000,
+      amplitude: 0.1 + next() * 0.25,
+      phase: next() * 2 * Math.PI
+    }));
+
+    for (let i = 0; i < noteLength && start + i < samples.length; i++) {
+      const envelope = i > sounding ? 0 : Math.min(1, i / 200, (sounding - i) / 200);
+      let value = 0;
+      for (const { frequency, amplitude, phase } of tones) {
+        value += amplitude * Math.sin((2 * Math.PI * frequency * (start + i)) / sampleRate + phase);
+      }
+      samples[start + i] = value * envelope;
+    }
+  }
+
+  return samples;
+};
+
+const trim = (samples, startSeconds, endSeconds) =>
+  samples.slice(Math.floor(startSeconds * sampleRate), Math.floor(endSeconds * sampleRate));
+
+const gain = (samples, factor) => samples.map(value => value * factor);
+
+const addNoise = (samples, level, seed = 99) => {
+  const next = random(seed);
+  return samples.map(value => value + (next() * 2 - 1) * level);
+};
+
+// Stand-in for a lossy re-encode: low-pass filtering and 8-bit requantisation
+const reencode = (samples) => {
+  const output = new Float32Array(samples.length);
+  let previous = 0;
+  for (let i = 0; i < samples.length; i++) {
+    previous += 0.6 * (samples[i] - previous);
+    output[i] = Math.round(previous * 127) / 127;
+  }
+  return output;
+};
+
+const score = (query, original) => fingerprintService.scoreMatch(
+  fingerprintService.computeHashes(query),
+  fingerprintService.computeHashes(original)
+);
+
+describe('fingerprintService matching', () => {
+  const original = song(1);
+
+  it('matches a trimmed, quieter copy with added noise at the right offset', () => {
+    const result = score(addNoise(gain(trim(original, 3.3, 25), 0.5), 0.05), original);
+
+    expect(result.confidence).toBeGreaterThanOrEqual(flagThreshold);
+    expect(result.alignedHashes).toBeGreaterThanOrEqual(minAlignedHashes);
+    expect(result.offsetSeconds).toBeCloseTo(3.3, 1);
+  });
+
+  it('matches a re-encoded copy', () => {
+    const result = score(reencode(original), original);
+
+    expect(result.confidence).toBeGreaterThanOrEqual(flagThreshold);
+    expect(result.offsetSeconds).toBeCloseTo(0, 1);
+  });
+
+  it('matches a trimmed, re-encoded copy', () => {
+    const result = score(reencode(addNoise(trim(original, 7.1, 20), 0.03)), original);
+
+    expect(result.confidence).toBeGreaterThanOrEqual(flagThreshold);
+    expect(result.alignedHashes).toBeGreaterThanOrEqual(minAlignedHashes);
+  });
+
+  it('matches a noisy copy of sparse material', () => {
+    const sparse = song(7, { partials: 1, rest: 0.3 });
+    const result = score(addNoise(trim(sparse, 4, 26), 0.05), sparse);
+
+    expect(result.confidence).toBeGreaterThanOrEqual(flagThreshold);
+  });
+
+  it('does not match unrelated audio with the same note cadence', () => {
+    expect(score(song(2), original).confidence).toBeLessThan(flagThreshold / 4);
+    expect(score(addNoise(song(3), 0.05), original).confidence).toBeLessThan(flagThreshold / 4);
+
+    const sparse = song(7, { partials: 1, rest: 0.3 });
+    expect(score(song(8, { partials: 1, rest: 0.3 }), sparse).confidence).toBeLessThan(flagThreshold / 4);
+  });
+
+  it('finds no peaks in plain noise', () => {
+    const noise = addNoise(new Float32Array(sampleRate * 20), 0.1, 5);
+
+    expect(fingerprintService.computeHashes(noise).hashes).toHaveLength(0);
+  });
+});
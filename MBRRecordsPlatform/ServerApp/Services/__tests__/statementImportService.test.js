@@ -0,0 +1,174 @@
+const fs = require('fs');
+const path = require('path');
+const statementImportService = require('../statementImportService');
+
+const fixture = (name) => fs.readFileSync(path.join(__dirname, '../../Fixtures/statements', name));
+
+const parse = (source, name) => statementImportService.parseStatement(source, fixture(name));
+
+describe('parseStatement', () => {
+  it.each([
+    ['distrokid', 'distrokid.tsv', 8],
+    ['tunecore', 'tunecore.csv', 7],
+    ['cd_baby', 'cd_baby.csv', 6],
+    ['awal', 'awal.csv', 6]
+  ])('parses every %s line', (source, name, count) => {
+    const { lines, invalid } = parse(source, name);
+
+    expect(lines).toHaveLength(count);
+    expect(invalid).toHaveLength(0);
+  });
+
+  describe('column mappings', () => {
+    it('maps DistroKid columns, including album-level lines', () => {
+      const { lines } = parse('distrokid', 'distrokid.tsv');
+
+      expect(lines[0]).toMatchObject({
+        rowNumber: 2,
+        isrc: 'USMBR2500001',
+        upc: '859712345671',
+        title: 'Midnight Drive',
+        artist: 'Maya Rivers',
+        platform: 'spotify',
+        type: 'streaming',
+        territory: 'US',
+        period: '2025-01',
+        quantity: 15234,
+        isReleaseLine: false
+      });
+
+      // iTunes only sells downloads; "Album" rows are release-level
+      expect(lines[3]).toMatchObject({ platform: 'itunes', type: 'download' });
+      expect(lines[5]).toMatchObject({ isrc: null, title: 'Night Roads', isReleaseLine: true });
+    });
+
+    it('maps TuneCore columns, reading the optional ISRC and quoted titles', () => {
+      const { lines } = parse('tunecore', 'tunecore.csv');
+
+      expect(lines[0]).toMatchObject({
+        isrc: 'USMBR2500003',
+        upc: '859712345688',
+        title: 'Pressure',
+        release: 'Pressure',
+        platform: 'spotify',
+        quantity: 20311
+      });
+      expect(lines[1]).toMatchObject({ platform: 'amazon', territory: 'DE' });
+      expect(lines[6]).toMatchObject({ title: 'Lost, Found', isrc: 'CAXYZ2500099', upc: null });
+    });
+
+    it('maps CD Baby columns, treating a line without ISRC or title as a release sale', () => {
+      const { lines } = parse('cd_baby', 'cd_baby.csv');
+
+      expect(lines[0]).toMatchObject({
+        isrc: 'USMBR2500010',
+        release: 'Harbor Lights',
+        title: 'Harbor Lights',
+        territory: 'US',
+        period: '2025-01',
+        quantity: 12044
+      });
+      expect(lines[3]).toMatchObject({ store: 'Bandcamp', type: 'download', isReleaseLine: true, title: null });
+    });
+
+    it('maps AWAL columns, using the transaction month and net revenue', () => {
+      const { lines } = parse('awal', 'awal.csv');
+
+      expect(lines[0]).toMatchObject({ period: '2025-01', revenue: 59.05, release: 'Afterglow EP' });
+      expect(lines[1]).toMatchObject({ period: '2025-02', revenue: 67.22 });
+      expect(lines[4]).toMatchObject({ store: 'Beatport', type: 'download', revenue: 22.29 });
+    });
+
+    it('rejects a statement from another partner', () => {
+      expect(() => parse('distrokid', 'awal.csv')).toThrow(/does not look like a DistroKid statement/);
+    });
+  });
+
+  describe('amounts', () => {
+    it('keeps negative reversal lines', () => {
+      const { lines } = parse('tunecore', 'tunecore.csv');
+
+      // "(0.69)" in Total Earned, -1 units
+      expect(lines[5]).toMatchObject({ platform: 'itunes', quantity: -1, revenue: -0.69 });
+    });
+
+    it('keeps zero-revenue lines', () => {
+      const { lines } = parse('distrokid', 'distrokid.tsv');
+
+      expect(lines[7]).toMatchObject({ platform: 'youtube', quantity: 0, revenue: 0 });
+    });
+
+    it('parses sub-cent decimals exactly', () => {
+      const { lines } = parse('distrokid', 'distrokid.tsv');
+
+      expect(lines.map(line => line.revenue).slice(0, 4)).toEqual([45.702, 13.184, 12.376, 8.316]);
+    });
+
+    it.each([
+      ['$1,234.56', 1234.56],
+      ['(0.12)', -0.12],
+      ['-3.5', -3.5],
+      ['abc', null],
+      ['', null]
+    ])('parseAmount(%j) is %j', (value, expected) => {
+      expect(statementImportService.parseAmount(value)).toBe(expected);
+    });
+  });
+
+  describe('currency', () => {
+    it('uses the currency column, already converted by the partner where it has one', () => {
+      const { lines } = parse('tunecore', 'tunecore.csv');
+
+      // Net Sales were in EUR; Total Earned is reported in USD
+      expect(lines[1]).toMatchObject({ currency: 'USD', revenue: 8.77 });
+    });
+
+    it('reads per-line currencies', () => {
+      const { lines } = parse('cd_baby', 'cd_baby.csv');
+
+      expect(lines[4]).toMatchObject({ territory: 'JP', currency: 'JPY', revenue: 2.51 });
+    });
+
+    it("falls back to the mapping's currency", () => {
+      const { lines } = parse('distrokid', 'distrokid.tsv');
+
+      expect(lines.every(line => line.currency === 'USD')).toBe(true);
+    });
+  });
+
+  describe('rowKey', () => {
+    it('is the same when the statement is parsed again', () => {
+      const first = parse('awal', 'awal.csv').lines.map(line => line.rowKey);
+      const second = parse('awal', 'awal.csv').lines.map(line => line.rowKey);
+
+      expect(second).toEqual(first);
+      expect(new Set(first).size).toBe(first.length);
+    });
+
+    it('tells identical lines within a statement apart', () => {
+      const { lines } = parse('tunecore', 'tunecore.csv');
+
+      // Two identical Tidal lines
+      expect(lines[3].revenue).toBe(lines[4].revenue);
+      expect(lines[3].rowKey).not.toBe(lines[4].rowKey);
+    });
+
+    it("doesn't depend on the row's position", () => {
+      const text = fixture('awal.csv').toString().trim().split('\n');
+      const reordered = [text[0], ...text.slice(1).reverse()].join('\n');
+
+      const original = parse('awal', 'awal.csv').lines.map(line => line.rowKey).sort();
+      const shuffled = statementImportService.parseStatement('awal', reordered).lines.map(line => line.rowKey).sort();
+
+      expect(shuffled).toEqual(original);
+    });
+
+    it('differs between sources', () => {
+      const mapping = statementImportService.getMapping('awal');
+      const asAwal = statementImportService.parseStatement('awal', fixture('awal.csv'), mapping);
+      const asOther = statementImportService.parseStatement('other', fixture('awal.csv'), mapping);
+
+      expect(asOther.lines[0].rowKey).not.toBe(asAwal.lines[0].rowKey);
+    });
+  });
+});
@@ -0,0 +1,59 @@
+const streamingService = require('../streamingService');
+
+const size = 1000;
+const parse = (header) => streamingService.parseRange(header, size);
+
+describe('parseRange', () => {
+  it('ignores a missing header', () => {
+    expect(parse(undefined)).toBeNull();
+    expect(parse('')).toBeNull();
+  });
+
+  it('parses a closed range', () => {
+    expect(parse('bytes=0-499')).toEqual({ start: 0, end: 499 });
+    expect(parse('bytes=500-500')).toEqual({ start: 500, end: 500 });
+  });
+
+  it('parses an open-ended range to the last byte', () => {
+    expect(parse('bytes=0-')).toEqual({ start: 0, end: 999 });
+    expect(parse('bytes=900-')).toEqual({ start: 900, end: 999 });
+  });
+
+  it('clamps the last byte to the resource', () => {
+    expect(parse('bytes=900-5000')).toEqual({ start: 900, end: 999 });
+  });
+
+  describe('suffix ranges', () => {
+    it('serves the last N bytes', () => {
+      expect(parse('bytes=-100')).toEqual({ start: 900, end: 999 });
+    });
+
+    it('serves the whole resource when N exceeds it', () => {
+      expect(parse('bytes=-5000')).toEqual({ start: 0, end: 999 });
+    });
+
+    it('refuses bytes=-0', () => {
+      expect(parse('bytes=-0')).toEqual({ unsatisfiable: true });
+    });
+  });
+
+  it('refuses a range starting past the end', () => {
+    expect(parse('bytes=1000-')).toEqual({ unsatisfiable: true });
+    expect(parse('bytes=1500-2000')).toEqual({ unsatisfiable: true });
+  });
+
+  it('ignores a range whose last byte comes before its first', () => {
+    expect(parse('bytes=500-100')).toBeNull();
+  });
+
+  it('ignores multi-range requests', () => {
+    expect(parse('bytes=0-99,200-299')).toBeNull();
+    expect(parse('bytes=0-99, -100')).toBeNull();
+  });
+
+  it('ignores malformed headers and other units', () => {
+    expect(parse('bytes=-')).toBeNull();
+    expect(parse('bytes=a-b')).toBeNull();
+    expect(parse('items=0-10')).toBeNull();
+  });
+});
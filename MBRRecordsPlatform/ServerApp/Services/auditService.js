@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+const { ApiError } = require('../Middleware/errorHandler');
+const AuditLog = require('../Models/AuditLog');
+
+/**
+ * Audit Service
+ * Records what delegates do on their principals' behalf (see
+ * authMiddleware), and lets the principal look back over it.
+ */
+
+class AuditService {
+  constructor() {
+    this.maxLimit = 100;
+  }
+
+  /**
+   * Record a delegated request; logging never fails the request itself
+   */
+  recordSafely(entry) {
+    AuditLog.create(entry).catch(error => {
+      console.error(`Failed to audit ${entry.method} ${entry.path}:`, error.message);
+    });
+  }
+
+  /**
+   * Actions taken for `principalId`, newest first, optionally by one actor
+   */
+  async getForPrincipal(principalId, { actor, page = 1, limit = 50 } = {}) {
+    const filter = { principal: principalId };
+    if (actor) {
+      if (!mongoose.Types.ObjectId.isValid(actor)) {
+        throw new ApiError('Invalid actor', 400);
+      }
+      filter.actor = actor;
+    }
+
+    limit = Math.min(parseInt(limit) || 50, this.maxLimit);
+    page = Math.max(parseInt(page) || 1, 1);
+
+    const [entries, total] = await Promise.all([
+      AuditLog.find(filter)
+        .populate('actor', 'name email avatar')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      AuditLog.countDocuments(filter)
+    ]);
+
+    return {
+      entries,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+}
+
+module.exports = new AuditService();
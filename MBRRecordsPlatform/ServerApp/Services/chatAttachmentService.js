@@ -0,0 +1,206 @@
+const fs = require('fs').promises;
+const path = require('path');
+const sharp = require('sharp');
+const ffmpeg = require('fluent-ffmpeg');
+const { ApiError } = require('../Middleware/errorHandler');
+
+/**
+ * Chat Attachment Service
+ * Turns an uploaded chat file into message metadata:
+ *
+ *   - images get their dimensions and a small WebP thumbnail (sharp)
+ *   - audio gets its duration (ffprobe) and a waveform of peak levels
+ *     decoded with ffmpeg, so players can draw it before loading the file
+ *   - anything else is attached as a plain file
+ *
+ * Paths are stored relative to the uploads directory and files are only
+ * served through the chat routes, to conversation participants.
+ */
+
+class ChatAttachmentService {
+  constructor() {
+    this.uploadsRoot = path.resolve(__dirname, '../../uploads');
+
+    this.thumbnailSize = 320;
+    this.waveformPoints = 200;
+    this.waveformSampleRate = 8000;
+    this.maxWaveformDuration = 600; // seconds decoded per file
+  }
+
+  /**
+   * Message type and metadata for an uploaded file (multer's req.file)
+   */
+  async process(file) {
+    const generated = [];
+
+    try {
+      const metadata = {
+        fileName: file.originalname,
+        fileSize: file.size,
+        filePath: this.toRelative(file.path),
+        mimeType: file.mimetype
+      };
+
+      if (file.mimetype.startsWith('image/')) {
+        const image = await this.processImage(file.path);
+        generated.push(image.thumbnailPath);
+
+        return {
+          type: 'image',
+          metadata: {
+            ...metadata,
+            dimensions: image.dimensions,
+            thumbnailPath: this.toRelative(image.thumbnailPath)
+          }
+        };
+      }
+
+      if (file.mimetype.startsWith('audio/')) {
+        const audio = await this.processAudio(file.path);
+
+        return {
+          type: 'audio',
+          metadata: {
+            ...metadata,
+            duration: audio.duration,
+            waveform: audio.waveform
+          }
+        };
+      }
+
+      return { type: 'file', metadata };
+    } catch (error) {
+      await this.remove([file.path, ...generated]);
+      throw new ApiError(`Attachment processing failed: ${error.message}`, error.statusCode || 400);
+    }
+  }
+
+  async processImage(filePath) {
+    const info = await sharp(filePath).metadata();
+    const thumbnailPath = filePath.replace(/\.[^/.]+$/, '_thumb.webp');
+
+    await sharp(filePath)
+      .rotate()
+      .resize(this.thumbnailSize, this.thumbnailSize, {
+        fit: 'inside',
+        withoutEnlargement: true
+      })
+      .webp({ quality: 75 })
+      .toFile(thumbnailPath);
+
+    return {
+      dimensions: { width: info.width, height: info.height },
+      thumbnailPath
+    };
+  }
+
+  async processAudio(filePath) {
+    const probe = await new Promise((resolve, reject) => {
+      ffmpeg.ffprobe(filePath, (err, metadata) => {
+        if (err) reject(err);
+        else resolve(metadata);
+      });
+    });
+
+    if (!probe.streams.some(stream => stream.codec_type === 'audio')) {
+      throw new ApiError('File has no audio stream', 400);
+    }
+
+    const samples = await this.decodePcm(filePath);
+
+    return {
+      duration: Number(probe.format.duration) || samples.length / this.waveformSampleRate,
+      waveform: this.computeWaveform(samples)
+    };
+  }
+
+  /**
+   * Decode to low-rate mono PCM samples in [-1, 1)
+   */
+  decodePcm(filePath) {
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+
+      const output = ffmpeg(filePath)
+        .noVideo()
+        .audioChannels(1)
+        .audioFrequency(this.waveformSampleRate)
+        .duration(this.maxWaveformDuration)
+        .format('s16le')
+        .on('error', reject)
+        .pipe();
+
+      output.on('data', chunk => chunks.push(chunk));
+      output.on('error', reject);
+      output.on('end', () => {
+        const pcm = Buffer.concat(chunks);
+        const samples = new Float32Array(Math.floor(pcm.length / 2));
+
+        for (let i = 0; i < samples.length; i++) {
+          samples[i] = pcm.readInt16LE(i * 2) / 32768;
+        }
+
+        resolve(samples);
+      });
+    });
+  }
+
+  /**
+   * Peak level per bucket, normalised to the loudest bucket (0-1, 2 dp)
+   */
+  computeWaveform(samples) {
+    if (samples.length === 0) return [];
+
+    const points = Math.min(this.waveformPoints, samples.length);
+    const bucketSize = samples.length / points;
+    const peaks = new Array(points).fill(0);
+
+    for (let i = 0; i < points; i++) {
+      const start = Math.floor(i * bucketSize);
+      const end = Math.floor((i + 1) * bucketSize);
+
+      for (let j = start; j < end; j++) {
+        const level = Math.abs(samples[j]);
+        if (level > peaks[i]) peaks[i] = level;
+      }
+    }
+
+    const max = Math.max(...peaks) || 1;
+    return peaks.map(peak => Math.round((peak / max) * 100) / 100);
+  }
+
+  toRelative(filePath) {
+    return path.relative(this.uploadsRoot, filePath).replace(/\\/g, '/');
+  }
+
+  /**
+   * Absolute path of a stored attachment, refusing anything outside uploads/chat
+   */
+  resolve(relativePath) {
+    if (!relativePath) return null;
+
+    const absolute = path.resolve(this.uploadsRoot, relativePath);
+    if (!absolute.startsWith(path.join(this.uploadsRoot, 'chat') + path.sep)) {
+      return null;
+    }
+
+    return absolute;
+  }
+
+  /**
+   * Delete a message's stored files
+   */
+  async removeFor(message) {
+    const metadata = message.metadata || {};
+    await this.remove([this.resolve(metadata.filePath), this.resolve(metadata.thumbnailPath)]);
+  }
+
+  async remove(paths) {
+    await Promise.all(paths.filter(Boolean).map(filePath =>
+      fs.unlink(filePath).catch(error => {
+        if (error.code !== 'ENOENT') console.error(`Failed to delete ${filePath}:`, error.message);
+      })));
+  }
+}
+
+module.exports = new ChatAttachmentService();
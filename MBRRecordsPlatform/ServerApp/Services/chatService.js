@@ -0,0 +1,576 @@
+const { ApiError } = require('../Middleware/errorHandler');
+const Conversation = require('../Models/Conversation');
+const Message = require('../Models/Message');
+const Track = require('../Models/Track');
+const chatAttachmentService = require('./chatAttachmentService');
+
+/**
+ * Chat Service
+ * Message sending shared by the REST routes and the Socket.IO handlers, so
+ * both go through the same membership, permission and validation checks.
+ *
+ * Every conversation has a Socket.IO room (`conversation:<id>`). Sockets are
+ * only ever put into the rooms of conversations their user participates in.
+ */
+
+class ChatService {
+  constructor() {
+    this.io = null;
+
+    // Types clients may send directly; image/audio/file messages are only
+    // created from processed uploads and 'system' ones by the server
+    this.clientMessageTypes = ['text', 'track_share'];
+    this.maxContentLength = 2000;
+
+    // What /api/tracks/:trackId/stream plays without a license (see drmProtection in server.js)
+    this.previewDuration = 30;
+
+    this.maxReactionLength = 16;
+    this.syncPageSize = 200;
+  }
+
+  /**
+   * Attach the Socket.IO server for live delivery
+   */
+  setIo(io) {
+    this.io = io;
+  }
+
+  roomFor(conversationId) {
+    return `conversation:${conversationId}`;
+  }
+
+  /**
+   * A conversation the user participates in, or a 404
+   */
+  async getConversationForUser(conversationId, userId) {
+    const conversation = await Conversation.findOne({
+      _id: conversationId,
+      participants: userId
+    });
+
+    if (!conversation) {
+      throw new ApiError('Conversation not found or access denied', 404);
+    }
+
+    return conversation;
+  }
+
+  /**
+   * Ids of every conversation a user participates in
+   */
+  async getConversationIds(userId) {
+    const conversations = await Conversation.find({ participants: userId }).select('_id').lean();
+    return conversations.map(conversation => conversation._id.toString());
+  }
+
+  /**
+   * Validate, store and broadcast a message from a participant.
+   * `attachment` is the processed upload ({ type, metadata }) for
+   * image/audio/file messages; its metadata is never taken from the client.
+   */
+  async sendMessage(conversationId, userId, { content, type = 'text', metadata = {}, replyTo = null } = {}, { attachment = null } = {}) {
+    try {
+      if (attachment) {
+        type = attachment.type;
+        metadata = attachment.metadata;
+      } else if (!this.clientMessageTypes.includes(type)) {
+        throw new ApiError('Invalid message type', 400);
+      }
+
+      let text = typeof content === 'string' ? content.trim() : '';
+
+      if (type === 'text' && text.length === 0) {
+        throw new ApiError('Message content is required', 400);
+      }
+
+      if (text.length > this.maxContentLength) {
+        throw new ApiError(`Message cannot exceed ${this.maxContentLength} characters`, 400);
+      }
+
+      const conversation = await this.getConversationForUser(conversationId, userId);
+
+      if (!conversation.canUserPerformAction(userId, 'send_message')) {
+        throw new ApiError('You cannot send messages in this conversation', 403);
+      }
+
+      if (type === 'track_share') {
+        const track = await this.getShareableTrack(metadata?.trackId, userId);
+        metadata = { trackId: track._id };
+        text = text || `Shared "${track.title}"`;
+      } else if (type === 'text') {
+        metadata = {};
+      } else {
+        text = text || metadata.fileName;
+      }
+
+      if (replyTo) {
+        const original = await Message.exists({ _id: replyTo, conversation: conversation._id });
+        if (!original) {
+          throw new ApiError('Replied-to message not found in this conversation', 400);
+        }
+      }
+
+      const message = new Message({
+        conversation: conversation._id,
+        sender: userId,
+        content: text,
+        type,
+        metadata,
+        replyTo: replyTo || undefined,
+        readBy: [{
+          user: userId,
+          readAt: new Date()
+        }]
+      });
+
+      await message.save();
+
+      // updateActivity saves the conversation
+      conversation.lastMessage = message._id;
+      conversation.updatedAt = new Date();
+      await conversation.updateActivity(userId);
+
+      await message.populate('sender', 'name avatar');
+
+      const [rendered] = await this.renderMessages([message.toObject()]);
+      this.emitToConversation(conversation._id, 'newMessage', rendered);
+
+      return rendered;
+    } catch (error) {
+      throw new ApiError(`Failed to send message: ${error.message}`, error.statusCode || 500);
+    }
+  }
+
+  /**
+   * A track the user may share: released and available, or their own
+   * (artists share unreleased mixes of their own tracks)
+   */
+  async getShareableTrack(trackId, userId) {
+    if (!trackId) {
+      throw new ApiError('Track ID is required to share a track', 400);
+    }
+
+    const track = await Track.findById(trackId).select('title artist availability');
+    if (!track) {
+      throw new ApiError('Track not found', 404);
+    }
+
+    if (!track.isAvailable() && track.artist.toString() !== userId.toString()) {
+      throw new ApiError('This track is not available to share', 403);
+    }
+
+    return track;
+  }
+
+  /**
+   * Shape stored messages for clients: attachments get download/thumbnail
+   * URLs instead of storage paths, and track shares get a card with the
+   * track's title and artwork, its availability and what the viewer can
+   * play (the stream route serves a preview without a license).
+   */
+  async renderMessages(messages, viewerId = null) {
+    const trackIds = messages
+      .filter(message => message.type === 'track_share' && message.metadata?.trackId && !message.isDeleted)
+      .map(message => message.metadata.trackId);
+
+    const tracks = trackIds.length > 0
+      ? await Track.find({ _id: { $in: trackIds } })
+        .select('title artist artwork duration genre availability')
+        .populate('artist', 'name avatar')
+      : [];
+    const tracksById = new Map(tracks.map(track => [track._id.toString(), track]));
+
+    return messages.map(message => {
+      const { filePath, thumbnailPath, ...metadata } = message.metadata || {};
+      const rendered = { ...message, metadata };
+
+      if (filePath && !message.isDeleted) {
+        const url = `/api/chat/messages/${message._id}/attachment`;
+        rendered.attachment = {
+          url,
+          thumbnailUrl: thumbnailPath ? `${url}?variant=thumbnail` : null,
+          fileName: metadata.fileName,
+          fileSize: metadata.fileSize,
+          mimeType: metadata.mimeType
+        };
+      }
+
+      if (message.type === 'track_share' && metadata.trackId) {
+        rendered.trackShare = this.renderTrackShare(metadata.trackId, tracksById.get(metadata.trackId.toString()), viewerId);
+      }
+
+      return rendered;
+    });
+  }
+
+  renderTrackShare(trackId, track, viewerId) {
+    if (!track) {
+      return { trackId: trackId.toString(), isAvailable: false, playback: null };
+    }
+
+    const isAvailable = track.isAvailable();
+    const isOwner = Boolean(viewerId) && track.artist?._id?.toString() === viewerId.toString();
+
+    return {
+      trackId: track._id.toString(),
+      title: track.title,
+      artist: track.artist ? {
+        _id: track.artist._id,
+        name: track.artist.name,
+        avatar: track.artist.avatar
+      } : null,
+      artworkUrl: track.artwork?.url || null,
+      duration: track.duration,
+      genre: track.genre,
+      isAvailable,
+      // Unavailable tracks only stream for their owner
+      playback: isAvailable || isOwner ? {
+        streamUrl: `/api/tracks/${track._id}/stream`,
+        previewOnly: true,
+        previewDuration: this.previewDuration,
+        licenseRequiredForFullPlay: true
+      } : null
+    };
+  }
+
+  /**
+   * Record that messages reached a participant (fetched, synced or received
+   * live) and tell the conversation. Returns the ids newly marked.
+   */
+  async markDelivered(conversationId, userId, messageIds = null) {
+    try {
+      const filter = {
+        conversation: conversationId,
+        sender: { $ne: userId },
+        'deliveredTo.user': { $ne: userId }
+      };
+      if (messageIds) filter._id = { $in: messageIds };
+
+      const pending = await Message.find(filter).select('_id').lean();
+      if (pending.length === 0) return [];
+
+      const ids = pending.map(message => message._id);
+      const deliveredAt = new Date();
+
+      await Message.updateMany(
+        { _id: { $in: ids }, 'deliveredTo.user': { $ne: userId } },
+        { $push: { deliveredTo: { user: userId, deliveredAt } } }
+      );
+
+      this.emitToConversation(conversationId, 'messagesDelivered', {
+        conversationId: conversationId.toString(),
+        userId: userId.toString(),
+        messageIds: ids.map(id => id.toString()),
+        deliveredAt
+      });
+
+      return ids;
+    } catch (error) {
+      throw new ApiError(`Failed to mark messages delivered: ${error.message}`, error.statusCode || 500);
+    }
+  }
+
+  /**
+   * Mark messages as read by a participant (all unread ones, or just
+   * `messageIds`) and emit a read receipt. Read implies delivered.
+   */
+  async markRead(conversationId, userId, messageIds = null) {
+    try {
+      const conversation = await this.getConversationForUser(conversationId, userId);
+
+      const filter = {
+        conversation: conversation._id,
+        sender: { $ne: userId },
+        'readBy.user': { $ne: userId }
+      };
+      if (messageIds) filter._id = { $in: messageIds };
+
+      const unread = await Message.find(filter).select('_id').lean();
+      const readAt = new Date();
+
+      if (unread.length > 0) {
+        const ids = unread.map(message => message._id);
+
+        await Message.updateMany(
+          { _id: { $in: ids }, 'readBy.user': { $ne: userId } },
+          { $push: { readBy: { user: userId, readAt } } }
+        );
+        await Message.updateMany(
+          { _id: { $in: ids }, 'deliveredTo.user': { $ne: userId } },
+          { $push: { deliveredTo: { user: userId, deliveredAt: readAt } } }
+        );
+
+        this.emitToConversation(conversation._id, 'messagesRead', {
+          conversationId: conversation._id.toString(),
+          userId: userId.toString(),
+          messageIds: ids.map(id => id.toString()),
+          readAt
+        });
+      }
+
+      await this.touchParticipant(conversation, userId, readAt);
+
+      return unread.map(message => message._id);
+    } catch (error) {
+      throw new ApiError(`Failed to mark messages read: ${error.message}`, error.statusCode || 500);
+    }
+  }
+
+  /**
+   * Update a participant's lastSeen in the conversation analytics
+   */
+  async touchParticipant(conversation, userId, seenAt = new Date()) {
+    const result = await Conversation.updateOne(
+      { _id: conversation._id, 'analytics.participantActivity.user': userId },
+      { $set: { 'analytics.participantActivity.$.lastSeen': seenAt } }
+    );
+
+    if (result.matchedCount === 0) {
+      await Conversation.updateOne(
+        { _id: conversation._id },
+        { $push: { 'analytics.participantActivity': { user: userId, lastSeen: seenAt, messageCount: 0 } } }
+      );
+    }
+  }
+
+  /**
+   * A message the user can see (by being a participant of its conversation)
+   */
+  async getMessageForUser(messageId, userId) {
+    const message = await Message.findById(messageId);
+    if (!message) {
+      throw new ApiError('Message not found', 404);
+    }
+
+    await this.getConversationForUser(message.conversation, userId);
+    return message;
+  }
+
+  /**
+   * Soft-delete a message: the sender's own, or anyone's for moderators of a
+   * group (who outrank the sender). Attached files are removed and the
+   * message is unpinned.
+   */
+  async deleteMessage(messageId, userId) {
+    try {
+      const message = await Message.findById(messageId);
+      if (!message || message.isDeleted) {
+        throw new ApiError('Message not found', 404);
+      }
+
+      const conversation = await this.getConversationForUser(message.conversation, userId);
+
+      if (message.sender.toString() !== userId.toString()) {
+        if (!conversation.canUserPerformAction(userId, 'delete_any_message')) {
+          throw new ApiError('You can only delete your own messages', 403);
+        }
+        if (conversation.getRoleRank(userId) <= conversation.getRoleRank(message.sender)) {
+          throw new ApiError('You cannot delete messages from participants with an equal or higher role', 403);
+        }
+      }
+
+      await chatAttachmentService.removeFor(message);
+
+      message.isDeleted = true;
+      message.deletedAt = new Date();
+      message.deletedBy = userId;
+      message.content = 'This message was deleted';
+      message.metadata.filePath = undefined;
+      message.metadata.thumbnailPath = undefined;
+      await message.save();
+
+      await Conversation.updateOne(
+        { _id: conversation._id },
+        { $pull: { 'settings.pinnedMessages': { message: message._id } } }
+      );
+
+      this.emitToConversation(conversation._id, 'messageDeleted', {
+        conversationId: conversation._id.toString(),
+        messageId: message._id.toString(),
+        deletedBy: userId.toString()
+      });
+
+      return message;
+    } catch (error) {
+      throw new ApiError(`Failed to delete message: ${error.message}`, error.statusCode || 500);
+    }
+  }
+
+  /**
+   * Set the user's reaction on a message (one per user; replaces any previous)
+   */
+  async addReaction(messageId, userId, emoji) {
+    try {
+      if (typeof emoji !== 'string' || emoji.trim().length === 0 || emoji.trim().length > this.maxReactionLength) {
+        throw new ApiError('A valid emoji is required', 400);
+      }
+
+      const message = await this.getMessageForUser(messageId, userId);
+      if (message.isDeleted) {
+        throw new ApiError('Cannot react to a deleted message', 400);
+      }
+
+      await message.addReaction(userId, emoji.trim());
+      this.emitReaction('reactionAdded', message, userId, emoji.trim());
+
+      return message;
+    } catch (error) {
+      throw new ApiError(`Failed to add reaction: ${error.message}`, error.statusCode || 500);
+    }
+  }
+
+  async removeReaction(messageId, userId) {
+    try {
+      const message = await this.getMessageForUser(messageId, userId);
+      const existing = message.reactions.find(reaction => reaction.user.toString() === userId.toString());
+
+      if (existing) {
+        await message.removeReaction(userId);
+        this.emitReaction('reactionRemoved', message, userId, existing.emoji);
+      }
+
+      return message;
+    } catch (error) {
+      throw new ApiError(`Failed to remove reaction: ${error.message}`, error.statusCode || 500);
+    }
+  }
+
+  emitReaction(event, message, userId, emoji) {
+    this.emitToConversation(message.conversation, event, {
+      conversationId: message.conversation.toString(),
+      messageId: message._id.toString(),
+      userId: userId.toString(),
+      emoji,
+      reactionSummary: message.reactionSummary
+    });
+  }
+
+  /**
+   * Sync cursors are opaque to clients: the updatedAt and _id of the last
+   * message returned, so messages sharing a timestamp aren't skipped
+   */
+  encodeCursor(updatedAt, id = '') {
+    return Buffer.from(`${new Date(updatedAt).getTime()}:${id}`).toString('base64url');
+  }
+
+  decodeCursor(cursor) {
+    const [time, id] = Buffer.from(String(cursor), 'base64url').toString().split(':');
+    const updatedAt = new Date(parseInt(time));
+
+    if (isNaN(updatedAt.getTime()) || (id && !/^[a-f0-9]{24}$/.test(id))) {
+      throw new ApiError('Invalid sync cursor', 400);
+    }
+
+    return { updatedAt, id: id || null };
+  }
+
+  /**
+   * Everything a client missed since `cursor`: new messages, and messages
+   * edited, deleted, reacted to or receipted since (all bump updatedAt), plus
+   * conversations changed since. Without a cursor only a fresh cursor is
+   * returned. Messages from others are marked delivered to the user.
+   */
+  async sync(userId, cursor = null, { limit = this.syncPageSize } = {}) {
+    try {
+      const now = new Date();
+      if (!cursor) {
+        return { messages: [], conversations: [], cursor: this.encodeCursor(now), hasMore: false };
+      }
+
+      const { updatedAt, id } = this.decodeCursor(cursor);
+      const conversationIds = await this.getConversationIds(userId);
+
+      const after = id
+        ? { $or: [{ updatedAt: { $gt: updatedAt } }, { updatedAt, _id: { $gt: id } }] }
+        : { updatedAt: { $gte: updatedAt } };
+
+      const messages = await Message.find({ conversation: { $in: conversationIds }, ...after })
+        .populate('sender', 'name avatar')
+        .sort({ updatedAt: 1, _id: 1 })
+        .limit(limit + 1)
+        .lean();
+
+      const hasMore = messages.length > limit;
+      if (hasMore) messages.pop();
+
+      const conversations = await Conversation.find({
+        _id: { $in: conversationIds },
+        updatedAt: { $gte: updatedAt }
+      })
+        .populate('participants', 'name avatar')
+        .populate('lastMessage')
+        .lean();
+
+      // Delivery receipts for what the client now has
+      const undelivered = messages.filter(message =>
+        message.sender?._id?.toString() !== userId.toString() &&
+        !message.deliveredTo.some(delivery => delivery.user.toString() === userId.toString()));
+      const byConversation = undelivered.reduce((groups, message) => {
+        const key = message.conversation.toString();
+        (groups[key] = groups[key] || []).push(message._id);
+        return groups;
+      }, {});
+      await Promise.all(Object.entries(byConversation).map(([conversationId, ids]) =>
+        this.markDelivered(conversationId, userId, ids)));
+
+      const last = messages[messages.length - 1];
+      return {
+        messages: await this.renderMessages(messages, userId),
+        conversations,
+        cursor: hasMore ? this.encodeCursor(last.updatedAt, last._id) : this.encodeCursor(now),
+        hasMore
+      };
+    } catch (error) {
+      throw new ApiError(`Sync failed: ${error.message}`, error.statusCode || 500);
+    }
+  }
+
+  /**
+   * Typing indicator to the other participants (membership already checked)
+   */
+  emitTyping(conversationId, user, isTyping, { exceptSocket = null } = {}) {
+    if (!this.io) return;
+
+    const target = exceptSocket
+      ? exceptSocket.to(this.roomFor(conversationId))
+      : this.io.to(this.roomFor(conversationId));
+
+    target.emit('userTyping', {
+      conversationId: conversationId.toString(),
+      userId: user._id.toString(),
+      name: user.name,
+      isTyping: Boolean(isTyping)
+    });
+  }
+
+  emitToConversation(conversationId, event, payload) {
+    if (!this.io) return;
+    this.io.to(this.roomFor(conversationId)).emit(event, payload);
+  }
+
+  /**
+   * Put the connected sockets of a conversation's participants into its room
+   * (for conversations created after they connected)
+   */
+  joinParticipants(conversation) {
+    if (!this.io) return;
+
+    for (const participant of conversation.participants) {
+      const userId = (participant._id || participant).toString();
+      this.io.in(userId).socketsJoin(this.roomFor(conversation._id));
+    }
+  }
+
+  /**
+   * Take a removed participant's sockets out of the conversation's room
+   */
+  removeFromRoom(conversationId, userId) {
+    if (!this.io) return;
+
+    this.io.to(userId.toString()).emit('removedFromConversation', { conversationId: conversationId.toString() });
+    this.io.in(userId.toString()).socketsLeave(this.roomFor(conversationId));
+  }
+}
+
+module.exports = new ChatService();
@@ -0,0 +1,425 @@
+const PDFDocument = require('pdfkit');
+const { ApiError } = require('../Middleware/errorHandler');
+const ContractTemplate = require('../Models/ContractTemplate');
+const defaultTemplates = require('../Templates/contractTemplates');
+
+/**
+ * Contract Document Service
+ * Turns a contract (parties + terms) into a document: picks the template
+ * version the contract was drafted from, drops clauses whose conditions
+ * don't hold, substitutes {{placeholders}} and renders the result as JSON
+ * or as a PDF with the signature audit trail attached.
+ */
+
+class ContractDocumentService {
+  constructor() {
+    this.placeholderPattern = /\{\{\s*([\w.]+)\s*(?:\|\s*(\w+)\s*)?\}\}/g;
+    this.placeholderRoots = ['contract', 'parties', 'terms'];
+    this.formatters = ['percent', 'currency', 'list', 'names', 'count', 'split', 'date', 'years'];
+
+    // Shown in place of a variable the contract doesn't define
+    this.missingMarker = '[__________]';
+  }
+
+  /**
+   * Seed version 1 of a built-in template if the template has no versions yet
+   */
+  async ensureDefaultTemplate(key) {
+    const existing = await ContractTemplate.exists({ key });
+    if (existing) return;
+
+    const builtIn = defaultTemplates[key];
+    if (!builtIn) return;
+
+    try {
+      await ContractTemplate.create({
+        key,
+        ...builtIn,
+        version: 1,
+        status: 'published',
+        changeNotes: 'Built-in template',
+        publishedAt: new Date()
+      });
+    } catch (error) {
+      // Another request seeded it first
+      if (error.code !== 11000) throw error;
+    }
+  }
+
+  /**
+   * A template version, or the latest published one
+   */
+  async getTemplate(key, version = null) {
+    await this.ensureDefaultTemplate(key);
+
+    const template = version
+      ? await ContractTemplate.findVersion(key, version)
+      : await ContractTemplate.findLatestPublished(key);
+
+    if (!template) {
+      throw new ApiError(version ? `Template ${key} v${version} not found` : `No published template for ${key}`, 404);
+    }
+
+    return template;
+  }
+
+  async listVersions(key) {
+    await this.ensureDefaultTemplate(key);
+
+    return ContractTemplate.find({ key })
+      .select('key contractType version title status changeNotes createdBy publishedAt createdAt')
+      .sort({ version: -1 });
+  }
+
+  /**
+   * Create the next version of a template as a draft
+   */
+  async createTemplateVersion(key, contractType, { title, clauses, changeNotes }, userId) {
+    try {
+      const errors = this.validateClauses(clauses);
+      if (errors.length > 0) {
+        throw new ApiError(`Invalid template: ${errors.join('; ')}`, 400);
+      }
+
+      await this.ensureDefaultTemplate(key);
+      const latest = await ContractTemplate.findOne({ key }).sort({ version: -1 });
+
+      return await ContractTemplate.create({
+        key,
+        contractType,
+        version: (latest?.version || 0) + 1,
+        title: title || latest?.title || key,
+        clauses,
+        changeNotes,
+        createdBy: userId,
+        status: 'draft'
+      });
+    } catch (error) {
+      throw new ApiError(`Template creation failed: ${error.message}`, error.statusCode || 500);
+    }
+  }
+
+  /**
+   * Publish a draft version. New contracts use the latest published version.
+   */
+  async publishTemplate(key, version) {
+    const template = await ContractTemplate.findVersion(key, version);
+
+    if (!template) {
+      throw new ApiError(`Template ${key} v${version} not found`, 404);
+    }
+    if (template.status !== 'draft') {
+      throw new ApiError(`Template ${key} v${version} is already ${template.status}`, 400);
+    }
+
+    template.status = 'published';
+    template.publishedAt = new Date();
+    return template.save();
+  }
+
+  /**
+   * Check clause structure and placeholders
+   */
+  validateClauses(clauses) {
+    const errors = [];
+
+    if (!Array.isArray(clauses) || clauses.length === 0) {
+      return ['At least one clause is required'];
+    }
+
+    const ids = new Set();
+
+    clauses.forEach((clause, index) => {
+      const label = clause?.clauseId || `#${index + 1}`;
+
+      if (!clause?.clauseId || !clause.heading || !clause.body) {
+        errors.push(`Clause ${label} needs a clauseId, heading and body`);
+        return;
+      }
+      if (ids.has(clause.clauseId)) {
+        errors.push(`Duplicate clause ID ${clause.clauseId}`);
+      }
+      ids.add(clause.clauseId);
+
+      for (const [, path, formatter] of clause.body.matchAll(this.placeholderPattern)) {
+        if (!this.placeholderRoots.includes(path.split('.')[0])) {
+          errors.push(`Clause ${label}: unknown variable ${path}`);
+        }
+        if (formatter && !this.formatters.includes(formatter)) {
+          errors.push(`Clause ${label}: unknown formatter ${formatter}`);
+        }
+      }
+
+      if (clause.condition?.path && !this.placeholderRoots.includes(clause.condition.path.split('.')[0])) {
+        errors.push(`Clause ${label}: unknown condition variable ${clause.condition.path}`);
+      }
+    });
+
+    return errors;
+  }
+
+  /**
+   * Variables available to templates. Parties are addressed by role
+   * (parties.artist.name); parties.all lists every party.
+   */
+  buildContext(contract) {
+    const parties = { all: contract.parties || [] };
+
+    for (const party of parties.all) {
+      if (party?.role && !parties[party.role]) {
+        parties[party.role] = party;
+      }
+    }
+
+    return {
+      contract: {
+        contractId: contract.contractId,
+        type: contract.type,
+        createdAt: contract.metadata?.createdAt,
+        activatedAt: contract.metadata?.activatedAt
+      },
+      parties,
+      terms: contract.terms || {}
+    };
+  }
+
+  resolvePath(context, path) {
+    return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), context);
+  }
+
+  evaluateCondition(condition, context) {
+    if (!condition?.path) return true;
+
+    const value = this.resolvePath(context, condition.path);
+
+    switch (condition.operator) {
+      case 'exists':
+        return value !== undefined && value !== null && value !== '';
+      case 'falsy':
+        return !value;
+      case 'equals':
+        return value === condition.value;
+      case 'gt':
+        return Number(value) > Number(condition.value);
+      case 'truthy':
+      default:
+        return !!value;
+    }
+  }
+
+  format(value, formatter, context) {
+    const currency = context.terms.currency || 'USD';
+
+    switch (formatter) {
+      case 'percent':
+        return `${Number((Number(value) * 100).toFixed(2))}%`;
+      case 'currency':
+        return new Intl.NumberFormat('en-US', { style: 'currency', currency }).format(Number(value));
+      case 'names':
+        return [].concat(value).map(party => party?.name || party?.email || party).join(', ');
+      case 'count':
+        return String([].concat(value).length);
+      case 'split': {
+        // Same reading as royaltyService.resolveCollaborationSplit: keys are
+        // user IDs, roles or emails; shares are fractions
+        return Object.entries(value).map(([key, share]) => {
+          const party = context.parties.all.find(p =>
+            (p.userId && p.userId.toString() === key) || p.role === key || p.email === key);
+          return `${party?.name || key}: ${this.format(share, 'percent', context)}`;
+        }).join(', ');
+      }
+      case 'date':
+        return new Date(value).toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' });
+      case 'years':
+        return `${value} year${Number(value) === 1 ? '' : 's'}`;
+      case 'list':
+      default:
+        return Array.isArray(value) ? value.join(', ') : String(value);
+    }
+  }
+
+  /**
+   * Render a template against a contract
+   */
+  renderTemplate(template, contract) {
+    const context = this.buildContext(contract);
+    const missingVariables = new Set();
+    let number = 0;
+
+    const clauses = template.clauses
+      .filter(clause => this.evaluateCondition(clause.condition, context))
+      .map(clause => ({
+        number: ++number,
+        clauseId: clause.clauseId,
+        heading: clause.heading,
+        text: clause.body.replace(this.placeholderPattern, (match, path, formatter) => {
+          const value = this.resolvePath(context, path);
+
+          if (value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0 && formatter !== 'count')) {
+            missingVariables.add(path);
+            return this.missingMarker;
+          }
+
+          return this.format(value, formatter, context);
+        })
+      }));
+
+    return {
+      templateKey: template.key,
+      templateVersion: template.version,
+      title: template.title,
+      clauses,
+      missingVariables: [...missingVariables]
+    };
+  }
+
+  /**
+   * Render a contract from the template version it was drafted from
+   */
+  async renderContract(contract) {
+    const template = await this.getTemplate(contract.template, contract.templateVersion || null);
+    return this.renderTemplate(template, contract);
+  }
+
+  /**
+   * Render a contract as a PDF, signature audit trail included
+   */
+  async renderPdf(contract) {
+    const document = await this.renderContract(contract);
+    const status = contract.metadata?.status || 'draft';
+
+    return new Promise((resolve, reject) => {
+      const pdf = new PDFDocument({
+        size: 'LETTER',
+        margin: 72,
+        bufferPages: true,
+        info: {
+          Title: `${document.title} (${contract.contractId})`,
+          Subject: `${document.templateKey} v${document.templateVersion}`,
+          CreationDate: new Date()
+        }
+      });
+
+      const chunks = [];
+      pdf.on('data', chunk => chunks.push(chunk));
+      pdf.on('end', () => resolve(Buffer.concat(chunks)));
+      pdf.on('error', reject);
+
+      // Title block
+      pdf.font('Helvetica-Bold').fontSize(18).text(document.title, { align: 'center' });
+      pdf.moveDown(0.5);
+      pdf.font('Helvetica').fontSize(9).fillColor('#555555')
+        .text(`Contract ${contract.contractId} | Template ${document.templateKey} v${document.templateVersion} | Status: ${status}`, { align: 'center' });
+      pdf.fillColor('black').moveDown(1.5);
+
+      // Clauses
+      for (const clause of document.clauses) {
+        pdf.font('Helvetica-Bold').fontSize(11).text(`${clause.number}. ${clause.heading}`);
+        pdf.moveDown(0.25);
+        pdf.font('Helvetica').fontSize(10).text(clause.text, { align: 'justify' });
+        pdf.moveDown(0.8);
+      }
+
+      // Signature blocks
+      pdf.moveDown(1);
+      pdf.font('Helvetica-Bold').fontSize(11).text('Signatures');
+      pdf.moveDown(0.5);
+
+      const parties = contract.parties || [];
+      for (const party of parties) {
+        const signature = (contract.signatures || []).find(sig =>
+          sig.role === party.role && (!party.email || sig.email === party.email));
+
+        pdf.font('Helvetica-Bold').fontSize(10).text(`${party.name || party.email || 'Unnamed party'} (${party.role})`);
+        pdf.font('Helvetica').fontSize(10).text(
+          signature?.status === 'signed'
+            ? `Signed electronically on ${this.formatTimestamp(signature.signedAt)}`
+            : 'Awaiting signature'
+        );
+        pdf.moveDown(0.6);
+      }
+
+      this.renderAuditTrail(pdf, contract);
+
+      // Page footers (and a watermark on unsigned drafts)
+      const range = pdf.bufferedPageRange();
+      for (let i = range.start; i < range.start + range.count; i++) {
+        pdf.switchToPage(i);
+
+        if (status === 'draft') {
+          pdf.save()
+            .rotate(-45, { origin: [306, 396] })
+            .font('Helvetica-Bold').fontSize(96).fillColor('#eeeeee')
+            .text('DRAFT', 100, 350, { lineBreak: false })
+            .restore();
+        }
+
+        // Writing inside the bottom margin would otherwise start a new page
+        pdf.page.margins.bottom = 0;
+        pdf.font('Helvetica').fontSize(8).fillColor('#777777')
+          .text(`${contract.contractId} - Page ${i + 1} of ${range.count}`, 72, pdf.page.height - 50, {
+            align: 'center',
+            width: pdf.page.width - 144,
+            lineBreak: false
+          });
+      }
+
+      pdf.end();
+    });
+  }
+
+  /**
+   * Signature audit trail page: every signature request and contract event
+   */
+  renderAuditTrail(pdf, contract) {
+    pdf.addPage();
+    pdf.fillColor('black').font('Helvetica-Bold').fontSize(14).text('Signature Audit Trail');
+    pdf.moveDown(0.8);
+
+    const signatures = contract.signatures || [];
+    if (signatures.length === 0) {
+      pdf.font('Helvetica').fontSize(10).text('No signatures have been requested.');
+    }
+
+    for (const signature of signatures) {
+      const signed = signature.signature || {};
+      const rows = [
+        ['Signer', `${signature.email} (${signature.role})`],
+        ['Status', signature.status],
+        ['Requested', this.formatTimestamp(signature.requestedAt)],
+        ['Signed', signature.signedAt ? this.formatTimestamp(signature.signedAt) : '-'],
+        ['IP address', signed.ipAddress || '-'],
+        ['User agent', signed.userAgent || '-'],
+        ['Document hash', signature.documentHash || signed.documentHash || '-'],
+        ['Signature hash', signed.signatureHash || '-']
+      ];
+
+      for (const [label, value] of rows) {
+        pdf.font('Helvetica-Bold').fontSize(9).text(`${label}: `, { continued: true });
+        pdf.font('Helvetica').text(String(value));
+      }
+      pdf.moveDown(0.8);
+    }
+
+    const history = contract.history || [];
+    if (history.length > 0) {
+      pdf.moveDown(0.5);
+      pdf.font('Helvetica-Bold').fontSize(12).text('Contract History');
+      pdf.moveDown(0.4);
+
+      for (const event of history) {
+        pdf.font('Helvetica').fontSize(9)
+          .text(`${this.formatTimestamp(event.timestamp)}  ${event.action}${event.details ? ` - ${event.details}` : ''}`);
+        if (event.hash) {
+          pdf.fillColor('#777777').fontSize(7).text(`Entry hash ${event.hash}`).fillColor('black');
+        }
+      }
+    }
+  }
+
+  formatTimestamp(value) {
+    return value ? `${new Date(value).toISOString().replace('T', ' ').slice(0, 19)} UTC` : '-';
+  }
+}
+
+module.exports = new ContractDocumentService();
@@ -1,6 +1,12 @@
 const mongoose = require('mongoose');
 const { ApiError } = require('../Middleware/errorHandler');
 const crypto = require('crypto');
+const Contract = require('../Models/Contract');
+const contractDocumentService = require('./contractDocumentService');
+const EmailService = require('./EmailService');
+const notificationService = require('./notificationService');
+const organizationService = require('./organizationService');
+const User = require('../Models/User');
 
 /**
  * Contract Management and Legal Workflow Service
@@ -58,22 +64,32 @@ class ContractService {
         throw new ApiError(`Unsupported contract type: ${type}`, 400);
       }
 
-      // Validate required fields
+      // Validate required fields: a term, a party in that role, or a top-level field
       const requiredFields = this.contractTypes[type].requiredFields;
-      const missingFields = requiredFields.filter(field => !contractData[field]);
+      const missingFields = requiredFields.filter(field =>
+        terms?.[field] === undefined &&
+        !(parties || []).some(party => party?.role === field) &&
+        !contractData[field]);
 
       if (missingFields.length > 0) {
         throw new ApiError(`Missing required fields: ${missingFields.join(', ')}`, 400);
       }
 
       // Generate contract ID
-      const contractId = this.generateContractId(type);
+      // Contracts belong to the label issuing them; its prefix starts the ID
+      const organization = await organizationService.getForRecord(contractData);
+      const contractId = this.generateContractId(type, organization);
+
+      // Pin the template version so later template edits don't change this contract
+      const template = await contractDocumentService.getTemplate(this.contractTypes[type].template);
 
       // Create contract object
       const contract = {
         contractId,
+        organization: organization._id,
         type,
-        template: this.contractTypes[type].template,
+        template: template.key,
+        templateVersion: template.version,
         parties,
         terms,
         metadata: {
@@ -83,13 +99,16 @@ class ContractService {
           version: 1
         },
         signatures: [],
-        history: [{
-          action: 'created',
-          timestamp: new Date(),
-          details: 'Contract created'
-        }]
+        history: []
       };
 
+      contract.history.push(this.chainHistoryEntry(contract, {
+        action: 'created',
+        timestamp: new Date(),
+        details: 'Contract created',
+        documentHash: this.computeDocumentHash(contract)
+      }));
+
       // Store contract
       const savedContract = await this.storeContract(contract);
 
@@ -100,14 +119,16 @@ class ContractService {
   }
 
   /**
-   * Generate unique contract ID
+   * Generate unique contract ID, prefixed with the organization's code
    */
-  generateContractId(type) {
+  generateContractId(type, organization) {
     const timestamp = Date.now().toString(36);
     const random = Math.random().toString(36).substring(2, 8);
     const typePrefix = type.substring(0, 3).toUpperCase();
+    const labelPrefix = organization.codes?.contractPrefix ||
+      organization.slug.replace(/[^a-z0-9]/g, '').substring(0, 6).toUpperCase();
 
-    return `MBR-${typePrefix}-${timestamp}-${random}`;
+    return `${labelPrefix}-${typePrefix}-${timestamp}-${random}`;
   }
 
   /**
@@ -137,14 +158,29 @@ class ContractService {
       };
 
       // Update contract
-      await this.updateContract(contractId, {
+      await this.appendHistory(contractId, {
+        action: 'sent_for_signature',
+        details: `Signature requested from ${signerEmail} (${signerRole})`
+      }, {
         $set: { 'metadata.status': 'pending_signature' },
         $push: { signatures: signatureRequest }
       });
 
-      // Send signature request email (implementation would call email service)
+      // Send signature request email
       await this.sendSignatureRequestEmail(signerEmail, contract, signatureRequest);
 
+      // Signers with an account also get an in-app notification
+      const signer = await User.findOne({ email: signerEmail.toLowerCase() }).select('_id');
+      if (signer) {
+        notificationService.notifySafely(signer._id, {
+          type: 'contract_signature',
+          title: 'Signature requested',
+          message: `You have been asked to sign contract ${contractId} as ${signerRole}`,
+          entity: { kind: 'contract', id: contractId },
+          link: `/contracts/${contractId}`
+        });
+      }
+
       return {
         contractId,
         signatureRequest,
@@ -181,20 +217,38 @@ class ContractService {
         throw new ApiError('Signature request has expired', 400);
       }
 
-      // Create digital signature
+      // A signer can only sign the document they were shown
+      const documentHash = this.computeDocumentHash(contract);
+      if (signatureData.documentHash && signatureData.documentHash !== documentHash) {
+        throw new ApiError('Contract has changed since it was viewed. Please review it again before signing', 409);
+      }
+
+      // Create digital signature bound to the current document
+      const signedAt = new Date();
       const digitalSignature = {
         ...signatureData,
-        signedAt: new Date(),
+        contractId,
+        signerEmail: signatureRequest.email,
+        signedAt,
         ipAddress: signatureData.ipAddress,
         userAgent: signatureData.userAgent,
-        signatureHash: this.generateSignatureHash(signatureData)
+        documentHash
       };
+      digitalSignature.signatureHash = this.generateSignatureHash(digitalSignature);
 
       // Update signature request
-      await this.updateContract(contractId, {
+      await this.appendHistory(contractId, {
+        action: 'signed',
+        timestamp: signedAt,
+        details: signatureData.signedBy
+          ? `Signed by ${signatureData.signedBy.email} for ${signatureRequest.email} (${signatureRequest.role})`
+          : `Signed by ${signatureRequest.email} (${signatureRequest.role})`,
+        documentHash
+      }, {
         $set: {
           'signatures.$[elem].status': 'signed',
-          'signatures.$[elem].signedAt': new Date(),
+          'signatures.$[elem].signedAt': signedAt,
+          'signatures.$[elem].documentHash': documentHash,
           'signatures.$[elem].signature': digitalSignature
         }
       }, {
@@ -236,17 +290,13 @@ class ContractService {
    */
   async activateContract(contractId) {
     try {
-      await this.updateContract(contractId, {
+      await this.appendHistory(contractId, {
+        action: 'activated',
+        details: 'All required signatures received, contract activated'
+      }, {
         $set: {
           'metadata.status': 'active',
           'metadata.activatedAt': new Date()
-        },
-        $push: {
-          history: {
-            action: 'activated',
-            timestamp: new Date(),
-            details: 'All required signatures received, contract activated'
-          }
         }
       });
 
@@ -274,19 +324,15 @@ class ContractService {
         throw new ApiError('Contract must be active or disputed to terminate', 400);
       }
 
-      await this.updateContract(contractId, {
+      await this.appendHistory(contractId, {
+        action: 'terminated',
+        details: `Contract terminated: ${terminationData.reason}`,
+        performedBy: terminationData.performedBy
+      }, {
         $set: {
           'metadata.status': 'terminated',
           'metadata.terminatedAt': new Date(),
           'metadata.terminationReason': terminationData.reason
-        },
-        $push: {
-          history: {
-            action: 'terminated',
-            timestamp: new Date(),
-            details: `Contract terminated: ${terminationData.reason}`,
-            performedBy: terminationData.performedBy
-          }
         }
       });
 
@@ -296,30 +342,76 @@ class ContractService {
     }
   }
 
+  /**
+   * Update the terms of a contract that nobody has signed yet.
+   * Once any party has signed, the terms are locked: changes need a new
+   * contract (see the duplicate route) so every signature stays bound to
+   * the document it was given on.
+   */
+  async updateContractTerms(contractId, terms, performedBy) {
+    try {
+      const contract = await this.getContract(contractId);
+
+      if (!contract) {
+        throw new ApiError('Contract not found', 404);
+      }
+
+      if (this.hasSignatures(contract)) {
+        throw new ApiError('Contract terms are locked once any party has signed', 409);
+      }
+
+      if (!['draft', 'pending_signature'].includes(contract.metadata.status)) {
+        throw new ApiError('Only draft or pending contracts can be edited', 400);
+      }
+
+      const validation = this.validateContractTerms(contract.type, terms);
+      if (!validation.valid) {
+        throw new ApiError(`Contract validation failed: ${validation.errors.join(', ')}`, 400);
+      }
+
+      const documentHash = this.computeDocumentHash({ ...contract.toObject(), terms });
+
+      return await this.appendHistory(contractId, {
+        action: 'terms_updated',
+        details: 'Contract terms updated',
+        performedBy,
+        documentHash
+      }, {
+        $set: { terms }
+      }, {
+        // Don't race a signature that lands between the check and the update
+        filter: { signatures: { $not: { $elemMatch: { status: 'signed' } } } }
+      });
+    } catch (error) {
+      throw new ApiError(`Contract update failed: ${error.message}`, error.statusCode || 500);
+    }
+  }
+
+  /**
+   * Whether any party has signed the contract
+   */
+  hasSignatures(contract) {
+    return (contract.signatures || []).some(sig => sig.status === 'signed');
+  }
+
   /**
    * Get contract by ID
    */
   async getContract(contractId) {
-    const Contract = mongoose.model('Contract') ||
-      mongoose.model('Contract', new mongoose.Schema({
-        contractId: { type: String, unique: true },
-        type: String,
-        template: String,
-        parties: [Object],
-        terms: Object,
-        metadata: Object,
-        signatures: [Object],
-        history: [Object]
-      }));
-
     return await Contract.findOne({ contractId });
   }
 
+  /**
+   * Get the contract a signature request belongs to
+   */
+  async getContractBySignatureToken(signatureToken) {
+    return await Contract.findOne({ 'signatures.signatureToken': signatureToken });
+  }
+
   /**
    * Update contract
    */
   async updateContract(contractId, updateData, options = {}) {
-    const Contract = mongoose.model('Contract');
     return await Contract.findOneAndUpdate(
       { contractId },
       updateData,
@@ -331,47 +423,268 @@ class ContractService {
    * Store contract in database
    */
   async storeContract(contractData) {
-    const Contract = mongoose.model('Contract') ||
-      mongoose.model('Contract', new mongoose.Schema({
-        contractId: { type: String, unique: true },
-        type: String,
-        template: String,
-        parties: [Object],
-        terms: Object,
-        metadata: Object,
-        signatures: [Object],
-        history: [Object]
-      }));
-
     const contract = new Contract(contractData);
     return await contract.save();
   }
 
   /**
-   * Generate signature hash for verification
+   * Generate signature hash for verification.
+   * Covers the document hash, so a signature can't be moved onto other terms.
    */
   generateSignatureHash(signatureData) {
     const hashData = {
       contractId: signatureData.contractId,
       signerEmail: signatureData.signerEmail,
       signedAt: signatureData.signedAt,
-      ipAddress: signatureData.ipAddress
+      ipAddress: signatureData.ipAddress,
+      userAgent: signatureData.userAgent,
+      documentHash: signatureData.documentHash
+    };
+    // Signed by a team member on the signer's behalf
+    if (signatureData.signedBy) hashData.signedBy = signatureData.signedBy;
+
+    return this.hash(this.canonicalize(hashData));
+  }
+
+  /**
+   * Stable JSON for hashing: object keys sorted, dates as ISO strings,
+   * ObjectIds as hex strings
+   */
+  canonicalize(value) {
+    const sortKeys = (item) => {
+      if (Array.isArray(item)) return item.map(sortKeys);
+      if (item && typeof item === 'object') {
+        return Object.keys(item).sort().reduce((sorted, key) => {
+          if (item[key] !== undefined) sorted[key] = sortKeys(item[key]);
+          return sorted;
+        }, {});
+      }
+      return item;
     };
 
-    return crypto.createHash('sha256')
-      .update(JSON.stringify(hashData))
-      .digest('hex');
+    return JSON.stringify(sortKeys(JSON.parse(JSON.stringify(value ?? null))));
+  }
+
+  hash(data) {
+    return crypto.createHash('sha256').update(data).digest('hex');
+  }
+
+  /**
+   * Hash of the contract document: everything a signer agrees to
+   */
+  computeDocumentHash(contract) {
+    return this.hash(this.canonicalize({
+      contractId: contract.contractId,
+      type: contract.type,
+      template: contract.template,
+      templateVersion: contract.templateVersion,
+      parties: contract.parties,
+      terms: contract.terms
+    }));
+  }
+
+  /**
+   * Link a history entry to the one before it. Each entry's hash covers its
+   * own fields plus the previous entry's hash, so rewriting or removing any
+   * entry breaks every hash after it.
+   */
+  chainHistoryEntry(contract, entry) {
+    const history = contract.history || [];
+    const previousHash = history.length > 0 ? history[history.length - 1].hash || null : null;
+    const chained = {
+      ...entry,
+      timestamp: entry.timestamp || new Date(),
+      previousHash
+    };
+
+    return { ...chained, hash: this.hashHistoryEntry(chained) };
+  }
+
+  hashHistoryEntry(entry) {
+    const { hash, ...fields } = entry;
+    return this.hash(this.canonicalize(fields));
+  }
+
+  /**
+   * Append a chained history entry, optionally with other changes in the same
+   * update. Guarded on the history length so concurrent appends can't fork
+   * the chain.
+   */
+  async appendHistory(contractId, entry, updateData = {}, options = {}) {
+    const { filter = {}, ...updateOptions } = options;
+    const maxAttempts = 3;
+
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      const contract = await this.getContract(contractId);
+
+      if (!contract) {
+        throw new ApiError('Contract not found', 404);
+      }
+
+      const length = (contract.history || []).length;
+      const chained = this.chainHistoryEntry(contract, entry);
+
+      const updated = await Contract.findOneAndUpdate(
+        {
+          ...filter,
+          contractId,
+          [`history.${length}`]: { $exists: false }
+        },
+        {
+          ...updateData,
+          $push: { ...(updateData.$push || {}), history: chained }
+        },
+        { ...updateOptions, new: true }
+      );
+
+      if (updated) {
+        return updated;
+      }
+
+      // Either someone else appended first (retry) or the caller's filter no longer holds
+      const current = await this.getContract(contractId);
+      if ((current?.history || []).length === length) {
+        throw new ApiError('Contract changed while updating, please retry', 409);
+      }
+    }
+
+    throw new ApiError('Could not update contract history, please retry', 409);
+  }
+
+  /**
+   * Check a contract's integrity: every signature was made on the current
+   * document, every signature hash still matches what was signed, and the
+   * history chain is unbroken. Read-only; see disputeContract.
+   */
+  async verifyContract(contractId) {
+    try {
+      const contract = await this.getContract(contractId);
+
+      if (!contract) {
+        throw new ApiError('Contract not found', 404);
+      }
+
+      return this.checkIntegrity(contract);
+    } catch (error) {
+      throw new ApiError(`Contract verification failed: ${error.message}`, error.statusCode || 500);
+    }
+  }
+
+  checkIntegrity(contract) {
+    const documentHash = this.computeDocumentHash(contract);
+
+    const signatures = (contract.signatures || [])
+      .filter(sig => sig.status === 'signed')
+      .map(sig => {
+        const signed = sig.signature || {};
+        const signedDocumentHash = sig.documentHash || signed.documentHash || null;
+
+        return {
+          email: sig.email,
+          role: sig.role,
+          signedAt: sig.signedAt,
+          documentHash: signedDocumentHash,
+          matchesCurrentDocument: signedDocumentHash === documentHash,
+          signatureHashValid: Boolean(signed.signatureHash) &&
+            signed.signatureHash === this.generateSignatureHash(signed)
+        };
+      });
+
+    const historyChain = this.verifyHistoryChain(contract.history || []);
+    const signedVersionIsCurrent = signatures.every(sig => sig.matchesCurrentDocument);
+    const valid = signedVersionIsCurrent && signatures.every(sig => sig.signatureHashValid) && historyChain.valid;
+
+    return {
+      contractId: contract.contractId,
+      status: contract.metadata.status,
+      valid,
+      documentHash,
+      signedVersionIsCurrent,
+      signatures,
+      historyChain
+    };
+  }
+
+  /**
+   * Move a signed contract that fails its integrity check to disputed.
+   * The check is repeated here, so only a contract that really no longer
+   * matches its signatures can be disputed this way.
+   */
+  async disputeContract(contractId, performedBy) {
+    try {
+      const contract = await this.getContract(contractId);
+
+      if (!contract) {
+        throw new ApiError('Contract not found', 404);
+      }
+
+      const result = this.checkIntegrity(contract);
+
+      if (result.signatures.length === 0) {
+        throw new ApiError('Only a signed contract can be disputed', 400);
+      }
+      if (result.valid) {
+        throw new ApiError('Contract integrity verified; nothing to dispute', 409);
+      }
+      if (contract.metadata.status === 'disputed') {
+        return result;
+      }
+
+      const updated = await this.appendHistory(contractId, {
+        action: 'disputed',
+        details: 'Integrity check failed: contract document or audit trail no longer matches the signatures',
+        performedBy,
+        documentHash: result.documentHash
+      }, {
+        $set: {
+          'metadata.status': 'disputed',
+          'metadata.disputedAt': new Date(),
+          'metadata.disputeReason': 'integrity_check_failed'
+        }
+      });
+
+      return { ...result, status: updated.metadata.status };
+    } catch (error) {
+      throw new ApiError(`Contract dispute failed: ${error.message}`, error.statusCode || 500);
+    }
+  }
+
+  /**
+   * Walk the history hash chain. Entries recorded before hashing was added
+   * (no hash) are reported but only allowed ahead of the first hashed entry.
+   */
+  verifyHistoryChain(history) {
+    let previousHash = null;
+    let unhashedEntries = 0;
+    let chained = false;
+
+    for (let i = 0; i < history.length; i++) {
+      const entry = typeof history[i].toObject === 'function' ? history[i].toObject() : history[i];
+
+      if (!entry.hash) {
+        if (chained) {
+          return { valid: false, length: history.length, brokenAt: i, unhashedEntries };
+        }
+        unhashedEntries++;
+        continue;
+      }
+
+      chained = true;
+      if ((entry.previousHash || null) !== previousHash || entry.hash !== this.hashHistoryEntry(entry)) {
+        return { valid: false, length: history.length, brokenAt: i, unhashedEntries };
+      }
+      previousHash = entry.hash;
+    }
+
+    return { valid: true, length: history.length, brokenAt: null, unhashedEntries, headHash: previousHash };
   }
 
   /**
    * Send signature request email
    */
   async sendSignatureRequestEmail(email, contract, signatureRequest) {
-    // Implementation would integrate with email service
-    console.log(`Sending signature request to ${email} for contract ${contract.contractId}`);
-
-    // In production, this would send an actual email with signature link
-    // const signatureLink = `${process.env.CLIENT_URL}/contracts/sign/${signatureRequest.signatureToken}`;
+    const template = await contractDocumentService.getTemplate(contract.template, contract.templateVersion || null);
+    return EmailService.sendSignatureRequestEmail(email, contract, signatureRequest, template.title);
   }
 
   /**
@@ -472,7 +785,6 @@ class ContractService {
    * Get contracts for user
    */
   async getUserContracts(userId, filters = {}) {
-    const Contract = mongoose.model('Contract');
 
     const query = {
       $or: [
@@ -483,12 +795,117 @@ class ContractService {
 
     if (filters.type) query.type = filters.type;
     if (filters.status) query['metadata.status'] = filters.status;
+    if (filters.organization) Object.assign(query, organizationService.filterFor(filters.organization));
 
     return await Contract.find(query)
       .sort({ 'metadata.createdAt': -1 })
       .limit(filters.limit || 50);
   }
 
+  /**
+   * Get the period a contract is in force.
+   * Starts at terms.startDate (or activation) and runs for terms.term years
+   * unless terms.endDate is given; termination ends it early.
+   */
+  getContractPeriod(contract) {
+    const terms = contract.terms || {};
+    const metadata = contract.metadata || {};
+    const start = terms.startDate ? new Date(terms.startDate) : (metadata.activatedAt ? new Date(metadata.activatedAt) : null);
+
+    let end = null;
+    if (terms.endDate) {
+      end = new Date(terms.endDate);
+    } else if (start && terms.term) {
+      end = new Date(start);
+      end.setFullYear(end.getFullYear() + Number(terms.term));
+    }
+
+    if (metadata.terminatedAt && (!end || new Date(metadata.terminatedAt) < end)) {
+      end = new Date(metadata.terminatedAt);
+    }
+
+    return { start, end };
+  }
+
+  /**
+   * Check whether a contract covers a territory.
+   * An unspecified territory (or "worldwide") on the revenue side matches any contract.
+   */
+  coversTerritory(contract, territory) {
+    const contractTerritories = (contract.terms?.territory || ['worldwide'])
+      .map(t => t.toString().toLowerCase());
+
+    if (!territory || territory.toLowerCase() === 'worldwide') return true;
+
+    return contractTerritories.includes('worldwide') || contractTerritories.includes(territory.toLowerCase());
+  }
+
+  /**
+   * Find contracts governing a track at a given date and territory,
+   * newest first. Terminated/expired contracts still apply to revenue earned
+   * while they were in force.
+   */
+  async findActiveContractsForTrack(trackId, { date = new Date(), territory = null } = {}) {
+    const at = new Date(date);
+
+    const contracts = await Contract.findForTrack(trackId, {
+      'metadata.status': { $in: ['active', 'terminated', 'expired'] }
+    });
+
+    return contracts
+      .filter(contract => {
+        const { start, end } = this.getContractPeriod(contract);
+        return start && start <= at && (!end || end > at) && this.coversTerritory(contract, territory);
+      })
+      .sort((a, b) => this.getContractPeriod(b).start - this.getContractPeriod(a).start);
+  }
+
+  /**
+   * Reserve part of a royalty to recoup a contract's advance.
+   * Guarded so concurrent calculations can never recoup more than the advance.
+   */
+  async reserveRecoupment(contractId, amount) {
+    const maxAttempts = 3;
+
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      const contract = await this.getContract(contractId);
+      const advance = Number(contract?.terms?.advance || 0);
+      const recouped = Number(contract?.metadata?.recoupedAmount || 0);
+      const outstanding = Math.max(0, advance - recouped);
+      const reserve = Math.min(amount, outstanding);
+
+      if (reserve <= 0) {
+        return { amount: 0, outstanding };
+      }
+
+      const updated = await Contract.findOneAndUpdate(
+        {
+          contractId,
+          $or: [
+            { 'metadata.recoupedAmount': { $exists: false } },
+            { 'metadata.recoupedAmount': recouped }
+          ]
+        },
+        { $inc: { 'metadata.recoupedAmount': reserve } },
+        { new: true }
+      );
+
+      if (updated) {
+        return { amount: reserve, outstanding: Math.max(0, advance - updated.metadata.recoupedAmount) };
+      }
+    }
+
+    throw new ApiError('Could not reserve recoupment, please retry', 409);
+  }
+
+  /**
+   * Release a recoupment reservation (e.g. when the calculation couldn't be stored)
+   */
+  async releaseRecoupment(contractId, amount) {
+    if (!(amount > 0)) return;
+    await Contract.updateOne({ contractId }, { $inc: { 'metadata.recoupedAmount': -amount } });
+  }
+
   /**
    * Validate contract terms
    */
@@ -626,6 +1043,14 @@ class ContractService {
 
     if (!terms.revenueSplit || typeof terms.revenueSplit !== 'object') {
       errors.push('Revenue split must be specified as an object');
+    } else {
+      // Shares are fractions of the artist share; the main artist keeps the rest
+      const shares = Object.values(terms.revenueSplit);
+      if (shares.some(share => typeof share !== 'number' || !(share > 0 && share <= 1))) {
+        errors.push('Revenue split shares must be fractions between 0 and 1');
+      } else if (shares.reduce((sum, share) => sum + share, 0) > 1 + 1e-9) {
+        errors.push('Revenue split shares must not add up to more than 1');
+      }
     }
 
     return {
@@ -0,0 +1,445 @@
+const mongoose = require('mongoose');
+const { ApiError } = require('../Middleware/errorHandler');
+const Conversation = require('../Models/Conversation');
+const Message = require('../Models/Message');
+const User = require('../Models/User');
+const chatService = require('./chatService');
+const chatAttachmentService = require('./chatAttachmentService');
+
+/**
+ * Conversation Service
+ * Group membership, roles, pinned messages, settings and message retention.
+ *
+ * Permissions come from Conversation.canUserPerformAction; on top of that a
+ * participant can only remove, or change the role of, someone ranked below
+ * them (owner > admin > moderator > member). Membership and role changes are
+ * recorded in the thread as system messages.
+ */
+
+class ConversationService {
+  constructor() {
+    this.assignableRoles = ['admin', 'moderator', 'member'];
+    this.maxPinnedMessages = 50;
+    this.maxAutoDeleteDays = 3650;
+    this.maxGroupSize = 256;
+
+    this.retentionTimer = null;
+  }
+
+  /**
+   * A conversation the user participates in and may perform `action` in
+   */
+  async getConversationForAction(conversationId, userId, action) {
+    const conversation = await chatService.getConversationForUser(conversationId, userId);
+
+    if (!conversation.canUserPerformAction(userId, action)) {
+      throw new ApiError('You do not have permission to do that in this conversation', 403);
+    }
+
+    return conversation;
+  }
+
+  isParticipant(conversation, userId) {
+    return conversation.participants.some(participant => participant.toString() === userId.toString());
+  }
+
+  /**
+   * Start a group conversation; the creator becomes its owner
+   */
+  async createGroup(creator, { name, participantIds = [] }) {
+    try {
+      if (!name || !name.trim()) {
+        throw new ApiError('Group name is required', 400);
+      }
+
+      const ids = [...new Set(participantIds.map(id => id.toString()))]
+        .filter(id => id !== creator._id.toString());
+
+      if (ids.length === 0) {
+        throw new ApiError('Add at least one other participant', 400);
+      }
+      if (ids.length + 1 > this.maxGroupSize) {
+        throw new ApiError(`Groups are limited to ${this.maxGroupSize} participants`, 400);
+      }
+
+      const users = await User.find({ _id: { $in: ids }, isActive: true }).select('_id');
+      if (users.length !== ids.length) {
+        throw new ApiError('One or more participants were not found', 404);
+      }
+
+      const conversation = new Conversation({
+        type: 'group',
+        name: name.trim(),
+        participants: [creator._id, ...users.map(user => user._id)],
+        roles: users.map(user => ({ user: user._id, role: 'member', assignedBy: creator._id })),
+        createdBy: creator._id
+      });
+      await conversation.save();
+
+      chatService.joinParticipants(conversation);
+      await this.postSystemMessage(conversation, creator._id, 'conversation_created',
+        `${creator.name} created the group`);
+
+      return conversation;
+    } catch (error) {
+      throw new ApiError(`Failed to create group: ${error.message}`, error.statusCode || 500);
+    }
+  }
+
+  /**
+   * Record an event in the thread and broadcast it like any other message
+   */
+  async postSystemMessage(conversation, actorId, systemType, content, { targetUser = null, role = null } = {}) {
+    const message = await Message.create({
+      conversation: conversation._id,
+      sender: actorId,
+      content,
+      type: 'system',
+      metadata: {
+        systemType,
+        targetUser: targetUser || undefined,
+        role: role || undefined
+      },
+      readBy: [{
+        user: actorId,
+        readAt: new Date()
+      }]
+    });
+
+    await Conversation.updateOne(
+      { _id: conversation._id },
+      { $set: { lastMessage: message._id, lastActivity: new Date() } }
+    );
+
+    await message.populate('sender', 'name avatar');
+    chatService.emitToConversation(conversation._id, 'newMessage', message.toObject());
+
+    return message;
+  }
+
+  async addParticipant(conversationId, actor, userId) {
+    try {
+      const conversation = await this.getConversationForAction(conversationId, actor._id, 'add_participant');
+
+      if (conversation.type === 'direct') {
+        throw new ApiError('Participants cannot be added to a direct conversation', 400);
+      }
+      if (this.isParticipant(conversation, userId)) {
+        throw new ApiError('User is already a participant', 409);
+      }
+      if (conversation.participants.length >= this.maxGroupSize) {
+        throw new ApiError(`Groups are limited to ${this.maxGroupSize} participants`, 400);
+      }
+
+      const user = await User.findOne({ _id: userId, isActive: true }).select('name');
+      if (!user) {
+        throw new ApiError('User not found', 404);
+      }
+
+      await conversation.addParticipant(user._id, actor._id);
+      chatService.joinParticipants({ _id: conversation._id, participants: [user._id] });
+
+      await this.postSystemMessage(conversation, actor._id, 'user_joined',
+        `${actor.name} added ${user.name}`, { targetUser: user._id });
+
+      return conversation;
+    } catch (error) {
+      throw new ApiError(`Failed to add participant: ${error.message}`, error.statusCode || 500);
+    }
+  }
+
+  /**
+   * Remove a participant, or leave when `userId` is the actor. An owner who
+   * leaves hands ownership to the highest-ranked remaining participant.
+   */
+  async removeParticipant(conversationId, actor, userId) {
+    try {
+      const conversation = await chatService.getConversationForUser(conversationId, actor._id);
+      const isSelf = userId.toString() === actor._id.toString();
+
+      if (conversation.type === 'direct') {
+        throw new ApiError('Participants cannot leave or be removed from a direct conversation', 400);
+      }
+      if (!this.isParticipant(conversation, userId)) {
+        throw new ApiError('User is not a participant', 404);
+      }
+
+      if (!isSelf) {
+        if (!conversation.canUserPerformAction(actor._id, 'remove_participant')) {
+          throw new ApiError('You do not have permission to remove participants', 403);
+        }
+        if (conversation.getRoleRank(actor._id) <= conversation.getRoleRank(userId)) {
+          throw new ApiError('You can only remove participants with a lower role', 403);
+        }
+      }
+
+      const user = isSelf ? actor : await User.findById(userId).select('name');
+      const successor = isSelf && conversation.getUserRole(userId) === 'owner'
+        ? this.findSuccessor(conversation, userId)
+        : null;
+
+      await conversation.removeParticipant(userId);
+      chatService.removeFromRoom(conversation._id, userId);
+
+      const name = user ? user.name : 'A participant';
+      await this.postSystemMessage(conversation, actor._id, 'user_left',
+        isSelf ? `${name} left` : `${actor.name} removed ${name}`, { targetUser: userId });
+
+      if (successor) {
+        await conversation.updateRole(successor, 'owner', actor._id);
+        const successorUser = await User.findById(successor).select('name');
+        await this.postSystemMessage(conversation, actor._id, 'role_changed',
+          `${successorUser ? successorUser.name : 'A participant'} is now the owner`,
+          { targetUser: successor, role: 'owner' });
+      }
+
+      return conversation;
+    } catch (error) {
+      throw new ApiError(`Failed to remove participant: ${error.message}`, error.statusCode || 500);
+    }
+  }
+
+  /**
+   * Highest-ranked other participant, longest-serving first
+   */
+  findSuccessor(conversation, leavingUserId) {
+    const others = conversation.participants.filter(participant => participant.toString() !== leavingUserId.toString());
+    if (others.length === 0) return null;
+
+    const assignedAt = (userId) => {
+      const entry = conversation.roles.find(role => role.user.toString() === userId.toString());
+      return entry?.assignedAt ? entry.assignedAt.getTime() : Infinity;
+    };
+
+    return [...others].sort((a, b) =>
+      conversation.getRoleRank(b) - conversation.getRoleRank(a) || assignedAt(a) - assignedAt(b))[0];
+  }
+
+  async changeRole(conversationId, actor, userId, role) {
+    try {
+      const conversation = await this.getConversationForAction(conversationId, actor._id, 'change_role');
+
+      if (!this.assignableRoles.includes(role)) {
+        throw new ApiError(`Role must be one of: ${this.assignableRoles.join(', ')}`, 400);
+      }
+      if (!this.isParticipant(conversation, userId)) {
+        throw new ApiError('User is not a participant', 404);
+      }
+      if (userId.toString() === actor._id.toString()) {
+        throw new ApiError('You cannot change your own role', 400);
+      }
+
+      const actorRank = conversation.getRoleRank(actor._id);
+      if (actorRank <= conversation.getRoleRank(userId) || actorRank <= Conversation.ROLE_RANKS[role]) {
+        throw new ApiError('You can only assign roles below your own, to participants below you', 403);
+      }
+
+      if (conversation.getUserRole(userId) === role) {
+        return conversation;
+      }
+
+      await conversation.updateRole(userId, role, actor._id);
+
+      const user = await User.findById(userId).select('name');
+      const article = role === 'admin' ? 'an' : 'a';
+      await this.postSystemMessage(conversation, actor._id, 'role_changed',
+        `${actor.name} made ${user ? user.name : 'a participant'} ${article} ${role}`,
+        { targetUser: userId, role });
+
+      return conversation;
+    } catch (error) {
+      throw new ApiError(`Failed to change role: ${error.message}`, error.statusCode || 500);
+    }
+  }
+
+  async getPinnedMessages(conversationId, userId) {
+    const conversation = await chatService.getConversationForUser(conversationId, userId);
+    await conversation.populate({
+      path: 'settings.pinnedMessages.message',
+      populate: { path: 'sender', select: 'name avatar' }
+    });
+
+    const pins = conversation.settings.pinnedMessages.filter(pin => pin.message && !pin.message.isDeleted);
+    const messages = await chatService.renderMessages(pins.map(pin => pin.message.toObject()), userId);
+
+    return pins.map((pin, index) => ({
+      message: messages[index],
+      pinnedBy: pin.pinnedBy,
+      pinnedAt: pin.pinnedAt
+    }));
+  }
+
+  async pinMessage(conversationId, actorId, messageId) {
+    try {
+      const conversation = await this.getConversationForAction(conversationId, actorId, 'pin_message');
+
+      const message = await Message.findOne({
+        _id: messageId,
+        conversation: conversation._id,
+        isDeleted: { $ne: true }
+      }).select('_id');
+
+      if (!message) {
+        throw new ApiError('Message not found in this conversation', 404);
+      }
+      if (conversation.settings.pinnedMessages.length >= this.maxPinnedMessages) {
+        throw new ApiError(`A conversation can have at most ${this.maxPinnedMessages} pinned messages`, 400);
+      }
+
+      const pinnedAt = new Date();
+      const result = await Conversation.updateOne(
+        { _id: conversation._id, 'settings.pinnedMessages.message': { $ne: message._id } },
+        { $push: { 'settings.pinnedMessages': { message: message._id, pinnedBy: actorId, pinnedAt } } }
+      );
+
+      if (result.modifiedCount > 0) {
+        chatService.emitToConversation(conversation._id, 'messagePinned', {
+          conversationId: conversation._id.toString(),
+          messageId: message._id.toString(),
+          pinnedBy: actorId.toString(),
+          pinnedAt
+        });
+      }
+
+      return { pinned: true, alreadyPinned: result.modifiedCount === 0 };
+    } catch (error) {
+      throw new ApiError(`Failed to pin message: ${error.message}`, error.statusCode || 500);
+    }
+  }
+
+  async unpinMessage(conversationId, actorId, messageId) {
+    try {
+      const conversation = await this.getConversationForAction(conversationId, actorId, 'pin_message');
+
+      const result = await Conversation.updateOne(
+        { _id: conversation._id },
+        { $pull: { 'settings.pinnedMessages': { message: messageId } } }
+      );
+
+      if (result.modifiedCount === 0) {
+        throw new ApiError('Message is not pinned', 404);
+      }
+
+      chatService.emitToConversation(conversation._id, 'messageUnpinned', {
+        conversationId: conversation._id.toString(),
+        messageId: messageId.toString(),
+        unpinnedBy: actorId.toString()
+      });
+    } catch (error) {
+      throw new ApiError(`Failed to unpin message: ${error.message}`, error.statusCode || 500);
+    }
+  }
+
+  /**
+   * Update retention and invite settings
+   */
+  async updateSettings(conversationId, actorId, { autoDeleteDays, allowInvites }) {
+    try {
+      const conversation = await this.getConversationForAction(conversationId, actorId, 'change_settings');
+
+      if (autoDeleteDays !== undefined) {
+        const days = Number(autoDeleteDays);
+        if (!Number.isInteger(days) || days < 0 || days > this.maxAutoDeleteDays) {
+          throw new ApiError(`autoDeleteDays must be a whole number from 0 to ${this.maxAutoDeleteDays}`, 400);
+        }
+        conversation.settings.autoDeleteDays = days;
+      }
+
+      if (allowInvites !== undefined) {
+        conversation.settings.allowInvites = Boolean(allowInvites);
+      }
+
+      await conversation.save();
+
+      chatService.emitToConversation(conversation._id, 'conversationSettings', {
+        conversationId: conversation._id.toString(),
+        autoDeleteDays: conversation.settings.autoDeleteDays,
+        allowInvites: conversation.settings.allowInvites
+      });
+
+      return conversation.settings;
+    } catch (error) {
+      throw new ApiError(`Failed to update settings: ${error.message}`, error.statusCode || 500);
+    }
+  }
+
+  /**
+   * Retention job: permanently delete messages (and their attachments) older
+   * than each conversation's autoDeleteDays, and unpin them. Works through
+   * each conversation's expired messages in _id order, `batchSize` at a time.
+   */
+  async purgeExpiredMessages(now = new Date(), { batchSize = 500 } = {}) {
+    const conversations = await Conversation.find({ 'settings.autoDeleteDays': { $gt: 0 } })
+      .select('settings.autoDeleteDays');
+
+    let purged = 0;
+
+    for (const conversation of conversations) {
+      const cutoff = new Date(now.getTime() - conversation.settings.autoDeleteDays * 24 * 60 * 60 * 1000);
+      const query = { conversation: conversation._id, createdAt: { $lt: cutoff } };
+
+      let lastId = null;
+      let count = 0;
+
+      for (;;) {
+        const expired = await Message.find(lastId ? { ...query, _id: { $gt: lastId } } : query)
+          .select('metadata.filePath metadata.thumbnailPath')
+          .sort({ _id: 1 })
+          .limit(batchSize)
+          .lean();
+
+        if (expired.length === 0) break;
+        lastId = expired[expired.length - 1]._id;
+
+        const ids = expired.map(message => message._id);
+
+        await Promise.all(expired.map(message => chatAttachmentService.removeFor(message)));
+        await Message.deleteMany({ _id: { $in: ids } });
+        await Conversation.updateOne(
+          { _id: conversation._id },
+          { $pull: { 'settings.pinnedMessages': { message: { $in: ids } } } }
+        );
+
+        count += ids.length;
+      }
+
+      if (count === 0) continue;
+
+      const latest = await Message.findOne({ conversation: conversation._id }).sort({ createdAt: -1 }).select('_id');
+      await Conversation.updateOne(
+        { _id: conversation._id },
+        { $set: { lastMessage: latest ? latest._id : null } }
+      );
+
+      chatService.emitToConversation(conversation._id, 'messagesExpired', {
+        conversationId: conversation._id.toString(),
+        before: cutoff,
+        count
+      });
+
+      purged += count;
+    }
+
+    return { conversations: conversations.length, purged };
+  }
+
+  startRetentionJob(intervalMs = parseInt(process.env.CHAT_RETENTION_INTERVAL_MS || '3600000')) {
+    if (this.retentionTimer) return;
+
+    this.retentionTimer = setInterval(() => {
+      if (mongoose.connection.readyState !== 1) return;
+
+      this.purgeExpiredMessages().catch(error => {
+        console.error('Chat retention job error:', error.message);
+      });
+    }, intervalMs);
+    this.retentionTimer.unref();
+  }
+
+  stopRetentionJob() {
+    clearInterval(this.retentionTimer);
+    this.retentionTimer = null;
+  }
+}
+
+module.exports = new ConversationService();
@@ -0,0 +1,589 @@
+const mongoose = require('mongoose');
+const { ApiError } = require('../Middleware/errorHandler');
+const DemoSubmission = require('../Models/DemoSubmission');
+const User = require('../Models/User');
+const contractService = require('./contractService');
+const notificationService = require('./notificationService');
+const EmailService = require('./EmailService');
+const organizationService = require('./organizationService');
+
+/**
+ * Demo Review (A&R queue) Service
+ *
+ *   - Reviewers are users with the demos:review permission.
+ *   - Assignment: new demos go to the active reviewer who covers the demo's
+ *     genre (or any genre) and has the fewest open demos, skipping reviewers
+ *     at capacity. Ties go to whoever has fewer open demos in that genre.
+ *   - SLA: each demo is due a fixed number of hours after submission,
+ *     depending on priority. The escalation job first raises an overdue
+ *     demo's priority and reminds the reviewer; if it is still open a full
+ *     SLA window later, it is reassigned to another reviewer.
+ *   - Scoring: every reviewer files one scorecard; DemoSubmission's
+ *     overallScore averages them.
+ *   - Decision: sets the outcome and status, tells the submitter and, on
+ *     accept, drafts a contract through contractService.
+ */
+
+class DemoReviewService {
+  constructor() {
+    this.slaHours = {
+      urgent: 24,
+      high: 72,
+      medium: 7 * 24,
+      low: 14 * 24
+    };
+    this.priorities = ['low', 'medium', 'high', 'urgent'];
+
+    this.decisionStatuses = {
+      accept: 'accepted',
+      reject: 'rejected',
+      conditional: 'feedback_requested',
+      refer: 'on_hold'
+    };
+
+    // Statuses the submitter hears about by email
+    this.emailStatuses = ['accepted', 'rejected', 'feedback_requested', 'on_hold'];
+
+    // Contract drafted on acceptance, by submission type
+    this.contractTypes = {
+      label_signing: 'recording',
+      distribution: 'distribution'
+    };
+    this.defaultContractTerms = {
+      recording: { royaltyRate: 0.18, term: 3, territory: ['Worldwide'], tracks: [] },
+      distribution: { royaltyRate: 0.85, term: 2, territory: ['Worldwide'], platforms: ['spotify', 'apple_music', 'youtube_music'] }
+    };
+
+    this.escalationTimer = null;
+  }
+
+  /**
+   * Due date for a demo at its current priority, counted from submission
+   */
+  computeDueAt(demo) {
+    const submittedAt = demo.submissionInfo?.submissionDate || demo.createdAt || new Date();
+    const hours = this.slaHours[demo.priority] || this.slaHours.medium;
+    return new Date(new Date(submittedAt).getTime() + hours * 60 * 60 * 1000);
+  }
+
+  /**
+   * Open demos per reviewer, overall and in the given genres
+   */
+  async getReviewerLoads(genres = []) {
+    const loads = await DemoSubmission.aggregate([
+      { $match: { reviewer: { $ne: null }, status: { $in: DemoSubmission.OPEN_STATUSES } } },
+      {
+        $group: {
+          _id: '$reviewer',
+          open: { $sum: 1 },
+          inGenre: {
+            $sum: { $cond: [{ $gt: [{ $size: { $setIntersection: ['$genre', genres] } }, 0] }, 1, 0] }
+          }
+        }
+      }
+    ]);
+
+    return new Map(loads.map(load => [load._id.toString(), { open: load.open, inGenre: load.inGenre }]));
+  }
+
+  /**
+   * User query for reviewers of an organization's demos. Demos from before
+   * organizations existed belong to the default one.
+   */
+  async reviewerFilter(organizationId) {
+    const organization = await organizationService.getForRecord({ organization: organizationId });
+    return organizationService.userFilterWithPermission('demos:review', organization._id);
+  }
+
+  async getActiveReviewers(organizationId) {
+    return User.find({
+      ...(await this.reviewerFilter(organizationId)),
+      isActive: true,
+      'reviewerProfile.active': true
+    }).select('name email reviewerProfile');
+  }
+
+  /**
+   * Least-loaded reviewer covering the demo's genres, or null
+   */
+  async pickReviewer(demo, { exclude = [] } = {}) {
+    const excluded = exclude.filter(Boolean).map(id => id.toString());
+    const reviewers = (await this.getActiveReviewers(demo.organization))
+      .filter(reviewer => !excluded.includes(reviewer._id.toString()));
+
+    if (reviewers.length === 0) return null;
+
+    const loads = await this.getReviewerLoads(demo.genre);
+    const loadOf = (reviewer) => loads.get(reviewer._id.toString()) || { open: 0, inGenre: 0 };
+
+    const covers = (reviewer) => {
+      const genres = reviewer.reviewerProfile?.genres || [];
+      return genres.length === 0 || genres.some(genre => demo.genre.includes(genre));
+    };
+
+    const available = reviewers.filter(reviewer =>
+      loadOf(reviewer).open < (reviewer.reviewerProfile?.maxActive || 25));
+
+    // Specialists for the genre first, then anyone with room
+    const specialists = available.filter(covers);
+    const pool = specialists.length > 0 ? specialists : available;
+    if (pool.length === 0) return null;
+
+    return [...pool].sort((a, b) =>
+      loadOf(a).open - loadOf(b).open || loadOf(a).inGenre - loadOf(b).inGenre)[0];
+  }
+
+  async autoAssign(demo, { method = 'auto', exclude = [] } = {}) {
+    const reviewer = await this.pickReviewer(demo, { exclude });
+    if (!reviewer) return demo;
+
+    return this.assign(demo, reviewer, { method });
+  }
+
+  /**
+   * Assign a reviewer (manually by an admin, or automatically)
+   */
+  async assignReviewer(demoId, { reviewerId = null, assignedBy, organization = null }) {
+    try {
+      const demo = await this.getOpenDemo(demoId, organization);
+
+      if (!reviewerId) {
+        const reviewer = await this.pickReviewer(demo);
+        if (!reviewer) {
+          throw new ApiError('No active reviewer is available for this demo', 409);
+        }
+        return this.assign(demo, reviewer, { method: 'auto', assignedBy });
+      }
+
+      const reviewer = await User.findOne({
+        $and: [{ _id: reviewerId }, await this.reviewerFilter(demo.organization)],
+        isActive: true
+      }).select('name email reviewerProfile');
+
+      if (!reviewer) {
+        throw new ApiError('Reviewer not found', 404);
+      }
+
+      return this.assign(demo, reviewer, { method: 'manual', assignedBy });
+    } catch (error) {
+      throw new ApiError(`Reviewer assignment failed: ${error.message}`, error.statusCode || 500);
+    }
+  }
+
+  async assign(demo, reviewer, { method, assignedBy = null }) {
+    const previous = demo.reviewer ? demo.reviewer.toString() : null;
+
+    demo.reviewer = reviewer._id;
+    demo.assignment = { assignedAt: new Date(), assignedBy, method };
+    if (demo.status === 'pending') {
+      demo.status = 'under_review';
+    }
+    if (!demo.sla?.dueAt) {
+      demo.sla = { ...(demo.sla || {}), dueAt: this.computeDueAt(demo) };
+    }
+
+    demo.auditLog.push({
+      action: 'reviewer_assigned',
+      performedBy: assignedBy || reviewer._id,
+      details: { reviewer: reviewer._id, previousReviewer: previous, method }
+    });
+
+    await demo.save();
+
+    if (previous !== reviewer._id.toString()) {
+      notificationService.notifySafely(reviewer._id, {
+        type: 'demo_review',
+        title: 'Demo assigned to you',
+        message: `"${demo.trackTitle}" by ${demo.artistName} is due ${demo.sla.dueAt.toISOString().slice(0, 10)}`,
+        actor: assignedBy,
+        entity: { kind: 'demo', id: demo._id },
+        link: `/admin/demos/${demo._id}`
+      });
+    }
+
+    return demo;
+  }
+
+  /**
+   * Undecided demo, if it was sent to `organization` (any when null)
+   */
+  async getOpenDemo(demoId, organization = null) {
+    const demo = await DemoSubmission.findById(demoId);
+    if (!demo || !organizationService.belongsTo(demo, organization)) {
+      throw new ApiError('Demo submission not found', 404);
+    }
+    if (!demo.isOpen()) {
+      throw new ApiError(`Demo has already been decided (${demo.status})`, 409);
+    }
+    return demo;
+  }
+
+  /**
+   * Change priority and move the deadline with it
+   */
+  setPriority(demo, priority) {
+    if (!this.priorities.includes(priority) || demo.priority === priority) return;
+
+    demo.priority = priority;
+    demo.sla = { ...(demo.sla?.toObject ? demo.sla.toObject() : demo.sla || {}), dueAt: this.computeDueAt(demo) };
+  }
+
+  /**
+   * File or replace the reviewer's scorecard
+   */
+  async submitReview(demoId, reviewerId, { scores = {}, comments, recommendation, organization = null }) {
+    try {
+      const demo = await this.getOpenDemo(demoId, organization);
+
+      const cleanScores = {};
+      for (const category of DemoSubmission.SCORE_CATEGORIES) {
+        if (scores[category] === undefined || scores[category] === null || scores[category] === '') continue;
+
+        const score = Number(scores[category]);
+        if (!Number.isInteger(score) || score < 1 || score > 10) {
+          throw new ApiError(`${category} score must be a whole number from 1 to 10`, 400);
+        }
+        cleanScores[category] = score;
+      }
+
+      if (Object.keys(cleanScores).length === 0) {
+        throw new ApiError('Score at least one category', 400);
+      }
+      if (recommendation && !this.decisionStatuses[recommendation]) {
+        throw new ApiError('Invalid recommendation', 400);
+      }
+
+      demo.reviews = demo.reviews.filter(review => review.reviewer.toString() !== reviewerId.toString());
+      demo.reviews.push({
+        reviewer: reviewerId,
+        scores: cleanScores,
+        comments,
+        recommendation,
+        submittedAt: new Date()
+      });
+
+      if (demo.status === 'pending') {
+        demo.status = 'under_review';
+      }
+
+      demo.auditLog.push({
+        action: 'review_submitted',
+        performedBy: reviewerId,
+        details: { scores: cleanScores, recommendation }
+      });
+
+      await demo.save();
+
+      return demo;
+    } catch (error) {
+      throw new ApiError(`Review submission failed: ${error.message}`, error.statusCode || 500);
+    }
+  }
+
+  /**
+   * Decide a demo. On accept (unless `generateContract` is false) a draft
+   * contract between the label and the submitter is created from
+   * `contractTerms` over the defaults for the submission type, once the
+   * decision has been claimed.
+   */
+  async decide(demoId, decidedBy, {
+    finalDecision,
+    reasonCode,
+    nextSteps,
+    feedback,
+    advance,
+    generateContract = true,
+    contractTerms = {},
+    organization = null
+  }) {
+    try {
+      const open = await this.getOpenDemo(demoId, organization);
+
+      const status = this.decisionStatuses[finalDecision];
+      if (!status) {
+        throw new ApiError(`Decision must be one of: ${Object.keys(this.decisionStatuses).join(', ')}`, 400);
+      }
+
+      const reasonCodes = DemoSubmission.schema.path('decision.reasonCode').enumValues;
+      if (reasonCode && !reasonCodes.includes(reasonCode)) {
+        throw new ApiError('Invalid reason code', 400);
+      }
+
+      if (finalDecision === 'accept' && open.reviews.length === 0) {
+        throw new ApiError('At least one scorecard is required before accepting a demo', 409);
+      }
+
+      // Claim the decision before drafting anything, so two reviewers
+      // deciding at once can't both get through (and both draft contracts)
+      const previousStatus = open.status;
+      const demo = await DemoSubmission.findOneAndUpdate(
+        { _id: open._id, status: previousStatus },
+        { $set: { status } },
+        { new: true }
+      );
+      if (!demo) {
+        throw new ApiError('Demo was decided or changed by someone else; reload and try again', 409);
+      }
+
+      let contract = null;
+      if (finalDecision === 'accept' && generateContract) {
+        try {
+          contract = await this.createDraftContract(demo, decidedBy, { advance, contractTerms });
+        } catch (error) {
+          // Release the claim so the decision can be retried
+          await DemoSubmission.updateOne({ _id: demo._id, status }, { $set: { status: previousStatus } });
+          throw error;
+        }
+      }
+
+      // Artist-facing scores are the reviewers' averages
+      const summary = demo.getScoreSummary();
+      for (const category of DemoSubmission.SCORE_CATEGORIES) {
+        if (summary.categories[category] !== null) {
+          demo.set(`feedback.${category}.score`, Math.round(summary.categories[category]));
+        }
+      }
+      if (feedback) {
+        demo.set('feedback.overall', feedback);
+      }
+
+      demo.decision = {
+        ...(demo.decision?.toObject ? demo.decision.toObject() : demo.decision || {}),
+        finalDecision,
+        decisionDate: new Date(),
+        decisionBy: decidedBy,
+        reasonCode,
+        nextSteps,
+        contractId: contract ? contract.contractId : undefined,
+        contractOffered: Boolean(contract),
+        advanceOffered: advance ? { amount: Number(advance), currency: 'USD' } : undefined
+      };
+
+      demo.auditLog.push({
+        action: `status_changed_from_${previousStatus}_to_${status}`,
+        performedBy: decidedBy,
+        details: { oldStatus: previousStatus, newStatus: status, note: null }
+      });
+      await demo.save();
+      this.notifyStatusChange(demo, decidedBy);
+
+      return { demo, contract };
+    } catch (error) {
+      throw new ApiError(`Demo decision failed: ${error.message}`, error.statusCode || 500);
+    }
+  }
+
+  async createDraftContract(demo, decidedBy, { advance, contractTerms }) {
+    const { type = this.contractTypes[demo.submissionType] || 'recording', ...overrides } = contractTerms;
+    if (!this.defaultContractTerms[type]) {
+      throw new ApiError(`Demo acceptance can only draft ${Object.keys(this.defaultContractTerms).join(' or ')} contracts`, 400);
+    }
+
+    const submitter = await User.findById(demo.submitter).select('name email');
+    const organization = await organizationService.getForRecord(demo);
+
+    const terms = { ...this.defaultContractTerms[type], ...overrides };
+    if (advance) terms.advance = Number(advance);
+
+    const validation = contractService.validateContractTerms(type, terms);
+    if (!validation.valid) {
+      throw new ApiError(`Contract terms invalid: ${validation.errors.join(', ')}`, 400);
+    }
+
+    const counterpartyRole = type === 'distribution' ? 'distributor' : 'label';
+
+    return contractService.createContract({
+      type,
+      organization,
+      parties: [
+        {
+          role: 'artist',
+          name: demo.artistName,
+          legalName: submitter?.name,
+          email: submitter?.email || demo.metadata?.contactInfo?.email,
+          userId: demo.submitter.toString()
+        },
+        {
+          role: counterpartyRole,
+          name: organization.name,
+          email: organization.contactEmail || process.env.ADMIN_EMAIL
+        }
+      ],
+      terms,
+      metadata: {
+        source: 'demo_submission',
+        demoId: demo._id.toString(),
+        createdBy: decidedBy.toString()
+      }
+    });
+  }
+
+  /**
+   * Tell the submitter about a status change (email only for decisions)
+   */
+  notifyStatusChange(demo, actorId) {
+    notificationService.notifySafely(demo.submitter, {
+      type: 'demo_status',
+      title: 'Demo status updated',
+      message: `Your demo "${demo.trackTitle}" is now ${demo.status.replace(/_/g, ' ')}`,
+      actor: actorId,
+      entity: { kind: 'demo', id: demo._id },
+      link: '/submit-demo'
+    });
+
+    if (this.emailStatuses.includes(demo.status)) {
+      EmailService.sendDemoDecisionEmail(demo).catch(error => {
+        console.error(`Failed to send demo decision email for ${demo._id}:`, error.message);
+      });
+    }
+  }
+
+  /**
+   * Open demos ordered by deadline
+   */
+  async getQueue({ organization = null, reviewerId = null, overdueOnly = false, unassignedOnly = false, page = 1, limit = 20 } = {}) {
+    const filter = { status: { $in: DemoSubmission.OPEN_STATUSES }, ...organizationService.filterFor(organization) };
+    if (reviewerId) filter.reviewer = reviewerId;
+    if (unassignedOnly) filter.reviewer = null;
+    if (overdueOnly) filter['sla.dueAt'] = { $lt: new Date() };
+
+    const [demos, total] = await Promise.all([
+      DemoSubmission.find(filter)
+        .populate('submitter', 'name email avatar')
+        .populate('reviewer', 'name email')
+        .select('-analytics -auditLog -communications')
+        .sort({ 'sla.dueAt': 1, createdAt: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      DemoSubmission.countDocuments(filter)
+    ]);
+
+    return { demos, total };
+  }
+
+  /**
+   * Escalate overdue demos: level 1 raises priority and reminds the
+   * reviewer; level 2 (a full SLA window later) reassigns to someone else
+   */
+  async escalateOverdue(now = new Date()) {
+    const overdue = await DemoSubmission.find({
+      status: { $in: DemoSubmission.OPEN_STATUSES },
+      'sla.dueAt': { $lt: now },
+      'sla.escalationLevel': { $lt: 2 }
+    });
+
+    let escalated = 0;
+
+    for (const demo of overdue) {
+      const level = demo.sla.escalationLevel || 0;
+
+      if (level === 0) {
+        const previousReviewer = demo.reviewer;
+        const nextPriority = this.priorities[Math.min(this.priorities.indexOf(demo.priority) + 1, this.priorities.length - 1)];
+
+        demo.sla.breachedAt = now;
+        demo.sla.escalationLevel = 1;
+        demo.sla.lastEscalatedAt = now;
+        demo.priority = nextPriority;
+
+        demo.auditLog.push({
+          action: 'sla_breached',
+          performedBy: previousReviewer || demo.submitter,
+          details: { dueAt: demo.sla.dueAt, priority: nextPriority }
+        });
+        await demo.save();
+
+        if (previousReviewer) {
+          notificationService.notifySafely(previousReviewer, {
+            type: 'demo_review',
+            title: 'Demo review overdue',
+            message: `"${demo.trackTitle}" by ${demo.artistName} passed its review deadline and is now ${nextPriority} priority`,
+            entity: { kind: 'demo', id: demo._id },
+            link: `/admin/demos/${demo._id}`
+          });
+        } else {
+          await this.autoAssign(demo, { method: 'escalation' });
+        }
+        escalated++;
+        continue;
+      }
+
+      // Level 1 -> 2 once another SLA window has passed since the first escalation
+      const windowMs = (this.slaHours[demo.priority] || this.slaHours.medium) * 60 * 60 * 1000;
+      if (demo.sla.lastEscalatedAt && now - demo.sla.lastEscalatedAt < windowMs) continue;
+
+      demo.sla.escalationLevel = 2;
+      demo.sla.lastEscalatedAt = now;
+      await this.autoAssign(demo, { method: 'escalation', exclude: [demo.reviewer] });
+      escalated++;
+    }
+
+    return { checked: overdue.length, escalated };
+  }
+
+  startEscalationJob(intervalMs = parseInt(process.env.DEMO_SLA_INTERVAL_MS || '900000')) {
+    if (this.escalationTimer) return;
+
+    this.escalationTimer = setInterval(() => {
+      if (mongoose.connection.readyState !== 1) return;
+
+      this.escalateOverdue().catch(error => {
+        console.error('Demo SLA escalation error:', error.message);
+      });
+    }, intervalMs);
+    this.escalationTimer.unref();
+  }
+
+  stopEscalationJob() {
+    clearInterval(this.escalationTimer);
+    this.escalationTimer = null;
+  }
+
+  /**
+   * Reviewer pool with current loads; every organization's when none is given
+   */
+  async getReviewers(organization = null) {
+    const filter = organization
+      ? await this.reviewerFilter(organization._id)
+      : await organizationService.userFilterWithPermission('demos:review');
+    const reviewers = await User.find({ ...filter, isActive: true })
+      .select('name email reviewerProfile')
+      .lean();
+    const loads = await this.getReviewerLoads();
+
+    return reviewers.map(reviewer => ({
+      ...reviewer,
+      openDemos: loads.get(reviewer._id.toString())?.open || 0
+    }));
+  }
+
+  async updateReviewerProfile(userId, { active, genres, maxActive }, organization = null) {
+    try {
+      const filter = organization
+        ? await this.reviewerFilter(organization._id)
+        : await organizationService.userFilterWithPermission('demos:review');
+      const user = await User.findOne({ $and: [{ _id: userId }, filter] });
+      if (!user) {
+        throw new ApiError('Reviewers need the demos:review permission', 404);
+      }
+
+      if (genres !== undefined) {
+        const allowed = DemoSubmission.schema.path('genre').caster.enumValues;
+        const invalid = (genres || []).filter(genre => !allowed.includes(genre));
+        if (invalid.length > 0) {
+          throw new ApiError(`Unknown genre(s): ${invalid.join(', ')}`, 400);
+        }
+        user.set('reviewerProfile.genres', genres || []);
+      }
+      if (active !== undefined) user.set('reviewerProfile.active', Boolean(active));
+      if (maxActive !== undefined) user.set('reviewerProfile.maxActive', parseInt(maxActive));
+
+      await user.save();
+      return user.reviewerProfile;
+    } catch (error) {
+      throw new ApiError(`Reviewer update failed: ${error.message}`, error.statusCode || 500);
+    }
+  }
+}
+
+module.exports = new DemoReviewService();
@@ -1,10 +1,13 @@
 const axios = require('axios');
 const crypto = require('crypto');
 const { ApiError } = require('../Middleware/errorHandler');
+const organizationService = require('./organizationService');
 
 /**
  * Music Distribution Service
- * Handles integrations with major streaming platforms and distributors
+ * Handles integrations with major streaming platforms and distributors.
+ * Credentials come from the environment unless the organization
+ * distributing has stored its own (see organizationService).
  */
 
 class DistributionService {
@@ -69,12 +72,33 @@ class DistributionService {
     };
   }
 
+  /**
+   * Credential fields a platform or partner takes (everything but its URLs)
+   */
+  getCredentialFields(provider) {
+    const config = this.distributors[provider] || this.distributionPartners[provider];
+    if (!config) return null;
+    return Object.keys(config).filter(key => !key.endsWith('Url'));
+  }
+
+  /**
+   * Platform or partner config with the organization's credentials, if it
+   * has stored any, in place of the platform-wide ones
+   */
+  async getConfig(provider, organization = null) {
+    const config = this.distributors[provider] || this.distributionPartners[provider];
+    if (!config) return null;
+
+    const credentials = await organizationService.getDistributionCredentials(organization?._id, provider);
+    return credentials ? { ...config, ...credentials } : config;
+  }
+
   /**
    * Authenticate with a streaming platform
    */
-  async authenticate(platform) {
+  async authenticate(platform, organization = null) {
     try {
-      const config = this.distributors[platform];
+      const config = this.distributors[platform] && await this.getConfig(platform, organization);
       if (!config) {
         throw new ApiError(`Unsupported platform: ${platform}`, 400);
       }
@@ -154,14 +178,18 @@ class DistributionService {
   /**
    * Distribute track through a distribution partner
    */
-  async distributeThroughPartner(partner, trackData, userId) {
+  async distributeThroughPartner(partner, trackData, userId, organization = null) {
     try {
-      const config = this.distributionPartners[partner];
+      const config = this.distributionPartners[partner] && await this.getConfig(partner, organization);
       if (!config) {
         throw new ApiError(`Unsupported distribution partner: ${partner}`, 400);
       }
 
-      const distributionData = this.formatTrackForDistribution(trackData, partner);
+      const distributionData = this.formatTrackForDistribution(
+        trackData,
+        partner,
+        organization || await organizationService.getDefaultOrganization()
+      );
 
       const response = await axios.post(`${config.apiUrl}/releases`, distributionData, {
         headers: {
@@ -187,9 +215,9 @@ class DistributionService {
   /**
    * Get distribution status
    */
-  async getDistributionStatus(partner, releaseId) {
+  async getDistributionStatus(partner, releaseId, organization = null) {
     try {
-      const config = this.distributionPartners[partner];
+      const config = this.distributionPartners[partner] && await this.getConfig(partner, organization);
       if (!config) {
         throw new ApiError(`Unsupported distribution partner: ${partner}`, 400);
       }
@@ -216,14 +244,14 @@ class DistributionService {
   /**
    * Bulk distribute to multiple platforms
    */
-  async bulkDistribute(trackData, platforms, userId) {
+  async bulkDistribute(trackData, platforms, userId, organization = null) {
     const results = [];
     const errors = [];
 
     for (const platform of platforms) {
       try {
         // Authenticate with platform
-        const auth = await this.authenticate(platform);
+        const auth = await this.authenticate(platform, organization);
 
         // Upload track
         const uploadResult = await this.uploadTrack(platform, trackData, auth.accessToken);
@@ -252,9 +280,10 @@ class DistributionService {
   }
 
   /**
-   * Format track data for distribution
+   * Format track data for distribution; releases go out under the
+   * organization's label name
    */
-  formatTrackForDistribution(trackData, partner) {
+  formatTrackForDistribution(trackData, partner, organization) {
     const baseData = {
       title: trackData.title,
       artist: trackData.artist,
@@ -299,7 +328,7 @@ class DistributionService {
       case 'awal':
         return {
           ...baseData,
-          label: 'MBR Records',
+          label: organization.name,
           marketingBudget: 'standard',
           syncLicensing: true
         };
@@ -0,0 +1,461 @@
+const mongoose = require('mongoose');
+const ffmpeg = require('fluent-ffmpeg');
+const { ApiError } = require('../Middleware/errorHandler');
+const keyManagementService = require('./keyManagementService');
+const Fingerprint = require('../Models/Fingerprint');
+const ContentMatch = require('../Models/ContentMatch');
+
+/**
+ * Acoustic Fingerprint Service
+ * Fingerprints decoded audio rather than file bytes, so re-encoded, resampled
+ * or trimmed copies of a song still match:
+ *
+ *   1. ffmpeg decodes to 11025 Hz mono PCM
+ *   2. a short-time FFT finds spectral peaks: the loudest bin per frequency
+ *      band, if it is a local maximum in time, stands well above the frame's
+ *      noise floor and isn't much quieter than the loudest peaks around it
+ *   3. nearby peaks are paired into hashes of (freq1, freq2, frame delta),
+ *      each stored with the anchor peak's frame
+ *
+ * Two recordings match when many of the query's hashes agree on one time
+ * offset. Services/__tests__/fingerprintService.test.js pins the thresholds
+ * against trimmed, re-encoded and unrelated audio.
+ */
+
+class FingerprintService {
+  constructor() {
+    // Stored with each fingerprint; only fingerprints of the same version are
+    // compared, so tracks fingerprinted earlier need re-fingerprinting
+    this.algorithm = 'peakpairs-v2';
+    this.sampleRate = 11025;
+    this.frameSize = 1024;
+    this.hopSize = 512;
+    this.maxDuration = 600; // seconds decoded per file
+
+    // FFT bin ranges (~54 Hz to ~3.4 kHz, one octave each)
+    this.bands = [[5, 10], [10, 20], [20, 40], [40, 80], [80, 160], [160, 320]];
+    this.peakNeighbourhood = 3; // frames either side a peak must beat
+    this.silenceFloor = 1e-3;
+    // A peak must stand this far above the frame's noise floor (the median
+    // bin magnitude) and within this fraction of the loudest nearby peak, so
+    // noise and faint partials don't become hashes
+    this.peakContrast = 6;
+    this.peakRelativeFloor = 0.05;
+
+    this.fanOut = 3;
+    this.maxPairDelta = 32; // frames (~1.5 s)
+
+    // Matching
+    this.maxQueryHashes = 2000;
+    this.candidateLimit = 10;
+    this.minAlignedHashes = 20;
+    this.flagThreshold = 0.1;
+
+    this.window = Float64Array.from({ length: this.frameSize },
+      (_, i) => 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / (this.frameSize - 1)));
+
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Decode a file path or readable stream to mono PCM samples in [-1, 1)
+   */
+  decodePcm(input) {
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+
+      const output = ffmpeg(input)
+        .noVideo()
+        .audioChannels(1)
+        .audioFrequency(this.sampleRate)
+        .duration(this.maxDuration)
+        .format('s16le')
+        .on('error', reject)
+        .pipe();
+
+      output.on('data', chunk => chunks.push(chunk));
+      output.on('error', reject);
+      output.on('end', () => {
+        const pcm = Buffer.concat(chunks);
+        const samples = new Float32Array(Math.floor(pcm.length / 2));
+
+        for (let i = 0; i < samples.length; i++) {
+          samples[i] = pcm.readInt16LE(i * 2) / 32768;
+        }
+
+        resolve(samples);
+      });
+    });
+  }
+
+  /**
+   * Fingerprint a file path or readable stream
+   */
+  async generate(input) {
+    const samples = await this.decodePcm(input);
+
+    if (samples.length < this.frameSize * 4) {
+      throw new ApiError('Audio is too short to fingerprint', 400);
+    }
+
+    const { hashes, times } = this.computeHashes(samples);
+
+    return {
+      algorithm: this.algorithm,
+      sampleRate: this.sampleRate,
+      hopSize: this.hopSize,
+      duration: samples.length / this.sampleRate,
+      hashes,
+      times,
+      hashCount: hashes.length
+    };
+  }
+
+  /**
+   * Spectral peaks -> paired hashes
+   */
+  computeHashes(samples) {
+    const frameCount = Math.floor((samples.length - this.frameSize) / this.hopSize) + 1;
+    const re = new Float64Array(this.frameSize);
+    const im = new Float64Array(this.frameSize);
+
+    // Strongest bin per band per frame (0 where it doesn't clear the noise floor)
+    const bandPeaks = this.bands.map(() => ({
+      bins: new Int16Array(frameCount),
+      magnitudes: new Float64Array(frameCount)
+    }));
+    const frameMax = new Float64Array(frameCount);
+
+    const lowBin = this.bands[0][0];
+    const highBin = this.bands[this.bands.length - 1][1];
+    const spectrum = new Float64Array(highBin - lowBin);
+    const sorted = new Float64Array(highBin - lowBin);
+
+    for (let frame = 0; frame < frameCount; frame++) {
+      const offset = frame * this.hopSize;
+      for (let i = 0; i < this.frameSize; i++) {
+        re[i] = samples[offset + i] * this.window[i];
+        im[i] = 0;
+      }
+
+      this.fft(re, im);
+
+      for (let bin = lowBin; bin < highBin; bin++) {
+        spectrum[bin - lowBin] = Math.hypot(re[bin], im[bin]);
+      }
+      const noiseFloor = this.median(spectrum, sorted);
+
+      this.bands.forEach(([low, high], band) => {
+        let bestBin = low;
+        let best = 0;
+
+        for (let bin = low; bin < high; bin++) {
+          const magnitude = spectrum[bin - lowBin];
+          if (magnitude > best) {
+            best = magnitude;
+            bestBin = bin;
+          }
+        }
+
+        bandPeaks[band].bins[frame] = bestBin;
+        bandPeaks[band].magnitudes[frame] = best >= this.peakContrast * noiseFloor ? best : 0;
+        frameMax[frame] = Math.max(frameMax[frame], best);
+      });
+    }
+
+    // Keep band maxima that are also local maxima in time and loud enough
+    // next to the strongest peaks around them
+    const peaks = [];
+    const radius = this.peakNeighbourhood;
+
+    for (let frame = 0; frame < frameCount; frame++) {
+      const first = Math.max(0, frame - radius);
+      const last = Math.min(frameCount - 1, frame + radius);
+
+      let loudest = 0;
+      for (let other = first; other <= last; other++) {
+        loudest = Math.max(loudest, frameMax[other]);
+      }
+
+      for (const { bins, magnitudes } of bandPeaks) {
+        const magnitude = magnitudes[frame];
+        if (magnitude < this.silenceFloor || magnitude < this.peakRelativeFloor * loudest) continue;
+
+        let isPeak = true;
+        for (let other = first; other <= last; other++) {
+          if (other !== frame && magnitudes[other] > magnitude) {
+            isPeak = false;
+            break;
+          }
+        }
+
+        if (isPeak) peaks.push({ frame, bin: bins[frame] });
+      }
+    }
+
+    // Pair each anchor with the next few peaks in its target zone
+    const hashes = [];
+    const times = [];
+
+    for (let i = 0; i < peaks.length; i++) {
+      const anchor = peaks[i];
+      let paired = 0;
+
+      for (let j = i + 1; j < peaks.length && paired < this.fanOut; j++) {
+        const delta = peaks[j].frame - anchor.frame;
+        if (delta < 1) continue;
+        if (delta > this.maxPairDelta) break;
+
+        hashes.push((anchor.bin << 15) | (peaks[j].bin << 6) | delta);
+        times.push(anchor.frame);
+        paired++;
+      }
+    }
+
+    return { hashes, times };
+  }
+
+  median(values, scratch) {
+    scratch.set(values);
+    scratch.sort();
+    return scratch[scratch.length >> 1];
+  }
+
+  /**
+   * In-place iterative radix-2 FFT
+   */
+  fft(re, im) {
+    const n = re.length;
+
+    for (let i = 1, j = 0; i < n; i++) {
+      let bit = n >> 1;
+      for (; j & bit; bit >>= 1) j ^= bit;
+      j ^= bit;
+
+      if (i < j) {
+        [re[i], re[j]] = [re[j], re[i]];
+        [im[i], im[j]] = [im[j], im[i]];
+      }
+    }
+
+    for (let size = 2; size <= n; size <<= 1) {
+      const angle = (-2 * Math.PI) / size;
+      const stepRe = Math.cos(angle);
+      const stepIm = Math.sin(angle);
+
+      for (let start = 0; start < n; start += size) {
+        let wRe = 1;
+        let wIm = 0;
+
+        for (let k = 0; k < size / 2; k++) {
+          const a = start + k;
+          const b = a + size / 2;
+          const tRe = re[b] * wRe - im[b] * wIm;
+          const tIm = re[b] * wIm + im[b] * wRe;
+
+          re[b] = re[a] - tRe;
+          im[b] = im[a] - tIm;
+          re[a] += tRe;
+          im[a] += tIm;
+
+          const nextRe = wRe * stepRe - wIm * stepIm;
+          wIm = wRe * stepIm + wIm * stepRe;
+          wRe = nextRe;
+        }
+      }
+    }
+  }
+
+  /**
+   * Score how well a fingerprint lines up with a catalogue fingerprint:
+   * the number of hashes agreeing on one time offset (±1 frame), and that
+   * as a share of the query's hashes
+   */
+  scoreMatch(query, candidate) {
+    const index = new Map();
+    candidate.hashes.forEach((hash, i) => {
+      if (!index.has(hash)) index.set(hash, []);
+      index.get(hash).push(candidate.times[i]);
+    });
+
+    const offsets = new Map();
+    query.hashes.forEach((hash, i) => {
+      const candidateTimes = index.get(hash);
+      if (!candidateTimes) return;
+
+      for (const time of candidateTimes) {
+        const offset = time - query.times[i];
+        offsets.set(offset, (offsets.get(offset) || 0) + 1);
+      }
+    });
+
+    let aligned = 0;
+    let bestOffset = 0;
+    for (const [offset, count] of offsets) {
+      const total = count + (offsets.get(offset - 1) || 0) + (offsets.get(offset + 1) || 0);
+      if (total > aligned) {
+        aligned = total;
+        bestOffset = offset;
+      }
+    }
+
+    return {
+      alignedHashes: aligned,
+      confidence: Math.min(1, aligned / (query.hashes.length || 1)),
+      offsetSeconds: (bestOffset * this.hopSize) / this.sampleRate
+    };
+  }
+
+  /**
+   * Search the catalogue for tracks that sound like a fingerprint
+   */
+  async findMatches(fingerprint, { excludeTrack = null, minConfidence = this.flagThreshold } = {}) {
+    const unique = [...new Set(fingerprint.hashes)];
+    const step = Math.max(1, Math.floor(unique.length / this.maxQueryHashes));
+    const sample = unique.filter((_, i) => i % step === 0).slice(0, this.maxQueryHashes);
+
+    if (sample.length === 0) return [];
+
+    const match = { algorithm: this.algorithm, hashes: { $in: sample } };
+    if (excludeTrack) {
+      match.track = { $ne: new mongoose.Types.ObjectId(excludeTrack.toString()) };
+    }
+
+    // Rank candidates by shared hashes, then verify time alignment
+    const candidates = await Fingerprint.aggregate([
+      { $match: match },
+      { $project: { track: 1, owner: 1, shared: { $size: { $setIntersection: ['$hashes', sample] } } } },
+      { $sort: { shared: -1 } },
+      { $limit: this.candidateLimit }
+    ]);
+
+    const matches = [];
+
+    for (const candidate of candidates) {
+      const stored = await Fingerprint.findById(candidate._id).select('+hashes +times');
+      if (!stored) continue;
+
+      const score = this.scoreMatch(fingerprint, stored);
+
+      if (score.alignedHashes >= this.minAlignedHashes && score.confidence >= minConfidence) {
+        matches.push({
+          track: stored.track,
+          owner: stored.owner,
+          queryHashes: fingerprint.hashes.length,
+          ...score
+        });
+      }
+    }
+
+    return matches.sort((a, b) => b.confidence - a.confidence);
+  }
+
+  /**
+   * Record matches for admin review. Re-checking the same source updates
+   * its existing flags instead of adding new ones.
+   */
+  async flagMatches(matches, source) {
+    const flags = [];
+
+    for (const match of matches) {
+      const sourceFilter = source.track
+        ? { 'source.track': source.track }
+        : { 'source.demo': source.demo, 'source.fileName': source.fileName };
+
+      const flag = await ContentMatch.findOneAndUpdate(
+        { ...sourceFilter, matchedTrack: match.track },
+        {
+          $set: {
+            source,
+            classification: source.user && match.owner && source.user.toString() === match.owner.toString()
+              ? 'duplicate'
+              : 'infringement',
+            confidence: match.confidence,
+            alignedHashes: match.alignedHashes,
+            queryHashes: match.queryHashes,
+            offsetSeconds: match.offsetSeconds
+          },
+          $setOnInsert: { status: 'open' }
+        },
+        { new: true, upsert: true, setDefaultsOnInsert: true }
+      );
+
+      flags.push(flag);
+    }
+
+    if (flags.length > 0) {
+      console.warn(`⚠️  ${flags.length} catalogue match(es) flagged for ${source.type} ${source.track || source.demo || source.fileName}`);
+    }
+
+    return flags;
+  }
+
+  /**
+   * Fingerprint a catalogue track, check it against the rest of the
+   * catalogue and store it so later uploads are checked against it
+   */
+  async fingerprintTrack(trackId, { sourceType = 'upload' } = {}) {
+    try {
+      const Track = mongoose.model('Track');
+      const track = await Track.findById(trackId).select('+audioFile.encryption.wrappedKey');
+
+      if (!track) {
+        throw new ApiError('Track not found', 404);
+      }
+      if (!track.audioFile?.path) {
+        throw new ApiError('Track has no stored audio to fingerprint', 400);
+      }
+
+      const input = track.audioFile.encryption?.encrypted
+        ? keyManagementService.createTrackStream(track)
+        : track.audioFile.path;
+
+      const fingerprint = await this.generate(input);
+      const matches = await this.findMatches(fingerprint, { excludeTrack: track._id });
+
+      const flags = await this.flagMatches(matches, {
+        type: sourceType,
+        track: track._id,
+        fileName: track.audioFile.filename,
+        user: track.artist
+      });
+
+      await Fingerprint.findOneAndUpdate(
+        { track: track._id },
+        { ...fingerprint, track: track._id, owner: track.artist },
+        { upsert: true, setDefaultsOnInsert: true }
+      );
+
+      return { trackId: track._id, hashCount: fingerprint.hashCount, flags };
+    } catch (error) {
+      throw new ApiError(`Fingerprinting failed: ${error.message}`, error.statusCode || 500);
+    }
+  }
+
+  /**
+   * Check a file that isn't in the catalogue (e.g. a demo) without storing it
+   */
+  async checkFile(filePath, source) {
+    try {
+      const fingerprint = await this.generate(filePath);
+      const matches = await this.findMatches(fingerprint);
+      const flags = await this.flagMatches(matches, source);
+
+      return { hashCount: fingerprint.hashCount, flags };
+    } catch (error) {
+      throw new ApiError(`Fingerprint check failed: ${error.message}`, error.statusCode || 500);
+    }
+  }
+
+  /**
+   * Run a fingerprint job after the ones already queued. Decoding and FFTs
+   * are CPU-bound, so jobs run one at a time off the request path.
+   */
+  enqueue(job) {
+    const result = this.queue.then(job);
+    this.queue = result.catch(error => console.error('Fingerprint job failed:', error.message));
+    return result;
+  }
+}
+
+module.exports = new FingerprintService();
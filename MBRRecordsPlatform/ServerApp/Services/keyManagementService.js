@@ -0,0 +1,273 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const mongoose = require('mongoose');
+const { ApiError } = require('../Middleware/errorHandler');
+const {
+  encryptAudioFile,
+  createDecryptStream,
+  generateContentKey
+} = require('../Middleware/drmProtection');
+
+/**
+ * DRM Key Management Service
+ * Envelope encryption for audio masters: every track gets its own content
+ * key, which is stored on the track wrapped (AES-256-GCM) by a versioned
+ * master key. Rotating the master key only re-wraps content keys; the
+ * encrypted audio files are never touched.
+ *
+ * Master keys come from DRM_MASTER_KEYS as "version:base64key" pairs,
+ * comma-separated. DRM_ACTIVE_KEY_VERSION picks the key used for new
+ * wraps (defaults to the first one listed).
+ */
+
+class KeyManagementService {
+  constructor() {
+    this.wrapAlgorithm = 'aes-256-gcm';
+    // Track paths holding wrapped keys; `$` marks one key per array element
+    this.wrappedKeyPaths = ['audioFile.encryption', 'audioFile.hls.encryption', 'audioFile.renditions.$.encryption'];
+    this.masterKeys = this.loadMasterKeys();
+    this.activeVersion = process.env.DRM_ACTIVE_KEY_VERSION || this.masterKeys.keys().next().value;
+
+    if (!this.masterKeys.has(this.activeVersion)) {
+      throw new Error(`DRM_ACTIVE_KEY_VERSION "${this.activeVersion}" is not in DRM_MASTER_KEYS`);
+    }
+  }
+
+  /**
+   * Parse the master key ring from the environment
+   */
+  loadMasterKeys() {
+    const keys = new Map();
+    const configured = (process.env.DRM_MASTER_KEYS || '').split(',').map(entry => entry.trim()).filter(Boolean);
+
+    for (const entry of configured) {
+      const separator = entry.indexOf(':');
+      const version = entry.slice(0, separator);
+      const key = Buffer.from(entry.slice(separator + 1), 'base64');
+
+      if (separator < 1 || key.length !== 32) {
+        throw new Error('DRM_MASTER_KEYS entries must be "version:base64key" with 32-byte keys');
+      }
+
+      keys.set(version, key);
+    }
+
+    if (keys.size === 0) {
+      if (process.env.NODE_ENV === 'production') {
+        throw new Error('DRM_MASTER_KEYS must be set in production');
+      }
+
+      // Development fallback so local uploads work without configuration
+      console.warn('⚠️  DRM_MASTER_KEYS not set - using a development master key');
+      keys.set('dev', crypto.createHash('sha256').update('mbr-dev-master-key').digest());
+    }
+
+    return keys;
+  }
+
+  /**
+   * Wrap a content key with a master key
+   */
+  wrapContentKey(contentKey, version = this.activeVersion) {
+    const masterKey = this.masterKeys.get(version);
+    if (!masterKey) {
+      throw new ApiError(`Unknown master key version: ${version}`, 500);
+    }
+
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(this.wrapAlgorithm, masterKey, iv);
+    cipher.setAAD(Buffer.from(`MBR-KEY:${version}`));
+
+    const wrapped = Buffer.concat([cipher.update(contentKey), cipher.final()]);
+
+    return {
+      wrappedKey: Buffer.concat([iv, wrapped, cipher.getAuthTag()]).toString('base64'),
+      keyVersion: version
+    };
+  }
+
+  /**
+   * Unwrap a content key
+   */
+  unwrapContentKey(wrappedKey, version) {
+    const masterKey = this.masterKeys.get(version);
+    if (!masterKey) {
+      throw new ApiError(`Master key version ${version} is no longer available`, 500);
+    }
+
+    try {
+      const data = Buffer.from(wrappedKey, 'base64');
+      const decipher = crypto.createDecipheriv(this.wrapAlgorithm, masterKey, data.subarray(0, 12));
+      decipher.setAAD(Buffer.from(`MBR-KEY:${version}`));
+      decipher.setAuthTag(data.subarray(data.length - 16));
+
+      return Buffer.concat([decipher.update(data.subarray(12, data.length - 16)), decipher.final()]);
+    } catch (error) {
+      throw new ApiError('Content key could not be unwrapped', 500);
+    }
+  }
+
+  /**
+   * Encrypt an audio master in place: writes `<path>.enc`, removes the
+   * plaintext and returns the encryption record to store on the track
+   * (Track.audioFile.encryption) along with the new path.
+   */
+  async encryptMaster(inputPath, { keepPlaintext = false } = {}) {
+    const contentKey = generateContentKey();
+    const outputPath = `${inputPath}.enc`;
+
+    try {
+      const result = await encryptAudioFile(inputPath, outputPath, contentKey);
+
+      if (!keepPlaintext) {
+        await fs.unlink(inputPath);
+      }
+
+      return {
+        path: outputPath,
+        encryption: {
+          encrypted: true,
+          algorithm: result.algorithm,
+          iv: result.iv,
+          authTag: result.authTag,
+          chunkSize: result.chunkSize,
+          plaintextSize: result.plaintextSize,
+          ...this.wrapContentKey(contentKey),
+          encryptedAt: new Date()
+        }
+      };
+    } catch (error) {
+      await fs.unlink(outputPath).catch(() => {});
+      throw new ApiError(`Master encryption failed: ${error.message}`, error.statusCode || 500);
+    } finally {
+      contentKey.fill(0);
+    }
+  }
+
+  /**
+   * Stream decrypted audio for a track. The track must be loaded with
+   * `+audioFile.encryption.wrappedKey` selected.
+   */
+  createTrackStream(track, range = {}) {
+    const { encryption, path: filePath } = track.audioFile || {};
+
+    if (!encryption || !encryption.encrypted) {
+      throw new ApiError('Track audio is not encrypted', 400);
+    }
+    if (!encryption.wrappedKey) {
+      throw new ApiError('Track was loaded without its wrapped content key', 500);
+    }
+
+    const contentKey = this.unwrapContentKey(encryption.wrappedKey, encryption.keyVersion);
+    return createDecryptStream(filePath, contentKey, encryption, range);
+  }
+
+  /**
+   * Re-wrap content keys that aren't under the active master key: the
+   * master's and each rendition's content key and the HLS segment key. Safe
+   * to run repeatedly and to resume after a failure. `keyVersions` counts
+   * the tracks holding any key under each master key version.
+   */
+  async rotateContentKeys({ fromVersion = null, batchSize = 100 } = {}) {
+    const summary = { activeVersion: this.activeVersion, rotated: 0, failed: [] };
+
+    for (const keyPath of this.wrappedKeyPaths) {
+      await this.rotateKeyPath(keyPath, { fromVersion, batchSize }, summary);
+    }
+
+    const Track = mongoose.model('Track');
+    const remaining = await Track.aggregate([
+      {
+        $project: {
+          versions: {
+            $setUnion: [
+              ['$audioFile.encryption.keyVersion', '$audioFile.hls.encryption.keyVersion'],
+              { $ifNull: ['$audioFile.renditions.encryption.keyVersion', []] }
+            ]
+          }
+        }
+      },
+      { $unwind: '$versions' },
+      { $match: { versions: { $ne: null } } },
+      { $group: { _id: '$versions', tracks: { $sum: 1 } } }
+    ]);
+
+    summary.keyVersions = remaining.map(row => ({ version: row._id, tracks: row.tracks }));
+    return summary;
+  }
+
+  /**
+   * Re-wrap the keys stored under one track path (e.g. audioFile.encryption,
+   * or audioFile.renditions.$.encryption for every rendition)
+   */
+  async rotateKeyPath(keyPath, { fromVersion, batchSize }, summary) {
+    const Track = mongoose.model('Track');
+    const [arrayPath, elementPath] = keyPath.split('.$.');
+    const staleQuery = (prefix) => ({
+      [`${prefix}.wrappedKey`]: { $exists: true },
+      [`${prefix}.keyVersion`]: fromVersion || { $ne: this.activeVersion }
+    });
+
+    const query = elementPath
+      ? { [arrayPath]: { $elemMatch: staleQuery(elementPath) } }
+      : staleQuery(keyPath);
+
+    const isStale = (wrap) => !!wrap?.wrappedKey &&
+      (fromVersion ? wrap.keyVersion === fromVersion : wrap.keyVersion !== this.activeVersion);
+
+    let lastId = null;
+
+    for (;;) {
+      const batch = await Track.find(lastId ? { ...query, _id: { $gt: lastId } } : query)
+        .select(elementPath ? `+${arrayPath}.${elementPath}.wrappedKey` : `+${keyPath}.wrappedKey ${keyPath}.keyVersion`)
+        .sort({ _id: 1 })
+        .limit(batchSize);
+
+      if (batch.length === 0) break;
+      lastId = batch[batch.length - 1]._id;
+
+      for (const track of batch) {
+        // Each wrap is guarded on its old value so a concurrent rotation can't be overwritten
+        const wraps = elementPath
+          ? (track.get(arrayPath) || [])
+            .map(element => ({ element, wrap: element.get(elementPath) }))
+            .filter(({ wrap }) => isStale(wrap))
+            .map(({ element, wrap }) => ({
+              wrappedKey: wrap.wrappedKey,
+              keyVersion: wrap.keyVersion,
+              guard: { [arrayPath]: { $elemMatch: { _id: element._id, [`${elementPath}.wrappedKey`]: wrap.wrappedKey } } }
+            }))
+          : [track.get(keyPath)].map(({ wrappedKey, keyVersion }) => ({
+            wrappedKey,
+            keyVersion,
+            guard: { [`${keyPath}.wrappedKey`]: wrappedKey }
+          }));
+
+        for (const { wrappedKey, keyVersion, guard } of wraps) {
+          try {
+            const contentKey = this.unwrapContentKey(wrappedKey, keyVersion);
+            const rewrapped = this.wrapContentKey(contentKey);
+            contentKey.fill(0);
+
+            const result = await Track.updateOne(
+              { _id: track._id, ...guard },
+              {
+                $set: {
+                  [`${keyPath}.wrappedKey`]: rewrapped.wrappedKey,
+                  [`${keyPath}.keyVersion`]: rewrapped.keyVersion,
+                  [`${keyPath}.rotatedAt`]: new Date()
+                }
+              }
+            );
+
+            if (result.modifiedCount > 0) summary.rotated++;
+          } catch (error) {
+            summary.failed.push({ trackId: track._id, keyPath, keyVersion, error: error.message });
+          }
+        }
+      }
+    }
+  }
+}
+
+module.exports = new KeyManagementService();
@@ -0,0 +1,461 @@
+const crypto = require('crypto');
+const { ApiError } = require('../Middleware/errorHandler');
+const LedgerAccount = require('../Models/LedgerAccount');
+const LedgerEntry = require('../Models/LedgerEntry');
+const RoyaltyCalculation = require('../Models/RoyaltyCalculation');
+
+/**
+ * Double-entry Royalty Ledger Service
+ * Append-only ledger of what the label owes each payee. Royalty calculations
+ * credit payee accounts, payouts debit them. Payee balances can never go
+ * below zero. Each organization's label share has its own account.
+ */
+
+class LedgerService {
+  constructor() {
+    this.systemAccounts = {
+      // Revenue recognized from DSPs/licensees, offset of every royalty credit
+      royaltyIncome: 'system:royalty_income',
+      // Money that left the platform to payees
+      payouts: 'system:payouts'
+    };
+
+    // Before organizations, every label share went to one account; the
+    // startup backfill moves it to each organization's own (see migrateLegacyLabelAccount)
+    this.legacyLabelAccount = 'label:mbr';
+    this.publishingSuspenseAccount = 'suspense:publishing';
+  }
+
+  /**
+   * Convert currency units to integer micro-units
+   */
+  toMicros(amount) {
+    return Math.round(Number(amount || 0) * 1e6);
+  }
+
+  /**
+   * Convert integer micro-units to currency units
+   */
+  fromMicros(micros) {
+    return Math.round(micros || 0) / 1e6;
+  }
+
+  /**
+   * Account key for a user payee
+   */
+  userAccount(userId) {
+    return `user:${userId.toString()}`;
+  }
+
+  /**
+   * Account key for an organization's label share
+   */
+  labelAccount(organizationId) {
+    return `label:${organizationId.toString()}`;
+  }
+
+  /**
+   * Account key for a named publisher
+   */
+  publisherAccount(publisherName) {
+    if (!publisherName) return this.publishingSuspenseAccount;
+
+    const slug = publisherName.toString().toLowerCase().trim()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-|-$/g, '');
+
+    return `publisher:${slug}`;
+  }
+
+  /**
+   * Infer account type from its key
+   */
+  describeAccount(key) {
+    const [prefix, rest] = key.split(':');
+
+    switch (prefix) {
+      case 'user':
+        return { type: 'payee', user: rest, allowNegative: false };
+      case 'label':
+        return { type: 'label', organization: key === this.legacyLabelAccount ? undefined : rest, allowNegative: false };
+      case 'publisher':
+        return { type: 'publisher', name: rest, allowNegative: false };
+      case 'suspense':
+        return { type: 'suspense', allowNegative: false };
+      default:
+        return { type: 'system', allowNegative: true };
+    }
+  }
+
+  /**
+   * Get or create an account
+   */
+  async ensureAccount(key) {
+    const { type, user, organization, name, allowNegative } = this.describeAccount(key);
+
+    return LedgerAccount.findOneAndUpdate(
+      { key },
+      { $setOnInsert: { key, type, user, organization, name, allowNegative } },
+      { upsert: true, new: true }
+    );
+  }
+
+  /**
+   * Post a balanced transaction.
+   * Debits against accounts that may not go negative are applied with a
+   * conditional update, so two concurrent payouts can't both succeed against
+   * the same balance. If any leg fails, the legs already applied are undone.
+   */
+  async postTransaction({ kind, description, legs, references = {} }) {
+    try {
+      if (!Array.isArray(legs) || legs.length < 2) {
+        throw new ApiError('A ledger transaction needs at least two legs', 400);
+      }
+
+      const normalized = legs
+        .map(leg => ({ ...leg, amountMicros: Math.round(leg.amountMicros) }))
+        .filter(leg => leg.amountMicros !== 0);
+
+      if (normalized.some(leg => leg.amountMicros < 0 || !['debit', 'credit'].includes(leg.direction))) {
+        throw new ApiError('Ledger legs need a positive amount and a debit/credit direction', 400);
+      }
+
+      const totals = normalized.reduce((acc, leg) => {
+        acc[leg.direction] += leg.amountMicros;
+        return acc;
+      }, { debit: 0, credit: 0 });
+
+      if (totals.debit !== totals.credit) {
+        throw new ApiError(`Unbalanced ledger transaction (debits ${totals.debit}, credits ${totals.credit})`, 400);
+      }
+
+      if (totals.debit === 0) {
+        return null;
+      }
+
+      const transactionId = `ltx_${crypto.randomBytes(12).toString('hex')}`;
+      const applied = [];
+
+      try {
+        for (const leg of normalized) {
+          await this.ensureAccount(leg.account);
+
+          // Balances track liabilities: credits increase, debits decrease
+          const delta = leg.direction === 'credit' ? leg.amountMicros : -leg.amountMicros;
+          const filter = { key: leg.account };
+
+          if (delta < 0) {
+            filter.$or = [
+              { allowNegative: true },
+              { balanceMicros: { $gte: -delta } }
+            ];
+          }
+
+          const account = await LedgerAccount.findOneAndUpdate(
+            filter,
+            { $inc: { balanceMicros: delta } },
+            { new: true }
+          );
+
+          if (!account) {
+            throw new ApiError(`Insufficient balance in ${leg.account}`, 400, 'insufficient_funds');
+          }
+
+          applied.push({ leg, delta, balanceAfterMicros: account.balanceMicros, account });
+        }
+
+        const entries = await LedgerEntry.insertMany(applied.map(({ leg, balanceAfterMicros, account }) => ({
+          transactionId,
+          account: leg.account,
+          user: account.user,
+          direction: leg.direction,
+          amountMicros: leg.amountMicros,
+          kind,
+          description: leg.description || description,
+          royaltyCalculation: references.royaltyCalculation,
+          payment: references.payment,
+          track: references.track,
+          balanceAfterMicros
+        })));
+
+        return { transactionId, entries };
+      } catch (error) {
+        // Undo cached balance changes; no entries were written
+        await Promise.all(applied.map(({ leg, delta }) =>
+          LedgerAccount.updateOne({ key: leg.account }, { $inc: { balanceMicros: -delta } })
+        ));
+
+        if (error.code === 11000) {
+          throw new ApiError('Source document has already been posted', 409, 'duplicate_transaction');
+        }
+        throw error;
+      }
+    } catch (error) {
+      throw new ApiError(`Ledger posting failed: ${error.message}`, error.statusCode || 500, error.type);
+    }
+  }
+
+  /**
+   * Post a royalty calculation: credit every payee against royalty income,
+   * or debit them for a negative (reversing) calculation. Keyed on the
+   * calculation, so posting it again returns the transaction already posted.
+   */
+  async creditRoyaltyCalculation(calculation) {
+    const existing = await this.findRoyaltyTransaction(calculation._id);
+    if (existing) {
+      return existing;
+    }
+
+    const payeeLegs = (calculation.payees || [])
+      .map(payee => ({
+        account: payee.account,
+        direction: payee.amount < 0 ? 'debit' : 'credit',
+        amountMicros: Math.abs(this.toMicros(payee.amount)),
+        description: `${payee.role} share`
+      }))
+      .filter(leg => leg.amountMicros > 0);
+
+    if (payeeLegs.length === 0) {
+      return null;
+    }
+
+    // Offset the exact sum of the rounded payee legs so the transaction always balances
+    const net = payeeLegs.reduce((sum, leg) => sum + (leg.direction === 'credit' ? leg.amountMicros : -leg.amountMicros), 0);
+
+    try {
+      return await this.postTransaction({
+        kind: 'royalty',
+        description: `Royalties: ${calculation.type || 'streaming'}${calculation.platform ? ` (${calculation.platform})` : ''}`,
+        legs: [
+          { account: this.systemAccounts.royaltyIncome, direction: net < 0 ? 'credit' : 'debit', amountMicros: Math.abs(net) },
+          ...payeeLegs
+        ],
+        references: {
+          royaltyCalculation: calculation._id,
+          track: calculation.trackId
+        }
+      });
+    } catch (error) {
+      // Posted concurrently by someone else
+      if (error.type === 'duplicate_transaction') {
+        const posted = await this.findRoyaltyTransaction(calculation._id);
+        if (posted) return posted;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * The transaction a royalty calculation was posted in, if any
+   */
+  async findRoyaltyTransaction(calculationId) {
+    const income = await LedgerEntry.findOne({
+      royaltyCalculation: calculationId,
+      account: this.systemAccounts.royaltyIncome
+    }).select('transactionId');
+
+    if (!income) {
+      return null;
+    }
+
+    return {
+      transactionId: income.transactionId,
+      entries: await LedgerEntry.find({ transactionId: income.transactionId })
+    };
+  }
+
+  /**
+   * Debit a payee for a payout; fails rather than overdrawing
+   */
+  async debitPayout(userId, amount, payment) {
+    const amountMicros = this.toMicros(amount);
+
+    return this.postTransaction({
+      kind: 'payout',
+      description: `Payout via ${payment.paymentMethod}`,
+      legs: [
+        { account: this.userAccount(userId), direction: 'debit', amountMicros },
+        { account: this.systemAccounts.payouts, direction: 'credit', amountMicros }
+      ],
+      references: { payment: payment._id }
+    });
+  }
+
+  /**
+   * Return a failed payout to the payee's balance
+   */
+  async reversePayout(userId, amount, payment) {
+    const amountMicros = this.toMicros(amount);
+
+    return this.postTransaction({
+      kind: 'payout_reversal',
+      description: `Reversal of failed payout ${payment._id}`,
+      legs: [
+        { account: this.systemAccounts.payouts, direction: 'debit', amountMicros },
+        { account: this.userAccount(userId), direction: 'credit', amountMicros }
+      ],
+      references: { payment: payment._id }
+    });
+  }
+
+  /**
+   * Current balance for a user, in currency units
+   */
+  async getBalance(userId) {
+    const account = await LedgerAccount.findOne({ key: this.userAccount(userId) });
+    return this.fromMicros(account ? account.balanceMicros : 0);
+  }
+
+  /**
+   * Balance summary (earned, paid out, available) for a user
+   */
+  async getBalanceSummary(userId) {
+    const account = this.userAccount(userId);
+
+    const totals = await LedgerEntry.aggregate([
+      { $match: { account } },
+      {
+        $group: {
+          _id: { kind: '$kind', direction: '$direction' },
+          total: { $sum: '$amountMicros' }
+        }
+      }
+    ]);
+
+    const sum = (kind, direction) => totals
+      .filter(row => row._id.kind === kind && row._id.direction === direction)
+      .reduce((acc, row) => acc + row.total, 0);
+
+    const earned = sum('royalty', 'credit') - sum('royalty', 'debit');
+    const paidOut = sum('payout', 'debit') - sum('payout_reversal', 'credit');
+    const adjustments = sum('adjustment', 'credit') - sum('adjustment', 'debit');
+
+    return {
+      currency: 'USD',
+      totalEarned: this.fromMicros(earned),
+      totalPaidOut: this.fromMicros(paidOut),
+      adjustments: this.fromMicros(adjustments),
+      available: this.fromMicros(earned - paidOut + adjustments)
+    };
+  }
+
+  /**
+   * Ledger statement for a user
+   */
+  async getStatement(userId, { startDate, endDate, kind, page = 1, limit = 50 } = {}) {
+    const query = { account: this.userAccount(userId) };
+
+    if (kind) query.kind = kind;
+    if (startDate || endDate) {
+      query.createdAt = {};
+      if (startDate) query.createdAt.$gte = new Date(startDate);
+      if (endDate) query.createdAt.$lte = new Date(endDate);
+    }
+
+    const [entries, total] = await Promise.all([
+      LedgerEntry.find(query)
+        .populate('royaltyCalculation', 'platform type period streams downloads')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      LedgerEntry.countDocuments(query)
+    ]);
+
+    return {
+      entries,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  /**
+   * Move what the legacy shared label account holds to each organization's
+   * label account, by the organization of the calculation each entry came
+   * from (the default organization when it has none). Entries are never
+   * rewritten, so this posts one adjustment per organization, less whatever
+   * an earlier run already moved - running it again is a no-op.
+   */
+  async migrateLegacyLabelAccount(defaultOrganizationId) {
+    const legacy = this.legacyLabelAccount;
+    const signed = { $cond: [{ $eq: ['$direction', 'credit'] }, '$amountMicros', { $multiply: ['$amountMicros', -1] }] };
+
+    const owed = await LedgerEntry.aggregate([
+      { $match: { account: legacy, kind: { $ne: 'adjustment' } } },
+      {
+        $lookup: {
+          from: RoyaltyCalculation.collection.name,
+          localField: 'royaltyCalculation',
+          foreignField: '_id',
+          as: 'calculation'
+        }
+      },
+      {
+        $group: {
+          _id: { $ifNull: [{ $arrayElemAt: ['$calculation.organization', 0] }, defaultOrganizationId] },
+          micros: { $sum: signed }
+        }
+      }
+    ]);
+
+    const moved = [];
+
+    for (const { _id: organizationId, micros } of owed) {
+      const account = this.labelAccount(organizationId);
+      const [already] = await LedgerEntry.aggregate([
+        { $match: { account, kind: 'adjustment', description: `Moved from ${legacy}` } },
+        { $group: { _id: null, micros: { $sum: signed } } }
+      ]);
+
+      const amountMicros = micros - (already ? already.micros : 0);
+      if (amountMicros <= 0) continue;
+
+      await this.postTransaction({
+        kind: 'adjustment',
+        description: `Moved from ${legacy}`,
+        legs: [
+          { account: legacy, direction: 'debit', amountMicros },
+          { account, direction: 'credit', amountMicros }
+        ]
+      });
+      moved.push({ account, amount: this.fromMicros(amountMicros) });
+    }
+
+    return moved;
+  }
+
+  /**
+   * Rebuild an account's cached balance from its entries
+   */
+  async reconcileAccount(key) {
+    const [result] = await LedgerEntry.aggregate([
+      { $match: { account: key } },
+      {
+        $group: {
+          _id: null,
+          balance: {
+            $sum: {
+              $cond: [{ $eq: ['$direction', 'credit'] }, '$amountMicros', { $multiply: ['$amountMicros', -1] }]
+            }
+          }
+        }
+      }
+    ]);
+
+    const balanceMicros = result ? result.balance : 0;
+    const account = await LedgerAccount.findOne({ key });
+    const drift = account ? account.balanceMicros - balanceMicros : 0;
+
+    if (account && drift !== 0) {
+      account.balanceMicros = balanceMicros;
+      await account.save();
+    }
+
+    return { key, balance: this.fromMicros(balanceMicros), drift: this.fromMicros(drift) };
+  }
+}
+
+module.exports = new LedgerService();
@@ -0,0 +1,184 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { ApiError } = require('../Middleware/errorHandler');
+const { generateLicenseKey, hashDeviceId, forgetLicense } = require('../Middleware/drmProtection');
+const License = require('../Models/License');
+const Purchase = require('../Models/Purchase');
+const permissionService = require('./permissionService');
+
+/**
+ * DRM License Service
+ * Issues signed license tokens after checking what the user is entitled to
+ * (ownership, Track.pricing, purchases, subscription) and records every
+ * license so it can be revoked.
+ */
+
+class LicenseService {
+  constructor() {
+    // Token lifetime per permission, in hours. A license lives as long as
+    // its shortest-lived permission.
+    this.licenseDurations = {
+      play: 24,
+      download: 1,
+      preview: 1
+    };
+
+    this.permissions = ['play', 'download', 'preview'];
+  }
+
+  /**
+   * Work out which permissions a user holds for a track
+   */
+  async resolveEntitlement(user, track) {
+    const userId = user._id.toString();
+    const isOwner = track.artist.toString() === userId ||
+      (track.collaboration?.collaborators || []).some(c => c.user && c.user.toString() === userId);
+
+    if (isOwner) {
+      return { grant: 'owner', permissions: ['play', 'download', 'preview'] };
+    }
+
+    if (await permissionService.can(user, 'catalog:manage')) {
+      return { grant: 'admin', permissions: ['play', 'download', 'preview'] };
+    }
+
+    if (!track.isAvailable()) {
+      throw new ApiError('Track is not available', 403);
+    }
+
+    if (track.pricing?.isFree) {
+      return { grant: 'free', permissions: ['play', 'download', 'preview'] };
+    }
+
+    const purchase = await Purchase.findCompleted(user._id, track._id);
+    if (purchase) {
+      return { grant: 'purchase', permissions: ['play', 'download', 'preview'], purchase: purchase._id };
+    }
+
+    // Subscribers can stream paid tracks but must buy them to download
+    if (typeof user.isPremium === 'function' && user.isPremium()) {
+      return { grant: 'subscription', permissions: ['play', 'preview'] };
+    }
+
+    return { grant: 'preview', permissions: ['preview'] };
+  }
+
+  /**
+   * Issue a license for a track
+   */
+  async issueLicense(user, trackId, { permissions = null, deviceId = null } = {}) {
+    try {
+      const Track = mongoose.model('Track');
+      const track = await Track.findById(trackId);
+
+      if (!track) {
+        throw new ApiError('Track not found', 404);
+      }
+
+      const entitlement = await this.resolveEntitlement(user, track);
+      const requested = permissions && permissions.length > 0 ? permissions : entitlement.permissions;
+
+      const unknown = requested.filter(permission => !this.permissions.includes(permission));
+      if (unknown.length > 0) {
+        throw new ApiError(`Unknown permissions: ${unknown.join(', ')}`, 400);
+      }
+
+      const missing = requested.filter(permission => !entitlement.permissions.includes(permission));
+      if (missing.length > 0) {
+        throw new ApiError(
+          track.pricing?.isFree
+            ? `Not permitted: ${missing.join(', ')}`
+            : `Purchase required for: ${missing.join(', ')}`,
+          402,
+          'purchase_required'
+        );
+      }
+
+      const expirationHours = Math.min(...requested.map(permission => this.licenseDurations[permission]));
+      const licenseId = `lic_${crypto.randomBytes(12).toString('hex')}`;
+
+      const { licenseKey, payload } = generateLicenseKey(user._id, track._id, expirationHours, {
+        licenseId,
+        permissions: requested,
+        deviceId
+      });
+
+      const license = await License.create({
+        licenseId,
+        user: user._id,
+        track: track._id,
+        permissions: payload.perm,
+        grant: entitlement.grant,
+        purchase: entitlement.purchase,
+        deviceHash: payload.dev,
+        issuedAt: new Date(payload.iat),
+        expiresAt: new Date(payload.exp)
+      });
+
+      return {
+        licenseKey,
+        license,
+        previewDuration: payload.perm.includes('play') ? null : 30
+      };
+    } catch (error) {
+      throw new ApiError(`License issuance failed: ${error.message}`, error.statusCode || 500, error.type);
+    }
+  }
+
+  /**
+   * Revoke a single license. Users may revoke their own licenses; holders of
+   * licenses:revoke any.
+   */
+  async revokeLicense(licenseId, actor, reason = null) {
+    try {
+      const license = await License.findOne({ licenseId });
+
+      if (!license) {
+        throw new ApiError('License not found', 404);
+      }
+
+      if (license.user.toString() !== actor._id.toString() && !(await permissionService.can(actor, 'licenses:revoke'))) {
+        throw new ApiError('You can only revoke your own licenses', 403);
+      }
+
+      if (license.status === 'revoked') {
+        return license;
+      }
+
+      const revoked = await license.revoke(actor._id, reason);
+      forgetLicense(licenseId);
+      return revoked;
+    } catch (error) {
+      throw new ApiError(`License revocation failed: ${error.message}`, error.statusCode || 500);
+    }
+  }
+
+  /**
+   * Revoke every active license matching a filter (takedowns, refunds, bans).
+   * HLS streams already open stop within drmProtection's revocation cache time.
+   */
+  async revokeLicenses({ userId = null, trackId = null, purchaseId = null, deviceId = null }, actor = null, reason = null) {
+    const filter = {};
+    if (userId) filter.user = userId;
+    if (trackId) filter.track = trackId;
+    if (purchaseId) filter.purchase = purchaseId;
+    if (deviceId) filter.deviceHash = hashDeviceId(deviceId);
+
+    if (Object.keys(filter).length === 0) {
+      throw new ApiError('A user, track, purchase or device is required to revoke licenses', 400);
+    }
+
+    const result = await License.revokeMany(filter, actor?._id || null, reason);
+    return { revoked: result.modifiedCount };
+  }
+
+  /**
+   * Active licenses held by a user
+   */
+  async getUserLicenses(userId, trackId = null) {
+    return License.findActive(userId, trackId)
+      .populate('track', 'title artist artwork');
+  }
+}
+
+module.exports = new LicenseService();
@@ -49,13 +49,8 @@ class MetadataService {
         throw new ApiError('Invalid country code. Must be 2 characters (ISO 3166-1 alpha-2)', 400);
       }
 
-      // Use default registrant code if not provided (MBR Records)
-      if (!registrantCode) {
-        registrantCode = 'MBR';
-      }
-
-      // Validate registrant code (3 characters)
-      if (registrantCode.length !== 3) {
+      // Registrant codes belong to the organization (see Organization.codes)
+      if (!registrantCode || registrantCode.length !== 3) {
         throw new ApiError('Registrant code must be exactly 3 characters', 400);
       }
 
@@ -307,8 +302,12 @@ class MetadataService {
   /**
    * Generate GRID (Global Release Identifier)
    */
-  generateGRID(type = 'album', registrantCode = 'MBR') {
+  generateGRID(type = 'album', registrantCode) {
     try {
+      if (!registrantCode) {
+        throw new ApiError('Registrant code is required', 400);
+      }
+
       // Generate components
       const segment1 = type.charAt(0).toUpperCase();
       const segment2 = registrantCode.padEnd(4, '0').substring(0, 4);
@@ -485,13 +484,17 @@ class MetadataService {
         metadata.release.tracks = [];
 
         for (const track of releaseData.tracks) {
+          // Tracks that already carry an ISRC keep it - a recording's ISRC never changes
           const trackMetadata = {
+            trackId: track.trackId,
             title: track.title,
-            isrc: this.generateISRC(
-              releaseData.countryCode,
-              releaseData.registrantCode,
-              releaseData.year
-            )
+            isrc: track.isrc
+              ? { isrc: track.isrc, formatted: track.isrc, standard: 'ISRC', existing: true }
+              : this.generateISRC(
+                releaseData.countryCode,
+                releaseData.registrantCode,
+                releaseData.year
+              )
           };
 
           // Generate ISWC for composition if provided
@@ -504,13 +507,14 @@ class MetadataService {
       }
 
       // Generate UPC/EAN for release
-      if (releaseData.type === 'album' || releaseData.type === 'single') {
+      if (['album', 'ep', 'single', 'compilation'].includes(releaseData.type)) {
         metadata.release.upc = this.generateUPC(releaseData.type);
-        metadata.release.ean = this.generateEAN(releaseData.countryCode);
+        // EAN prefixes are GS1 numeric prefixes, not ISO country codes
+        metadata.release.ean = this.generateEAN(releaseData.eanPrefix);
       }
 
       // Generate GRID for release
-      metadata.release.grid = this.generateGRID(releaseData.type);
+      metadata.release.grid = this.generateGRID(releaseData.type, releaseData.registrantCode);
 
       return metadata;
     } catch (error) {
@@ -0,0 +1,238 @@
+const { ApiError } = require('../Middleware/errorHandler');
+const Notification = require('../Models/Notification');
+const User = require('../Models/User');
+const pushService = require('./pushService');
+
+/**
+ * Notification Service
+ * Stores in-app notifications and pushes them to the recipient's Socket.IO
+ * room (the room named after their user id) and, via Web Push, to their
+ * subscribed browsers. Notifications only ever originate on the server.
+ */
+
+class NotificationService {
+  constructor() {
+    this.io = null;
+
+    this.types = ['like', 'follow', 'comment', 'demo_status', 'contract_signature', 'admin_broadcast', 'demo_review', 'team'];
+
+    // Toggling a like or follow repeatedly shouldn't notify again within this window
+    this.dedupeTypes = ['like', 'follow'];
+    this.dedupeWindowMs = 24 * 60 * 60 * 1000;
+  }
+
+  /**
+   * Attach the Socket.IO server for live delivery
+   */
+  setIo(io) {
+    this.io = io;
+  }
+
+  /**
+   * Create a notification for one user and deliver it live.
+   * Returns null when the user has turned the type off, when it would notify
+   * someone about their own action, or when it duplicates a recent one.
+   */
+  async notify(recipientId, { type, title, message, actor = null, entity = null, link = null }) {
+    try {
+      if (!recipientId) return null;
+      if (actor && actor.toString() === recipientId.toString()) return null;
+
+      const recipient = await User.findById(recipientId).select('preferences.notificationTypes isActive');
+      if (!recipient || recipient.isActive === false || !this.isEnabled(recipient, type)) {
+        return null;
+      }
+
+      if (actor && entity && this.dedupeTypes.includes(type)) {
+        const recent = await Notification.exists({
+          recipient: recipientId,
+          type,
+          actor,
+          'entity.id': entity.id.toString(),
+          createdAt: { $gte: new Date(Date.now() - this.dedupeWindowMs) }
+        });
+        if (recent) return null;
+      }
+
+      const notification = await Notification.create({
+        recipient: recipientId,
+        type,
+        title,
+        message,
+        actor,
+        entity: entity ? { kind: entity.kind, id: entity.id.toString() } : undefined,
+        link
+      });
+
+      await this.deliver(notification);
+
+      return notification;
+    } catch (error) {
+      throw new ApiError(`Notification failed: ${error.message}`, error.statusCode || 500);
+    }
+  }
+
+  /**
+   * Same notification for many users (admin broadcasts); returns how many were stored
+   */
+  async notifyMany(recipientIds, { type, title, message, actor = null, link = null }) {
+    try {
+      const recipients = await User.find({
+        _id: { $in: recipientIds },
+        [`preferences.notificationTypes.${type}`]: { $ne: false }
+      }).select('_id');
+
+      const notifications = await Notification.insertMany(recipients.map(user => ({
+        recipient: user._id,
+        type,
+        title,
+        message,
+        actor,
+        link
+      })));
+
+      await Promise.all(notifications.map(notification => this.deliver(notification)));
+
+      return notifications.length;
+    } catch (error) {
+      throw new ApiError(`Broadcast failed: ${error.message}`, error.statusCode || 500);
+    }
+  }
+
+  /**
+   * Fire-and-forget variant for side effects of other requests
+   */
+  notifySafely(recipientId, payload) {
+    this.notify(recipientId, payload).catch(error => {
+      console.error(`Failed to notify ${recipientId}:`, error.message);
+    });
+  }
+
+  isEnabled(user, type) {
+    return user.preferences?.notificationTypes?.[type] !== false;
+  }
+
+  /**
+   * Push a stored notification and the new unread count to the recipient's
+   * room, and send it to their browsers in the background
+   */
+  async deliver(notification) {
+    pushService.sendToUser(notification.recipient, pushService.buildNotificationPayload(notification))
+      .catch(error => {
+        console.error(`Web push for notification ${notification._id} failed:`, error.message);
+      });
+
+    if (!this.io) return;
+
+    const room = notification.recipient.toString();
+    const unreadCount = await this.getUnreadCount(notification.recipient);
+
+    this.io.to(room).emit('newNotification', notification.toObject());
+    this.io.to(room).emit('notificationCount', { unreadCount });
+  }
+
+  getUnreadCount(userId) {
+    return Notification.getUnreadCount(userId);
+  }
+
+  async emitUnreadCount(userId) {
+    if (!this.io) return;
+
+    const unreadCount = await Notification.getUnreadCount(userId);
+    this.io.to(userId.toString()).emit('notificationCount', { unreadCount });
+  }
+
+  /**
+   * A user's notifications, newest first
+   */
+  async getNotifications(userId, { page = 1, limit = 20, unreadOnly = false } = {}) {
+    const filter = { recipient: userId };
+    if (unreadOnly) filter.read = false;
+
+    const [notifications, total, unreadCount] = await Promise.all([
+      Notification.find(filter)
+        .populate('actor', 'name avatar')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      Notification.countDocuments(filter),
+      Notification.getUnreadCount(userId)
+    ]);
+
+    return { notifications, total, unreadCount };
+  }
+
+  async markAsRead(userId, notificationId) {
+    const notification = await Notification.findOne({ _id: notificationId, recipient: userId });
+    if (!notification) {
+      throw new ApiError('Notification not found', 404);
+    }
+
+    await notification.markAsRead();
+    await this.emitUnreadCount(userId);
+
+    return notification;
+  }
+
+  async markAllAsRead(userId) {
+    const result = await Notification.updateMany(
+      { recipient: userId, read: false },
+      { $set: { read: true, readAt: new Date() } }
+    );
+    await this.emitUnreadCount(userId);
+
+    return result.modifiedCount;
+  }
+
+  async deleteNotification(userId, notificationId) {
+    const notification = await Notification.findOneAndDelete({ _id: notificationId, recipient: userId });
+    if (!notification) {
+      throw new ApiError('Notification not found', 404);
+    }
+
+    if (!notification.read) {
+      await this.emitUnreadCount(userId);
+    }
+
+    return notification;
+  }
+
+  async getSettings(userId) {
+    const user = await User.findById(userId).select('preferences');
+
+    return {
+      types: this.types.reduce((settings, type) => {
+        settings[type] = this.isEnabled(user, type);
+        return settings;
+      }, {}),
+      emailNotifications: user.preferences?.emailNotifications !== false,
+      pushNotifications: user.preferences?.pushNotifications !== false
+    };
+  }
+
+  /**
+   * Update per-type settings (and the email/push channel switches)
+   */
+  async updateSettings(userId, { types = {}, emailNotifications, pushNotifications }) {
+    const update = {};
+
+    for (const [type, enabled] of Object.entries(types)) {
+      if (!this.types.includes(type)) {
+        throw new ApiError(`Unknown notification type: ${type}`, 400);
+      }
+      update[`preferences.notificationTypes.${type}`] = Boolean(enabled);
+    }
+
+    if (emailNotifications !== undefined) update['preferences.emailNotifications'] = Boolean(emailNotifications);
+    if (pushNotifications !== undefined) update['preferences.pushNotifications'] = Boolean(pushNotifications);
+
+    if (Object.keys(update).length > 0) {
+      await User.findByIdAndUpdate(userId, { $set: update });
+    }
+
+    return this.getSettings(userId);
+  }
+}
+
+module.exports = new NotificationService();
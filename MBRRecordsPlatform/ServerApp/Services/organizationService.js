@@ -0,0 +1,429 @@
+const mongoose = require('mongoose');
+const { ApiError } = require('../Middleware/errorHandler');
+const Organization = require('../Models/Organization');
+const Membership = require('../Models/Membership');
+const User = require('../Models/User');
+const keyManagementService = require('./keyManagementService');
+const permissionService = require('./permissionService');
+const ledgerService = require('./ledgerService');
+
+/**
+ * Organization Service
+ * Labels, imprints and sub-labels, and who belongs to them.
+ *
+ *   - Each request works in one organization: the one named by the
+ *     X-Organization header (id or slug), else the user's first membership,
+ *     else the default organization. Holders of organizations:manage work
+ *     across all organizations unless they name one.
+ *   - Tracks, releases, contracts, demos, statement imports and royalty
+ *     calculations carry their organization. Records without one (created
+ *     before organizations existed) belong to the default organization; the
+ *     startup backfill fills them in.
+ *   - Distribution credentials are stored per organization, wrapped by
+ *     keyManagementService, and override the platform-wide env credentials.
+ */
+
+class OrganizationService {
+  constructor() {
+    this.defaults = {
+      name: process.env.DEFAULT_ORGANIZATION_NAME || 'MBR Records',
+      slug: process.env.DEFAULT_ORGANIZATION_SLUG || 'mbr-records',
+      codes: {
+        isrcRegistrant: process.env.ISRC_REGISTRANT_CODE || 'MBR',
+        isrcCountry: process.env.ISRC_COUNTRY_CODE || 'US',
+        contractPrefix: process.env.CONTRACT_ID_PREFIX || 'MBR'
+      }
+    };
+
+    this.scopedModels = ['Track', 'Album', 'Contract', 'DemoSubmission', 'StatementImport', 'RoyaltyCalculation'];
+
+    this.cacheMs = 60 * 1000;
+    this.cache = new Map();
+    this.defaultCache = null;
+  }
+
+  /**
+   * The platform's original label; created on first use
+   */
+  async getDefaultOrganization() {
+    if (this.defaultCache && Date.now() - this.defaultCache.loadedAt < this.cacheMs) {
+      return this.defaultCache.organization;
+    }
+
+    const organization = await Organization.findOneAndUpdate(
+      { isDefault: true },
+      { $setOnInsert: { ...this.defaults, type: 'label', isDefault: true } },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    ).lean();
+
+    this.defaultCache = { organization, loadedAt: Date.now() };
+    return organization;
+  }
+
+  /**
+   * Active organization by id or slug, or null
+   */
+  async getOrganization(idOrSlug) {
+    const key = idOrSlug.toString();
+    const cached = this.cache.get(key);
+    if (cached && Date.now() - cached.loadedAt < this.cacheMs) {
+      return cached.organization;
+    }
+
+    const filter = mongoose.isValidObjectId(key) && /^[a-f\d]{24}$/i.test(key)
+      ? { _id: key }
+      : { slug: key.toLowerCase() };
+    const organization = await Organization.findOne({ ...filter, isActive: true }).lean();
+
+    this.cache.set(key, { organization, loadedAt: Date.now() });
+    return organization;
+  }
+
+  invalidate() {
+    this.cache.clear();
+    this.defaultCache = null;
+  }
+
+  /**
+   * Organization a user is working in: { organization, membership,
+   * crossOrganization }. `requested` is the X-Organization header value.
+   */
+  async resolveForUser(user, requested = null) {
+    const canWorkAcross = (await permissionService.getPermissions(user)).has('organizations:manage');
+
+    if (requested === 'all' || (!requested && canWorkAcross)) {
+      if (!canWorkAcross) {
+        throw new ApiError('You cannot work across organizations', 403);
+      }
+      return { organization: null, membership: null, crossOrganization: true };
+    }
+
+    if (requested) {
+      const organization = await this.getOrganization(requested);
+      if (!organization) {
+        throw new ApiError('Organization not found', 404);
+      }
+
+      // Everyone may work in the default organization, their fallback anyway
+      const membership = await Membership.findOne({ organization: organization._id, user: user._id }).lean();
+      if (!membership && !canWorkAcross && !organization.isDefault) {
+        throw new ApiError('You are not a member of this organization', 403);
+      }
+
+      return { organization, membership, crossOrganization: false };
+    }
+
+    const membership = await Membership.findOne({ user: user._id }).sort({ createdAt: 1 }).lean();
+    const organization = membership && await this.getOrganization(membership.organization);
+
+    if (!organization) {
+      return { organization: await this.getDefaultOrganization(), membership: null, crossOrganization: false };
+    }
+
+    return { organization, membership, crossOrganization: false };
+  }
+
+  /**
+   * Query condition limiting a collection to an organization. Records
+   * without one count as the default organization's.
+   */
+  filterFor(organization) {
+    if (!organization) return {};
+    return organization.isDefault
+      ? { organization: { $in: [organization._id, null] } }
+      : { organization: organization._id };
+  }
+
+  /**
+   * Organization new records go to: the one being worked in, or the
+   * default when working across organizations
+   */
+  async withDefault(organization) {
+    return organization || this.getDefaultOrganization();
+  }
+
+  /**
+   * Organization a record belongs to
+   */
+  async getForRecord(record) {
+    const organizationId = record.organization?._id || record.organization;
+    return (organizationId && await this.getOrganization(organizationId)) || this.getDefaultOrganization();
+  }
+
+  belongsTo(record, organization) {
+    if (!organization) return true;
+    if (!record.organization) return Boolean(organization.isDefault);
+
+    const recordOrganization = record.organization._id || record.organization;
+    return recordOrganization.toString() === organization._id.toString();
+  }
+
+  async getOrganizationsForUser(user) {
+    if ((await permissionService.getPermissions(user)).has('organizations:manage')) {
+      return Organization.find().sort({ name: 1 }).lean();
+    }
+
+    const memberships = await Membership.find({ user: user._id })
+      .populate('organization')
+      .sort({ createdAt: 1 })
+      .lean();
+
+    const organizations = memberships
+      .filter(membership => membership.organization?.isActive)
+      .map(membership => ({ ...membership.organization, roles: membership.roles }));
+
+    return organizations.length > 0 ? organizations : [await this.getDefaultOrganization()];
+  }
+
+  async createOrganization({ name, slug, type = 'label', parent = null, codes = {}, contactEmail }, createdBy) {
+    try {
+      if (parent && !(await Organization.exists({ _id: parent }))) {
+        throw new ApiError('Parent organization not found', 404);
+      }
+      if (type !== 'label' && !parent) {
+        throw new ApiError('Imprints and sub-labels need a parent label', 400);
+      }
+
+      const organization = await Organization.create({
+        name,
+        slug,
+        type,
+        parent,
+        codes,
+        contactEmail,
+        createdBy
+      });
+
+      // The creator starts as the organization's manager
+      await Membership.create({
+        organization: organization._id,
+        user: createdBy,
+        roles: ['label_manager'],
+        addedBy: createdBy
+      });
+
+      return organization;
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new ApiError('An organization with this slug already exists', 409);
+      }
+      throw new ApiError(`Organization creation failed: ${error.message}`, error.statusCode || (error.name === 'ValidationError' ? 400 : 500));
+    }
+  }
+
+  async updateOrganization(organizationId, { name, codes, contactEmail, isActive }) {
+    try {
+      const organization = await Organization.findById(organizationId);
+      if (!organization) {
+        throw new ApiError('Organization not found', 404);
+      }
+      if (isActive === false && organization.isDefault) {
+        throw new ApiError('The default organization cannot be deactivated', 400);
+      }
+
+      if (name !== undefined) organization.name = name;
+      if (contactEmail !== undefined) organization.contactEmail = contactEmail;
+      if (isActive !== undefined) organization.isActive = Boolean(isActive);
+      Object.entries(codes || {}).forEach(([code, value]) => {
+        organization.set(`codes.${code}`, value || undefined);
+      });
+
+      await organization.save();
+
+      this.invalidate();
+      return organization;
+    } catch (error) {
+      throw new ApiError(`Organization update failed: ${error.message}`, error.statusCode || (error.name === 'ValidationError' ? 400 : 500));
+    }
+  }
+
+  async getMembers(organizationId) {
+    return Membership.find({ organization: organizationId })
+      .populate('user', 'name email avatar role')
+      .sort({ createdAt: 1 })
+      .lean();
+  }
+
+  /**
+   * Add a member or change their roles. Roles may not carry permissions
+   * the acting user lacks in this organization.
+   */
+  async setMember(organizationId, userId, roles = [], actor, actorMembership = null) {
+    try {
+      if (!Array.isArray(roles)) {
+        throw new ApiError('Roles must be a list', 400);
+      }
+
+      const user = await User.findById(userId).select('_id isActive');
+      if (!user || !user.isActive) {
+        throw new ApiError('User not found', 404);
+      }
+
+      const existing = await Membership.findOne({ organization: organizationId, user: userId }).lean();
+      const previous = existing?.roles || [];
+      const changed = [...roles.filter(key => !previous.includes(key)), ...previous.filter(key => !roles.includes(key))];
+
+      for (const key of changed) {
+        if (!(await permissionService.roleExists(key))) {
+          throw new ApiError(`Unknown role: ${key}`, 400);
+        }
+        if (!(await permissionService.canGrantRole(actor, key, actorMembership))) {
+          throw new ApiError(`You cannot assign or remove the ${key} role`, 403);
+        }
+      }
+
+      return Membership.findOneAndUpdate(
+        { organization: organizationId, user: userId },
+        {
+          $set: { roles: [...new Set(roles)] },
+          $setOnInsert: { addedBy: actor._id }
+        },
+        { upsert: true, new: true }
+      );
+    } catch (error) {
+      throw new ApiError(`Updating membership failed: ${error.message}`, error.statusCode || 500);
+    }
+  }
+
+  async removeMember(organizationId, userId, actor, actorMembership = null) {
+    try {
+      const membership = await Membership.findOne({ organization: organizationId, user: userId });
+      if (!membership) {
+        throw new ApiError('Member not found', 404);
+      }
+
+      for (const key of membership.roles) {
+        if (!(await permissionService.canGrantRole(actor, key, actorMembership))) {
+          throw new ApiError(`You cannot remove a member with the ${key} role`, 403);
+        }
+      }
+
+      await membership.deleteOne();
+    } catch (error) {
+      throw new ApiError(`Removing member failed: ${error.message}`, error.statusCode || 500);
+    }
+  }
+
+  /**
+   * User query matching everyone holding a permission in an organization:
+   * members whose own roles or membership roles grant it. Without an
+   * organization, holders through their own roles or any membership.
+   */
+  async userFilterWithPermission(permission, organizationId = null) {
+    const keys = await permissionService.roleKeysWith(permission);
+    const holders = await permissionService.holdersFilter(permission);
+
+    if (!organizationId) {
+      const members = await Membership.distinct('user', { roles: { $in: keys } });
+      return { $or: [...holders.$or, { _id: { $in: members } }] };
+    }
+
+    const memberships = await Membership.find({ organization: organizationId }).select('user roles').lean();
+    const throughMembership = memberships
+      .filter(membership => membership.roles.some(key => keys.includes(key)))
+      .map(membership => membership.user);
+
+    return {
+      _id: { $in: memberships.map(membership => membership.user) },
+      $or: [...holders.$or, { _id: { $in: throughMembership } }]
+    };
+  }
+
+  async setDistributionCredentials(organizationId, provider, credentials, updatedBy) {
+    try {
+      const organization = await Organization.findById(organizationId).select('+distributionCredentials');
+      if (!organization) {
+        throw new ApiError('Organization not found', 404);
+      }
+
+      const remaining = organization.distributionCredentials.filter(entry => entry.provider !== provider);
+
+      if (credentials) {
+        const { wrappedKey, keyVersion } = keyManagementService.wrapContentKey(Buffer.from(JSON.stringify(credentials)));
+        remaining.push({ provider, secret: `${keyVersion}:${wrappedKey}`, updatedAt: new Date(), updatedBy });
+      }
+
+      organization.distributionCredentials = remaining;
+      await organization.save();
+
+      return this.listDistributionCredentials(organization);
+    } catch (error) {
+      throw new ApiError(`Saving distribution credentials failed: ${error.message}`, error.statusCode || 500);
+    }
+  }
+
+  /**
+   * Stored credentials for a provider, or null to use the platform's
+   */
+  async getDistributionCredentials(organizationId, provider) {
+    if (!organizationId) return null;
+
+    const organization = await Organization.findById(organizationId).select('+distributionCredentials').lean();
+    const entry = organization?.distributionCredentials?.find(credential => credential.provider === provider);
+    if (!entry) return null;
+
+    const separator = entry.secret.indexOf(':');
+    const plain = keyManagementService.unwrapContentKey(entry.secret.slice(separator + 1), entry.secret.slice(0, separator));
+    return JSON.parse(plain.toString('utf8'));
+  }
+
+  listDistributionCredentials(organization) {
+    return (organization.distributionCredentials || []).map(({ provider, updatedAt, updatedBy }) => ({
+      provider,
+      updatedAt,
+      updatedBy
+    }));
+  }
+
+  /**
+   * Give records and staff from before organizations existed to the
+   * default organization, and split the old shared label ledger account
+   * between organizations
+   */
+  async backfill() {
+    const organization = await this.getDefaultOrganization();
+
+    for (const modelName of this.scopedModels) {
+      const result = await mongoose.model(modelName).updateMany(
+        { organization: null },
+        { $set: { organization: organization._id } }
+      );
+      if (result.modifiedCount > 0) {
+        console.log(`Assigned ${result.modifiedCount} ${modelName} record(s) to ${organization.name}`);
+      }
+    }
+
+    const members = await Membership.distinct('user');
+    const users = await User.find({ role: { $ne: 'user' }, _id: { $nin: members } }).select('_id').lean();
+
+    if (users.length > 0) {
+      await Membership.insertMany(
+        users.map(user => ({ organization: organization._id, user: user._id })),
+        { ordered: false }
+      );
+      console.log(`Added ${users.length} user(s) to ${organization.name}`);
+    }
+
+    const moved = await ledgerService.migrateLegacyLabelAccount(organization._id);
+    moved.forEach(({ account, amount }) => {
+      console.log(`Moved ${amount} from ${ledgerService.legacyLabelAccount} to ${account}`);
+    });
+  }
+
+  /**
+   * Run the backfill once the database is connected
+   */
+  scheduleBackfill() {
+    const run = () => this.backfill().catch(error => {
+      console.error('Organization backfill failed:', error.message);
+    });
+
+    if (mongoose.connection.readyState === 1) {
+      run();
+    } else {
+      mongoose.connection.once('open', run);
+    }
+  }
+}
+
+module.exports = new OrganizationService();
@@ -0,0 +1,468 @@
+const { ApiError } = require('../Middleware/errorHandler');
+const Role = require('../Models/Role');
+const Delegation = require('../Models/Delegation');
+const Membership = require('../Models/Membership');
+const User = require('../Models/User');
+
+/**
+ * Permission Service
+ * Named permissions ("area:action"), grouped into roles.
+ *
+ *   - Built-in roles are defined here; a Role document with the same key
+ *     overrides one, and further roles can be created by admins.
+ *   - A user has their `role` plus any `additionalRoles`, and within an
+ *     organization the roles of their membership there; their permissions
+ *     are the union of those roles'. '*' grants everything.
+ *   - A delegation lets a user act for another (a manager for an artist)
+ *     with the permissions both the delegation and the principal have.
+ *
+ * Staff permissions also fall under the admin two-factor policy.
+ */
+
+class PermissionService {
+  constructor() {
+    this.permissions = {
+      'admin:dashboard': { description: 'View the admin dashboard, platform analytics and system health', staff: true },
+      'users:manage': { description: 'List users and activate or deactivate accounts', staff: true },
+      'users:assign_roles': { description: 'Change the roles of users', staff: true },
+      'roles:manage': { description: 'Create and edit roles and their permissions', staff: true },
+      'delegations:manage': { description: 'Grant and revoke delegations between any users', staff: true },
+      'security:manage': { description: 'Edit the two-factor policy and reset users\' two-factor', staff: true },
+      'notifications:broadcast': { description: 'Send notifications to all users', staff: true },
+      'drm:manage': { description: 'Rotate DRM keys and package HLS streams', staff: true },
+      'licenses:revoke': { description: 'Revoke playback licenses', staff: true },
+      'content:moderate': { description: 'Fingerprint tracks and resolve content matches', staff: true },
+      'email:manage': { description: 'View and retry outgoing email', staff: true },
+      'organizations:manage': { description: 'Create organizations and work across all of them', staff: true },
+      'organization:settings': { description: 'Edit your organization\'s codes and distribution credentials', staff: true },
+      'organization:members': { description: 'Add and remove members of your organization', staff: true },
+
+      'demos:review': { description: 'See the demo queue and score demos', staff: true },
+      'demos:assign': { description: 'Assign demos to reviewers and manage the reviewer pool', staff: true },
+      'demos:decide': { description: 'Accept or reject demos', staff: true },
+
+      'royalties:view': { description: 'View royalty balances, reports and payment history' },
+      'royalties:calculate': { description: 'Run manual royalty calculations, which credit payees on the ledger', staff: true },
+      'royalties:payout': { description: 'Request royalty payouts' },
+      'royalties:import': { description: 'Import distributor royalty statements', staff: true },
+
+      'contracts:create': { description: 'Draft, edit, duplicate and terminate contracts you are a party to' },
+      'contracts:sign': { description: 'Send contracts out for signature and sign them in the app' },
+      'contracts:manage': { description: 'View and edit every contract', staff: true },
+      'contracts:templates': { description: 'Edit and publish contract templates', staff: true },
+
+      'tracks:upload': { description: 'Upload tracks' },
+      'tracks:publish': { description: 'Make tracks public' },
+      'albums:manage': { description: 'Create and edit albums' },
+      'catalog:manage': { description: 'Edit or remove any artist\'s tracks and albums', staff: true },
+      'catalog:import': { description: 'Import tracks from flash drives', staff: true },
+      'playlists:manage': { description: 'View and moderate any playlist, private ones included', staff: true },
+      'limits:bypass': { description: 'Skip subscription requirements and rate limits', staff: true },
+      'metadata:manage': { description: 'Generate codes (ISRC, UPC, ...) and edit release metadata' },
+      'distribution:manage': { description: 'Send releases to stores and distribution partners' }
+    };
+
+    const artistPermissions = [
+      'royalties:view', 'royalties:payout',
+      'contracts:create', 'contracts:sign',
+      'tracks:upload', 'tracks:publish', 'albums:manage',
+      'metadata:manage', 'distribution:manage'
+    ];
+
+    this.defaultRoles = {
+      user: {
+        name: 'User',
+        description: 'Listener account',
+        permissions: []
+      },
+      artist: {
+        name: 'Artist',
+        description: 'Releases music and earns royalties',
+        permissions: artistPermissions
+      },
+      ar_reviewer: {
+        name: 'A&R Reviewer',
+        description: 'Reviews and scores demo submissions',
+        permissions: ['demos:review']
+      },
+      finance: {
+        name: 'Finance',
+        description: 'Imports statements and runs royalty calculations',
+        permissions: ['royalties:view', 'royalties:calculate', 'royalties:import']
+      },
+      label_manager: {
+        name: 'Label Manager',
+        description: 'Runs A&R, contracts and the catalog',
+        permissions: [
+          'admin:dashboard', 'demos:review', 'demos:assign', 'demos:decide',
+          'contracts:create', 'contracts:sign', 'contracts:manage', 'contracts:templates',
+          'catalog:manage', 'metadata:manage', 'distribution:manage', 'delegations:manage',
+          'organization:settings', 'organization:members'
+        ]
+      },
+      artist_manager: {
+        name: 'Artist Manager',
+        description: 'Acts for the artists who delegate to them',
+        permissions: []
+      },
+      admin: {
+        name: 'Administrator',
+        description: 'Everything except changing roles and working across organizations',
+        permissions: Object.keys(this.permissions)
+          .filter(permission => !['users:assign_roles', 'roles:manage', 'organizations:manage'].includes(permission))
+      },
+      super_admin: {
+        name: 'Super Administrator',
+        description: 'Everything',
+        permissions: ['*']
+      }
+    };
+
+    this.cacheMs = 60 * 1000;
+    this.cache = null;
+  }
+
+  /**
+   * All roles by key: built-ins overlaid with stored roles
+   */
+  async getRoles() {
+    if (this.cache && Date.now() - this.cache.loadedAt < this.cacheMs) {
+      return this.cache.roles;
+    }
+
+    const roles = new Map(Object.entries(this.defaultRoles).map(([key, role]) => [key, { key, ...role, system: true }]));
+    const stored = await Role.find().lean();
+
+    stored.forEach(role => {
+      roles.set(role.key, {
+        key: role.key,
+        name: role.name,
+        description: role.description,
+        permissions: role.permissions,
+        system: role.system || Boolean(this.defaultRoles[role.key])
+      });
+    });
+
+    this.cache = { roles, loadedAt: Date.now() };
+    return roles;
+  }
+
+  invalidate() {
+    this.cache = null;
+  }
+
+  async roleExists(key) {
+    return (await this.getRoles()).has(key);
+  }
+
+  /**
+   * Effective permissions of a user, in an organization when given their
+   * membership there
+   */
+  async getPermissions(user, membership = null) {
+    const roles = await this.getRoles();
+    const granted = new Set();
+
+    [user.role, ...(user.additionalRoles || []), ...(membership?.roles || [])].forEach(key => {
+      (roles.get(key)?.permissions || []).forEach(permission => granted.add(permission));
+    });
+
+    if (granted.has('*')) {
+      return new Set(Object.keys(this.permissions));
+    }
+
+    return granted;
+  }
+
+  /**
+   * Whether the user has any of the permissions
+   */
+  async can(user, ...permissions) {
+    if (!user) return false;
+    const granted = await this.getPermissions(user);
+    return permissions.some(permission => granted.has(permission));
+  }
+
+  /**
+   * Whether `actor` holds every permission of a role, so assigning or
+   * removing it can't raise anyone above the actor
+   */
+  async canGrantRole(actor, key, membership = null) {
+    const role = (await this.getRoles()).get(key);
+    if (!role) return false;
+
+    const held = await this.getPermissions(actor, membership);
+    const needed = role.permissions.includes('*') ? Object.keys(this.permissions) : role.permissions;
+    return needed.every(permission => held.has(permission));
+  }
+
+  isStaffPermission(permission) {
+    return Boolean(this.permissions[permission]?.staff);
+  }
+
+  async roleKeysWith(permission) {
+    return [...(await this.getRoles()).values()]
+      .filter(role => role.permissions.includes(permission) || role.permissions.includes('*'))
+      .map(role => role.key);
+  }
+
+  /**
+   * User query matching everyone holding a permission through their own roles
+   */
+  async holdersFilter(permission) {
+    const keys = await this.roleKeysWith(permission);
+    return { $or: [{ role: { $in: keys } }, { additionalRoles: { $in: keys } }] };
+  }
+
+  validatePermissions(permissions) {
+    if (!Array.isArray(permissions)) {
+      throw new ApiError('Permissions must be a list', 400);
+    }
+
+    const unknown = permissions.filter(permission => permission !== '*' && !this.permissions[permission]);
+    if (unknown.length > 0) {
+      throw new ApiError(`Unknown permissions: ${unknown.join(', ')}`, 400);
+    }
+
+    return [...new Set(permissions)];
+  }
+
+  /**
+   * Permission catalogue and roles for the admin screen
+   */
+  async describe() {
+    const roles = await this.getRoles();
+    const counts = await User.aggregate([
+      { $group: { _id: '$role', count: { $sum: 1 } } }
+    ]);
+    const countByRole = new Map(counts.map(entry => [entry._id, entry.count]));
+
+    return {
+      permissions: Object.entries(this.permissions).map(([key, { description, staff }]) => ({
+        key,
+        description,
+        staff: Boolean(staff)
+      })),
+      roles: [...roles.values()].map(role => ({
+        ...role,
+        users: countByRole.get(role.key) || 0
+      }))
+    };
+  }
+
+  async createRole({ key, name, description, permissions = [] }, updatedBy) {
+    try {
+      if (await this.roleExists(key)) {
+        throw new ApiError('A role with this key already exists', 409);
+      }
+
+      const role = await Role.create({
+        key,
+        name,
+        description,
+        permissions: this.validatePermissions(permissions),
+        updatedBy
+      });
+
+      this.invalidate();
+      return role;
+    } catch (error) {
+      throw new ApiError(`Role creation failed: ${error.message}`, error.statusCode || (error.name === 'ValidationError' ? 400 : 500));
+    }
+  }
+
+  /**
+   * Edit a role; editing a built-in stores an override
+   */
+  async updateRole(key, { name, description, permissions }, updatedBy) {
+    try {
+      const existing = (await this.getRoles()).get(key);
+      if (!existing) {
+        throw new ApiError('Role not found', 404);
+      }
+      if (key === 'super_admin') {
+        throw new ApiError('The super admin role cannot be changed', 400);
+      }
+
+      const role = await Role.findOneAndUpdate(
+        { key },
+        {
+          $set: {
+            name: name ?? existing.name,
+            description: description ?? existing.description,
+            permissions: permissions !== undefined ? this.validatePermissions(permissions) : existing.permissions,
+            system: existing.system,
+            updatedBy
+          }
+        },
+        { upsert: true, new: true, runValidators: true }
+      );
+
+      this.invalidate();
+      return role;
+    } catch (error) {
+      throw new ApiError(`Role update failed: ${error.message}`, error.statusCode || 500);
+    }
+  }
+
+  async deleteRole(key) {
+    try {
+      const existing = (await this.getRoles()).get(key);
+      if (!existing) {
+        throw new ApiError('Role not found', 404);
+      }
+      if (existing.system) {
+        throw new ApiError('Built-in roles cannot be deleted', 400);
+      }
+
+      const assigned = await User.countDocuments({ $or: [{ role: key }, { additionalRoles: key }] })
+        + await Membership.countDocuments({ roles: key });
+      if (assigned > 0) {
+        throw new ApiError(`Role is assigned to ${assigned} user(s)`, 409);
+      }
+
+      await Role.deleteOne({ key });
+      this.invalidate();
+    } catch (error) {
+      throw new ApiError(`Role deletion failed: ${error.message}`, error.statusCode || 500);
+    }
+  }
+
+  /**
+   * Let `delegateId` act for `principalId` with some of the principal's
+   * permissions
+   */
+  async grantDelegation({ principalId, delegateId, permissions, expiresAt = null, note, teamRole, invitation }, grantedBy) {
+    try {
+      if (principalId.toString() === delegateId.toString()) {
+        throw new ApiError('A user cannot delegate to themselves', 400);
+      }
+
+      const [principal, delegate] = await Promise.all([
+        User.findById(principalId).select('name role additionalRoles isActive'),
+        User.findById(delegateId).select('name isActive')
+      ]);
+      if (!principal || !delegate) {
+        throw new ApiError('User not found', 404);
+      }
+      if (!delegate.isActive) {
+        throw new ApiError('Delegate account is deactivated', 400);
+      }
+
+      const requested = this.validatePermissions(permissions).filter(permission => permission !== '*');
+      if (requested.length === 0) {
+        throw new ApiError('At least one permission is required', 400);
+      }
+
+      const held = await this.getPermissions(principal);
+      const missing = requested.filter(permission => !held.has(permission));
+      if (missing.length > 0) {
+        throw new ApiError(`${principal.name} does not have: ${missing.join(', ')}`, 400);
+      }
+
+      const staff = requested.filter(permission => this.isStaffPermission(permission));
+      if (staff.length > 0) {
+        throw new ApiError(`Staff permissions cannot be delegated: ${staff.join(', ')}`, 400);
+      }
+
+      if (expiresAt && new Date(expiresAt) <= new Date()) {
+        throw new ApiError('Expiry must be in the future', 400);
+      }
+
+      // One live delegation per pair; granting again replaces it
+      await Delegation.updateMany(
+        { principal: principalId, delegate: delegateId, revokedAt: null },
+        { $set: { revokedAt: new Date(), revokedBy: grantedBy } }
+      );
+
+      return Delegation.create({
+        principal: principalId,
+        delegate: delegateId,
+        permissions: requested,
+        grantedBy,
+        note,
+        teamRole,
+        invitation,
+        expiresAt: expiresAt || null
+      });
+    } catch (error) {
+      throw new ApiError(`Delegation failed: ${error.message}`, error.statusCode || 500);
+    }
+  }
+
+  async revokeDelegation(delegationId, revokedBy, { userId = null } = {}) {
+    const filter = { _id: delegationId, revokedAt: null };
+    // Parties can end their own delegations
+    if (userId) filter.$or = [{ principal: userId }, { delegate: userId }];
+
+    const delegation = await Delegation.findOneAndUpdate(
+      filter,
+      { $set: { revokedAt: new Date(), revokedBy } },
+      { new: true }
+    );
+
+    if (!delegation) {
+      throw new ApiError('Delegation not found', 404);
+    }
+
+    return delegation;
+  }
+
+  /**
+   * Live delegations a user has granted and received
+   */
+  async getDelegations(userId) {
+    const active = {
+      revokedAt: null,
+      $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+    };
+
+    const [granted, received] = await Promise.all([
+      Delegation.find({ ...active, principal: userId }).populate('delegate', 'name email avatar').lean(),
+      Delegation.find({ ...active, delegate: userId }).populate('principal', 'name email avatar').lean()
+    ]);
+
+    return { granted, received };
+  }
+
+  async listDelegations({ principal, delegate, includeRevoked = false } = {}) {
+    const filter = {};
+    if (principal) filter.principal = principal;
+    if (delegate) filter.delegate = delegate;
+    if (!includeRevoked) filter.revokedAt = null;
+
+    return Delegation.find(filter)
+      .populate('principal', 'name email')
+      .populate('delegate', 'name email')
+      .populate('grantedBy', 'name')
+      .sort({ createdAt: -1 })
+      .lean();
+  }
+
+  /**
+   * For a delegate acting for `principalId`: the principal and the
+   * permissions the delegate may use for them, or null
+   */
+  async resolveDelegation(delegate, principalId) {
+    if (!/^[a-f\d]{24}$/i.test(principalId || '')) return null;
+
+    const delegation = await Delegation.findOne({
+      principal: principalId,
+      delegate: delegate._id,
+      revokedAt: null,
+      $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+    }).lean();
+    if (!delegation) return null;
+
+    const principal = await User.findById(principalId).select('-password');
+    if (!principal || !principal.isActive) return null;
+
+    // The principal may since have lost some of what they delegated
+    const held = await this.getPermissions(principal);
+    const permissions = new Set(delegation.permissions.filter(permission => held.has(permission)));
+
+    return { principal, permissions, delegationId: delegation._id };
+  }
+}
+
+module.exports = new PermissionService();
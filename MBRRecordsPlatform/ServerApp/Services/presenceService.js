@@ -0,0 +1,143 @@
+const Conversation = require('../Models/Conversation');
+const User = require('../Models/User');
+const chatService = require('./chatService');
+
+/**
+ * Presence Service
+ * Tracks which users are online, away or offline from their connected
+ * sockets. A user is online while any of their sockets is active, away when
+ * every socket has reported itself idle, and offline once the last socket
+ * disconnects (lastActive is saved then).
+ *
+ * Presence lives in this process's memory; changes are pushed to the rooms
+ * of the user's conversations, so only their chat contacts see them.
+ */
+
+class PresenceService {
+  constructor() {
+    this.io = null;
+    this.statuses = ['online', 'away'];
+
+    // userId -> { sockets: Map<socketId, status>, lastSeen }
+    this.users = new Map();
+  }
+
+  setIo(io) {
+    this.io = io;
+  }
+
+  /**
+   * Register a socket; returns the user's presence afterwards
+   */
+  connect(userId, socketId) {
+    const key = userId.toString();
+    const entry = this.users.get(key) || { sockets: new Map(), lastSeen: new Date() };
+
+    const previous = this.statusOf(entry);
+    entry.sockets.set(socketId, 'online');
+    entry.lastSeen = new Date();
+    this.users.set(key, entry);
+
+    return this.changed(key, previous);
+  }
+
+  /**
+   * A socket reporting itself active ('online') or idle ('away')
+   */
+  setStatus(userId, socketId, status) {
+    const key = userId.toString();
+    const entry = this.users.get(key);
+    if (!entry || !entry.sockets.has(socketId) || !this.statuses.includes(status)) {
+      return this.getPresence(key);
+    }
+
+    const previous = this.statusOf(entry);
+    entry.sockets.set(socketId, status);
+    entry.lastSeen = new Date();
+
+    return this.changed(key, previous);
+  }
+
+  async disconnect(userId, socketId) {
+    const key = userId.toString();
+    const entry = this.users.get(key);
+    if (!entry) return this.getPresence(key);
+
+    const previous = this.statusOf(entry);
+    entry.sockets.delete(socketId);
+    entry.lastSeen = new Date();
+
+    if (entry.sockets.size === 0) {
+      await User.updateOne({ _id: key }, { $set: { lastActive: entry.lastSeen } });
+    }
+
+    return this.changed(key, previous);
+  }
+
+  statusOf(entry) {
+    if (!entry || entry.sockets.size === 0) return 'offline';
+    return [...entry.sockets.values()].includes('online') ? 'online' : 'away';
+  }
+
+  getPresence(userId) {
+    const key = userId.toString();
+    const entry = this.users.get(key);
+
+    return {
+      userId: key,
+      status: this.statusOf(entry),
+      lastSeen: entry ? entry.lastSeen : null
+    };
+  }
+
+  /**
+   * Presence of the given users, limited to people the viewer shares a
+   * conversation with. Offline users fall back to their stored lastActive.
+   */
+  async getPresenceFor(viewerId, userIds) {
+    const contacts = new Set((await Conversation.distinct('participants', { participants: viewerId }))
+      .map(id => id.toString()));
+
+    const visible = [...new Set(userIds.map(id => id.toString()))].filter(id => contacts.has(id));
+    const offline = visible.filter(id => this.getPresence(id).status === 'offline');
+
+    const lastActive = offline.length > 0
+      ? await User.find({ _id: { $in: offline } }).select('lastActive').lean()
+      : [];
+    const lastActiveById = new Map(lastActive.map(user => [user._id.toString(), user.lastActive]));
+
+    return visible.map(id => {
+      const presence = this.getPresence(id);
+      if (presence.status === 'offline' && !presence.lastSeen) {
+        presence.lastSeen = lastActiveById.get(id) || null;
+      }
+      return presence;
+    });
+  }
+
+  /**
+   * Push a status change to the user's conversations (and their other devices)
+   */
+  changed(userId, previous) {
+    const presence = this.getPresence(userId);
+
+    if (presence.status !== previous) {
+      this.broadcast(presence).catch(error => {
+        console.error(`Failed to broadcast presence for ${userId}:`, error.message);
+      });
+    }
+
+    return presence;
+  }
+
+  async broadcast(presence) {
+    if (!this.io) return;
+
+    const conversationIds = await chatService.getConversationIds(presence.userId);
+    const rooms = [presence.userId, ...conversationIds.map(id => chatService.roomFor(id))];
+
+    this.io.to(rooms).emit('presence', presence);
+  }
+}
+
+module.exports = new PresenceService();
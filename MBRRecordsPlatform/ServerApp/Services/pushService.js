@@ -0,0 +1,287 @@
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const webpush = require('web-push');
+const { ApiError } = require('../Middleware/errorHandler');
+const PushSubscription = require('../Models/PushSubscription');
+const User = require('../Models/User');
+
+/**
+ * Web Push Service
+ * Stores browsers' push subscriptions and fans notifications out to every
+ * subscription a user has, signed with the server's VAPID key. Subscriptions
+ * the push service reports as gone (404/410) are deleted.
+ *
+ * web-push builds the encrypted, VAPID-signed request and this service posts
+ * it to the subscription's endpoint. Endpoints must be on a known browser
+ * push service, so users can't make the server send requests to other hosts.
+ * Hosts listed in PUSH_ENDPOINT_HOSTS are accepted too (over plain HTTP
+ * outside production), so a local mock server is enough to test delivery
+ * without a real browser push service.
+ */
+
+class PushService {
+  constructor() {
+    this.vapidKeys = this.loadVapidKeys();
+    this.subject = process.env.VAPID_SUBJECT || `mailto:${process.env.ADMIN_EMAIL || 'admin@mbrrecords.com'}`;
+
+    this.defaultOptions = {
+      TTL: 24 * 60 * 60,
+      timeout: parseInt(process.env.PUSH_TIMEOUT_MS || '10000')
+    };
+
+    // Consecutive non-404/410 failures before a subscription is dropped anyway
+    this.maxFailures = 10;
+
+    // Browser push services (FCM, Mozilla autopush, WNS, Apple); a leading
+    // dot matches any subdomain
+    this.pushServiceHosts = [
+      'fcm.googleapis.com',
+      'android.googleapis.com',
+      '.push.services.mozilla.com',
+      '.notify.windows.com',
+      '.push.apple.com'
+    ];
+
+    // Extra hosts (`host` or `host:port`), e.g. a mock push service in testing
+    this.extraEndpointHosts = (process.env.PUSH_ENDPOINT_HOSTS || '')
+      .split(',')
+      .map(host => host.trim().toLowerCase())
+      .filter(Boolean);
+  }
+
+  /**
+   * VAPID key pair from the environment (base64url, as printed by
+   * `npx web-push generate-vapid-keys`)
+   */
+  loadVapidKeys() {
+    const publicKey = process.env.VAPID_PUBLIC_KEY;
+    const privateKey = process.env.VAPID_PRIVATE_KEY;
+
+    if (publicKey && privateKey) {
+      return { publicKey, privateKey };
+    }
+
+    if (process.env.NODE_ENV === 'production') {
+      throw new Error('VAPID_PUBLIC_KEY and VAPID_PRIVATE_KEY must be set in production');
+    }
+
+    // Development fallback: a fixed key pair, so browser subscriptions survive restarts
+    console.warn('⚠️  VAPID keys not set - using a development key pair');
+    const ecdh = crypto.createECDH('prime256v1');
+    ecdh.setPrivateKey(crypto.createHash('sha256').update('mbr-dev-vapid-key').digest());
+
+    return {
+      publicKey: ecdh.getPublicKey().toString('base64url'),
+      privateKey: ecdh.getPrivateKey().toString('base64url')
+    };
+  }
+
+  /**
+   * Parse a subscription endpoint, or throw if it isn't one we will post to
+   */
+  checkEndpoint(endpoint) {
+    let url;
+    try {
+      url = new URL(endpoint);
+    } catch (error) {
+      throw new ApiError('Subscription endpoint must be a URL', 400);
+    }
+
+    if (this.extraEndpointHosts.includes(url.host) || this.extraEndpointHosts.includes(url.hostname)) {
+      if (url.protocol === 'https:' || (url.protocol === 'http:' && process.env.NODE_ENV !== 'production')) {
+        return url;
+      }
+      throw new ApiError('Subscription endpoint must use HTTPS', 400);
+    }
+
+    if (url.protocol !== 'https:') {
+      throw new ApiError('Subscription endpoint must use HTTPS', 400);
+    }
+
+    const known = !url.port && !url.username && this.pushServiceHosts.some(host => host.startsWith('.')
+      ? url.hostname.endsWith(host)
+      : url.hostname === host);
+    if (!known) {
+      throw new ApiError('Subscription endpoint is not a supported push service', 400);
+    }
+
+    return url;
+  }
+
+  /**
+   * Application server key for PushManager.subscribe()
+   */
+  getPublicKey() {
+    return this.vapidKeys.publicKey;
+  }
+
+  /**
+   * Register (or move to this user) a browser subscription
+   */
+  async subscribe(userId, subscription, { deviceId = null, userAgent = null } = {}) {
+    try {
+      const { endpoint, keys, expirationTime } = subscription || {};
+
+      if (!endpoint || !keys?.p256dh || !keys?.auth) {
+        throw new ApiError('Subscription must include an endpoint and p256dh/auth keys', 400);
+      }
+
+      this.checkEndpoint(endpoint);
+
+      return await PushSubscription.findOneAndUpdate(
+        { endpoint },
+        {
+          $set: {
+            user: userId,
+            keys: { p256dh: keys.p256dh, auth: keys.auth },
+            expirationTime: expirationTime ? new Date(expirationTime) : null,
+            deviceId,
+            userAgent,
+            failureCount: 0
+          }
+        },
+        { upsert: true, new: true, setDefaultsOnInsert: true }
+      );
+    } catch (error) {
+      throw new ApiError(`Push subscription failed: ${error.message}`, error.statusCode || 500);
+    }
+  }
+
+  async unsubscribe(userId, endpoint) {
+    const result = await PushSubscription.deleteOne({ user: userId, endpoint });
+    return result.deletedCount > 0;
+  }
+
+  async getSubscriptions(userId) {
+    return PushSubscription.find({ user: userId })
+      .select('endpoint deviceId userAgent lastSuccessAt createdAt')
+      .sort({ createdAt: -1 })
+      .lean();
+  }
+
+  /**
+   * Send a payload to every subscription of a user who has push turned on.
+   * Returns { sent, removed, failed }.
+   */
+  async sendToUser(userId, payload, options = {}) {
+    try {
+      const user = await User.findById(userId).select('preferences.pushNotifications isActive');
+      if (!user || user.isActive === false || user.preferences?.pushNotifications === false) {
+        return { sent: 0, removed: 0, failed: 0 };
+      }
+
+      const subscriptions = await PushSubscription.find({ user: userId });
+      const results = await Promise.all(subscriptions.map(subscription =>
+        this.sendToSubscription(subscription, payload, options)));
+
+      return {
+        sent: results.filter(result => result === 'sent').length,
+        removed: results.filter(result => result === 'removed').length,
+        failed: results.filter(result => result === 'failed').length
+      };
+    } catch (error) {
+      throw new ApiError(`Push delivery failed: ${error.message}`, error.statusCode || 500);
+    }
+  }
+
+  /**
+   * Deliver to one subscription: 'sent', 'removed' (gone) or 'failed'
+   */
+  async sendToSubscription(subscription, payload, options = {}) {
+    if (subscription.expirationTime && subscription.expirationTime < new Date()) {
+      await subscription.deleteOne();
+      return 'removed';
+    }
+
+    // Stored before endpoints were restricted, or since dropped from PUSH_ENDPOINT_HOSTS
+    try {
+      this.checkEndpoint(subscription.endpoint);
+    } catch (error) {
+      await subscription.deleteOne();
+      return 'removed';
+    }
+
+    try {
+      const request = webpush.generateRequestDetails(subscription.toWebPush(), JSON.stringify(payload), {
+        ...this.defaultOptions,
+        ...options,
+        vapidDetails: {
+          subject: this.subject,
+          publicKey: this.vapidKeys.publicKey,
+          privateKey: this.vapidKeys.privateKey
+        }
+      });
+
+      await this.postToPushService(request, options.timeout || this.defaultOptions.timeout);
+
+      await PushSubscription.updateOne(
+        { _id: subscription._id },
+        { $set: { lastSuccessAt: new Date(), failureCount: 0 }, $unset: { lastError: 1 } }
+      );
+      return 'sent';
+    } catch (error) {
+      // The push service no longer knows this subscription
+      if (error.statusCode === 404 || error.statusCode === 410 || subscription.failureCount + 1 >= this.maxFailures) {
+        await subscription.deleteOne();
+        return 'removed';
+      }
+
+      await PushSubscription.updateOne(
+        { _id: subscription._id },
+        {
+          $set: { lastFailureAt: new Date(), lastError: error.body || error.message },
+          $inc: { failureCount: 1 }
+        }
+      );
+      return 'failed';
+    }
+  }
+
+  /**
+   * POST a prepared push message; rejects with statusCode/body on a non-2xx reply
+   */
+  postToPushService({ endpoint, method, headers, body }, timeout) {
+    const url = this.checkEndpoint(endpoint);
+    const client = url.protocol === 'http:' ? http : https;
+
+    return new Promise((resolve, reject) => {
+      const req = client.request(url, { method, headers, timeout }, (res) => {
+        let responseBody = '';
+        res.on('data', chunk => { responseBody += chunk; });
+        res.on('end', () => {
+          if (res.statusCode >= 200 && res.statusCode < 300) {
+            resolve({ statusCode: res.statusCode, body: responseBody });
+          } else {
+            const error = new Error(`Push service responded ${res.statusCode}`);
+            error.statusCode = res.statusCode;
+            error.body = responseBody;
+            reject(error);
+          }
+        });
+      });
+
+      req.on('timeout', () => req.destroy(new Error('Push service request timed out')));
+      req.on('error', reject);
+
+      if (body) req.write(body);
+      req.end();
+    });
+  }
+
+  /**
+   * Push payload for a stored notification (read by ClientApp/public/sw.js)
+   */
+  buildNotificationPayload(notification) {
+    return {
+      title: notification.title,
+      body: notification.message,
+      url: notification.link || '/',
+      tag: `${notification.type}:${notification.entity?.id || notification._id}`,
+      notificationId: notification._id.toString(),
+      type: notification.type
+    };
+  }
+}
+
+module.exports = new PushService();
@@ -1,5 +1,12 @@
 const mongoose = require('mongoose');
 const { ApiError } = require('../Middleware/errorHandler');
+const ledgerService = require('./ledgerService');
+const contractService = require('./contractService');
+const organizationService = require('./organizationService');
+const EmailService = require('./EmailService');
+const RoyaltyCalculation = require('../Models/RoyaltyCalculation');
+const Payment = require('../Models/Payment');
+const LedgerEntry = require('../Models/LedgerEntry');
 
 /**
  * Royalty and Revenue Tracking Service
@@ -37,13 +44,32 @@ class RoyaltyService {
     };
   }
 
+  /**
+   * A positive amount (or, with `integer`, a positive whole count) from a
+   * request, or a 400
+   */
+  requirePositive(value, label, { integer = false } = {}) {
+    const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+
+    if (typeof number !== 'number' || !Number.isFinite(number) || number <= 0 ||
+      (integer && !Number.isInteger(number))) {
+      throw new ApiError(`${label} must be a positive ${integer ? 'whole number' : 'number'}`, 400);
+    }
+
+    return number;
+  }
+
   /**
    * Calculate royalties for a track based on streaming data
+   * options.date / options.territory select the contracts in force;
+   * options.scope limits which tracks may be calculated (an organization filter).
    */
-  async calculateStreamingRoyalties(trackId, platform, streamCount, period = 'monthly') {
+  async calculateStreamingRoyalties(trackId, platform, streamCount, period = 'monthly', options = {}) {
     try {
+      streamCount = this.requirePositive(streamCount, 'Stream count', { integer: true });
+
       const Track = mongoose.model('Track');
-      const track = await Track.findById(trackId);
+      const track = await Track.findOne({ _id: trackId, ...options.scope });
 
       if (!track) {
         throw new ApiError('Track not found', 404);
@@ -57,8 +83,12 @@ class RoyaltyService {
       const grossRevenue = streamCount * rate;
       const netRevenue = this.applyPlatformFees(grossRevenue, platform);
 
-      // Calculate splits
-      const splits = this.calculateRevenueSplits(netRevenue, track);
+      // Calculate splits from the contracts in force
+      const calculatedAt = options.date ? new Date(options.date) : new Date();
+      const resolution = await this.resolveRevenueSplits(netRevenue, track, {
+        date: calculatedAt,
+        territory: options.territory
+      });
 
       const royaltyData = {
         trackId,
@@ -68,28 +98,33 @@ class RoyaltyService {
         ratePerStream: rate,
         grossRevenue,
         netRevenue,
-        splits,
-        totalArtistShare: splits.artist,
-        calculatedAt: new Date(),
+        ...resolution,
+        artist: track.artist,
+        organization: track.organization,
+        totalArtistShare: resolution.splits.artist,
+        calculatedAt,
         status: 'calculated'
       };
 
-      // Store royalty calculation
-      await this.storeRoyaltyCalculation(royaltyData);
+      // Store royalty calculation and credit the payees
+      const calculation = await this.storeRoyaltyCalculation(royaltyData);
 
-      return royaltyData;
+      return calculation.toObject();
     } catch (error) {
-      throw new ApiError(`Royalty calculation failed: ${error.message}`, 500);
+      throw new ApiError(`Royalty calculation failed: ${error.message}`, error.statusCode || 500);
     }
   }
 
   /**
    * Calculate download royalties
    */
-  async calculateDownloadRoyalties(trackId, platform, downloadCount, pricePerUnit) {
+  async calculateDownloadRoyalties(trackId, platform, downloadCount, pricePerUnit, options = {}) {
     try {
+      downloadCount = this.requirePositive(downloadCount, 'Download count', { integer: true });
+      pricePerUnit = this.requirePositive(pricePerUnit, 'Price per unit');
+
       const Track = mongoose.model('Track');
-      const track = await Track.findById(trackId);
+      const track = await Track.findOne({ _id: trackId, ...options.scope });
 
       if (!track) {
         throw new ApiError('Track not found', 404);
@@ -104,7 +139,11 @@ class RoyaltyService {
       const royaltyAmount = grossRevenue * rate;
       const netRevenue = this.applyPlatformFees(royaltyAmount, platform);
 
-      const splits = this.calculateRevenueSplits(netRevenue, track);
+      const calculatedAt = options.date ? new Date(options.date) : new Date();
+      const resolution = await this.resolveRevenueSplits(netRevenue, track, {
+        date: calculatedAt,
+        territory: options.territory
+      });
 
       const royaltyData = {
         trackId,
@@ -115,27 +154,31 @@ class RoyaltyService {
         royaltyRate: rate,
         grossRevenue,
         netRevenue,
-        splits,
-        totalArtistShare: splits.artist,
-        calculatedAt: new Date(),
+        ...resolution,
+        artist: track.artist,
+        organization: track.organization,
+        totalArtistShare: resolution.splits.artist,
+        calculatedAt,
         status: 'calculated'
       };
 
-      await this.storeRoyaltyCalculation(royaltyData);
+      const calculation = await this.storeRoyaltyCalculation(royaltyData);
 
-      return royaltyData;
+      return calculation.toObject();
     } catch (error) {
-      throw new ApiError(`Download royalty calculation failed: ${error.message}`, 500);
+      throw new ApiError(`Download royalty calculation failed: ${error.message}`, error.statusCode || 500);
     }
   }
 
   /**
    * Calculate licensing royalties
    */
-  async calculateLicensingRoyalties(trackId, licenseType, licenseFee, territory = 'worldwide') {
+  async calculateLicensingRoyalties(trackId, licenseType, licenseFee, territory = 'worldwide', options = {}) {
     try {
+      licenseFee = this.requirePositive(licenseFee, 'License fee');
+
       const Track = mongoose.model('Track');
-      const track = await Track.findById(trackId);
+      const track = await Track.findOne({ _id: trackId, ...options.scope });
 
       if (!track) {
         throw new ApiError('Track not found', 404);
@@ -149,7 +192,11 @@ class RoyaltyService {
       const royaltyAmount = licenseFee * rate;
       const netRevenue = this.applyTaxes(royaltyAmount, territory);
 
-      const splits = this.calculateRevenueSplits(netRevenue, track);
+      const calculatedAt = options.date ? new Date(options.date) : new Date();
+      const resolution = await this.resolveRevenueSplits(netRevenue, track, {
+        date: calculatedAt,
+        territory
+      });
 
       const royaltyData = {
         trackId,
@@ -159,20 +206,55 @@ class RoyaltyService {
         licenseFee,
         royaltyRate: rate,
         netRevenue,
-        splits,
-        totalArtistShare: splits.artist,
-        calculatedAt: new Date(),
+        ...resolution,
+        artist: track.artist,
+        organization: track.organization,
+        totalArtistShare: resolution.splits.artist,
+        calculatedAt,
         status: 'calculated'
       };
 
-      await this.storeRoyaltyCalculation(royaltyData);
+      const calculation = await this.storeRoyaltyCalculation(royaltyData);
 
-      return royaltyData;
+      return calculation.toObject();
     } catch (error) {
-      throw new ApiError(`Licensing royalty calculation failed: ${error.message}`, 500);
+      throw new ApiError(`Licensing royalty calculation failed: ${error.message}`, error.statusCode || 500);
     }
   }
 
+  /**
+   * Build royalty data for a revenue line from a distributor statement.
+   * Statement earnings are already net of store and distributor fees, so
+   * they are split as reported. Nothing is stored here - see
+   * storeRoyaltyCalculations.
+   */
+  async buildStatementRoyalty(track, line, source = {}) {
+    const calculatedAt = line.saleDate || new Date();
+    const resolution = await this.resolveRevenueSplits(line.revenue, track, {
+      date: calculatedAt,
+      territory: line.territory
+    });
+
+    return {
+      trackId: track._id,
+      platform: line.platform,
+      type: line.type,
+      period: line.period,
+      territory: line.territory,
+      streams: line.type === 'streaming' ? line.quantity : undefined,
+      downloads: line.type === 'download' ? line.quantity : undefined,
+      grossRevenue: line.revenue,
+      netRevenue: line.revenue,
+      ...resolution,
+      artist: track.artist,
+      organization: track.organization,
+      totalArtistShare: resolution.splits.artist,
+      source,
+      calculatedAt,
+      status: 'calculated'
+    };
+  }
+
   /**
    * Apply platform fees and deductions
    */
@@ -210,53 +292,230 @@ class RoyaltyService {
    */
   calculateRevenueSplits(netRevenue, track) {
     const baseSplits = { ...this.distributionSplits };
+    let collaborators = [];
 
     // Adjust splits based on track ownership and agreements
     if (track.collaboration && track.collaboration.isOpen) {
-      // For collaborative tracks, split among collaborators
-      const collaborators = track.collaboration.collaborators || [];
-      const collaboratorCount = collaborators.length + 1; // +1 for main artist
+      // For collaborative tracks, split the artist share evenly with collaborators
+      const trackCollaborators = (track.collaboration.collaborators || []).filter(c => c.user);
+      const collaboratorCount = trackCollaborators.length + 1; // +1 for main artist
 
       baseSplits.artist = (baseSplits.artist / collaboratorCount);
-      // Add individual collaborator splits
-      baseSplits.collaborators = collaborators.map(() => baseSplits.artist);
-    }
-
-    // Apply publishing splits if applicable
-    if (track.metadata && track.metadata.publishingRights) {
-      baseSplits.publisher = netRevenue * baseSplits.publisher;
+      collaborators = trackCollaborators.map(collaborator => ({
+        user: collaborator.user,
+        role: collaborator.role,
+        amount: netRevenue * baseSplits.artist
+      }));
     }
 
     return {
       artist: netRevenue * baseSplits.artist,
       label: netRevenue * baseSplits.label,
-      publisher: baseSplits.publisher,
-      collaborators: baseSplits.collaborators || []
+      publisher: netRevenue * baseSplits.publisher,
+      publisherName: track.metadata?.publishingRights || null,
+      collaborators
     };
   }
 
+  /**
+   * Resolve revenue splits from the track's contracts in force at the given
+   * date and territory:
+   *  - recording (or distribution) contract: terms.royaltyRate is the artist's
+   *    share of master revenue, the label keeps the rest
+   *  - publishing contract: terms.royaltyRate is the writer's share of the
+   *    publishing pool, the publisher party keeps the rest
+   *  - collaboration contract: terms.revenueSplit divides the artist share
+   * Unrecouped advances on the master contract are withheld from the
+   * artist's share and credited to the label.
+   * Falls back to the default distributionSplits when no contract applies.
+   */
+  async resolveRevenueSplits(netRevenue, track, { date = new Date(), territory = null } = {}) {
+    const contracts = await contractService.findActiveContractsForTrack(track._id, { date, territory });
+    const byType = (type) => contracts.find(contract => contract.type === type);
+
+    const master = byType('recording') || byType('distribution');
+    const publishing = byType('publishing');
+    const collaboration = byType('collaboration');
+
+    // The label share goes to the track's organization
+    const organizationId = track.organization || (await organizationService.getDefaultOrganization())._id;
+
+    if (!master && !publishing && !collaboration) {
+      const splits = this.calculateRevenueSplits(netRevenue, track);
+
+      return {
+        splits,
+        payees: this.buildPayees(splits, track, organizationId),
+        splitSource: 'default',
+        contract: null,
+        appliedContracts: [],
+        recoupment: null
+      };
+    }
+
+    const findParty = (contract, role) => (contract.parties || []).find(party => party.role === role);
+    const publishingPool = netRevenue * this.distributionSplits.publisher;
+    const masterPool = netRevenue - publishingPool;
+
+    // Master rights
+    let artist = netRevenue * this.distributionSplits.artist;
+    let label = netRevenue * this.distributionSplits.label;
+
+    if (master) {
+      const rate = Number(master.terms.royaltyRate) || 0;
+      artist = masterPool * rate;
+      label = masterPool - artist;
+    }
+
+    // Publishing rights
+    let publisher = publishingPool;
+    let publisherName = track.metadata?.publishingRights || null;
+    let writer = null;
+
+    if (publishing) {
+      const writerShare = publishingPool * (Number(publishing.terms.royaltyRate) || 0);
+      writer = {
+        user: findParty(publishing, 'writer')?.userId || track.artist,
+        amount: writerShare
+      };
+      publisher = publishingPool - writerShare;
+      publisherName = findParty(publishing, 'publisher')?.name || publisherName;
+    }
+
+    // Collaborators share the artist's master royalty
+    let collaborators = [];
+
+    if (collaboration) {
+      collaborators = this.resolveCollaborationSplit(collaboration, artist, track.artist);
+    } else if (track.collaboration && track.collaboration.isOpen) {
+      const trackCollaborators = (track.collaboration.collaborators || []).filter(c => c.user);
+      collaborators = trackCollaborators.map(collaborator => ({
+        user: collaborator.user,
+        role: collaborator.role,
+        amount: artist / (trackCollaborators.length + 1)
+      }));
+    }
+
+    artist -= collaborators.reduce((sum, collaborator) => sum + collaborator.amount, 0);
+
+    // Recoup the master advance from the artist's own share
+    let recoupment = null;
+
+    if (master && Number(master.terms.advance) > 0 && artist > 0) {
+      const reserved = await contractService.reserveRecoupment(master.contractId, artist);
+
+      if (reserved.amount > 0) {
+        artist -= reserved.amount;
+        label += reserved.amount;
+        recoupment = {
+          contractId: master.contractId,
+          amount: reserved.amount,
+          outstanding: reserved.outstanding
+        };
+      }
+    }
+
+    const splits = { artist, label, publisher, publisherName, writer, collaborators };
+    const applied = [master, publishing, collaboration].filter(Boolean);
+
+    return {
+      splits,
+      payees: this.buildPayees(splits, track, organizationId),
+      splitSource: 'contract',
+      contract: { contractId: applied[0].contractId, type: applied[0].type },
+      appliedContracts: applied.map(contract => ({ contractId: contract.contractId, type: contract.type })),
+      recoupment
+    };
+  }
+
+  /**
+   * Divide the artist share according to a collaboration contract's
+   * revenueSplit. Keys may be user IDs or party roles/emails; shares are
+   * fractions (checked when the contract is created) and the main artist
+   * keeps whatever isn't allocated to someone else.
+   */
+  resolveCollaborationSplit(contract, artistShare, mainArtistId) {
+    const parties = contract.parties || [];
+
+    const entries = Object.entries(contract.terms.revenueSplit || {})
+      .map(([key, share]) => {
+        const party = parties.find(p =>
+          (p.userId && p.userId.toString() === key) || p.role === key || p.email === key
+        );
+        const user = party?.userId || (mongoose.Types.ObjectId.isValid(key) ? key : null);
+        return { user, role: party?.role, share: Number(share) || 0 };
+      })
+      .filter(entry => entry.user && entry.share > 0);
+
+    return entries
+      .filter(entry => entry.user.toString() !== mainArtistId.toString())
+      .map(entry => ({
+        user: entry.user,
+        role: entry.role,
+        amount: artistShare * entry.share
+      }));
+  }
+
+  /**
+   * Map split amounts onto ledger accounts; the label share is credited to
+   * `organizationId`'s label account
+   */
+  buildPayees(splits, track, organizationId) {
+    const payees = [
+      {
+        role: 'artist',
+        user: track.artist,
+        account: ledgerService.userAccount(track.artist),
+        amount: splits.artist
+      },
+      ...(splits.writer ? [{
+        role: 'writer',
+        user: splits.writer.user,
+        account: ledgerService.userAccount(splits.writer.user),
+        amount: splits.writer.amount
+      }] : []),
+      ...splits.collaborators.map(collaborator => ({
+        role: 'collaborator',
+        user: collaborator.user,
+        account: ledgerService.userAccount(collaborator.user),
+        amount: collaborator.amount
+      })),
+      {
+        role: 'label',
+        account: ledgerService.labelAccount(organizationId),
+        amount: splits.label
+      },
+      {
+        // Unnamed publishers are held in suspense until claimed
+        role: 'publisher',
+        account: ledgerService.publisherAccount(splits.publisherName),
+        amount: splits.publisher
+      }
+    ];
+
+    // Negative amounts come from reversing lines and are debited
+    return payees.filter(payee => payee.amount !== 0);
+  }
+
   /**
    * Generate comprehensive royalty report
+   * Built from the user's ledger credits, so each user only sees their own share.
    */
   async generateRoyaltyReport(userId, period = 'monthly', startDate, endDate) {
     try {
-      const RoyaltyCalculation = mongoose.model('RoyaltyCalculation');
-
       const query = {
-        $or: [
-          { 'splits.artist': { $exists: true } },
-          { 'splits.collaborators': { $exists: true } }
-        ]
+        account: ledgerService.userAccount(userId),
+        kind: 'royalty'
       };
 
       if (startDate && endDate) {
-        query.calculatedAt = {
+        query.createdAt = {
           $gte: new Date(startDate),
           $lte: new Date(endDate)
         };
       }
 
-      const calculations = await RoyaltyCalculation.find(query);
+      const entries = await LedgerEntry.find(query).populate('royaltyCalculation');
 
       // Aggregate by platform and type
       const summary = {
@@ -265,28 +524,34 @@ class RoyaltyService {
         totalDownloads: 0,
         byPlatform: {},
         byType: {},
+        byTrack: {},
         period,
         generatedAt: new Date()
       };
 
-      calculations.forEach(calc => {
-        summary.totalRevenue += calc.netRevenue || 0;
+      entries.forEach(entry => {
+        const calc = entry.royaltyCalculation || {};
+        const sign = entry.direction === 'credit' ? 1 : -1;
+        const share = sign * ledgerService.fromMicros(entry.amountMicros);
+
+        summary.totalRevenue += share;
 
         if (calc.streams) summary.totalStreams += calc.streams;
         if (calc.downloads) summary.totalDownloads += calc.downloads;
 
         // Group by platform
-        if (!summary.byPlatform[calc.platform]) {
-          summary.byPlatform[calc.platform] = {
+        const platform = calc.platform || 'other';
+        if (!summary.byPlatform[platform]) {
+          summary.byPlatform[platform] = {
             revenue: 0,
             streams: 0,
             downloads: 0
           };
         }
 
-        summary.byPlatform[calc.platform].revenue += calc.netRevenue || 0;
-        summary.byPlatform[calc.platform].streams += calc.streams || 0;
-        summary.byPlatform[calc.platform].downloads += calc.downloads || 0;
+        summary.byPlatform[platform].revenue += share;
+        summary.byPlatform[platform].streams += calc.streams || 0;
+        summary.byPlatform[platform].downloads += calc.downloads || 0;
 
         // Group by type
         const type = calc.type || 'streaming';
@@ -294,10 +559,19 @@ class RoyaltyService {
           summary.byType[type] = { revenue: 0, count: 0 };
         }
 
-        summary.byType[type].revenue += calc.netRevenue || 0;
+        summary.byType[type].revenue += share;
         summary.byType[type].count += 1;
+
+        // Group by track
+        if (entry.track) {
+          const trackId = entry.track.toString();
+          summary.byTrack[trackId] = (summary.byTrack[trackId] || 0) + share;
+        }
       });
 
+      summary.totalRevenue = Math.round(summary.totalRevenue * 1e6) / 1e6;
+      summary.balance = await ledgerService.getBalanceSummary(userId);
+
       return summary;
     } catch (error) {
       throw new ApiError(`Report generation failed: ${error.message}`, 500);
@@ -306,36 +580,68 @@ class RoyaltyService {
 
   /**
    * Process royalty payments
+   * Pays out of the user's ledger balance; when no amount is given the full
+   * available balance is paid.
    */
-  async processRoyaltyPayments(userId, amount, paymentMethod = 'bank_transfer') {
+  async processRoyaltyPayments(userId, amount = null, paymentMethod = 'bank_transfer') {
     try {
-      // In production, integrate with payment processors like Stripe, PayPal, etc.
-      const paymentData = {
+      const available = await ledgerService.getBalance(userId);
+      const payoutAmount = amount === null || amount === undefined ? available : Number(amount);
+
+      if (!(payoutAmount > 0)) {
+        throw new ApiError('No balance available for payout', 400);
+      }
+
+      if (payoutAmount > available) {
+        throw new ApiError(`Requested amount exceeds available balance of ${available.toFixed(2)}`, 400);
+      }
+
+      const payment = await this.storePaymentRecord({
         userId,
-        amount,
+        amount: payoutAmount,
         paymentMethod,
         status: 'pending',
         initiatedAt: new Date()
-      };
+      });
 
-      // Store payment record
-      await this.storePaymentRecord(paymentData);
+      // The guarded debit is the source of truth - a concurrent payout that
+      // drained the balance after the check above fails here
+      try {
+        const ledgerTransaction = await ledgerService.debitPayout(userId, payoutAmount, payment);
+        payment.ledgerTransactionId = ledgerTransaction.transactionId;
+      } catch (error) {
+        payment.status = 'failed';
+        payment.failureReason = error.message;
+        await payment.save();
+        throw error;
+      }
 
-      // Simulate payment processing
       // In production, this would call actual payment APIs
-      const processedPayment = {
-        ...paymentData,
-        status: 'completed',
-        processedAt: new Date(),
-        transactionId: `mbr_royalty_${Date.now()}`,
-        fees: this.calculatePaymentFees(amount, paymentMethod)
-      };
+      try {
+        const fees = this.calculatePaymentFees(payoutAmount, paymentMethod);
+
+        payment.status = 'completed';
+        payment.processedAt = new Date();
+        payment.transactionId = `mbr_royalty_${Date.now()}`;
+        payment.fees = fees;
+        payment.netAmount = Math.max(0, payoutAmount - fees);
+        await payment.save();
+      } catch (error) {
+        // Money never left - return it to the payee's balance
+        await ledgerService.reversePayout(userId, payoutAmount, payment);
+        payment.status = 'reversed';
+        payment.failureReason = error.message;
+        await payment.save();
+        throw error;
+      }
 
-      await this.updatePaymentRecord(processedPayment);
+      EmailService.sendPayoutReceiptEmail(payment).catch(error => {
+        console.error(`Failed to send payout receipt for ${payment._id}:`, error.message);
+      });
 
-      return processedPayment;
+      return payment.toObject();
     } catch (error) {
-      throw new ApiError(`Payment processing failed: ${error.message}`, 500);
+      throw new ApiError(`Payment processing failed: ${error.message}`, error.statusCode || 500, error.type);
     }
   }
 
@@ -357,30 +663,91 @@ class RoyaltyService {
   }
 
   /**
-   * Store royalty calculation in database
+   * Store royalty calculation in database and post it to the ledger
    */
   async storeRoyaltyCalculation(data) {
-    const RoyaltyCalculation = mongoose.model('RoyaltyCalculation') ||
-      mongoose.model('RoyaltyCalculation', new mongoose.Schema({
-        trackId: mongoose.Schema.Types.ObjectId,
-        platform: String,
-        type: { type: String, default: 'streaming' },
-        period: String,
-        streams: Number,
-        downloads: Number,
-        ratePerStream: Number,
-        pricePerUnit: Number,
-        royaltyRate: Number,
-        grossRevenue: Number,
-        netRevenue: Number,
-        splits: Object,
-        totalArtistShare: Number,
-        calculatedAt: { type: Date, default: Date.now },
-        status: { type: String, default: 'calculated' }
-      }));
-
     const calculation = new RoyaltyCalculation(data);
-    await calculation.save();
+
+    try {
+      await calculation.save();
+    } catch (error) {
+      // Give back any advance recoupment reserved for this calculation
+      if (data.recoupment) {
+        await contractService.releaseRecoupment(data.recoupment.contractId, data.recoupment.amount);
+      }
+      throw error;
+    }
+
+    return this.postRoyaltyCalculation(calculation);
+  }
+
+  /**
+   * Store many calculations at once and post each one to the ledger.
+   * Calculations whose statement line (source.rowKey) is already stored are
+   * skipped and their reserved recoupment is given back.
+   */
+  async storeRoyaltyCalculations(dataList) {
+    const results = { posted: [], duplicates: [], failed: [] };
+    let inserted = [];
+
+    try {
+      inserted = await RoyaltyCalculation.insertMany(dataList, { ordered: false });
+    } catch (error) {
+      const writeErrors = error.writeErrors || [];
+      const isDuplicate = (writeError) => (writeError.err?.code ?? writeError.code) === 11000;
+
+      if (writeErrors.length === 0 || !writeErrors.every(isDuplicate)) {
+        throw error;
+      }
+
+      inserted = error.insertedDocs || [];
+      results.duplicates = writeErrors.map(writeError => dataList[writeError.index]);
+
+      await Promise.all(results.duplicates
+        .filter(data => data.recoupment)
+        .map(data => contractService.releaseRecoupment(data.recoupment.contractId, data.recoupment.amount)));
+    }
+
+    for (const calculation of inserted) {
+      try {
+        results.posted.push(await this.postRoyaltyCalculation(calculation));
+      } catch (error) {
+        results.failed.push({ calculation, error: error.message });
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Credit a stored calculation's payees on the ledger (debit them for a
+   * reversing calculation).
+   * A calculation that can't be posted is voided; its statement line key is
+   * cleared so a later re-import can retry it.
+   */
+  async postRoyaltyCalculation(calculation) {
+    let ledgerTransaction;
+
+    try {
+      ledgerTransaction = await ledgerService.creditRoyaltyCalculation(calculation);
+    } catch (error) {
+      if (calculation.recoupment?.amount > 0) {
+        await contractService.releaseRecoupment(calculation.recoupment.contractId, calculation.recoupment.amount);
+      }
+
+      calculation.status = 'void';
+      if (calculation.source?.rowKey) {
+        calculation.source.rowKey = undefined;
+      }
+      await calculation.save();
+      throw error;
+    }
+
+    if (ledgerTransaction) {
+      calculation.ledgerTransactionId = ledgerTransaction.transactionId;
+      calculation.status = 'posted';
+      await calculation.save();
+    }
 
     return calculation;
   }
@@ -389,69 +756,64 @@ class RoyaltyService {
    * Store payment record
    */
   async storePaymentRecord(data) {
-    const Payment = mongoose.model('Payment') ||
-      mongoose.model('Payment', new mongoose.Schema({
-        userId: mongoose.Schema.Types.ObjectId,
-        amount: Number,
-        paymentMethod: String,
-        status: { type: String, default: 'pending' },
-        initiatedAt: { type: Date, default: Date.now },
-        processedAt: Date,
-        transactionId: String,
-        fees: Number
-      }));
-
     const payment = new Payment(data);
     await payment.save();
 
     return payment;
   }
 
-  /**
-   * Update payment record
-   */
-  async updatePaymentRecord(data) {
-    const Payment = mongoose.model('Payment');
-    await Payment.findByIdAndUpdate(data._id, data);
-  }
-
   /**
    * Get revenue analytics
    */
   async getRevenueAnalytics(userId, timeframe = '30d') {
     try {
-      const RoyaltyCalculation = mongoose.model('RoyaltyCalculation');
-
       const startDate = this.getStartDateForTimeframe(timeframe);
 
-      const analytics = await RoyaltyCalculation.aggregate([
+      // The user's own ledger credits, joined to the calculations they came from
+      const analytics = await LedgerEntry.aggregate([
         {
           $match: {
-            calculatedAt: { $gte: startDate },
-            $or: [
-              { 'splits.artist': { $gt: 0 } },
-              { 'splits.collaborators.0': { $exists: true } }
-            ]
+            account: ledgerService.userAccount(userId),
+            kind: 'royalty',
+            createdAt: { $gte: startDate }
           }
         },
+        {
+          $lookup: {
+            from: RoyaltyCalculation.collection.name,
+            localField: 'royaltyCalculation',
+            foreignField: '_id',
+            as: 'calculation'
+          }
+        },
+        { $unwind: '$calculation' },
         {
           $group: {
             _id: {
-              platform: '$platform',
-              type: '$type',
+              platform: '$calculation.platform',
+              type: '$calculation.type',
               period: {
                 $dateToString: {
                   format: '%Y-%m-%d',
-                  date: '$calculatedAt'
+                  date: '$calculation.calculatedAt'
                 }
               }
             },
-            totalRevenue: { $sum: '$netRevenue' },
-            totalStreams: { $sum: '$streams' },
-            totalDownloads: { $sum: '$downloads' },
+            totalRevenueMicros: {
+              $sum: {
+                $cond: [{ $eq: ['$direction', 'credit'] }, '$amountMicros', { $multiply: ['$amountMicros', -1] }]
+              }
+            },
+            totalStreams: { $sum: '$calculation.streams' },
+            totalDownloads: { $sum: '$calculation.downloads' },
             count: { $sum: 1 }
           }
         },
+        {
+          $addFields: {
+            totalRevenue: { $divide: ['$totalRevenueMicros', 1000000] }
+          }
+        },
         {
           $sort: { '_id.period': -1 }
         }
@@ -0,0 +1,279 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { ApiError } = require('../Middleware/errorHandler');
+const { SECURITY_CONFIG, getJwtSecret } = require('../Middleware/enhancedSecurity');
+const Session = require('../Models/Session');
+const User = require('../Models/User');
+
+/**
+ * Session Service
+ * Sign-in sessions made of a short-lived access token (JWT carrying the
+ * user and session ids) and a refresh token stored server-side as a hash.
+ *
+ *   - Refresh tokens are `<sessionId>.<secret>` and rotate on every use; the
+ *     old secret's hash is kept. Presenting a rotated-out secret means the
+ *     token was copied, so the whole session is revoked.
+ *   - Access tokens are checked against their session on every request, so
+ *     signing a device out takes effect immediately.
+ *   - Sessions idle longer than SECURITY_CONFIG.sessionTimeout expire.
+ *
+ * Revoking a session also disconnects that device's sockets.
+ */
+
+class SessionService {
+  constructor() {
+    this.io = null;
+
+    this.secret = getJwtSecret();
+    this.accessTokenTtl = process.env.ACCESS_TOKEN_EXPIRES_IN || '15m';
+    this.idleTimeout = SECURITY_CONFIG.sessionTimeout;
+
+    // Two tabs refreshing with the same token at once isn't theft
+    this.reuseGraceMs = 30 * 1000;
+    this.maxPreviousHashes = 50;
+  }
+
+  setIo(io) {
+    this.io = io;
+  }
+
+  hash(secret) {
+    return crypto.createHash('sha256').update(secret).digest('hex');
+  }
+
+  signAccessToken(userId, sessionId) {
+    return jwt.sign(
+      { id: userId.toString(), sid: sessionId.toString() },
+      this.secret,
+      { expiresIn: this.accessTokenTtl }
+    );
+  }
+
+  /**
+   * Start a session for a device; returns the token pair
+   */
+  async createSession(user, { ip, userAgent, twoFactorVerified = false } = {}) {
+    const secret = crypto.randomBytes(32).toString('base64url');
+
+    const session = await Session.create({
+      user: user._id,
+      tokenHash: this.hash(secret),
+      twoFactorVerified,
+      userAgent,
+      device: this.describeDevice(userAgent),
+      ip,
+      lastUsedIP: ip,
+      expiresAt: new Date(Date.now() + this.idleTimeout)
+    });
+
+    return this.tokensFor(session, secret);
+  }
+
+  tokensFor(session, secret) {
+    const accessToken = this.signAccessToken(session.user, session._id);
+
+    return {
+      accessToken,
+      refreshToken: `${session._id}.${secret}`,
+      expiresIn: jwt.decode(accessToken).exp - Math.floor(Date.now() / 1000),
+      sessionId: session._id.toString()
+    };
+  }
+
+  /**
+   * Swap a refresh token for a new token pair
+   */
+  async refresh(refreshToken, { ip } = {}) {
+    const [sessionId, secret] = (refreshToken || '').split('.');
+    if (!sessionId || !secret || !/^[a-f\d]{24}$/i.test(sessionId)) {
+      throw new ApiError('Invalid refresh token', 401);
+    }
+
+    const presentedHash = this.hash(secret);
+    const nextSecret = crypto.randomBytes(32).toString('base64url');
+    const now = new Date();
+
+    // Rotate only if the presented secret is still the current one
+    const session = await Session.findOneAndUpdate(
+      { _id: sessionId, tokenHash: presentedHash, revokedAt: null, expiresAt: { $gt: now } },
+      {
+        $set: {
+          tokenHash: this.hash(nextSecret),
+          lastUsedAt: now,
+          lastUsedIP: ip,
+          expiresAt: new Date(now.getTime() + this.idleTimeout)
+        },
+        $push: { previousTokenHashes: { $each: [presentedHash], $slice: -this.maxPreviousHashes } },
+        $inc: { rotations: 1 }
+      },
+      { new: true }
+    );
+
+    if (session) {
+      const user = await User.findById(session.user).select('isActive');
+      if (!user || !user.isActive) {
+        await this.revokeSession(session.user, session._id, 'deactivated');
+        throw new ApiError('Account has been deactivated', 401);
+      }
+
+      return this.tokensFor(session, nextSecret);
+    }
+
+    const existing = await Session.findById(sessionId).select('+previousTokenHashes');
+    if (!existing || !existing.previousTokenHashes.includes(presentedHash)) {
+      throw new ApiError('Invalid refresh token', 401);
+    }
+
+    if (!existing.isActive()) {
+      throw new ApiError('Session has ended, please sign in again', 401);
+    }
+
+    const latest = existing.previousTokenHashes[existing.previousTokenHashes.length - 1];
+    if (latest === presentedHash && now - existing.lastUsedAt < this.reuseGraceMs) {
+      throw new ApiError('Refresh token was already rotated', 409);
+    }
+
+    console.warn(`Security Event: Refresh token reuse for session ${existing._id} (user ${existing.user}) from IP ${ip}; session revoked`);
+    await this.revokeSession(existing.user, existing._id, 'token_reuse');
+
+    throw new ApiError('Refresh token reuse detected, please sign in again', 401);
+  }
+
+  /**
+   * Resolve an access token to its user and live session
+   */
+  async authenticate(accessToken) {
+    const decoded = jwt.verify(accessToken, this.secret);
+    if (!decoded.sid) {
+      throw new ApiError('Token is not bound to a session', 401);
+    }
+
+    const session = await Session.findById(decoded.sid).select('user revokedAt expiresAt twoFactorVerified');
+    if (!session || !session.isActive() || session.user.toString() !== decoded.id) {
+      throw new ApiError('Session has been signed out', 401);
+    }
+
+    const user = await User.findById(decoded.id).select('-password');
+    if (!user) {
+      throw new ApiError('Token is not valid - user not found.', 401);
+    }
+
+    return { user, sessionId: decoded.sid, twoFactorVerified: session.twoFactorVerified };
+  }
+
+  /**
+   * Record that the session's user just proved a second factor
+   */
+  async markTwoFactorVerified(sessionId) {
+    await Session.updateOne({ _id: sessionId }, { $set: { twoFactorVerified: true } });
+  }
+
+  /**
+   * Active sessions for the device list, plus recent sign-ins
+   */
+  async getSessions(userId, currentSessionId = null) {
+    const [sessions, user] = await Promise.all([
+      Session.find({ user: userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+        .sort({ lastUsedAt: -1 })
+        .lean(),
+      User.findById(userId).select('lastLogin lastLoginIP lastLoginUserAgent loginHistory').lean()
+    ]);
+
+    return {
+      sessions: sessions.map(session => ({
+        id: session._id,
+        device: session.device,
+        userAgent: session.userAgent,
+        ip: session.lastUsedIP || session.ip,
+        signedInAt: session.createdAt,
+        twoFactorVerified: session.twoFactorVerified,
+        lastUsedAt: session.lastUsedAt,
+        expiresAt: session.expiresAt,
+        current: session._id.toString() === currentSessionId?.toString()
+      })),
+      lastLogin: user?.lastLogin ? {
+        at: user.lastLogin,
+        ip: user.lastLoginIP,
+        device: this.describeDevice(user.lastLoginUserAgent)
+      } : null,
+      recentLogins: (user?.loginHistory || []).map(login => ({
+        at: login.timestamp,
+        ip: login.ip,
+        device: this.describeDevice(login.userAgent),
+        successful: login.successful
+      }))
+    };
+  }
+
+  async revokeSession(userId, sessionId, reason = 'revoked') {
+    const result = await Session.updateOne(
+      { _id: sessionId, user: userId, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: reason } }
+    );
+
+    if (result.matchedCount === 0) {
+      throw new ApiError('Session not found', 404);
+    }
+
+    this.disconnectSockets(userId, [sessionId.toString()], reason);
+  }
+
+  /**
+   * End every session of a user, optionally keeping one (the caller's)
+   */
+  async revokeAllSessions(userId, reason, { except = null } = {}) {
+    const filter = { user: userId, revokedAt: null };
+    if (except) filter._id = { $ne: except };
+
+    const sessionIds = (await Session.find(filter).select('_id').lean()).map(session => session._id.toString());
+    if (sessionIds.length === 0) return 0;
+
+    await Session.updateMany(
+      { _id: { $in: sessionIds }, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: reason } }
+    );
+
+    this.disconnectSockets(userId, sessionIds, reason);
+    return sessionIds.length;
+  }
+
+  /**
+   * Drop live sockets opened with the given sessions
+   */
+  disconnectSockets(userId, sessionIds, reason) {
+    if (!this.io) return;
+
+    this.io.in(userId.toString()).fetchSockets()
+      .then(sockets => sockets
+        .filter(socket => sessionIds.includes(socket.data.sessionId))
+        .forEach(socket => {
+          socket.emit('sessionRevoked', { reason });
+          socket.disconnect(true);
+        }))
+      .catch(error => console.error(`Failed to disconnect sockets for ${userId}:`, error.message));
+  }
+
+  /**
+   * Short "Browser on OS" label from a user agent
+   */
+  describeDevice(userAgent) {
+    if (!userAgent) return 'Unknown device';
+
+    const browsers = [
+      ['Edge', /Edg\//], ['Opera', /OPR\//], ['Samsung Internet', /SamsungBrowser/],
+      ['Chrome', /Chrome\//], ['Firefox', /Firefox\//], ['Safari', /Safari\//]
+    ];
+    const systems = [
+      ['iPhone', /iPhone/], ['iPad', /iPad/], ['Android', /Android/],
+      ['Windows', /Windows/], ['macOS', /Mac OS X/], ['Linux', /Linux/]
+    ];
+
+    const browser = browsers.find(([, pattern]) => pattern.test(userAgent));
+    const system = systems.find(([, pattern]) => pattern.test(userAgent));
+
+    if (!browser && !system) return userAgent.split(' ')[0].slice(0, 60);
+    return [browser?.[0] || 'Browser', system && `on ${system[0]}`].filter(Boolean).join(' ');
+  }
+}
+
+module.exports = new SessionService();
@@ -0,0 +1,615 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { ApiError } = require('../Middleware/errorHandler');
+const royaltyService = require('./royaltyService');
+const distributionService = require('./distributionService');
+const StatementImport = require('../Models/StatementImport');
+const RoyaltyCalculation = require('../Models/RoyaltyCalculation');
+const Album = require('../Models/Album');
+const organizationService = require('./organizationService');
+
+/**
+ * Distributor Statement Import Service
+ * Ingests monthly sales/streaming statements (CSV/TSV) from distribution
+ * partners, matches each line to a track by ISRC (or release UPC) and posts
+ * the earnings as RoyaltyCalculation records. Negative lines (returns,
+ * chargebacks, corrections) are matched the same way and post reversing
+ * calculations that debit the payees. Every line gets a stable key, so
+ * importing the same statement twice never credits a line twice.
+ * Sample statements for each source live in ServerApp/Fixtures/statements.
+ */
+
+class StatementImportService {
+  constructor() {
+    // Column mappings per partner. Each field lists the header names the
+    // partner has used for it; headers are compared case/punctuation-insensitively.
+    this.sourceMappings = {
+      distrokid: {
+        name: 'DistroKid',
+        delimiter: '\t',
+        currency: 'USD',
+        columns: {
+          saleDate: ['Sale Month'],
+          store: ['Store'],
+          artist: ['Artist'],
+          title: ['Title'],
+          isrc: ['ISRC'],
+          upc: ['UPC'],
+          quantity: ['Quantity'],
+          level: ['Song/Album'],
+          territory: ['Country of Sale'],
+          revenue: ['Earnings (USD)', 'Earnings']
+        }
+      },
+      tunecore: {
+        name: 'TuneCore',
+        delimiter: ',',
+        columns: {
+          saleDate: ['Sales Period'],
+          store: ['Store Name'],
+          artist: ['Artist'],
+          release: ['Release Title'],
+          title: ['Song Title'],
+          isrc: ['Optional ISRC', 'ISRC'],
+          upc: ['UPC'],
+          saleType: ['Sales Type'],
+          quantity: ['# Units Sold', 'Units Sold'],
+          territory: ['Country Of Sale'],
+          revenue: ['Total Earned'],
+          currency: ['Currency']
+        }
+      },
+      cd_baby: {
+        name: 'CD Baby',
+        delimiter: ',',
+        columns: {
+          saleDate: ['Sales Month'],
+          store: ['Partner'],
+          artist: ['Artist Name'],
+          release: ['Album Name'],
+          title: ['Track Name'],
+          isrc: ['ISRC'],
+          upc: ['UPC'],
+          saleType: ['Transaction Type'],
+          quantity: ['Units'],
+          territory: ['Territory'],
+          revenue: ['Payable Amount'],
+          currency: ['Currency']
+        }
+      },
+      awal: {
+        name: 'AWAL',
+        delimiter: ',',
+        columns: {
+          saleDate: ['Transaction Month'],
+          store: ['Store'],
+          artist: ['Artist'],
+          release: ['Release'],
+          title: ['Track'],
+          isrc: ['ISRC'],
+          upc: ['UPC'],
+          saleType: ['Format'],
+          quantity: ['Quantity'],
+          territory: ['Territory'],
+          revenue: ['Net Revenue'],
+          currency: ['Currency']
+        }
+      }
+    };
+
+    // Store names mapped onto royaltyService platform keys
+    this.storeAliases = {
+      'spotify': 'spotify',
+      'apple music': 'apple',
+      'itunes': 'itunes',
+      'itunes store': 'itunes',
+      'youtube': 'youtube',
+      'youtube music': 'youtube',
+      'deezer': 'deezer',
+      'tidal': 'tidal',
+      'amazon music': 'amazon',
+      'amazon music unlimited': 'amazon',
+      'amazon prime music': 'amazon',
+      'amazon mp3': 'amazon',
+      'amazon digital': 'amazon',
+      'google play': 'google'
+    };
+
+    // Stores that only sell downloads, for statements without a sale type column
+    this.downloadStores = ['itunes', 'amazon mp3', 'amazon digital', 'google play', 'bandcamp', 'beatport'];
+
+    this.baseCurrency = 'USD';
+    this.batchSize = 500;
+
+    // Cap on unmatched rows kept on the import document (totals count all)
+    this.maxStoredUnmatched = 1000;
+  }
+
+  /**
+   * Supported statement sources
+   */
+  getSources() {
+    return Object.entries(this.sourceMappings).map(([key, mapping]) => ({
+      key,
+      name: mapping.name,
+      delimiter: mapping.delimiter === '\t' ? 'tab' : mapping.delimiter,
+      columns: mapping.columns
+    }));
+  }
+
+  /**
+   * Import a statement file for an organization and post its earnings.
+   * Lines only match that organization's tracks and releases.
+   */
+  async importStatement({ source, content, fileName = null, importedBy = null, organization }) {
+    let statementImport;
+
+    try {
+      const mapping = this.getMapping(source);
+
+      if (!content || !content.toString().trim()) {
+        throw new ApiError('Statement file is empty', 400);
+      }
+
+      const text = Buffer.isBuffer(content) ? content.toString('utf8') : content;
+      const fileHash = crypto.createHash('sha256').update(text).digest('hex');
+
+      // One import per statement file - re-imports resume the same record
+      statementImport = await StatementImport.findOneAndUpdate(
+        { organization: organization._id, source, fileHash },
+        {
+          $setOnInsert: { organization: organization._id, source, fileHash, fileName, importedBy },
+          $set: { status: 'processing' },
+          $inc: { importCount: 1 }
+        },
+        { upsert: true, new: true }
+      );
+
+      const { lines, invalid } = this.parseStatement(source, text, mapping);
+      const totals = {
+        rows: lines.length + invalid.length,
+        matched: 0,
+        unmatched: 0,
+        duplicates: 0,
+        failed: 0,
+        skipped: 0,
+        calculations: 0,
+        importedRevenue: 0,
+        unmatchedRevenue: 0
+      };
+      const unmatchedRows = [];
+      const rowErrors = [];
+
+      const addUnmatched = (line, reason) => {
+        totals.unmatched++;
+        totals.unmatchedRevenue += line.revenue || 0;
+
+        if (unmatchedRows.length < this.maxStoredUnmatched) {
+          unmatchedRows.push({
+            rowNumber: line.rowNumber,
+            reason,
+            isrc: line.isrc,
+            upc: line.upc,
+            title: line.title,
+            artist: line.artist,
+            store: line.store,
+            revenue: line.revenue,
+            raw: line.raw
+          });
+        }
+      };
+
+      invalid.forEach(line => addUnmatched(line, line.reason));
+
+      const targets = await this.matchLines(lines, statementImport, { totals, addUnmatched, organization });
+
+      for (let i = 0; i < targets.length; i += this.batchSize) {
+        const batch = targets.slice(i, i + this.batchSize);
+        const batchResult = await this.postTargets(batch, statementImport);
+
+        totals.duplicates += batchResult.duplicates;
+        totals.calculations += batchResult.posted.length;
+        totals.importedRevenue += batchResult.posted.reduce((sum, calc) => sum + (calc.netRevenue || 0), 0);
+        totals.failed += batchResult.failed.length;
+        rowErrors.push(...batchResult.failed);
+      }
+
+      const dates = lines.map(line => line.saleDate).filter(Boolean).sort((a, b) => a - b);
+
+      statementImport.set({
+        totals,
+        unmatchedRows,
+        rowErrors,
+        periodStart: dates[0],
+        periodEnd: dates[dates.length - 1],
+        status: rowErrors.length > 0 ? 'partial' : 'completed',
+        completedAt: new Date()
+      });
+      await statementImport.save();
+
+      return statementImport;
+    } catch (error) {
+      if (statementImport) {
+        await StatementImport.updateOne(
+          { _id: statementImport._id },
+          { $set: { status: 'failed', rowErrors: [{ message: error.message }] } }
+        );
+      }
+      throw new ApiError(`Statement import failed: ${error.message}`, error.statusCode || 500);
+    }
+  }
+
+  /**
+   * Parse a statement into normalized revenue lines. Pure - no database
+   * access - so statements can be checked offline.
+   */
+  parseStatement(source, content, mapping = this.getMapping(source)) {
+    const text = content.toString().replace(/^\uFEFF/, '');
+    const firstLine = text.split(/\r?\n/, 1)[0];
+    const delimiter = firstLine.includes('\t') ? '\t' : mapping.delimiter;
+
+    const rows = this.parseDelimited(text, delimiter);
+    if (rows.length === 0) {
+      throw new ApiError('Statement has no header row', 400);
+    }
+
+    const headers = rows[0].map(header => this.normalizeHeader(header));
+    const columnIndex = {};
+
+    for (const [field, names] of Object.entries(mapping.columns)) {
+      const index = names.map(name => headers.indexOf(this.normalizeHeader(name))).find(i => i !== -1);
+      if (index !== undefined) columnIndex[field] = index;
+    }
+
+    const missing = ['revenue'].filter(field => columnIndex[field] === undefined);
+    if (missing.length > 0 || (columnIndex.isrc === undefined && columnIndex.upc === undefined)) {
+      throw new ApiError(`Statement does not look like a ${mapping.name} statement (missing ISRC/UPC or earnings columns)`, 400);
+    }
+
+    const lines = [];
+    const invalid = [];
+    const occurrences = new Map();
+
+    rows.slice(1).forEach((cells, i) => {
+      // Row numbers are 1-based and include the header row, as in a spreadsheet
+      const rowNumber = i + 2;
+
+      if (cells.every(cell => !cell.trim())) return;
+
+      const value = (field) => (columnIndex[field] === undefined ? '' : (cells[columnIndex[field]] || '').trim());
+      const raw = Object.fromEntries(rows[0].map((header, index) => [header.trim(), cells[index]]));
+
+      const store = value('store');
+      const saleDate = this.parseSaleDate(value('saleDate'));
+      const line = {
+        rowNumber,
+        isrc: this.normalizeISRC(value('isrc')),
+        upc: value('upc').replace(/\D/g, '') || null,
+        // Release-level lines (album sales) carry the release title, not a track
+        isReleaseLine: /album|release/i.test(value('level')) || (!value('isrc') && !value('title')),
+        title: value('title') || null,
+        release: value('release') || null,
+        artist: value('artist') || null,
+        store,
+        platform: this.normalizePlatform(store),
+        type: this.resolveSaleType(value('saleType'), store),
+        territory: value('territory') ? value('territory').toUpperCase() : null,
+        saleDate,
+        period: saleDate ? saleDate.toISOString().slice(0, 7) : null,
+        quantity: parseInt(value('quantity').replace(/,/g, ''), 10) || 0,
+        revenue: this.parseAmount(value('revenue')),
+        currency: (value('currency') || mapping.currency || this.baseCurrency).toUpperCase(),
+        raw
+      };
+
+      if (line.revenue === null) {
+        invalid.push({ ...line, revenue: 0, reason: 'invalid_row' });
+        return;
+      }
+
+      // Identical lines can legitimately repeat within one statement
+      const identity = [
+        source, line.isrc, line.upc, line.title, line.store, line.territory,
+        line.period, line.type, line.quantity, line.revenue
+      ].join('|');
+      const occurrence = (occurrences.get(identity) || 0) + 1;
+      occurrences.set(identity, occurrence);
+
+      line.rowKey = crypto.createHash('sha256').update(`${identity}|${occurrence}`).digest('hex');
+      lines.push(line);
+    });
+
+    return { lines, invalid };
+  }
+
+  /**
+   * Resolve lines to tracks. Album-level lines (UPC only) are spread evenly
+   * across the release's tracklist.
+   */
+  async matchLines(lines, statementImport, { totals, addUnmatched, organization }) {
+    const Track = mongoose.model('Track');
+    const inOrganization = organizationService.filterFor(organization);
+
+    const isrcs = [...new Set(lines.map(line => line.isrc).filter(Boolean))];
+    const upcs = [...new Set(lines.map(line => line.upc).filter(Boolean))];
+
+    // ISRCs are stored hyphenated (CC-XXX-YY-NNNNN); statements usually aren't
+    const [tracks, albums] = await Promise.all([
+      isrcs.length > 0
+        ? Track.find({ ...inOrganization, 'metadata.isrc': { $in: isrcs.flatMap(isrc => [isrc, this.formatISRC(isrc)]) } })
+        : [],
+      upcs.length > 0
+        ? Album.find({ ...inOrganization, 'identifiers.upc': { $in: upcs } }).populate('tracklist.track')
+        : []
+    ]);
+
+    const tracksByISRC = new Map(tracks.map(track => [this.normalizeISRC(track.metadata.isrc), track]));
+    const albumsByUPC = new Map(albums.map(album => [album.identifiers.upc, album]));
+
+    const targets = [];
+
+    for (const line of lines) {
+      if (line.revenue === 0) {
+        totals.skipped++;
+        continue;
+      }
+      if (line.currency !== this.baseCurrency) {
+        addUnmatched(line, 'unsupported_currency');
+        continue;
+      }
+      if (!line.isrc && !line.upc) {
+        addUnmatched(line, 'missing_identifier');
+        continue;
+      }
+
+      const source = {
+        statementImport: statementImport._id,
+        provider: statementImport.source,
+        rowNumber: line.rowNumber
+      };
+
+      let track = line.isrc ? tracksByISRC.get(line.isrc) : null;
+      const album = line.upc ? albumsByUPC.get(line.upc) : null;
+
+      // Track-level line without a known ISRC: fall back to the title on the release
+      if (!track && album && !line.isReleaseLine && line.title) {
+        const entry = album.tracklist.find(item =>
+          item.track && item.track.title.toLowerCase() === line.title.toLowerCase()
+        );
+        track = entry ? entry.track : null;
+      }
+
+      if (track) {
+        totals.matched++;
+        targets.push({ track, line, source: { ...source, rowKey: line.rowKey } });
+        continue;
+      }
+
+      if (album && line.isReleaseLine) {
+        const releaseTracks = album.tracklist.map(item => item.track).filter(Boolean);
+
+        if (releaseTracks.length === 0) {
+          addUnmatched(line, 'empty_release');
+          continue;
+        }
+
+        totals.matched++;
+        releaseTracks.forEach((releaseTrack, index) => {
+          targets.push({
+            track: releaseTrack,
+            line: { ...line, revenue: line.revenue / releaseTracks.length },
+            source: { ...source, rowKey: `${line.rowKey}:${index}` }
+          });
+        });
+        continue;
+      }
+
+      addUnmatched(line, line.isrc ? 'unknown_isrc' : 'unknown_upc');
+    }
+
+    return targets;
+  }
+
+  /**
+   * Build and store calculations for matched lines. Lines already stored by
+   * an earlier import are counted as duplicates; lines stored but never
+   * posted (an interrupted import) are posted now - ledger posting is keyed
+   * on the calculation, so one that reached the ledger isn't posted twice.
+   */
+  async postTargets(targets, statementImport) {
+    const keys = targets.map(target => target.source.rowKey);
+    const existing = await RoyaltyCalculation.find({ 'source.rowKey': { $in: keys } });
+    const existingKeys = new Set(existing.map(calc => calc.source.rowKey));
+
+    const result = { posted: [], failed: [], duplicates: 0 };
+    const seenRows = new Set();
+    const countDuplicate = (rowNumber) => {
+      // Album lines fan out into several calculations but are one statement row
+      if (!seenRows.has(rowNumber)) {
+        seenRows.add(rowNumber);
+        result.duplicates++;
+      }
+    };
+
+    for (const calc of existing) {
+      if (calc.status === 'calculated') {
+        try {
+          result.posted.push(await royaltyService.postRoyaltyCalculation(calc));
+        } catch (error) {
+          result.failed.push({ rowNumber: calc.source.rowNumber, message: error.message });
+        }
+      } else {
+        countDuplicate(calc.source.rowNumber);
+      }
+    }
+
+    const pending = [];
+
+    // Sequential on purpose: advance recoupment must be reserved in order
+    for (const target of targets.filter(t => !existingKeys.has(t.source.rowKey))) {
+      try {
+        pending.push(await royaltyService.buildStatementRoyalty(target.track, target.line, target.source));
+      } catch (error) {
+        result.failed.push({ rowNumber: target.line.rowNumber, message: error.message });
+      }
+    }
+
+    if (pending.length === 0) {
+      return result;
+    }
+
+    const stored = await royaltyService.storeRoyaltyCalculations(pending);
+
+    result.posted.push(...stored.posted);
+    stored.duplicates.forEach(data => countDuplicate(data.source.rowNumber));
+    result.failed.push(...stored.failed.map(({ calculation, error }) => ({
+      rowNumber: calculation.source?.rowNumber,
+      message: error
+    })));
+
+    return result;
+  }
+
+  /**
+   * Get an import with its calculations summarized per track
+   */
+  async getImport(importId, organization = null) {
+    const statementImport = await StatementImport.findById(importId)
+      .populate('importedBy', 'name avatar');
+
+    if (!statementImport || !organizationService.belongsTo(statementImport, organization)) {
+      throw new ApiError('Statement import not found', 404);
+    }
+
+    const byTrack = await RoyaltyCalculation.aggregate([
+      { $match: { 'source.statementImport': statementImport._id, status: 'posted' } },
+      {
+        $group: {
+          _id: '$trackId',
+          revenue: { $sum: '$netRevenue' },
+          streams: { $sum: { $ifNull: ['$streams', 0] } },
+          downloads: { $sum: { $ifNull: ['$downloads', 0] } },
+          lines: { $sum: 1 }
+        }
+      },
+      { $sort: { revenue: -1 } }
+    ]);
+
+    return { statementImport, byTrack };
+  }
+
+  getMapping(source) {
+    const mapping = this.sourceMappings[source];
+
+    if (!mapping || !distributionService.distributionPartners[source]) {
+      throw new ApiError(`Unsupported statement source: ${source}`, 400);
+    }
+
+    return mapping;
+  }
+
+  /**
+   * Split delimited text into rows of cells (RFC 4180 quoting)
+   */
+  parseDelimited(text, delimiter) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+
+      if (inQuotes) {
+        if (char === '"' && text[i + 1] === '"') {
+          cell += '"';
+          i++;
+        } else if (char === '"') {
+          inQuotes = false;
+        } else {
+          cell += char;
+        }
+      } else if (char === '"' && cell === '') {
+        inQuotes = true;
+      } else if (char === delimiter) {
+        row.push(cell);
+        cell = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && text[i + 1] === '\n') i++;
+        row.push(cell);
+        rows.push(row);
+        row = [];
+        cell = '';
+      } else {
+        cell += char;
+      }
+    }
+
+    if (cell !== '' || row.length > 0) {
+      row.push(cell);
+      rows.push(row);
+    }
+
+    return rows.filter(cells => cells.length > 1 || cells[0].trim() !== '');
+  }
+
+  normalizeHeader(header) {
+    return header.toString().toLowerCase().replace(/[^a-z0-9#]/g, '');
+  }
+
+  normalizeISRC(isrc) {
+    const compact = (isrc || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+    return compact.length === 12 ? compact : null;
+  }
+
+  formatISRC(isrc) {
+    return `${isrc.slice(0, 2)}-${isrc.slice(2, 5)}-${isrc.slice(5, 7)}-${isrc.slice(7)}`;
+  }
+
+  normalizePlatform(store) {
+    const name = (store || '').toLowerCase().trim();
+    if (!name) return 'unknown';
+
+    return this.storeAliases[name] || name.replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+  }
+
+  resolveSaleType(saleType, store) {
+    if (saleType) {
+      return /download|sale|purchase|refund/i.test(saleType) ? 'download' : 'streaming';
+    }
+
+    return this.downloadStores.includes((store || '').toLowerCase().trim()) ? 'download' : 'streaming';
+  }
+
+  /**
+   * Parse a sale month (2025-01, 2025-01-31, 01/2025, 01/31/2025, Jan 2025)
+   * to the first of the month, UTC
+   */
+  parseSaleDate(value) {
+    if (!value) return null;
+
+    let match = value.match(/^(\d{4})-(\d{1,2})(?:-\d{1,2})?/);
+    if (match) return new Date(Date.UTC(+match[1], +match[2] - 1, 1));
+
+    match = value.match(/^(\d{1,2})\/(?:\d{1,2}\/)?(\d{4})$/);
+    if (match) return new Date(Date.UTC(+match[2], +match[1] - 1, 1));
+
+    const parsed = new Date(`${value} UTC`);
+    return isNaN(parsed) ? null : new Date(Date.UTC(parsed.getUTCFullYear(), parsed.getUTCMonth(), 1));
+  }
+
+  /**
+   * Parse a money amount ("$1,234.56", "(0.12)" for negatives)
+   */
+  parseAmount(value) {
+    if (value === undefined || value === null || value === '') return null;
+
+    const negative = /^\(.*\)$/.test(value.trim()) || value.trim().startsWith('-');
+    const amount = parseFloat(value.replace(/[^0-9.]/g, ''));
+
+    if (isNaN(amount)) return null;
+    return negative ? -amount : amount;
+  }
+}
+
+module.exports = new StatementImportService();
@@ -0,0 +1,229 @@
+const fs = require('fs');
+const { ApiError } = require('../Middleware/errorHandler');
+const keyManagementService = require('./keyManagementService');
+const permissionService = require('./permissionService');
+
+/**
+ * Audio Streaming Service
+ * Picks the rendition a listener may hear, resolves HTTP byte ranges and
+ * opens (decrypting when needed) the stored audio for that range.
+ */
+
+class StreamingService {
+  constructor() {
+    // Lowest to highest
+    this.qualityLevels = ['64kbps', '128kbps', '192kbps', '256kbps', '320kbps', 'lossless'];
+
+    // Best quality each subscription plan may stream
+    this.planQualityCaps = {
+      free: '128kbps',
+      premium: '320kbps',
+      artist: 'lossless',
+      label: 'lossless'
+    };
+
+    this.mimeTypes = {
+      mp3: 'audio/mpeg',
+      wav: 'audio/wav',
+      flac: 'audio/flac',
+      m4a: 'audio/mp4',
+      aac: 'audio/aac'
+    };
+
+    // Masters in these formats are lossless whatever `audioFile.quality` says
+    this.losslessFormats = ['wav', 'flac'];
+
+    // Wrapped content keys are unselected by default
+    this.streamFields = '+audioFile.encryption.wrappedKey +audioFile.renditions.encryption.wrappedKey';
+  }
+
+  /**
+   * Highest quality a user may stream. Owners and catalog managers get the master.
+   */
+  async getQualityCap(user, track) {
+    if (!user) return this.planQualityCaps.free;
+
+    const userId = user._id.toString();
+    const isOwner = track.artist.toString() === userId ||
+      (track.collaboration?.collaborators || []).some(c => c.user && c.user.toString() === userId);
+
+    if (isOwner || await permissionService.can(user, 'catalog:manage')) {
+      return 'lossless';
+    }
+
+    const plan = typeof user.isPremium === 'function' && user.isPremium()
+      ? user.subscription.plan
+      : 'free';
+
+    return this.planQualityCaps[plan] || this.planQualityCaps.free;
+  }
+
+  /**
+   * Every quality level up to the user's cap
+   */
+  async getAllowedQualities(user, track) {
+    const cap = this.qualityLevels.indexOf(await this.getQualityCap(user, track));
+    return this.qualityLevels.slice(0, cap + 1);
+  }
+
+  /**
+   * Quality of the uploaded master
+   */
+  getMasterQuality(track) {
+    const { audioFile } = track;
+
+    if (this.losslessFormats.includes(this.normalizeFormat(audioFile?.format))) {
+      return 'lossless';
+    }
+
+    return audioFile?.quality || '320kbps';
+  }
+
+  /**
+   * All stored renditions of a track, the master included
+   */
+  getRenditions(track) {
+    const { audioFile } = track;
+    if (!audioFile) return [];
+
+    const master = {
+      quality: this.getMasterQuality(track),
+      format: this.normalizeFormat(audioFile.format),
+      path: audioFile.path,
+      size: audioFile.encryption?.plaintextSize || audioFile.size,
+      encryption: audioFile.encryption,
+      isMaster: true
+    };
+
+    const renditions = (audioFile.renditions || []).map(rendition => ({
+      quality: rendition.quality,
+      format: this.normalizeFormat(rendition.format),
+      path: rendition.path,
+      size: rendition.encryption?.plaintextSize || rendition.size,
+      encryption: rendition.encryption,
+      isMaster: false
+    }));
+
+    return [master, ...renditions].filter(rendition => rendition.path);
+  }
+
+  /**
+   * Choose the best rendition at or below the user's cap (and the requested
+   * quality, if any). Never serves above the cap: until the lower renditions
+   * are transcoded, a capped listener is refused rather than given the master.
+   */
+  async selectRendition(track, user, requestedQuality = null) {
+    const renditions = this.getRenditions(track);
+
+    if (renditions.length === 0) {
+      throw new ApiError('No audio available for this track', 404);
+    }
+
+    const rank = (quality) => this.qualityLevels.indexOf(quality);
+    let cap = rank(await this.getQualityCap(user, track));
+
+    if (requestedQuality && rank(requestedQuality) !== -1) {
+      cap = Math.min(cap, rank(requestedQuality));
+    }
+
+    const sorted = [...renditions].sort((a, b) => rank(b.quality) - rank(a.quality));
+
+    const rendition = sorted.find(entry => rank(entry.quality) <= cap);
+
+    if (!rendition) {
+      throw new ApiError('No rendition available at your quality level', 403);
+    }
+
+    return rendition;
+  }
+
+  /**
+   * The preview a listener without a play license hears: the stored
+   * preview clip when there is one, otherwise the first `previewDuration`
+   * seconds' worth of bytes of the free-tier rendition.
+   */
+  async getPreview(track, previewDuration = 30) {
+    const preview = track.audioFile?.preview;
+
+    if (preview?.path && fs.existsSync(preview.path)) {
+      return {
+        quality: '128kbps',
+        format: 'mp3',
+        path: preview.path,
+        size: fs.statSync(preview.path).size,
+        encryption: null,
+        isPreview: true
+      };
+    }
+
+    const rendition = await this.selectRendition(track, null);
+    const fraction = track.duration > 0 ? Math.min(1, previewDuration / track.duration) : 1;
+
+    return {
+      ...rendition,
+      size: Math.max(1, Math.floor(rendition.size * fraction)),
+      isPreview: true
+    };
+  }
+
+  /**
+   * Parse a Range header against a resource size.
+   * Returns null for no/ignored range, { start, end } for a satisfiable
+   * single range, or { unsatisfiable: true }. Multi-range and invalid
+   * ranges (last byte before the first) are ignored, as RFC 9110 allows.
+   */
+  parseRange(header, size) {
+    if (!header) return null;
+
+    const match = /^bytes=(\d*)-(\d*)$/.exec(header.trim());
+
+    // Multi-range and malformed headers are answered with the full body
+    if (!match || (match[1] === '' && match[2] === '')) return null;
+
+    let start;
+    let end;
+
+    if (match[1] === '') {
+      // Suffix range: last N bytes
+      const suffix = parseInt(match[2], 10);
+      start = Math.max(0, size - suffix);
+      end = size - 1;
+    } else {
+      start = parseInt(match[1], 10);
+
+      if (match[2] !== '' && parseInt(match[2], 10) < start) return null;
+      end = match[2] === '' ? size - 1 : Math.min(parseInt(match[2], 10), size - 1);
+    }
+
+    if (start >= size) {
+      return { unsatisfiable: true };
+    }
+
+    return { start, end };
+  }
+
+  /**
+   * Open a readable stream of a rendition's plaintext bytes
+   */
+  openRendition(rendition, { start = 0, end = rendition.size - 1 } = {}) {
+    if (rendition.encryption?.encrypted) {
+      return keyManagementService.createTrackStream(
+        { audioFile: { path: rendition.path, encryption: rendition.encryption } },
+        { start, end }
+      );
+    }
+
+    return fs.createReadStream(rendition.path, { start, end });
+  }
+
+  getMimeType(format) {
+    return this.mimeTypes[format] || 'application/octet-stream';
+  }
+
+  normalizeFormat(format) {
+    // Older uploads stored the MIME type
+    return (format || 'mp3').replace(/^audio\//, '').replace('mpeg', 'mp3').replace(/^x-/, '').replace(/^wave$/, 'wav');
+  }
+}
+
+module.exports = new StreamingService();
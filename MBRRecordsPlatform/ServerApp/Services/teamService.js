@@ -0,0 +1,223 @@
+const crypto = require('crypto');
+const { ApiError } = require('../Middleware/errorHandler');
+const TeamInvitation = require('../Models/TeamInvitation');
+const Delegation = require('../Models/Delegation');
+const permissionService = require('./permissionService');
+const notificationService = require('./notificationService');
+const emailService = require('./EmailService');
+
+/**
+ * Team Service
+ * An artist's team: managers, producers and lawyers who act for them.
+ *
+ *   - The artist invites someone by email with a role and scopes; the link
+ *     in the email carries a token whose hash is stored.
+ *   - Accepting (signed in with the invited address) creates a delegation
+ *     with the scopes' permissions. From then on the team member can act
+ *     for the artist, and every such request is audit-logged.
+ *   - Either side can end it by revoking the delegation.
+ */
+
+class TeamService {
+  constructor() {
+    this.roles = ['manager', 'producer', 'lawyer'];
+
+    // What each scope lets a team member do for the artist
+    this.scopes = {
+      royalties: { label: 'View royalties', permissions: ['royalties:view'] },
+      distribution: { label: 'Submit to distribution', permissions: ['distribution:manage'] },
+      contracts: { label: 'Sign contracts', permissions: ['contracts:sign'] }
+    };
+
+    this.invitationTtlMs = 7 * 24 * 60 * 60 * 1000;
+  }
+
+  hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+  }
+
+  /**
+   * Delegated permissions for a set of scopes
+   */
+  permissionsFor(scopes) {
+    return [...new Set(scopes.flatMap(scope => this.scopes[scope].permissions))];
+  }
+
+  validateScopes(scopes) {
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+      throw new ApiError('At least one scope is required', 400);
+    }
+
+    const unknown = scopes.filter(scope => !this.scopes[scope]);
+    if (unknown.length > 0) {
+      throw new ApiError(`Unknown scopes: ${unknown.join(', ')}`, 400);
+    }
+
+    return [...new Set(scopes)];
+  }
+
+  /**
+   * Invite `email` to the artist's team and email them the link
+   */
+  async invite(artist, { email, teamRole, scopes, note }) {
+    try {
+      email = String(email || '').trim().toLowerCase();
+      if (!email) {
+        throw new ApiError('Email is required', 400);
+      }
+      if (email === artist.email) {
+        throw new ApiError('You cannot invite yourself', 400);
+      }
+      if (!this.roles.includes(teamRole)) {
+        throw new ApiError(`Team role must be one of: ${this.roles.join(', ')}`, 400);
+      }
+
+      scopes = this.validateScopes(scopes);
+
+      // Catch what the artist can't delegate now rather than on acceptance
+      const held = await permissionService.getPermissions(artist);
+      const missing = this.permissionsFor(scopes).filter(permission => !held.has(permission));
+      if (missing.length > 0) {
+        throw new ApiError(`You do not have: ${missing.join(', ')}`, 400);
+      }
+
+      // A new invitation to the same address replaces any still open
+      await TeamInvitation.updateMany(
+        { artist: artist._id, email, status: 'pending' },
+        { $set: { status: 'revoked', revokedAt: new Date() } }
+      );
+
+      const token = crypto.randomBytes(32).toString('hex');
+      const invitation = await TeamInvitation.create({
+        artist: artist._id,
+        email,
+        teamRole,
+        scopes,
+        note,
+        tokenHash: this.hashToken(token),
+        expiresAt: new Date(Date.now() + this.invitationTtlMs),
+        invitedBy: artist._id
+      });
+
+      await emailService.sendTeamInvitationEmail(
+        invitation,
+        artist,
+        token,
+        scopes.map(scope => this.scopes[scope].label)
+      );
+
+      const { tokenHash, ...data } = invitation.toObject();
+      return data;
+    } catch (error) {
+      throw new ApiError(`Team invitation failed: ${error.message}`, error.statusCode || 500);
+    }
+  }
+
+  /**
+   * The open invitation behind an emailed token, or a 404
+   */
+  async getInvitationByToken(token) {
+    const invitation = await TeamInvitation.findOne({ tokenHash: this.hashToken(token) })
+      .populate('artist', 'name avatar');
+
+    if (!invitation || !invitation.isOpen()) {
+      throw new ApiError('Invitation not found or no longer valid', 404);
+    }
+
+    return invitation;
+  }
+
+  /**
+   * What the invitee sees before accepting
+   */
+  async previewInvitation(token) {
+    const invitation = await this.getInvitationByToken(token);
+
+    return {
+      artist: invitation.artist,
+      email: invitation.email,
+      teamRole: invitation.teamRole,
+      scopes: invitation.scopes.map(scope => ({ key: scope, label: this.scopes[scope].label })),
+      note: invitation.note,
+      expiresAt: invitation.expiresAt
+    };
+  }
+
+  /**
+   * Join the artist's team: `user` must be signed in with the invited address
+   */
+  async acceptInvitation(token, user) {
+    try {
+      const invitation = await this.getInvitationByToken(token);
+
+      if (invitation.email !== user.email) {
+        throw new ApiError('This invitation was sent to a different email address', 403);
+      }
+
+      const delegation = await permissionService.grantDelegation({
+        principalId: invitation.artist._id,
+        delegateId: user._id,
+        permissions: this.permissionsFor(invitation.scopes),
+        note: invitation.note,
+        teamRole: invitation.teamRole,
+        invitation: invitation._id
+      }, invitation.invitedBy);
+
+      invitation.status = 'accepted';
+      invitation.acceptedBy = user._id;
+      invitation.acceptedAt = new Date();
+      invitation.delegation = delegation._id;
+      await invitation.save();
+
+      notificationService.notifySafely(invitation.artist._id, {
+        type: 'team',
+        title: 'Team invitation accepted',
+        message: `${user.name} joined your team as ${invitation.teamRole}`,
+        entity: { kind: 'user', id: user._id.toString() },
+        link: '/team'
+      });
+
+      return delegation;
+    } catch (error) {
+      throw new ApiError(`Accepting invitation failed: ${error.message}`, error.statusCode || 500);
+    }
+  }
+
+  async revokeInvitation(invitationId, artistId) {
+    const invitation = await TeamInvitation.findOneAndUpdate(
+      { _id: invitationId, artist: artistId, status: 'pending' },
+      { $set: { status: 'revoked', revokedAt: new Date() } },
+      { new: true }
+    );
+
+    if (!invitation) {
+      throw new ApiError('Invitation not found', 404);
+    }
+
+    return invitation;
+  }
+
+  /**
+   * The user's own team (members and open invitations) and the teams they
+   * are on
+   */
+  async getTeam(userId) {
+    const active = {
+      revokedAt: null,
+      teamRole: { $exists: true },
+      $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+    };
+
+    const [members, invitations, teams] = await Promise.all([
+      Delegation.find({ ...active, principal: userId }).populate('delegate', 'name email avatar').lean(),
+      TeamInvitation.find({ artist: userId, status: 'pending', expiresAt: { $gt: new Date() } })
+        .sort({ createdAt: -1 })
+        .lean(),
+      Delegation.find({ ...active, delegate: userId }).populate('principal', 'name email avatar').lean()
+    ]);
+
+    return { members, invitations, teams };
+  }
+}
+
+module.exports = new TeamService();
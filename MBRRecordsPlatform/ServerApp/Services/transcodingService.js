@@ -0,0 +1,397 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const mongoose = require('mongoose');
+const ffmpeg = require('fluent-ffmpeg');
+const { ApiError } = require('../Middleware/errorHandler');
+const keyManagementService = require('./keyManagementService');
+const streamingService = require('./streamingService');
+
+/**
+ * Transcoding Service
+ * Packages uploaded masters as an HLS adaptive-bitrate ladder: AAC at
+ * 64/128/256 kbps plus an optional FLAC rendition, a master playlist, and
+ * AES-128 segment encryption. Each variant's key is derived from one track
+ * segment key, which is wrapped by the DRM master key; keys are only handed
+ * out through the license-checked key route, and only for variants the
+ * listener's plan allows. The same job writes the encrypted MP3 renditions
+ * below the master's quality that progressive streams serve to capped plans.
+ *
+ * Jobs run one at a time in-process; ffmpeg is CPU-bound and the upload
+ * request shouldn't wait for it.
+ */
+
+class TranscodingService {
+  constructor() {
+    this.segmentDuration = 6; // seconds
+
+    this.ladder = [
+      { name: 'aac_64k', quality: '64kbps', codec: 'mp4a.40.2', bitrate: '64k', bandwidth: 72000 },
+      { name: 'aac_128k', quality: '128kbps', codec: 'mp4a.40.2', bitrate: '128k', bandwidth: 140000 },
+      { name: 'aac_256k', quality: '256kbps', codec: 'mp4a.40.2', bitrate: '256k', bandwidth: 280000 }
+    ];
+
+    this.losslessVariant = { name: 'flac', quality: 'lossless', codec: 'fLaC', bandwidth: 1500000 };
+
+    // Progressive-stream renditions; only those below the master's quality are made
+    this.renditionLadder = [
+      { quality: '128kbps', bitrate: '128k' },
+      { quality: '320kbps', bitrate: '320k' }
+    ];
+
+    this.queue = Promise.resolve();
+    this.queued = new Set();
+  }
+
+  /**
+   * Queue a track for packaging. Returns immediately.
+   */
+  async enqueue(trackId, options = {}) {
+    const Track = mongoose.model('Track');
+    const id = trackId.toString();
+
+    if (this.queued.has(id)) {
+      return { trackId: id, status: 'pending', alreadyQueued: true };
+    }
+
+    await Track.updateOne({ _id: id }, { $set: { 'audioFile.hls.status': 'pending' }, $unset: { 'audioFile.hls.error': 1 } });
+    this.queued.add(id);
+
+    this.queue = this.queue
+      .then(() => this.packageTrack(id, options))
+      .catch(error => console.error(`HLS packaging failed for track ${id}:`, error.message))
+      .finally(() => this.queued.delete(id));
+
+    return { trackId: id, status: 'pending', alreadyQueued: false };
+  }
+
+  /**
+   * Re-queue tracks left pending, processing or failed (e.g. after a restart)
+   */
+  async requeueIncomplete({ includeFailed = false } = {}) {
+    const Track = mongoose.model('Track');
+    const statuses = includeFailed ? ['pending', 'processing', 'failed'] : ['pending', 'processing'];
+
+    const tracks = await Track.find({ 'audioFile.hls.status': { $in: statuses } }).select('_id');
+
+    for (const track of tracks) {
+      await this.enqueue(track._id);
+    }
+
+    return { requeued: tracks.length };
+  }
+
+  /**
+   * Transcode a track's master into the HLS ladder and the progressive
+   * renditions, and record both on the track
+   */
+  async packageTrack(trackId, { includeLossless = null } = {}) {
+    const Track = mongoose.model('Track');
+    const track = await Track.findById(trackId).select('+audioFile.encryption.wrappedKey');
+
+    if (!track) {
+      throw new ApiError('Track not found', 404);
+    }
+    if (!track.audioFile?.path) {
+      throw new ApiError('Track has no stored master to transcode', 400);
+    }
+
+    await Track.updateOne({ _id: track._id }, { $set: { 'audioFile.hls.status': 'processing' } });
+
+    const outputDir = path.join(path.dirname(track.audioFile.path), 'hls', track._id.toString());
+    const renditionDir = path.join(path.dirname(track.audioFile.path), 'renditions', track._id.toString());
+    const workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'mbr-hls-'));
+    const segmentKey = crypto.randomBytes(16);
+
+    try {
+      await fs.promises.rm(outputDir, { recursive: true, force: true });
+      await fs.promises.mkdir(outputDir, { recursive: true });
+
+      const inputPath = await this.prepareInput(track, workDir);
+
+      const withLossless = includeLossless ?? streamingService.getMasterQuality(track) === 'lossless';
+      const variants = withLossless ? [...this.ladder, this.losslessVariant] : [...this.ladder];
+
+      for (const variant of variants) {
+        const keyInfoPath = await this.writeKeyInfo(workDir, variant.name, this.deriveVariantKey(segmentKey, variant.name));
+        await this.transcodeVariant(inputPath, outputDir, variant, keyInfoPath);
+      }
+
+      await fs.promises.writeFile(path.join(outputDir, 'master.m3u8'), this.buildMasterPlaylist(variants));
+
+      const renditions = await this.transcodeRenditions(track, inputPath, renditionDir);
+      const { wrappedKey, keyVersion } = keyManagementService.wrapContentKey(segmentKey);
+
+      await Track.updateOne({ _id: track._id }, {
+        $set: {
+          'audioFile.renditions': renditions,
+          'audioFile.hls': {
+            status: 'ready',
+            directory: outputDir,
+            variants: variants.map(variant => ({
+              name: variant.name,
+              quality: variant.quality,
+              codec: variant.codec,
+              bandwidth: variant.bandwidth,
+              playlist: `${variant.name}.m3u8`
+            })),
+            encryption: { method: 'AES-128', wrappedKey, keyVersion },
+            packagedAt: new Date()
+          }
+        }
+      });
+
+      return {
+        trackId: track._id,
+        status: 'ready',
+        variants: variants.map(variant => variant.name),
+        renditions: renditions.map(rendition => rendition.quality)
+      };
+    } catch (error) {
+      await fs.promises.rm(outputDir, { recursive: true, force: true }).catch(() => {});
+      await fs.promises.rm(renditionDir, { recursive: true, force: true }).catch(() => {});
+      await Track.updateOne({ _id: track._id }, {
+        $set: { 'audioFile.hls.status': 'failed', 'audioFile.hls.error': error.message }
+      });
+
+      throw new ApiError(`HLS packaging failed: ${error.message}`, error.statusCode || 500);
+    } finally {
+      segmentKey.fill(0);
+      await fs.promises.rm(workDir, { recursive: true, force: true }).catch(() => {});
+    }
+  }
+
+  /**
+   * ffmpeg needs plaintext: decrypt an encrypted master into the work dir
+   */
+  async prepareInput(track, workDir) {
+    if (!track.audioFile.encryption?.encrypted) {
+      return track.audioFile.path;
+    }
+
+    // `format` may be a MIME type (e.g. audio/mpeg); ffmpeg wants a plain extension
+    const inputPath = path.join(workDir, `master.${streamingService.normalizeFormat(track.audioFile.format)}`);
+    await pipeline(
+      keyManagementService.createTrackStream(track),
+      fs.createWriteStream(inputPath, { mode: 0o600 })
+    );
+
+    return inputPath;
+  }
+
+  /**
+   * AES-128 key for one variant, derived from the track's segment key
+   */
+  deriveVariantKey(segmentKey, variantName) {
+    return Buffer.from(crypto.hkdfSync('sha256', segmentKey, Buffer.alloc(0), `MBR-HLS:${variantName}`, 16));
+  }
+
+  /**
+   * ffmpeg key info file: key URI, key file path, IV. The URI is relative so
+   * it resolves against the variant playlist URL (/api/tracks/:id/hls/key).
+   */
+  async writeKeyInfo(workDir, variantName, variantKey) {
+    const keyPath = path.join(workDir, `${variantName}.key`);
+    const keyInfoPath = path.join(workDir, `${variantName}.keyinfo`);
+
+    try {
+      await fs.promises.writeFile(keyPath, variantKey, { mode: 0o600 });
+      await fs.promises.writeFile(
+        keyInfoPath,
+        [`key?variant=${variantName}`, keyPath, crypto.randomBytes(16).toString('hex')].join('\n'),
+        { mode: 0o600 }
+      );
+    } finally {
+      variantKey.fill(0);
+    }
+
+    return keyInfoPath;
+  }
+
+  /**
+   * Encode one rung of the ladder as an encrypted HLS media playlist
+   */
+  async transcodeVariant(inputPath, outputDir, variant, keyInfoPath) {
+    const isLossless = variant.quality === 'lossless';
+
+    const outputOptions = [
+      '-f', 'hls',
+      '-hls_time', String(this.segmentDuration),
+      '-hls_playlist_type', 'vod',
+      '-hls_key_info_file', keyInfoPath
+    ];
+
+    if (isLossless) {
+      // FLAC only fits in fragmented MP4 segments
+      outputOptions.push(
+        '-strict', 'experimental',
+        '-hls_segment_type', 'fmp4',
+        '-hls_fmp4_init_filename', `${variant.name}_init.mp4`,
+        '-hls_segment_filename', path.join(outputDir, `${variant.name}_%03d.m4s`)
+      );
+    } else {
+      outputOptions.push('-hls_segment_filename', path.join(outputDir, `${variant.name}_%03d.ts`));
+    }
+
+    return new Promise((resolve, reject) => {
+      const command = ffmpeg(inputPath)
+        .noVideo()
+        .audioChannels(2)
+        .audioFrequency(44100);
+
+      if (isLossless) {
+        command.audioCodec('flac');
+      } else {
+        command.audioCodec('aac').audioBitrate(variant.bitrate);
+      }
+
+      command
+        .outputOptions(outputOptions)
+        .on('end', () => {
+          console.log(`✅ Packaged HLS variant ${variant.name}`);
+          resolve();
+        })
+        .on('error', (error) => {
+          console.error(`❌ Error packaging HLS variant ${variant.name}:`, error.message);
+          reject(error);
+        })
+        .save(path.join(outputDir, `${variant.name}.m3u8`));
+    });
+  }
+
+  /**
+   * Encode and encrypt the MP3 renditions below the master's quality. Returns
+   * the entries for Track.audioFile.renditions.
+   */
+  async transcodeRenditions(track, inputPath, renditionDir) {
+    const rank = (quality) => streamingService.qualityLevels.indexOf(quality);
+    const masterRank = rank(streamingService.getMasterQuality(track));
+
+    await fs.promises.rm(renditionDir, { recursive: true, force: true });
+    await fs.promises.mkdir(renditionDir, { recursive: true });
+
+    const renditions = [];
+
+    for (const rung of this.renditionLadder.filter(entry => rank(entry.quality) < masterRank)) {
+      const outputPath = path.join(renditionDir, `${rung.quality}.mp3`);
+
+      await new Promise((resolve, reject) => {
+        ffmpeg(inputPath)
+          .noVideo()
+          .audioChannels(2)
+          .audioFrequency(44100)
+          .audioCodec('libmp3lame')
+          .audioBitrate(rung.bitrate)
+          .format('mp3')
+          .on('end', () => {
+            console.log(`✅ Encoded ${rung.quality} rendition`);
+            resolve();
+          })
+          .on('error', (error) => {
+            console.error(`❌ Error encoding ${rung.quality} rendition:`, error.message);
+            reject(error);
+          })
+          .save(outputPath);
+      });
+
+      const { size } = await fs.promises.stat(outputPath);
+      const encrypted = await keyManagementService.encryptMaster(outputPath);
+
+      renditions.push({
+        quality: rung.quality,
+        format: 'mp3',
+        path: encrypted.path,
+        size,
+        encryption: encrypted.encryption
+      });
+    }
+
+    return renditions;
+  }
+
+  /**
+   * Master playlist listing every variant, lowest bandwidth first
+   */
+  buildMasterPlaylist(variants) {
+    const lines = ['#EXTM3U', '#EXT-X-VERSION:7', '#EXT-X-INDEPENDENT-SEGMENTS'];
+
+    for (const variant of [...variants].sort((a, b) => a.bandwidth - b.bandwidth)) {
+      lines.push(`#EXT-X-STREAM-INF:BANDWIDTH=${variant.bandwidth},CODECS="${variant.codec}"`);
+      lines.push(`${variant.name}.m3u8`);
+    }
+
+    return `${lines.join('\n')}\n`;
+  }
+
+  /**
+   * Master playlist limited to the variants a listener may play, with the
+   * license query carried onto each variant URI
+   */
+  renderMasterPlaylist(track, allowedQualities, query = '') {
+    const variants = (track.audioFile.hls?.variants || [])
+      .filter(variant => allowedQualities.includes(variant.quality));
+
+    if (variants.length === 0) {
+      throw new ApiError('No HLS variants available at your quality level', 403);
+    }
+
+    const playlist = this.buildMasterPlaylist(variants);
+    return query ? playlist.replace(/^(\w+\.m3u8)$/gm, `$1?${query}`) : playlist;
+  }
+
+  /**
+   * Media playlist with the license query carried onto the key URI
+   */
+  async renderMediaPlaylist(track, name, query = '') {
+    const variant = (track.audioFile.hls?.variants || []).find(entry => entry.name === name);
+    if (!variant) {
+      throw new ApiError('Playlist not found', 404);
+    }
+
+    const playlist = await fs.promises.readFile(path.join(track.audioFile.hls.directory, variant.playlist), 'utf8');
+    return query ? playlist.replace(/URI="(key\?variant=\w+)"/g, `URI="$1&${query}"`) : playlist;
+  }
+
+  /**
+   * A variant's segment key. Callers must check the play license and the
+   * listener's quality cap first. The track must be loaded with
+   * `+audioFile.hls.encryption.wrappedKey` selected.
+   */
+  getVariantKey(track, variantName) {
+    const encryption = track.audioFile.hls?.encryption;
+
+    if (track.audioFile.hls?.status !== 'ready' || !encryption?.wrappedKey) {
+      throw new ApiError('Track has no HLS package', 404);
+    }
+
+    const variant = track.audioFile.hls.variants.find(entry => entry.name === variantName);
+    if (!variant) {
+      throw new ApiError('Variant not found', 404);
+    }
+
+    const segmentKey = keyManagementService.unwrapContentKey(encryption.wrappedKey, encryption.keyVersion);
+
+    try {
+      return { variant, key: this.deriveVariantKey(segmentKey, variant.name) };
+    } finally {
+      segmentKey.fill(0);
+    }
+  }
+
+  /**
+   * Absolute path of a segment or init file, or null for anything else
+   */
+  resolveSegmentPath(track, fileName) {
+    const directory = track.audioFile.hls?.directory;
+
+    if (!directory || !/^[a-z0-9_]+_(init\.mp4|\d{3,}\.(ts|m4s))$/.test(fileName)) {
+      return null;
+    }
+
+    return path.join(directory, fileName);
+  }
+}
+
+module.exports = new TranscodingService();
@@ -0,0 +1,374 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { ApiError } = require('../Middleware/errorHandler');
+const { getJwtSecret } = require('../Middleware/enhancedSecurity');
+const User = require('../Models/User');
+const SecurityPolicy = require('../Models/SecurityPolicy');
+const keyManagementService = require('./keyManagementService');
+const permissionService = require('./permissionService');
+
+/**
+ * Two-Factor Authentication Service
+ * TOTP (RFC 6238: HMAC-SHA1, 6 digits, 30 s steps) as used by authenticator
+ * apps, plus one-time recovery codes.
+ *
+ *   - Secrets are stored wrapped by keyManagementService's master key, as
+ *     "version:wrappedKey"; recovery codes only as SHA-256 hashes.
+ *   - A code is accepted one step either side of now, and never for a step
+ *     at or before the last one used.
+ *   - Signing in with 2FA enabled is two steps: the password check returns
+ *     a short-lived challenge token, which is exchanged together with a code
+ *     for a session.
+ *   - The security policy can require a 2FA-verified session for staff
+ *     routes and for royalty payouts.
+ */
+
+class TwoFactorService {
+  constructor() {
+    this.issuer = 'MBR Records';
+    this.digits = 6;
+    this.period = 30;
+    this.window = 1;
+    this.secretBytes = 20;
+
+    this.recoveryCodeCount = 10;
+    this.challengeTtl = '5m';
+    this.challengeAudience = 'mbr:two-factor';
+    this.jwtSecret = getJwtSecret();
+
+    this.base32Alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+    this.policyCacheMs = 60 * 1000;
+    this.policyCache = null;
+  }
+
+  base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+      value = (value << 8) | byte;
+      bits += 8;
+
+      while (bits >= 5) {
+        output += this.base32Alphabet[(value >>> (bits - 5)) & 31];
+        bits -= 5;
+      }
+    }
+
+    if (bits > 0) {
+      output += this.base32Alphabet[(value << (5 - bits)) & 31];
+    }
+
+    return output;
+  }
+
+  /**
+   * Code for a time step
+   */
+  generateCode(secret, step) {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+
+    const hmac = crypto.createHmac('sha1', secret).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+    return (binary % 10 ** this.digits).toString().padStart(this.digits, '0');
+  }
+
+  currentStep(now = Date.now()) {
+    return Math.floor(now / 1000 / this.period);
+  }
+
+  /**
+   * Step the code matches within the window (after `afterStep`), or null
+   */
+  verifyCode(secret, code, { afterStep = -1, now = Date.now() } = {}) {
+    const normalized = String(code || '').replace(/\s/g, '');
+    if (!new RegExp(`^\\d{${this.digits}}$`).test(normalized)) return null;
+
+    const current = this.currentStep(now);
+
+    for (let step = current - this.window; step <= current + this.window; step++) {
+      if (step <= afterStep) continue;
+
+      const expected = this.generateCode(secret, step);
+      if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+        return step;
+      }
+    }
+
+    return null;
+  }
+
+  wrapSecret(secret) {
+    const { wrappedKey, keyVersion } = keyManagementService.wrapContentKey(secret);
+    return `${keyVersion}:${wrappedKey}`;
+  }
+
+  unwrapSecret(stored) {
+    const separator = stored.indexOf(':');
+    return keyManagementService.unwrapContentKey(stored.slice(separator + 1), stored.slice(0, separator));
+  }
+
+  otpauthUri(user, base32Secret) {
+    const label = encodeURIComponent(`${this.issuer}:${user.email}`);
+    const params = new URLSearchParams({
+      secret: base32Secret,
+      issuer: this.issuer,
+      algorithm: 'SHA1',
+      digits: String(this.digits),
+      period: String(this.period)
+    });
+
+    return `otpauth://totp/${label}?${params}`;
+  }
+
+  hashRecoveryCode(code) {
+    const normalized = String(code).toLowerCase().replace(/[^a-z2-7]/g, '');
+    return crypto.createHash('sha256').update(normalized).digest('hex');
+  }
+
+  generateRecoveryCodes() {
+    return Array.from({ length: this.recoveryCodeCount }, () => {
+      const code = this.base32Encode(crypto.randomBytes(7)).slice(0, 10).toLowerCase();
+      return `${code.slice(0, 5)}-${code.slice(5)}`;
+    });
+  }
+
+  async getUserWithSecrets(userId) {
+    const user = await User.findById(userId)
+      .select('+twoFactor.secret +twoFactor.pendingSecret +twoFactor.lastUsedStep +twoFactor.recoveryCodes');
+    if (!user) {
+      throw new ApiError('User not found', 404);
+    }
+    return user;
+  }
+
+  /**
+   * Start enrolment: a new pending secret and the URI for the QR code
+   */
+  async beginSetup(userId) {
+    try {
+      const user = await this.getUserWithSecrets(userId);
+      if (user.twoFactor?.enabled) {
+        throw new ApiError('Two-factor authentication is already enabled', 409);
+      }
+
+      const secret = crypto.randomBytes(this.secretBytes);
+      const base32Secret = this.base32Encode(secret);
+
+      user.set('twoFactor.pendingSecret', this.wrapSecret(secret));
+      await user.save({ validateBeforeSave: false });
+
+      return {
+        secret: base32Secret,
+        otpauthUri: this.otpauthUri(user, base32Secret)
+      };
+    } catch (error) {
+      throw new ApiError(`Two-factor setup failed: ${error.message}`, error.statusCode || 500);
+    }
+  }
+
+  /**
+   * Finish enrolment with a code from the app; returns the recovery codes
+   * (shown to the user once)
+   */
+  async enable(userId, code) {
+    try {
+      const user = await this.getUserWithSecrets(userId);
+      if (user.twoFactor?.enabled) {
+        throw new ApiError('Two-factor authentication is already enabled', 409);
+      }
+      if (!user.twoFactor?.pendingSecret) {
+        throw new ApiError('Start two-factor setup first', 400);
+      }
+
+      const step = this.verifyCode(this.unwrapSecret(user.twoFactor.pendingSecret), code);
+      if (step === null) {
+        throw new ApiError('Invalid authentication code', 400);
+      }
+
+      const recoveryCodes = this.generateRecoveryCodes();
+
+      user.set('twoFactor', {
+        enabled: true,
+        enabledAt: new Date(),
+        secret: user.twoFactor.pendingSecret,
+        pendingSecret: undefined,
+        lastUsedStep: step,
+        recoveryCodes: recoveryCodes.map(recoveryCode => ({ hash: this.hashRecoveryCode(recoveryCode) }))
+      });
+      await user.save({ validateBeforeSave: false });
+
+      return { recoveryCodes };
+    } catch (error) {
+      throw new ApiError(`Enabling two-factor failed: ${error.message}`, error.statusCode || 500);
+    }
+  }
+
+  /**
+   * Check a TOTP code or a recovery code for a user with 2FA enabled.
+   * Used codes are consumed. Returns { method, recoveryCodesRemaining } or
+   * null when neither matches.
+   */
+  async verify(userId, { code, recoveryCode }) {
+    const user = await this.getUserWithSecrets(userId);
+    if (!user.twoFactor?.enabled) {
+      throw new ApiError('Two-factor authentication is not enabled', 400);
+    }
+
+    if (code) {
+      const step = this.verifyCode(this.unwrapSecret(user.twoFactor.secret), code, {
+        afterStep: user.twoFactor.lastUsedStep ?? -1
+      });
+      if (step === null) return null;
+
+      // Conditional so two requests can't both spend the same step
+      const result = await User.updateOne(
+        {
+          _id: user._id,
+          $or: [{ 'twoFactor.lastUsedStep': { $lt: step } }, { 'twoFactor.lastUsedStep': null }]
+        },
+        { $set: { 'twoFactor.lastUsedStep': step } }
+      );
+      if (result.modifiedCount === 0) return null;
+
+      return {
+        method: 'totp',
+        recoveryCodesRemaining: this.countRemaining(user)
+      };
+    }
+
+    if (recoveryCode) {
+      const hash = this.hashRecoveryCode(recoveryCode);
+      const result = await User.updateOne(
+        { _id: user._id, 'twoFactor.recoveryCodes': { $elemMatch: { hash, usedAt: null } } },
+        { $set: { 'twoFactor.recoveryCodes.$.usedAt': new Date() } }
+      );
+      if (result.modifiedCount === 0) return null;
+
+      return {
+        method: 'recovery_code',
+        recoveryCodesRemaining: this.countRemaining(user) - 1
+      };
+    }
+
+    return null;
+  }
+
+  countRemaining(user) {
+    return (user.twoFactor?.recoveryCodes || []).filter(recoveryCode => !recoveryCode.usedAt).length;
+  }
+
+  async regenerateRecoveryCodes(userId, { code, recoveryCode }) {
+    try {
+      const verified = await this.verify(userId, { code, recoveryCode });
+      if (!verified) {
+        throw new ApiError('Invalid authentication code', 400);
+      }
+
+      const recoveryCodes = this.generateRecoveryCodes();
+      await User.updateOne(
+        { _id: userId },
+        { $set: { 'twoFactor.recoveryCodes': recoveryCodes.map(newCode => ({ hash: this.hashRecoveryCode(newCode) })) } }
+      );
+
+      return { recoveryCodes };
+    } catch (error) {
+      throw new ApiError(`Recovery code generation failed: ${error.message}`, error.statusCode || 500);
+    }
+  }
+
+  /**
+   * Turn 2FA off (after the caller has checked a code or, for admin
+   * resets, the admin's authority)
+   */
+  async disable(userId) {
+    await User.updateOne(
+      { _id: userId },
+      {
+        $set: { 'twoFactor.enabled': false },
+        $unset: {
+          'twoFactor.enabledAt': 1,
+          'twoFactor.secret': 1,
+          'twoFactor.pendingSecret': 1,
+          'twoFactor.lastUsedStep': 1,
+          'twoFactor.recoveryCodes': 1
+        }
+      }
+    );
+  }
+
+  async getStatus(user) {
+    const withCodes = await User.findById(user._id).select('+twoFactor.recoveryCodes');
+    const policy = await this.getPolicy();
+
+    return {
+      enabled: Boolean(withCodes?.twoFactor?.enabled),
+      enabledAt: withCodes?.twoFactor?.enabledAt || null,
+      recoveryCodesRemaining: this.countRemaining(withCodes),
+      requiredFor: await this.requiredScopes(user, policy)
+    };
+  }
+
+  /**
+   * Token standing in for "password checked" between the two login steps
+   */
+  issueChallenge(user) {
+    return jwt.sign({ id: user._id.toString() }, this.jwtSecret, {
+      expiresIn: this.challengeTtl,
+      audience: this.challengeAudience
+    });
+  }
+
+  readChallenge(challengeToken) {
+    try {
+      return jwt.verify(challengeToken, this.jwtSecret, { audience: this.challengeAudience }).id;
+    } catch (error) {
+      throw new ApiError('Sign-in challenge has expired, please sign in again', 401);
+    }
+  }
+
+  async getPolicy() {
+    if (this.policyCache && Date.now() - this.policyCache.loadedAt < this.policyCacheMs) {
+      return this.policyCache.policy;
+    }
+
+    const stored = await SecurityPolicy.findOne({ key: 'platform' }).lean();
+    const policy = {
+      requireForAdmins: Boolean(stored?.twoFactor?.requireForAdmins),
+      requireForPayouts: Boolean(stored?.twoFactor?.requireForPayouts)
+    };
+
+    this.policyCache = { policy, loadedAt: Date.now() };
+    return policy;
+  }
+
+  async updatePolicy({ requireForAdmins, requireForPayouts }, updatedBy) {
+    const update = { updatedBy };
+    if (requireForAdmins !== undefined) update['twoFactor.requireForAdmins'] = Boolean(requireForAdmins);
+    if (requireForPayouts !== undefined) update['twoFactor.requireForPayouts'] = Boolean(requireForPayouts);
+
+    await SecurityPolicy.updateOne({ key: 'platform' }, { $set: update }, { upsert: true });
+
+    this.policyCache = null;
+    return this.getPolicy();
+  }
+
+  /**
+   * Policy scopes ('admin', 'payouts') that apply to a user: 'admin' for
+   * anyone with a staff permission, 'payouts' for anyone who can request one
+   */
+  async requiredScopes(user, policy) {
+    const permissions = [...await permissionService.getPermissions(user)];
+    const scopes = [];
+    if (policy.requireForAdmins && permissions.some(permission => permissionService.isStaffPermission(permission))) scopes.push('admin');
+    if (policy.requireForPayouts && permissions.includes('royalties:payout')) scopes.push('payouts');
+    return scopes;
+  }
+}
+
+module.exports = new TwoFactorService();
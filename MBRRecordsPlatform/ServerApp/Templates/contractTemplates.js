@@ -0,0 +1,273 @@
+/**
+ * Built-in contract templates. These seed version 1 of each template the
+ * first time it is needed; later versions live only in the database
+ * (Models/ContractTemplate).
+ *
+ * Placeholders: {{path}} or {{path | formatter}}, where path starts at
+ * `contract`, `parties` (by role, e.g. parties.artist.name) or `terms`.
+ * Formatters: percent, currency, list, names, count, split, date, years.
+ */
+
+const signatureClause = {
+  clauseId: 'execution',
+  heading: 'Execution',
+  body: 'This Agreement may be signed electronically. Each party\'s electronic signature, together with the signature audit trail attached to this document, has the same effect as a handwritten signature.'
+};
+
+const governingLawClause = {
+  clauseId: 'governing_law',
+  heading: 'Governing Law',
+  body: 'This Agreement is governed by the laws of {{terms.governingLaw}}.',
+  condition: { path: 'terms.governingLaw', operator: 'exists' }
+};
+
+module.exports = {
+  recording_agreement: {
+    contractType: 'recording',
+    title: 'Exclusive Recording Agreement',
+    clauses: [
+      {
+        clauseId: 'parties',
+        heading: 'Parties',
+        body: 'This Recording Agreement (the "Agreement") is made between {{parties.label.name}} (the "Label") and {{parties.artist.name}} (the "Artist").'
+      },
+      {
+        clauseId: 'term',
+        heading: 'Term',
+        body: 'The Agreement runs for {{terms.term | years}} from the date it becomes active, unless terminated earlier under its terms.'
+      },
+      {
+        clauseId: 'territory',
+        heading: 'Territory',
+        body: 'The rights granted under this Agreement apply in the following territory: {{terms.territory | list}}.'
+      },
+      {
+        clauseId: 'recordings',
+        heading: 'Recordings',
+        body: 'The Artist grants the Label the right to manufacture, distribute, stream and otherwise exploit the master recordings listed in Schedule A ({{terms.tracks | count}} recording(s)).'
+      },
+      {
+        clauseId: 'royalties',
+        heading: 'Royalties',
+        body: 'The Label shall pay the Artist a royalty of {{terms.royaltyRate | percent}} of net receipts from the exploitation of the recordings, accounted for quarterly.'
+      },
+      {
+        clauseId: 'advance',
+        heading: 'Advance',
+        body: 'The Label shall pay the Artist a non-returnable advance of {{terms.advance | currency}}. The advance is recoupable from royalties otherwise payable to the Artist under this Agreement, but not from any other source.',
+        condition: { path: 'terms.advance', operator: 'gt', value: 0 }
+      },
+      {
+        clauseId: 'exclusivity',
+        heading: 'Exclusivity',
+        body: 'During the Term the Artist shall not record for, or license recordings to, any third party in the Territory without the Label\'s prior written consent.',
+        condition: { path: 'terms.exclusivity', operator: 'truthy' }
+      },
+      {
+        clauseId: 'non_exclusive',
+        heading: 'Non-Exclusivity',
+        body: 'This Agreement is non-exclusive. The Artist remains free to record for third parties, provided the recordings covered by this Agreement are not re-recorded during the Term.',
+        condition: { path: 'terms.exclusivity', operator: 'falsy' }
+      },
+      {
+        clauseId: 'marketing',
+        heading: 'Marketing Commitment',
+        body: 'The Label commits a marketing budget of at least {{terms.marketingBudget | currency}} to the release of the recordings. Marketing costs are not recoupable unless agreed in writing.',
+        condition: { path: 'terms.marketingBudget', operator: 'gt', value: 0 }
+      },
+      {
+        clauseId: 'controlled_composition',
+        heading: 'Controlled Compositions',
+        body: 'Compositions written or controlled by the Artist are licensed to the Label at {{terms.controlledCompositionRate | percent}} of the statutory mechanical rate, capped at ten compositions per album.',
+        condition: { path: 'terms.controlledCompositionClause', operator: 'truthy' }
+      },
+      governingLawClause,
+      signatureClause
+    ]
+  },
+
+  distribution_agreement: {
+    contractType: 'distribution',
+    title: 'Digital Distribution Agreement',
+    clauses: [
+      {
+        clauseId: 'parties',
+        heading: 'Parties',
+        body: 'This Distribution Agreement is made between {{parties.distributor.name}} (the "Distributor") and {{parties.artist.name}} (the "Artist").'
+      },
+      {
+        clauseId: 'platforms',
+        heading: 'Platforms',
+        body: 'The Distributor shall deliver the recordings to the following services: {{terms.platforms | list}}.'
+      },
+      {
+        clauseId: 'term',
+        heading: 'Term',
+        body: 'The Agreement runs for {{terms.term | years}} and renews for successive one-year periods unless either party gives 60 days\' written notice.'
+      },
+      {
+        clauseId: 'territory',
+        heading: 'Territory',
+        body: 'Distribution is authorised in: {{terms.territory | list}}.'
+      },
+      {
+        clauseId: 'revenue',
+        heading: 'Revenue Share',
+        body: 'The Distributor shall pay the Artist {{terms.royaltyRate | percent}} of all revenue received from the services, with monthly statements.'
+      },
+      {
+        clauseId: 'exclusivity',
+        heading: 'Exclusivity',
+        body: 'The Artist shall not deliver the recordings to the listed services through any other distributor during the Term.',
+        condition: { path: 'terms.exclusivity', operator: 'truthy' }
+      },
+      governingLawClause,
+      signatureClause
+    ]
+  },
+
+  licensing_agreement: {
+    contractType: 'licensing',
+    title: 'Music Licensing Agreement',
+    clauses: [
+      {
+        clauseId: 'parties',
+        heading: 'Parties',
+        body: 'This Licensing Agreement is made between {{parties.licensor.name}} (the "Licensor") and {{parties.licensee.name}} (the "Licensee").'
+      },
+      {
+        clauseId: 'grant',
+        heading: 'Grant of License',
+        body: 'The Licensor grants the Licensee a {{terms.licenseType}} license to use the licensed content for {{terms.usage}}.'
+      },
+      {
+        clauseId: 'fee',
+        heading: 'License Fee',
+        body: 'The Licensee shall pay a license fee of {{terms.fee | currency}} within 30 days of signature.'
+      },
+      {
+        clauseId: 'term',
+        heading: 'Term and Territory',
+        body: 'The license runs for {{terms.term | years}} in {{terms.territory | list}}.'
+      },
+      {
+        clauseId: 'exclusivity',
+        heading: 'Exclusivity',
+        body: 'The license is exclusive: the Licensor shall not license the content for the same use to any third party during the Term.',
+        condition: { path: 'terms.exclusivity', operator: 'truthy' }
+      },
+      governingLawClause,
+      signatureClause
+    ]
+  },
+
+  publishing_agreement: {
+    contractType: 'publishing',
+    title: 'Publishing Agreement',
+    clauses: [
+      {
+        clauseId: 'parties',
+        heading: 'Parties',
+        body: 'This Publishing Agreement is made between {{parties.publisher.name}} (the "Publisher") and {{parties.writer.name}} (the "Writer").'
+      },
+      {
+        clauseId: 'works',
+        heading: 'Works',
+        body: 'The Writer assigns to the Publisher the copyright in the musical works listed in Schedule A ({{terms.works | count}} work(s)).'
+      },
+      {
+        clauseId: 'term',
+        heading: 'Term',
+        body: 'The Agreement runs for {{terms.term | years}}.'
+      },
+      {
+        clauseId: 'royalties',
+        heading: 'Royalties',
+        body: 'The Publisher shall pay the Writer {{terms.royaltyRate | percent}} of publishing income received in respect of the works, accounted for semi-annually.'
+      },
+      {
+        clauseId: 'advance',
+        heading: 'Advance',
+        body: 'The Publisher shall pay the Writer an advance of {{terms.advance | currency}}, recoupable only from the Writer\'s royalties under this Agreement.',
+        condition: { path: 'terms.advance', operator: 'gt', value: 0 }
+      },
+      {
+        clauseId: 'controlled_composition',
+        heading: 'Controlled Composition',
+        body: 'Where the Writer is also a recording artist, mechanical licenses for the works on the Writer\'s own recordings shall be issued at {{terms.controlledCompositionRate | percent}} of the statutory rate.',
+        condition: { path: 'terms.controlledCompositionClause', operator: 'truthy' }
+      },
+      governingLawClause,
+      signatureClause
+    ]
+  },
+
+  management_agreement: {
+    contractType: 'management',
+    title: 'Artist Management Agreement',
+    clauses: [
+      {
+        clauseId: 'parties',
+        heading: 'Parties',
+        body: 'This Management Agreement is made between {{parties.manager.name}} (the "Manager") and {{parties.artist.name}} (the "Artist").'
+      },
+      {
+        clauseId: 'services',
+        heading: 'Services',
+        body: 'The Manager shall provide the following services: {{terms.services | list}}.'
+      },
+      {
+        clauseId: 'commission',
+        heading: 'Commission',
+        body: 'The Artist shall pay the Manager a commission of {{terms.commission | percent}} of the Artist\'s gross entertainment-industry earnings during the Term.'
+      },
+      {
+        clauseId: 'term',
+        heading: 'Term',
+        body: 'The Agreement runs for {{terms.term | years}}.'
+      },
+      {
+        clauseId: 'exclusivity',
+        heading: 'Exclusivity',
+        body: 'The Artist appoints the Manager as exclusive personal manager and shall not engage any other manager during the Term.',
+        condition: { path: 'terms.exclusivity', operator: 'truthy' }
+      },
+      governingLawClause,
+      signatureClause
+    ]
+  },
+
+  collaboration_agreement: {
+    contractType: 'collaboration',
+    title: 'Collaboration Agreement',
+    clauses: [
+      {
+        clauseId: 'parties',
+        heading: 'Parties',
+        body: 'This Collaboration Agreement is made between {{parties.all | names}} (the "Collaborators").'
+      },
+      {
+        clauseId: 'project',
+        heading: 'Project',
+        body: 'The Collaborators will jointly create the project identified as {{terms.project}}.'
+      },
+      {
+        clauseId: 'contributions',
+        heading: 'Contributions',
+        body: 'Each Collaborator will contribute as follows: {{terms.contributions | list}}.'
+      },
+      {
+        clauseId: 'revenue_split',
+        heading: 'Revenue Split',
+        body: 'Net revenue from the project is divided as follows: {{terms.revenueSplit | split}}.'
+      },
+      {
+        clauseId: 'term',
+        heading: 'Term',
+        body: 'The Agreement runs for {{terms.term | years}}.'
+      },
+      governingLawClause,
+      signatureClause
+    ]
+  }
+};
@@ -0,0 +1,174 @@
+/**
+ * Email templates. Each template returns the message content as a subject,
+ * a heading, paragraphs and an optional call to action; `renderEmail` wraps
+ * that in the shared HTML and plain-text layout.
+ *
+ * `category` decides which user preference applies (see EmailService).
+ */
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const formatMoney = (amount, currency = 'USD') =>
+  new Intl.NumberFormat('en-US', { style: 'currency', currency }).format(Number(amount || 0));
+
+const formatDate = (value) => value
+  ? new Date(value).toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' })
+  : '';
+
+const templates = {
+  signature_request: {
+    category: 'transactional',
+    render: ({ name, contractTitle, contractId, role, signUrl, expiresAt }) => ({
+      subject: `Signature requested: ${contractTitle}`,
+      heading: 'Your signature is requested',
+      paragraphs: [
+        `Hi ${name || 'there'},`,
+        `You have been asked to sign the ${contractTitle} (${contractId}) as ${role}.`,
+        'Please review the full agreement before signing. Your signature is recorded with the exact version of the document you sign.',
+        expiresAt ? `This request expires on ${formatDate(expiresAt)}.` : null
+      ],
+      action: { label: 'Review and sign', url: signUrl }
+    })
+  },
+
+  team_invitation: {
+    category: 'transactional',
+    render: ({ artistName, teamRole, scopes = [], note, acceptUrl, expiresAt }) => ({
+      subject: `${artistName} invited you to their team`,
+      heading: 'You\'re invited to join a team',
+      paragraphs: [
+        'Hi there,',
+        `${artistName} has invited you to join their team as ${teamRole}.`,
+        scopes.length ? `You'll be able to act on their behalf to: ${scopes.join(', ').toLowerCase()}. Everything you do for them is logged and visible to them.` : null,
+        note ? `Their note: ${note}` : null,
+        'Sign in (or create an account) with this email address to accept.',
+        expiresAt ? `This invitation expires on ${formatDate(expiresAt)}.` : null
+      ],
+      action: { label: 'Accept invitation', url: acceptUrl }
+    })
+  },
+
+  password_reset: {
+    category: 'transactional',
+    render: ({ name, resetUrl, expiresInMinutes = 10 }) => ({
+      subject: 'Reset your password',
+      heading: 'Password reset',
+      paragraphs: [
+        `Hi ${name || 'there'},`,
+        `We received a request to reset your password. The link below is valid for ${expiresInMinutes} minutes.`,
+        'If you didn\'t ask for this, you can ignore this email - your password won\'t change.'
+      ],
+      action: { label: 'Reset password', url: resetUrl }
+    })
+  },
+
+  email_verification: {
+    category: 'transactional',
+    render: ({ name, verifyUrl }) => ({
+      subject: 'Verify your email address',
+      heading: 'Confirm your email',
+      paragraphs: [
+        `Welcome, ${name || 'there'}!`,
+        'Please confirm this is your email address to finish setting up your account.'
+      ],
+      action: { label: 'Verify email', url: verifyUrl }
+    })
+  },
+
+  demo_decision: {
+    category: 'notification',
+    render: ({ name, artistName, trackTitle, status, feedback, demoUrl }) => {
+      const outcomes = {
+        accepted: 'Good news - our A&R team has accepted your demo. We\'ll be in touch about next steps.',
+        rejected: 'Thank you for sending us your music. After careful review, we\'ve decided not to move forward with this demo.',
+        feedback_requested: 'Our A&R team would like a little more information before making a decision.',
+        on_hold: 'Your demo is on hold while our A&R team considers it further.',
+        under_review: 'Your demo is now being reviewed by our A&R team.'
+      };
+
+      return {
+        subject: `Update on your demo "${trackTitle}"`,
+        heading: 'Demo review update',
+        paragraphs: [
+          `Hi ${name || artistName || 'there'},`,
+          outcomes[status] || `The status of your demo "${trackTitle}" is now: ${status.replace(/_/g, ' ')}.`,
+          feedback ? `Feedback from the reviewer: ${feedback}` : null
+        ],
+        action: demoUrl ? { label: 'View your submission', url: demoUrl } : null
+      };
+    }
+  },
+
+  payout_receipt: {
+    category: 'notification',
+    render: ({ name, amount, fees, netAmount, currency, paymentMethod, transactionId, processedAt, statementUrl }) => ({
+      subject: `Payout receipt: ${formatMoney(netAmount, currency)}`,
+      heading: 'Your payout has been sent',
+      paragraphs: [
+        `Hi ${name || 'there'},`,
+        `We've processed your royalty payout on ${formatDate(processedAt)}.`,
+        `Amount: ${formatMoney(amount, currency)}`,
+        `Processing fees: ${formatMoney(fees, currency)}`,
+        `Net amount: ${formatMoney(netAmount, currency)}`,
+        `Method: ${String(paymentMethod || '').replace(/_/g, ' ')}`,
+        `Reference: ${transactionId}`
+      ],
+      action: statementUrl ? { label: 'View royalty statement', url: statementUrl } : null
+    })
+  }
+};
+
+/**
+ * Render a template to { category, subject, html, text }
+ */
+const renderEmail = (name, data = {}) => {
+  const template = templates[name];
+  if (!template) {
+    throw new Error(`Unknown email template: ${name}`);
+  }
+
+  const brand = data.brandName || process.env.FROM_NAME || 'MBR Records';
+  const content = template.render(data);
+  const paragraphs = content.paragraphs.filter(Boolean);
+
+  const text = [
+    content.heading,
+    '',
+    ...paragraphs.flatMap(paragraph => [paragraph, '']),
+    content.action ? `${content.action.label}: ${content.action.url}\n` : null,
+    `- ${brand}`,
+    data.unsubscribeUrl ? `\nTo stop receiving these emails: ${data.unsubscribeUrl}` : null
+  ].filter(line => line !== null).join('\n');
+
+  const html = `<!DOCTYPE html>
+<html>
+  <body style="margin:0;padding:24px;background:#f4f4f5;font-family:Helvetica,Arial,sans-serif;color:#18181b;">
+    <table role="presentation" width="100%" style="max-width:560px;margin:0 auto;background:#ffffff;border-radius:8px;padding:32px;">
+      <tr><td>
+        <h1 style="font-size:20px;margin:0 0 16px;">${escapeHtml(content.heading)}</h1>
+        ${paragraphs.map(paragraph => `<p style="font-size:15px;line-height:1.5;margin:0 0 12px;">${escapeHtml(paragraph)}</p>`).join('\n        ')}
+        ${content.action ? `<p style="margin:24px 0;"><a href="${escapeHtml(content.action.url)}" style="background:#f97316;color:#ffffff;padding:12px 20px;border-radius:6px;text-decoration:none;font-weight:bold;">${escapeHtml(content.action.label)}</a></p>` : ''}
+        <p style="font-size:13px;color:#71717a;margin:24px 0 0;">${escapeHtml(brand)}</p>
+        ${data.unsubscribeUrl ? `<p style="font-size:12px;color:#a1a1aa;margin:12px 0 0;"><a href="${escapeHtml(data.unsubscribeUrl)}" style="color:#a1a1aa;">Unsubscribe</a> from these emails.</p>` : ''}
+      </td></tr>
+    </table>
+  </body>
+</html>`;
+
+  return {
+    category: template.category,
+    subject: content.subject,
+    html,
+    text
+  };
+};
+
+module.exports = {
+  templates,
+  renderEmail
+};
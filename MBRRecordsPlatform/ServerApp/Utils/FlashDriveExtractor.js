@@ -4,6 +4,7 @@ const { execSync } = require('child_process');
 const ffmpeg = require('fluent-ffmpeg');
 const mm = require('music-metadata');
 const { v4: uuidv4 } = require('uuid');
+const keyManagementService = require('../Services/keyManagementService');
 
 class FlashDriveAudioExtractor {
   constructor(projectRoot) {
@@ -277,7 +278,8 @@ class FlashDriveAudioExtractor {
       convertToWav = true, 
       generateWaveform = true, 
       createPreview = true,
-      extractMetadata = true 
+      extractMetadata = true,
+      encryptMasters = true
     } = options;
 
     const fileId = uuidv4();
@@ -361,6 +363,14 @@ class FlashDriveAudioExtractor {
         }
       }
 
+      // Encrypt the platform master at rest (waveform and preview are done with it)
+      if (encryptMasters && result.processedFiles.wav) {
+        console.log(`🔒 Encrypting master for ${fileInfo.name}...`);
+        const { path: encryptedPath, encryption } = await keyManagementService.encryptMaster(result.processedFiles.wav);
+        result.processedFiles.wav = encryptedPath;
+        result.encryption = encryption;
+      }
+
       console.log(`✅ Successfully processed ${fileInfo.name}`);
       
     } catch (error) {
@@ -500,7 +510,8 @@ class FlashDriveAudioExtractor {
             path: result.processedFiles.wav,
             sampleRate: result.metadata.sampleRate,
             bitrate: result.metadata.bitrate,
-            channels: result.metadata.channels
+            channels: result.metadata.channels,
+            ...(result.encryption && { encryption: result.encryption })
           },
           metadata: {
             extractedFrom: 'flash_drive',
@@ -22,6 +22,13 @@ const royaltyRoutes = require('./Routes/royaltyRoutes');
 const metadataRoutes = require('./Routes/metadataRoutes');
 const contractRoutes = require('./Routes/contractRoutes');
 const gdprRoutes = require('./Routes/gdprRoutes');
+const playlistRoutes = require('./Routes/playlistRoutes');
+const albumRoutes = require('./Routes/albumRoutes');
+const licenseRoutes = require('./Routes/licenseRoutes');
+const emailRoutes = require('./Routes/emailRoutes');
+const notificationRoutes = require('./Routes/notificationRoutes');
+const organizationRoutes = require('./Routes/organizationRoutes');
+const teamRoutes = require('./Routes/teamRoutes');
 
 // Import middleware
 const authMiddleware = require('./Middleware/authMiddleware');
@@ -38,6 +45,14 @@ const {
 
 // Import models
 const User = require('./Models/User');
+const EmailService = require('./Services/EmailService');
+const notificationService = require('./Services/notificationService');
+const chatService = require('./Services/chatService');
+const presenceService = require('./Services/presenceService');
+const conversationService = require('./Services/conversationService');
+const demoReviewService = require('./Services/demoReviewService');
+const sessionService = require('./Services/sessionService');
+const organizationService = require('./Services/organizationService');
 
 const app = express();
 const server = createServer(app);
@@ -90,9 +105,9 @@ const limiter = rateLimit({
   },
   standardHeaders: true,
   legacyHeaders: false,
-  skip: (req) => {
-    // Skip rate limiting for admin users
-    return req.user && req.user.role === 'admin';
+  skip: async (req) => {
+    // Skip rate limiting for holders of limits:bypass
+    return !!req.user && authMiddleware.hasPermission(req, 'limits:bypass');
   }
 });
 
@@ -162,16 +177,26 @@ app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 // File upload middleware
 app.use('/api/upload', fileUpload);
 
-// DRM and anti-piracy protection
-app.use('/api/tracks/:trackId/stream', drmProtection({
+// DRM and anti-piracy protection. Authenticate first (when a token is sent)
+// so a license issued to one user is refused for another.
+app.use('/api/tracks/:trackId/stream', authMiddleware.optionalAuth, drmProtection({
   requireLicense: true,
+  permission: 'play',
   allowPreview: true,
   previewDuration: 30
 }));
-app.use('/api/tracks/:trackId/download', drmProtection({
+app.use('/api/tracks/:trackId/download', authMiddleware.optionalAuth, drmProtection({
   requireLicense: true,
+  permission: 'download',
+  allowPreview: false,
   watermarkEnabled: true
 }));
+app.use('/api/tracks/:trackId/hls', authMiddleware.optionalAuth, drmProtection({
+  requireLicense: false,
+  permission: 'play',
+  allowPreview: false,
+  recordsUsage: req => req.path === '/master.m3u8'
+}));
 app.use('/api/tracks', antiPiracyProtection);
 
 // Health check endpoint
@@ -201,58 +226,176 @@ app.use('/api/royalties', royaltyRoutes);
 app.use('/api/metadata', metadataRoutes);
 app.use('/api/contracts', contractRoutes);
 app.use('/api/gdpr', gdprRoutes);
+app.use('/api/playlists', playlistRoutes);
+app.use('/api/albums', albumRoutes);
+app.use('/api/licenses', licenseRoutes);
+app.use('/api/email', emailRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/organizations', organizationRoutes);
+app.use('/api/team', teamRoutes);
+
+// Notifications and chat messages are created server-side and pushed to rooms
+notificationService.setIo(io);
+chatService.setIo(io);
+presenceService.setIo(io);
+sessionService.setIo(io);
+
+// Authenticate sockets at the handshake; the token comes from
+// `io(url, { auth: { token } })` or an Authorization header
+io.use(async (socket, next) => {
+  try {
+    const header = socket.handshake.headers.authorization;
+    const token = socket.handshake.auth?.token || (header && header.split(' ')[1]);
+
+    const { user, sessionId } = await authMiddleware.authenticateSocket(token);
+    socket.data.user = user;
+    // Lets a revoked session's sockets be found and disconnected
+    socket.data.sessionId = sessionId;
+    next();
+  } catch (error) {
+    next(new Error('Authentication required'));
+  }
+});
 
 // Socket.IO connection handling
 io.on('connection', (socket) => {
-  console.log('User connected:', socket.id);
+  const user = socket.data.user;
+  const userId = user._id.toString();
+
+  const isInConversation = (conversationId) =>
+    Boolean(conversationId) && socket.rooms.has(chatService.roomFor(conversationId));
+
+  const reply = (ack, payload) => {
+    if (typeof ack === 'function') ack(payload);
+  };
+
+  // Join a conversation's room (e.g. one created since connecting)
+  socket.on('joinConversation', async (conversationId, ack) => {
+    try {
+      const conversation = await chatService.getConversationForUser(conversationId, user._id);
+      socket.join(chatService.roomFor(conversation._id));
+      reply(ack, { success: true });
+    } catch (error) {
+      reply(ack, { success: false, message: error.message });
+    }
+  });
 
-  // Join user to their personal room
-  socket.on('join', (userId) => {
-    socket.join(userId);
-    console.log(`User ${userId} joined their room`);
+  // Chat messages go through the same checks and storage as the REST route
+  socket.on('sendMessage', async (data = {}, ack) => {
+    try {
+      const { conversationId, content, type, metadata, replyTo } = data;
+      const message = await chatService.sendMessage(conversationId, user._id, {
+        content,
+        type,
+        metadata,
+        replyTo
+      });
+      reply(ack, { success: true, data: message });
+    } catch (error) {
+      reply(ack, { success: false, message: error.message });
+    }
   });
 
-  // Handle chat messages
-  socket.on('sendMessage', (data) => {
-    const { recipientId, message, senderId } = data;
-    
-    // Emit to recipient
-    io.to(recipientId).emit('newMessage', {
-      senderId,
-      message,
-      timestamp: new Date().toISOString()
-    });
+  // Typing indicators, only to conversations the user is part of
+  socket.on('typing', (data = {}) => {
+    if (!isInConversation(data.conversationId)) return;
+    chatService.emitTyping(data.conversationId, user, data.isTyping, { exceptSocket: socket });
   });
 
-  // Handle typing indicators
-  socket.on('typing', (data) => {
-    const { recipientId, isTyping, senderId } = data;
-    io.to(recipientId).emit('userTyping', {
-      senderId,
-      isTyping
-    });
+  // Delivery receipts for messages received live
+  socket.on('markDelivered', async (data = {}, ack) => {
+    try {
+      if (!isInConversation(data.conversationId)) {
+        throw new Error('Conversation not found or access denied');
+      }
+      const messageIds = await chatService.markDelivered(data.conversationId, user._id, data.messageIds || null);
+      reply(ack, { success: true, data: { messageIds } });
+    } catch (error) {
+      reply(ack, { success: false, message: error.message });
+    }
+  });
+
+  // Read receipts for messages the user has viewed
+  socket.on('markRead', async (data = {}, ack) => {
+    try {
+      const messageIds = await chatService.markRead(data.conversationId, user._id, data.messageIds || null);
+      reply(ack, { success: true, data: { messageIds } });
+    } catch (error) {
+      reply(ack, { success: false, message: error.message });
+    }
+  });
+
+  socket.on('addReaction', async (data = {}, ack) => {
+    try {
+      const message = await chatService.addReaction(data.messageId, user._id, data.emoji);
+      reply(ack, { success: true, data: { reactionSummary: message.reactionSummary } });
+    } catch (error) {
+      reply(ack, { success: false, message: error.message });
+    }
+  });
+
+  socket.on('removeReaction', async (data = {}, ack) => {
+    try {
+      const message = await chatService.removeReaction(data.messageId, user._id);
+      reply(ack, { success: true, data: { reactionSummary: message.reactionSummary } });
+    } catch (error) {
+      reply(ack, { success: false, message: error.message });
+    }
   });
 
-  // Handle music synchronization
-  socket.on('syncMusic', (data) => {
-    const { roomId, action, trackId, timestamp } = data;
-    socket.to(roomId).emit('musicSync', {
+  // Catch up after reconnecting: everything changed since the client's cursor
+  socket.on('sync', async (data = {}, ack) => {
+    try {
+      const result = await chatService.sync(user._id, data.cursor);
+      reply(ack, { success: true, data: result });
+    } catch (error) {
+      reply(ack, { success: false, message: error.message });
+    }
+  });
+
+  // 'online' when the app is in use, 'away' when it goes idle or hidden
+  socket.on('setPresence', (status) => {
+    presenceService.setStatus(userId, socket.id, status);
+  });
+
+  socket.on('getPresence', async (userIds, ack) => {
+    try {
+      const presence = await presenceService.getPresenceFor(user._id, Array.isArray(userIds) ? userIds.slice(0, 100) : []);
+      reply(ack, { success: true, data: presence });
+    } catch (error) {
+      reply(ack, { success: false, message: error.message });
+    }
+  });
+
+  // Music synchronization between the participants of a conversation
+  socket.on('syncMusic', (data = {}) => {
+    const { conversationId, action, trackId, timestamp } = data;
+    if (!isInConversation(conversationId)) return;
+
+    socket.to(chatService.roomFor(conversationId)).emit('musicSync', {
+      conversationId,
+      userId,
       action,
       trackId,
       timestamp
     });
   });
 
-  // Handle notifications
-  socket.on('notification', (data) => {
-    const { userId, notification } = data;
-    io.to(userId).emit('newNotification', notification);
-  });
-
   // Handle disconnect
   socket.on('disconnect', () => {
-    console.log('User disconnected:', socket.id);
+    presenceService.disconnect(userId, socket.id).catch(error => {
+      console.error(`Failed to record ${userId} going offline:`, error.message);
+    });
   });
+
+  // Personal room (notifications) and the rooms of the user's conversations
+  socket.join(userId);
+  presenceService.connect(userId, socket.id);
+  chatService.getConversationIds(userId)
+    .then(conversationIds => socket.join(conversationIds.map(id => chatService.roomFor(id))))
+    .catch(error => {
+      console.error(`Failed to join conversation rooms for ${userId}:`, error.message);
+    });
 });
 
 // Error handling middleware
@@ -292,6 +435,18 @@ process.on('uncaughtException', (err) => {
 const PORT = process.env.PORT || 5000;
 
 server.listen(PORT, () => {
+  // Retry queued emails in the background
+  EmailService.startQueueWorker();
+
+  // Purge chat messages past their conversation's autoDeleteDays
+  conversationService.startRetentionJob();
+
+  // Escalate demos past their review deadline
+  demoReviewService.startEscalationJob();
+
+  // Give records from before organizations existed to the default label
+  organizationService.scheduleBackfill();
+
   console.log(`
 🚀 MBR Records Platform Server is running!
 📡 Environment: ${process.env.NODE_ENV || 'development'}